@@ -0,0 +1,155 @@
+"""
+Alert Lifecycle
+Room Safety Checker - Backend Service
+
+Alerts stored from roomguard/<id>/alert start 'open', can be acknowledged
+(by whom, when) and resolved, and collect free-text notes along the way.
+Every change is re-published on roomguard/<id>/alert/update and on the
+live event stream so all open dashboards stay in sync without polling.
+"""
+
+from datetime import datetime
+from bson import ObjectId
+from bson.errors import InvalidId
+from pymongo import ReturnDocument
+from flask import Blueprint, jsonify, request, g
+from auth import require_auth
+from live import publish_event
+from utils import serialize
+
+STATES = ('open', 'acknowledged', 'resolved')
+MAX_NOTE_LENGTH = 1000
+
+lifecycle_bp = Blueprint('alert_lifecycle', __name__)
+
+# Set by init_alert_lifecycle()
+alerts = None
+publish_to_device = None
+
+# ==================== SETUP ====================
+def init_alert_lifecycle(db, publish):
+    """publish(device_id, kind, payload, retain) -> bool"""
+    global alerts, publish_to_device
+    alerts = db['alerts']
+    publish_to_device = publish
+
+    alerts.create_index([('state', 1), ('timestamp', -1)])
+
+def serialize_alert(alert):
+    """Mongo alert document -> JSON-safe dict with a string id"""
+    doc = serialize({k: v for k, v in alert.items() if k != '_id'})
+    doc['id'] = str(alert['_id'])
+    doc['notes'] = [serialize(n) for n in alert.get('notes', [])]
+    return doc
+
+def broadcast(alert):
+    doc = serialize_alert(alert)
+    publish_to_device(alert['device'], 'alert/update', doc)
+    publish_event('alert', doc)
+
+# ==================== MQTT HANDLER ====================
+def open_alert(payload):
+    """Store a new alert from a device as open and announce it with its id"""
+    payload['state'] = 'open'
+    payload['notes'] = []
+    alerts.insert_one(payload)
+    broadcast(payload)
+    return payload
+
+# ==================== ROUTES ====================
+def in_states(states):
+    """Mongo condition for a state in states - alerts stored before the lifecycle have none and count as open"""
+    return {'$in': list(states) + [None]} if 'open' in states else {'$in': list(states)}
+
+def update_alert(alert_id, transitions):
+    """
+    Apply the first of [(allowed_from, changes), ...] whose states the alert is
+    in. The state is checked in the same write, so of two concurrent changes
+    only one wins and the other gets a 409.
+    """
+    try:
+        oid = ObjectId(alert_id)
+    except InvalidId:
+        return jsonify({'error': 'Unknown alert'}), 404
+
+    for allowed_from, changes in transitions:
+        alert = alerts.find_one_and_update(
+            {'_id': oid, 'state': in_states(allowed_from)},
+            changes,
+            return_document=ReturnDocument.AFTER
+        )
+        if alert:
+            broadcast(alert)
+            return jsonify(serialize_alert(alert))
+
+    alert = alerts.find_one({'_id': oid}, {'state': 1})
+    if not alert:
+        return jsonify({'error': 'Unknown alert'}), 404
+    return jsonify({'error': f"Alert is already {alert.get('state')}"}), 409
+
+def note_from_request():
+    """Optional {"note": "..."} from the request body, as a note subdocument"""
+    text = str((request.get_json(silent=True) or {}).get('note', '')).strip()[:MAX_NOTE_LENGTH]
+    if not text:
+        return None
+    return {'user': g.user['username'], 'text': text, 'timestamp': datetime.utcnow()}
+
+@lifecycle_bp.route('/api/alerts/<alert_id>/acknowledge', methods=['POST'])
+@require_auth()
+def acknowledge_alert(alert_id):
+    """Acknowledge an open alert - stops the siren on every dashboard"""
+    changes = {'$set': {
+        'state': 'acknowledged',
+        'acknowledged_by': g.user['username'],
+        'acknowledged_at': datetime.utcnow()
+    }}
+    note = note_from_request()
+    if note:
+        changes['$push'] = {'notes': note}
+    return update_alert(alert_id, [(('open',), changes)])
+
+@lifecycle_bp.route('/api/alerts/<alert_id>/resolve', methods=['POST'])
+@require_auth('admin')
+def resolve_alert(alert_id):
+    """Resolve an alert; resolving an open alert acknowledges it too"""
+    now = datetime.utcnow()
+    changes = {'$set': {
+        'state': 'resolved',
+        'resolved_by': g.user['username'],
+        'resolved_at': now
+    }}
+    note = note_from_request()
+    if note:
+        changes['$push'] = {'notes': note}
+    from_open = {**changes, '$set': {
+        **changes['$set'],
+        'acknowledged_by': g.user['username'],
+        'acknowledged_at': now
+    }}
+    return update_alert(alert_id, [(('open',), from_open), (('acknowledged',), changes)])
+
+@lifecycle_bp.route('/api/alerts/<alert_id>/notes', methods=['POST'])
+@require_auth()
+def add_note(alert_id):
+    """Append a free-text note to an alert in any state"""
+    note = note_from_request()
+    if not note:
+        return jsonify({'error': 'Note text is required'}), 400
+    return update_alert(alert_id, [(STATES, {'$push': {'notes': note}})])
+
+@lifecycle_bp.route('/api/alerts/counts', methods=['GET'])
+@require_auth()
+def alert_counts():
+    """Number of alerts in each state, optionally for one ?device="""
+    match = {}
+    device = request.args.get('device')
+    if device:
+        match['device'] = device
+
+    counts = {state: 0 for state in STATES}
+    for row in alerts.aggregate([
+        {'$match': match},
+        {'$group': {'_id': {'$ifNull': ['$state', 'open']}, 'count': {'$sum': 1}}}
+    ]):
+        counts[row['_id']] = row['count']
+    return jsonify(counts)
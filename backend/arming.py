@@ -0,0 +1,228 @@
+"""
+Arming Modes & Schedules
+Room Safety Checker - Backend Service
+
+Burglar detection only runs while a device is armed: 'away' (entry or motion
+in an empty room) or 'night' (door entry only). The device owns the mode and
+its exit/entry delays and reports them in every status message; each change
+is stored in arm_events together with the user whose command caused it.
+Weekly schedules arm/disarm devices through the same audited command path
+as the dashboard, as the 'scheduler' user.
+"""
+
+import os
+import re
+import time
+from datetime import datetime, timedelta
+from zoneinfo import ZoneInfo
+from bson import ObjectId
+from bson.errors import InvalidId
+from flask import Blueprint, jsonify, request, g
+from auth import require_auth
+from audit import find_command
+from utils import parse_range, serialize, is_weekday
+
+# ==================== CONFIGURATION ====================
+ARMING_TIMEZONE = ZoneInfo(os.getenv('ARMING_TIMEZONE', 'UTC'))
+SCHEDULER_INTERVAL = 30
+# A schedule missed by more than this (backend down) is skipped for the day
+SCHEDULE_GRACE = timedelta(minutes=5)
+
+ARM_ACTIONS = {'arm_away': 'away', 'arm_night': 'night', 'disarm': 'disarmed'}
+SCHEDULER_USER = {'username': 'scheduler', 'name': 'Arming schedule', 'role': 'system'}
+
+arming_bp = Blueprint('arming', __name__)
+
+# Set by init_arming()
+devices = None
+arm_events = None
+arm_schedules = None
+dispatch_command = None
+
+# ==================== SETUP ====================
+def init_arming(db, dispatch):
+    """dispatch(device_id, action, user) -> (body, status)"""
+    global devices, arm_events, arm_schedules, dispatch_command
+    devices = db['devices']
+    arm_events = db['arm_events']
+    arm_schedules = db['arm_schedules']
+    dispatch_command = dispatch
+
+    arm_events.create_index([('device', 1), ('timestamp', -1)])
+    arm_schedules.create_index('device')
+
+def serialize_schedule(schedule):
+    doc = serialize({k: v for k, v in schedule.items() if k != '_id'})
+    doc['id'] = str(schedule['_id'])
+    return doc
+
+def validate_schedule(body, partial=False):
+    """Return (fields, error) for a schedule body; partial allows missing fields"""
+    fields = {}
+
+    if 'action' in body or not partial:
+        if body.get('action') not in ARM_ACTIONS:
+            return None, f'action must be one of {", ".join(ARM_ACTIONS)}'
+        fields['action'] = body['action']
+
+    if 'days' in body or not partial:
+        days = body.get('days')
+        if not isinstance(days, list) or not days or not all(is_weekday(d) for d in days):
+            return None, 'days must be a non-empty list of weekdays 0 (Mon) - 6 (Sun)'
+        fields['days'] = sorted(set(days))
+
+    if 'time' in body or not partial:
+        value = str(body.get('time', ''))
+        if not re.fullmatch(r'([01]\d|2[0-3]):[0-5]\d', value):
+            return None, 'time must be HH:MM (24h)'
+        fields['time'] = value
+
+    if 'enabled' in body:
+        fields['enabled'] = bool(body['enabled'])
+
+    return fields, None
+
+# ==================== MQTT HANDLER ====================
+def record_arm_status(device_id, payload, timestamp):
+    """Store an arm_events entry when a status shows a new arm mode or state"""
+    mode = payload.get('arm_mode')
+    state = payload.get('arm_state')
+    if mode is None:
+        return
+
+    device = devices.find_one({'device_id': device_id}) or {}
+    if device.get('arm_mode') == mode and device.get('arm_state') == state:
+        return
+
+    devices.update_one(
+        {'device_id': device_id},
+        {'$set': {'arm_mode': mode, 'arm_state': state, 'arm_changed_at': timestamp}}
+    )
+
+    event = {
+        'device': device_id,
+        'mode': mode,
+        'state': state,
+        'previous_mode': device.get('arm_mode'),
+        'previous_state': device.get('arm_state'),
+        'timestamp': timestamp
+    }
+    # Attribute mode changes to the command that caused them
+    if mode != device.get('arm_mode') and payload.get('arm_cmd'):
+        command = find_command(payload['arm_cmd'])
+        if command:
+            event['command_id'] = command['command_id']
+            event['user'] = command['user']
+    arm_events.insert_one(event)
+    print(f"[Arm] [{device_id}] {mode} ({state}){' by ' + event['user'] if 'user' in event else ''}")
+
+# ==================== SCHEDULER ====================
+def due_schedules(now):
+    """Enabled schedules for today whose time has just passed and that haven't run today"""
+    today = now.strftime('%Y-%m-%d')
+    for schedule in arm_schedules.find({'enabled': True, 'days': now.weekday(), 'last_run': {'$ne': today}}):
+        hour, minute = map(int, schedule['time'].split(':'))
+        at = now.replace(hour=hour, minute=minute, second=0, microsecond=0)
+        if at <= now < at + SCHEDULE_GRACE:
+            yield schedule
+
+def run_scheduler():
+    """Send due arm/disarm commands (background thread)"""
+    while True:
+        time.sleep(SCHEDULER_INTERVAL)
+        try:
+            now = datetime.now(ARMING_TIMEZONE)
+            for schedule in list(due_schedules(now)):
+                arm_schedules.update_one(
+                    {'_id': schedule['_id']},
+                    {'$set': {'last_run': now.strftime('%Y-%m-%d')}}
+                )
+
+                # Don't restart the exit delay of a device already in that mode
+                device = devices.find_one({'device_id': schedule['device']}) or {}
+                if device.get('arm_mode') == ARM_ACTIONS[schedule['action']]:
+                    continue
+
+                result, status = dispatch_command(schedule['device'], schedule['action'], SCHEDULER_USER)
+                if status != 202:
+                    print(f"[Arm] [{schedule['device']}] Scheduled {schedule['action']} failed: {result.get('error')}")
+        except Exception as e:
+            print(f"[Error] Arming scheduler failed: {e}")
+
+# ==================== ROUTES ====================
+@arming_bp.route('/api/devices/<device_id>/arm-history', methods=['GET'])
+@require_auth()
+def get_arm_history(device_id):
+    """Arm mode/state changes, newest first. Filters: ?start=&end= or ?hours="""
+    try:
+        since, until = parse_range(default_hours=24 * 7)
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+
+    limit = request.args.get('limit', 100, type=int)
+    events = arm_events.find(
+        {'device': device_id, 'timestamp': {'$gte': since, '$lte': until}},
+        {'_id': 0}
+    ).sort('timestamp', -1).limit(limit)
+    return jsonify([serialize(e) for e in events])
+
+@arming_bp.route('/api/devices/<device_id>/arm-schedules', methods=['GET'])
+@require_auth()
+def list_schedules(device_id):
+    schedules = arm_schedules.find({'device': device_id}).sort('time', 1)
+    return jsonify({
+        'timezone': str(ARMING_TIMEZONE),
+        'schedules': [serialize_schedule(s) for s in schedules]
+    })
+
+@arming_bp.route('/api/devices/<device_id>/arm-schedules', methods=['POST'])
+@require_auth('admin')
+def add_schedule(device_id):
+    if not devices.find_one({'device_id': device_id}):
+        return jsonify({'error': 'Unknown device'}), 404
+
+    fields, error = validate_schedule(request.get_json(silent=True) or {})
+    if error:
+        return jsonify({'error': error}), 400
+
+    schedule = {
+        'device': device_id,
+        'enabled': True,
+        **fields,
+        'created_by': g.user['username'],
+        'created_at': datetime.utcnow()
+    }
+    arm_schedules.insert_one(schedule)
+    return jsonify(serialize_schedule(schedule)), 201
+
+def find_schedule(schedule_id):
+    try:
+        return arm_schedules.find_one({'_id': ObjectId(schedule_id)})
+    except InvalidId:
+        return None
+
+@arming_bp.route('/api/arm-schedules/<schedule_id>', methods=['PUT'])
+@require_auth('admin')
+def update_schedule(schedule_id):
+    schedule = find_schedule(schedule_id)
+    if not schedule:
+        return jsonify({'error': 'Unknown schedule'}), 404
+
+    fields, error = validate_schedule(request.get_json(silent=True) or {}, partial=True)
+    if error:
+        return jsonify({'error': error}), 400
+    if not fields:
+        return jsonify({'error': 'Nothing to update'}), 400
+
+    arm_schedules.update_one({'_id': schedule['_id']}, {'$set': fields})
+    return jsonify(serialize_schedule({**schedule, **fields}))
+
+@arming_bp.route('/api/arm-schedules/<schedule_id>', methods=['DELETE'])
+@require_auth('admin')
+def delete_schedule(schedule_id):
+    schedule = find_schedule(schedule_id)
+    if not schedule:
+        return jsonify({'error': 'Unknown schedule'}), 404
+
+    arm_schedules.delete_one({'_id': schedule['_id']})
+    return jsonify({'deleted': schedule_id})
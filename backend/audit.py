@@ -0,0 +1,139 @@
+"""
+Command Audit Log
+Room Safety Checker - Backend Service
+
+Every door/system command sent through the API is recorded with the user,
+role, target device and time. The outcome starts as 'pending' and is
+completed from the device's ack (confirmed/rejected) or marked 'timeout'.
+"""
+
+import re
+from datetime import datetime, timedelta
+from flask import Blueprint, jsonify, request
+from auth import require_auth
+from utils import parse_range, parse_paging
+
+# Pending commands older than this are reported as timed out. Sent with
+# every accepted command so the dashboard gives up at the same time.
+ACK_TIMEOUT = timedelta(seconds=30)
+
+OUTCOMES = ('pending', 'confirmed', 'rejected', 'timeout', 'failed')
+
+audit_bp = Blueprint('audit', __name__)
+
+# Collection - set by init_audit()
+audit_log = None
+
+# ==================== SETUP ====================
+def init_audit(db):
+    global audit_log
+    audit_log = db['audit_log']
+
+    audit_log.create_index([('timestamp', -1)])
+    audit_log.create_index('command_id', unique=True)
+    audit_log.create_index([('user', 1), ('timestamp', -1)])
+    audit_log.create_index([('device', 1), ('timestamp', -1)])
+
+# ==================== RECORDING ====================
+def record_command(command_id, user, device, action, outcome='pending', reason=None, confirmed_with=None):
+    """Store a command issued by a user; confirmed_with: 'confirm' or 'pin' if the policy asked for it"""
+    entry = {
+        'command_id': command_id,
+        'user': user['username'],
+        'user_name': user.get('name', user['username']),
+        'role': user['role'],
+        'device': device,
+        'action': action,
+        'timestamp': datetime.utcnow(),
+        'outcome': outcome
+    }
+    if reason:
+        entry['reason'] = reason
+    if confirmed_with:
+        entry['confirmed_with'] = confirmed_with
+    audit_log.insert_one(entry)
+    return entry
+
+def record_ack(device, ack):
+    """Complete a pending audit entry from a device ack"""
+    command_id = ack.get('id')
+    if not command_id:
+        return
+
+    update = {
+        'outcome': 'confirmed' if ack.get('status') == 'ok' else 'rejected',
+        'acked_at': datetime.utcnow()
+    }
+    if ack.get('reason'):
+        update['reason'] = ack['reason']
+
+    # Late acks still win over a timeout - the device did act on it
+    audit_log.update_one(
+        {'command_id': command_id, 'device': device, 'outcome': {'$in': ['pending', 'timeout']}},
+        {'$set': update}
+    )
+
+def mark_failed(command_id, reason):
+    """A pending command that never reached the device"""
+    audit_log.update_one(
+        {'command_id': command_id, 'outcome': 'pending'},
+        {'$set': {'outcome': 'failed', 'reason': reason}}
+    )
+
+def expire_pending():
+    """Mark commands that never got an ack as timed out"""
+    audit_log.update_many(
+        {'outcome': 'pending', 'timestamp': {'$lt': datetime.utcnow() - ACK_TIMEOUT}},
+        {'$set': {'outcome': 'timeout'}}
+    )
+
+def find_command(command_id):
+    """Audit entry for a command ID, or None - timed out if it waited too long for its ack"""
+    audit_log.update_one(
+        {'command_id': command_id, 'outcome': 'pending', 'timestamp': {'$lt': datetime.utcnow() - ACK_TIMEOUT}},
+        {'$set': {'outcome': 'timeout'}}
+    )
+    return audit_log.find_one({'command_id': command_id}, {'_id': 0})
+
+# ==================== ROUTES ====================
+@audit_bp.route('/api/audit', methods=['GET'])
+@require_auth('admin')
+def get_audit():
+    """
+    Query the audit log, newest first.
+    Filters: ?user= ?device= ?action= ?outcome= ?start=&end= or ?hours=
+    Paging: ?page= ?page_size=
+    """
+    expire_pending()
+
+    try:
+        since, until = parse_range(default_hours=24 * 30)
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+    page, page_size, skip = parse_paging()
+
+    query = {'timestamp': {'$gte': since, '$lte': until}}
+    for field in ('user', 'device', 'action'):
+        value = request.args.get(field)
+        if value:
+            # Case-insensitive prefix match so admins can type partial names
+            query[field] = {'$regex': f'^{re.escape(value)}', '$options': 'i'}
+    outcome = request.args.get('outcome')
+    if outcome in OUTCOMES:
+        query['outcome'] = outcome
+
+    total = audit_log.count_documents(query)
+    entries = list(audit_log.find(query, {'_id': 0})
+                   .sort('timestamp', -1).skip(skip).limit(page_size))
+
+    for e in entries:
+        e['timestamp'] = e['timestamp'].isoformat()
+        if e.get('acked_at'):
+            e['acked_at'] = e['acked_at'].isoformat()
+
+    return jsonify({
+        'items': entries,
+        'total': total,
+        'page': page,
+        'page_size': page_size
+    })
@@ -0,0 +1,283 @@
+"""
+Authentication & User Management
+Room Safety Checker - Backend Service
+
+Users log in with username + password/PIN and receive an opaque bearer token.
+Tokens are stored hashed in MongoDB with a TTL index, so they expire on their
+own and can be revoked on logout. Role checks are enforced here with the
+require_auth decorator - the dashboard only mirrors them.
+"""
+
+import os
+import hashlib
+import secrets
+import threading
+from datetime import datetime, timedelta
+from functools import wraps
+from flask import Blueprint, jsonify, request, g
+from werkzeug.security import generate_password_hash, check_password_hash
+from utils import recent_attempts, record_attempt
+
+# ==================== CONFIGURATION ====================
+TOKEN_TTL_HOURS = int(os.getenv('TOKEN_TTL_HOURS', 12))
+ADMIN_USERNAME = os.getenv('ADMIN_USERNAME', 'admin')
+ADMIN_PASSWORD = os.getenv('ADMIN_PASSWORD', '')
+
+# Broker credentials handed to the dashboard after login, scoped by role.
+# The Mosquitto ACL only lets the admin account publish commands.
+MQTT_CREDENTIALS = {
+    'admin': {
+        'username': os.getenv('MQTT_ADMIN_USERNAME', 'dashboard_admin'),
+        'password': os.getenv('MQTT_ADMIN_PASSWORD', '')
+    },
+    'viewer': {
+        'username': os.getenv('MQTT_VIEWER_USERNAME', 'dashboard_viewer'),
+        'password': os.getenv('MQTT_VIEWER_PASSWORD', '')
+    }
+}
+
+ROLES = ('admin', 'viewer')
+
+# Shortest password / PIN accepted for new users and password changes
+MIN_PASSWORD_LENGTH = 8
+
+# Wrong passwords for one username, or from one address, before it has to wait
+LOGIN_FAILED_LIMIT = 5
+LOGIN_FAILED_ADDRESS_LIMIT = 20
+LOGIN_FAILED_WINDOW = 15 * 60   # Seconds
+
+auth_bp = Blueprint('auth', __name__)
+
+# Collections - set by init_auth()
+users = None
+sessions = None
+
+failed_logins = {}            # ('user', name) / ('address', ip) -> monotonic times of wrong passwords
+failed_lock = threading.Lock()
+
+# ==================== SETUP ====================
+def init_auth(db):
+    """Bind collections, create indexes and bootstrap the first admin"""
+    global users, sessions
+    users = db['users']
+    sessions = db['sessions']
+
+    users.create_index('username', unique=True)
+    sessions.create_index('token_hash', unique=True)
+    # Mongo removes sessions once expires_at has passed
+    sessions.create_index('expires_at', expireAfterSeconds=0)
+
+    if users.count_documents({}) == 0:
+        problem = ADMIN_PASSWORD and password_problem(ADMIN_PASSWORD)
+        if problem:
+            print(f"[Auth] Not creating the initial admin - ADMIN_PASSWORD is too weak: {problem}")
+        elif ADMIN_PASSWORD:
+            create_user(ADMIN_USERNAME, ADMIN_PASSWORD, 'admin', 'Admin')
+            print(f"[Auth] Created initial admin user '{ADMIN_USERNAME}'")
+        else:
+            print("[Auth] No users exist - set ADMIN_PASSWORD in .env to create the first admin")
+
+def create_user(username, password, role, name=None):
+    user = {
+        'username': username,
+        'name': name or username,
+        'role': role,
+        'password_hash': generate_password_hash(password),
+        'disabled': False,
+        'created_at': datetime.utcnow()
+    }
+    users.insert_one(user)
+    return user
+
+def password_problem(password):
+    """Why a new password / PIN is not acceptable, or None"""
+    if not isinstance(password, str):
+        return 'Password must be a string'
+    if len(password) < MIN_PASSWORD_LENGTH:
+        return f'Password must be at least {MIN_PASSWORD_LENGTH} characters'
+    return None
+
+def hash_token(token):
+    return hashlib.sha256(token.encode()).hexdigest()
+
+def public_user(user):
+    """Strip secrets and Mongo internals from a user document"""
+    return {
+        'username': user['username'],
+        'name': user.get('name', user['username']),
+        'role': user['role'],
+        'disabled': user.get('disabled', False)
+    }
+
+# ==================== DECORATOR ====================
+def require_auth(role=None):
+    """
+    Require a valid bearer token; optionally require a role.
+    The authenticated user is available as g.user.
+    """
+    def decorator(fn):
+        @wraps(fn)
+        def wrapper(*args, **kwargs):
+            header = request.headers.get('Authorization', '')
+            if not header.startswith('Bearer '):
+                return jsonify({'error': 'Authentication required'}), 401
+
+            session = sessions.find_one({
+                'token_hash': hash_token(header[7:]),
+                'expires_at': {'$gt': datetime.utcnow()}
+            })
+            if not session:
+                return jsonify({'error': 'Session expired'}), 401
+
+            user = users.find_one({'username': session['username']})
+            if not user or user.get('disabled'):
+                return jsonify({'error': 'Account disabled'}), 401
+
+            if role and user['role'] != role:
+                return jsonify({'error': f'{role.capitalize()} role required'}), 403
+
+            g.user = user
+            g.token_hash = session['token_hash']
+            return fn(*args, **kwargs)
+        return wrapper
+    return decorator
+
+# ==================== LOGIN LOCKOUT ====================
+def login_locked_out(keys):
+    limits = {'user': LOGIN_FAILED_LIMIT, 'address': LOGIN_FAILED_ADDRESS_LIMIT}
+    with failed_lock:
+        locked = False
+        for key in keys:
+            recent = recent_attempts(failed_logins, key, LOGIN_FAILED_WINDOW)
+            locked = locked or len(recent) >= limits[key[0]]
+        return locked
+
+def record_failed_login(keys):
+    with failed_lock:
+        for key in keys:
+            record_attempt(failed_logins, key, LOGIN_FAILED_WINDOW)
+
+# ==================== AUTH ROUTES ====================
+@auth_bp.route('/api/auth/login', methods=['POST'])
+def login():
+    """Exchange username + password for a bearer token and broker credentials"""
+    body = request.get_json(silent=True) or {}
+    username = str(body.get('username', '')).strip()
+    password = str(body.get('password', ''))
+
+    # Both the account and the address: a PIN can't be guessed from many
+    # addresses, nor many accounts tried from one
+    keys = [('user', username), ('address', request.remote_addr or '')]
+    if login_locked_out(keys):
+        return jsonify({'error': 'Too many failed logins - try again later'}), 429
+
+    user = users.find_one({'username': username})
+    if not user or user.get('disabled') or not check_password_hash(user['password_hash'], password):
+        record_failed_login(keys)
+        return jsonify({'error': 'Invalid username or password'}), 401
+
+    token = secrets.token_urlsafe(32)
+    expires_at = datetime.utcnow() + timedelta(hours=TOKEN_TTL_HOURS)
+    sessions.insert_one({
+        'token_hash': hash_token(token),
+        'username': username,
+        'created_at': datetime.utcnow(),
+        'expires_at': expires_at
+    })
+    users.update_one({'username': username}, {'$set': {'last_login': datetime.utcnow()}})
+    print(f"[Auth] {username} logged in")
+
+    return jsonify({
+        'token': token,
+        'expires_at': expires_at.isoformat(),
+        'user': public_user(user),
+        'mqtt': MQTT_CREDENTIALS[user['role']]
+    })
+
+@auth_bp.route('/api/auth/logout', methods=['POST'])
+@require_auth()
+def logout():
+    """Revoke the current token"""
+    sessions.delete_one({'token_hash': g.token_hash})
+    return jsonify({'status': 'ok'})
+
+@auth_bp.route('/api/auth/me', methods=['GET'])
+@require_auth()
+def me():
+    """Validate the current token and return the user"""
+    return jsonify(public_user(g.user))
+
+# ==================== USER MANAGEMENT ====================
+@auth_bp.route('/api/users', methods=['GET'])
+@require_auth('admin')
+def list_users():
+    return jsonify([public_user(u) for u in users.find().sort('username', 1)])
+
+@auth_bp.route('/api/users', methods=['POST'])
+@require_auth('admin')
+def add_user():
+    body = request.get_json(silent=True) or {}
+    username = str(body.get('username', '')).strip()
+    password = str(body.get('password', ''))
+    role = body.get('role', 'viewer')
+
+    if not username:
+        return jsonify({'error': 'Username is required'}), 400
+    problem = password_problem(password)
+    if problem:
+        return jsonify({'error': problem}), 400
+    if role not in ROLES:
+        return jsonify({'error': f'Role must be one of {", ".join(ROLES)}'}), 400
+    if users.find_one({'username': username}):
+        return jsonify({'error': 'Username already exists'}), 409
+
+    user = create_user(username, password, role, body.get('name'))
+    return jsonify(public_user(user)), 201
+
+@auth_bp.route('/api/users/<username>', methods=['PUT'])
+@require_auth('admin')
+def update_user(username):
+    body = request.get_json(silent=True) or {}
+    updates = {}
+
+    if 'name' in body:
+        updates['name'] = str(body['name'])
+    if 'role' in body:
+        if body['role'] not in ROLES:
+            return jsonify({'error': f'Role must be one of {", ".join(ROLES)}'}), 400
+        updates['role'] = body['role']
+    if 'disabled' in body:
+        updates['disabled'] = bool(body['disabled'])
+    if body.get('password'):
+        problem = password_problem(body['password'])
+        if problem:
+            return jsonify({'error': problem}), 400
+        updates['password_hash'] = generate_password_hash(body['password'])
+
+    if username == g.user['username'] and (updates.get('disabled') or updates.get('role', 'admin') != 'admin'):
+        return jsonify({'error': 'You cannot demote or disable yourself'}), 400
+    if not updates:
+        return jsonify({'error': 'Nothing to update'}), 400
+
+    result = users.update_one({'username': username}, {'$set': updates})
+    if result.matched_count == 0:
+        return jsonify({'error': 'Unknown user'}), 404
+
+    # Role, password or disable changes invalidate existing sessions
+    if set(updates) & {'role', 'disabled', 'password_hash'}:
+        sessions.delete_many({'username': username})
+
+    return jsonify(public_user(users.find_one({'username': username})))
+
+@auth_bp.route('/api/users/<username>', methods=['DELETE'])
+@require_auth('admin')
+def delete_user(username):
+    if username == g.user['username']:
+        return jsonify({'error': 'You cannot delete yourself'}), 400
+
+    result = users.delete_one({'username': username})
+    if result.deleted_count == 0:
+        return jsonify({'error': 'Unknown user'}), 404
+
+    sessions.delete_many({'username': username})
+    return jsonify({'status': 'deleted'})
@@ -0,0 +1,110 @@
+"""
+Command Policy
+Room Safety Checker - Backend Service
+
+Safety interlocks for device commands. schemas/command-policy.json says,
+per room mode (normal / burglar / fire), which commands are blocked and
+which need a typed confirmation (the action in capitals, e.g. RESET) or the
+user's PIN re-entered. The dashboard reads the same file to explain blocked
+buttons and ask for the confirmation up front; this module enforces it for
+every command, whoever sends it.
+
+Automations (rules, arming schedules, guest codes) can't confirm anything,
+so commands that need a confirmation are blocked for them.
+"""
+
+import os
+import json
+import threading
+from werkzeug.security import check_password_hash
+from utils import recent_attempts, record_attempt
+
+# ==================== CONFIGURATION ====================
+POLICY_FILE = os.getenv('COMMAND_POLICY_FILE', os.path.join(
+    os.path.dirname(os.path.abspath(__file__)), '..', 'schemas', 'command-policy.json'))
+
+LEVELS = ('allow', 'confirm', 'pin', 'block')
+
+# Wrong PINs per user before they have to wait
+PIN_FAILED_LIMIT = 5
+PIN_FAILED_WINDOW = 15 * 60   # Seconds
+
+# Set by init_command_policy()
+status_logs = None
+POLICY = {}
+
+failed_pins = {}              # Username -> monotonic times of wrong PINs
+failed_lock = threading.Lock()
+
+# ==================== SETUP ====================
+def init_command_policy(db):
+    global status_logs
+    status_logs = db['status_logs']
+
+    with open(POLICY_FILE, encoding='utf-8') as f:
+        POLICY.update(json.load(f)['modes'])
+    for mode, actions in POLICY.items():
+        for action, rule in actions.items():
+            if rule['level'] not in LEVELS:
+                raise ValueError(f"Command policy: unknown level {rule['level']!r} for {action} in {mode}")
+
+# ==================== POLICY ====================
+def command_policy(action, mode):
+    """{'level', 'reason'} for an action in a room mode"""
+    return POLICY.get(mode, {}).get(action, {'level': 'allow', 'reason': ''})
+
+def confirm_phrase(action):
+    """What must be typed to confirm an action"""
+    return action.upper()
+
+def current_mode(device_id):
+    """The room's mode from its latest status - 'normal' if it never sent one"""
+    status = status_logs.find_one({'device': device_id}, {'mode': 1}, sort=[('timestamp', -1)])
+    return (status or {}).get('mode') or 'normal'
+
+def pin_locked_out(username):
+    with failed_lock:
+        return len(recent_attempts(failed_pins, username, PIN_FAILED_WINDOW)) >= PIN_FAILED_LIMIT
+
+def record_wrong_pin(username):
+    with failed_lock:
+        record_attempt(failed_pins, username, PIN_FAILED_WINDOW)
+
+def check_command(device_id, action, user, confirmation=None):
+    """
+    Apply the policy to a command. Returns (refusal, level): refusal is None
+    when the command may be sent, otherwise (response body, HTTP status).
+    428 means the command needs a confirmation the request didn't carry.
+    confirmation: {'confirm': typed text} or {'pin': PIN}
+    """
+    mode = current_mode(device_id)
+    rule = command_policy(action, mode)
+    level = rule['level']
+    details = {'mode': mode, 'level': level, 'reason': rule['reason']}
+    confirmation = confirmation or {}
+
+    if level == 'allow':
+        return None, level
+    if level == 'block':
+        return ({'error': f"Blocked: {rule['reason']}", **details}, 409), level
+    if 'password_hash' not in user:
+        return ({'error': f"Blocked: {action} needs an admin's confirmation during {mode} - {rule['reason']}",
+                 **details}, 409), level
+
+    if level == 'confirm':
+        phrase = confirm_phrase(action)
+        if 'confirm' not in confirmation:
+            return ({'error': f'Type {phrase} to confirm: {rule["reason"]}', 'phrase': phrase, **details}, 428), level
+        if str(confirmation['confirm']).strip() != phrase:
+            return ({'error': f'Confirmation text does not match {phrase}', 'phrase': phrase, **details}, 403), level
+        return None, level
+
+    # level == 'pin'
+    if 'pin' not in confirmation:
+        return ({'error': f'Re-enter your PIN to confirm: {rule["reason"]}', **details}, 428), level
+    if pin_locked_out(user['username']):
+        return ({'error': 'Too many wrong PINs - try again later', **details}, 429), level
+    if not check_password_hash(user['password_hash'], str(confirmation['pin'])):
+        record_wrong_pin(user['username'])
+        return ({'error': 'Wrong PIN', **details}, 403), level
+    return None, level
@@ -0,0 +1,152 @@
+"""
+Remote Device Configuration
+Room Safety Checker - Backend Service
+
+Safety thresholds and timings live on the device but can be changed by an
+admin. The backend publishes the desired config (retained) to
+roomguard/<id>/config/set; the device applies it, stores it in flash and
+echoes what it actually applied (retained) on roomguard/<id>/config.
+Both the requests and the echoes are kept in config_history.
+"""
+
+from datetime import datetime
+from flask import Blueprint, jsonify, request, g
+from auth import require_auth
+from utils import serialize
+
+# ==================== CONFIGURATION ====================
+# field: (type, min, max, default) - defaults match the firmware
+CONFIG_FIELDS = {
+    'fire_temp_threshold': (float, 30.0, 90.0, 50.0),
+    'fire_hysteresis': (float, 1.0, 20.0, 5.0),
+    'pir_confirm_reads': (int, 1, 10, 2),
+    'sensor_interval_ms': (int, 500, 60000, 2000),
+    'mqtt_interval_ms': (int, 1000, 300000, 5000),
+    'exit_delay_s': (int, 0, 300, 30),
+    'entry_delay_s': (int, 0, 300, 20),
+}
+
+DEFAULT_CONFIG = {name: spec[3] for name, spec in CONFIG_FIELDS.items()}
+
+config_bp = Blueprint('device_config', __name__)
+
+# Set by init_device_config()
+devices = None
+config_history = None
+publish_to_device = None
+
+# ==================== SETUP ====================
+def init_device_config(db, publish):
+    """publish(device_id, kind, payload, retain) -> bool"""
+    global devices, config_history, publish_to_device
+    devices = db['devices']
+    config_history = db['config_history']
+    publish_to_device = publish
+
+    config_history.create_index([('device', 1), ('timestamp', -1)])
+
+def validate_config(body):
+    """Return (config, error) with only known fields, coerced and range-checked"""
+    config = {}
+    for name, (kind, low, high, _) in CONFIG_FIELDS.items():
+        if name not in body:
+            continue
+        try:
+            value = kind(body[name])
+        except (TypeError, ValueError):
+            return None, f'{name} must be a number'
+        if not low <= value <= high:
+            return None, f'{name} must be between {low} and {high}'
+        config[name] = value
+
+    if not config:
+        return None, 'No config fields given'
+    return config, None
+
+# ==================== MQTT HANDLER ====================
+def record_reported(device_id, payload, timestamp):
+    """Store the config a device says it applied"""
+    config = {k: payload[k] for k in CONFIG_FIELDS if k in payload}
+    version = payload.get('version')
+
+    # The retained echo is redelivered on every reconnect - only log real changes
+    device = devices.find_one({'device_id': device_id}) or {}
+    if device.get('reported_version') == version and device.get('reported_config') == config:
+        return
+
+    devices.update_one(
+        {'device_id': device_id},
+        {'$set': {
+            'reported_config': config,
+            'reported_version': version,
+            'config_reported_at': timestamp
+        }}
+    )
+    config_history.insert_one({
+        'device': device_id,
+        'type': 'reported',
+        'version': version,
+        'config': config,
+        'timestamp': timestamp
+    })
+    print(f"[Config] [{device_id}] Device applied config v{version}")
+
+# ==================== ROUTES ====================
+@config_bp.route('/api/devices/<device_id>/config', methods=['GET'])
+@require_auth()
+def get_config(device_id):
+    """Desired vs reported config plus recent history"""
+    device = devices.find_one({'device_id': device_id})
+    if not device:
+        return jsonify({'error': 'Unknown device'}), 404
+
+    history = config_history.find({'device': device_id}, {'_id': 0}).sort('timestamp', -1).limit(20)
+
+    return jsonify({
+        'defaults': DEFAULT_CONFIG,
+        'limits': {name: {'min': spec[1], 'max': spec[2]} for name, spec in CONFIG_FIELDS.items()},
+        'desired': device.get('desired_config'),
+        'desired_version': device.get('config_version'),
+        'reported': device.get('reported_config'),
+        'reported_version': device.get('reported_version'),
+        'history': [serialize(h) for h in history]
+    })
+
+@config_bp.route('/api/devices/<device_id>/config', methods=['PUT'])
+@require_auth('admin')
+def set_config(device_id):
+    """Publish a new (partial) config to the device"""
+    device = devices.find_one({'device_id': device_id})
+    if not device:
+        return jsonify({'error': 'Unknown device'}), 404
+
+    changes, error = validate_config(request.get_json(silent=True) or {})
+    if error:
+        return jsonify({'error': error}), 400
+
+    # Unchanged fields keep their current value
+    base = device.get('desired_config') or device.get('reported_config') or {}
+    config = {**DEFAULT_CONFIG, **base, **changes}
+    if config['fire_hysteresis'] >= config['fire_temp_threshold']:
+        return jsonify({'error': 'fire_hysteresis must be below fire_temp_threshold'}), 400
+
+    version = (device.get('config_version') or 0) + 1
+    if not publish_to_device(device_id, 'config/set', {**config, 'version': version}, True):
+        return jsonify({'error': 'Broker unavailable'}), 503
+
+    timestamp = datetime.utcnow()
+    devices.update_one(
+        {'device_id': device_id},
+        {'$set': {'desired_config': config, 'config_version': version}}
+    )
+    config_history.insert_one({
+        'device': device_id,
+        'type': 'requested',
+        'version': version,
+        'config': config,
+        'user': g.user['username'],
+        'timestamp': timestamp
+    })
+    print(f"[Config] [{device_id}] {g.user['username']} requested config v{version}")
+
+    return jsonify({'desired': config, 'desired_version': version}), 202
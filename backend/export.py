@@ -0,0 +1,161 @@
+"""
+Data Export & Incident Reports
+Room Safety Checker - Backend Service
+
+Streams sensor_readings, alerts and status_logs as CSV, JSON or NDJSON over
+any date range straight from the Mongo cursor, so large ranges never sit in
+memory. Also assembles everything known about one alert into an incident
+report for the dashboard's printable view.
+"""
+
+import io
+import csv
+import json
+from datetime import datetime, timedelta
+from bson import ObjectId
+from bson.errors import InvalidId
+from flask import Blueprint, Response, jsonify, request, stream_with_context
+from auth import require_auth
+from utils import parse_range, serialize
+
+# ==================== CONFIGURATION ====================
+# collection: CSV columns (JSON/NDJSON export every field)
+EXPORTS = {
+    'sensor_readings': ['timestamp', 'device', 'temp', 'humidity', 'ir', 'pir', 'occupant_count', 'faults'],
+    'alerts': ['timestamp', 'device', 'type', 'message', 'state', 'acknowledged_by', 'acknowledged_at',
+               'resolved_by', 'resolved_at', 'notes'],
+    'status_logs': ['timestamp', 'device', 'door', 'led', 'mode', 'occupant_count', 'arm_mode', 'arm_state'],
+}
+
+FORMATS = {
+    'csv': 'text/csv',
+    'json': 'application/json',
+    'ndjson': 'application/x-ndjson',
+}
+
+# Context around an alert included in its incident report
+REPORT_BEFORE = timedelta(minutes=15)
+REPORT_AFTER = timedelta(minutes=15)
+REPORT_MAX_WINDOW = timedelta(hours=24)
+
+export_bp = Blueprint('export', __name__)
+
+# Set by init_export()
+db = None
+
+# ==================== SETUP ====================
+def init_export(database):
+    global db
+    db = database
+
+def export_row(doc):
+    """Mongo document -> JSON-safe dict (notes flattened to plain dicts)"""
+    row = serialize(doc)
+    if 'notes' in row:
+        row['notes'] = [serialize(n) for n in row['notes']]
+    return row
+
+def csv_value(value):
+    if isinstance(value, list):
+        # Alert notes: "user: text" per note
+        return ' | '.join(f"{n.get('user')}: {n.get('text')}" if isinstance(n, dict) else str(n) for n in value)
+    return '' if value is None else value
+
+def csv_line(values):
+    buffer = io.StringIO()
+    csv.writer(buffer).writerow(values)
+    return buffer.getvalue()
+
+def generate(cursor, columns, fmt):
+    """Yield the export chunk by chunk"""
+    if fmt == 'csv':
+        yield csv_line(columns)
+        for doc in cursor:
+            row = export_row(doc)
+            yield csv_line([csv_value(row.get(c)) for c in columns])
+
+    elif fmt == 'ndjson':
+        for doc in cursor:
+            yield json.dumps(export_row(doc)) + '\n'
+
+    else:
+        yield '['
+        for i, doc in enumerate(cursor):
+            yield (',\n' if i else '\n') + json.dumps(export_row(doc))
+        yield '\n]\n'
+
+# ==================== ROUTES ====================
+@export_bp.route('/api/export/<collection>', methods=['GET'])
+@require_auth()
+def export_collection(collection):
+    """
+    Stream a collection oldest first.
+    ?format=csv|json|ndjson ?device= ?start=&end= or ?hours=
+    """
+    if collection not in EXPORTS:
+        return jsonify({'error': f'Collection must be one of {", ".join(EXPORTS)}'}), 404
+
+    fmt = request.args.get('format', 'csv')
+    if fmt not in FORMATS:
+        return jsonify({'error': f'Format must be one of {", ".join(FORMATS)}'}), 400
+
+    try:
+        since, until = parse_range()
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+
+    query = {'timestamp': {'$gte': since, '$lte': until}}
+    device = request.args.get('device')
+    if device:
+        query['device'] = device
+
+    cursor = db[collection].find(query, {'_id': 0}).sort('timestamp', 1)
+    filename = f"roomguard-{collection}-{device or 'all'}-{since:%Y%m%d%H%M}-{until:%Y%m%d%H%M}.{fmt}"
+
+    return Response(
+        stream_with_context(generate(cursor, EXPORTS[collection], fmt)),
+        mimetype=FORMATS[fmt],
+        headers={'Content-Disposition': f'attachment; filename="{filename}"'}
+    )
+
+@export_bp.route('/api/alerts/<alert_id>/report', methods=['GET'])
+@require_auth('admin')
+def incident_report(alert_id):
+    """Everything recorded around one alert, for a printable incident report"""
+    try:
+        alert = db['alerts'].find_one({'_id': ObjectId(alert_id)})
+    except InvalidId:
+        alert = None
+    if not alert:
+        return jsonify({'error': 'Unknown alert'}), 404
+
+    device_id = alert['device']
+    start = alert['timestamp'] - REPORT_BEFORE
+    # Cover the response up to resolution, within reason
+    end = (alert.get('resolved_at') or alert['timestamp']) + REPORT_AFTER
+    end = min(end, alert['timestamp'] + REPORT_MAX_WINDOW)
+    window = {'$gte': start, '$lte': end}
+
+    def around(collection, limit=2000):
+        docs = db[collection].find(
+            {'device': device_id, 'timestamp': window},
+            {'_id': 0}
+        ).sort('timestamp', 1).limit(limit)
+        return [export_row(d) for d in docs]
+
+    device = db['devices'].find_one({'device_id': device_id}, {'_id': 0}) or {}
+    deliveries = db['notification_log'].find({'alert_id': alert_id}, {'_id': 0}).sort('created_at', 1)
+
+    return jsonify({
+        'alert': {**export_row({k: v for k, v in alert.items() if k != '_id'}), 'id': alert_id},
+        'room': {'device_id': device_id, 'name': device.get('name') or device_id, 'location': device.get('location', '')},
+        'window': {'start': start.isoformat(), 'end': end.isoformat()},
+        'readings': around('sensor_readings'),
+        'status': around('status_logs'),
+        'other_alerts': [a for a in around('alerts') if a['timestamp'] != alert['timestamp'].isoformat()],
+        'commands': around('audit_log'),
+        'arm_events': around('arm_events'),
+        'presence': around('device_events'),
+        'notifications': [serialize(d) for d in deliveries],
+        'generated_at': datetime.utcnow().isoformat()
+    })
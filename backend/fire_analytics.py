@@ -0,0 +1,405 @@
+"""
+Fire Early Warning
+Room Safety Checker - Backend Service
+
+The device only raises a fire alert once the temperature crosses its
+absolute threshold. This layer watches the stored readings for the signs
+that come first:
+- rate of rise: least-squares slope of the last 2 minutes, in °C/min
+- rise over the room's rolling 30-minute baseline
+- humidity falling while the temperature climbs (hot, dry air)
+
+Readings are graded normal / watch / warning. Entering watch or warning
+opens a 'fire_warning' pre-alert (severity info / warning) that goes
+through the normal alert lifecycle and notification channels but never
+changes the device's mode or sounds the siren. Each room's current trend
+is pushed as a `trend` event on the live stream.
+
+FireAnalyzer does no I/O, so stored or exported readings can be replayed
+through it to check or tune the thresholds:
+
+    python fire_analytics.py --device room-1 --hours 24
+    python fire_analytics.py --file sensor_readings.ndjson
+"""
+
+import os
+import json
+from collections import deque
+from datetime import datetime, timedelta
+from flask import Blueprint, jsonify, request
+from alert_lifecycle import open_alert, broadcast
+from auth import require_auth
+from live import publish_event, push_alert_count
+from notifications import notify_alert
+from utils import parse_iso, parse_range, serialize
+
+# ==================== CONFIGURATION ====================
+RATE_WINDOW = timedelta(minutes=2)        # Readings the slope is fitted to
+BASELINE_WINDOW = timedelta(minutes=30)   # Readings before that form the baseline
+MIN_RATE_POINTS = 4
+MIN_RATE_SPAN = timedelta(seconds=45)
+CLEAR_AFTER = timedelta(minutes=5)        # Normal this long ends a pre-alert episode
+
+RATE_WATCH = float(os.getenv('FIRE_ROR_WATCH', 1.0))       # °C/min
+RATE_WARNING = float(os.getenv('FIRE_ROR_WARNING', 2.5))   # °C/min
+RISE_WATCH = 5.0          # °C over baseline
+RISE_WARNING = 10.0       # °C over baseline, while rising
+HUMIDITY_DROP = 10.0      # % points under baseline, while rising
+NEAR_THRESHOLD = 5.0      # °C under the device's fire threshold, while rising
+STEADY_RATE = 0.3         # °C/min either way still counts as steady
+
+DEFAULT_FIRE_THRESHOLD = 50.0
+MAX_REPLAY = timedelta(days=7)
+
+LEVELS = ('normal', 'watch', 'warning')
+LEVEL_SEVERITY = {'watch': 'info', 'warning': 'warning'}
+PRE_ALERT_TYPE = 'fire_warning'
+
+fire_bp = Blueprint('fire_analytics', __name__)
+
+# Set by init_fire_analytics()
+alerts = None
+devices = None
+sensor_readings = None
+
+analyzers = {}   # device -> FireAnalyzer
+trends = {}      # device -> latest trend
+
+# ==================== ANALYSIS ====================
+def slope_per_minute(points):
+    """Least-squares slope of [(timestamp, value)] in units per minute"""
+    t0 = points[0][0]
+    xs = [(t - t0).total_seconds() / 60 for t, _ in points]
+    ys = [v for _, v in points]
+    x_mean = sum(xs) / len(xs)
+    y_mean = sum(ys) / len(ys)
+    spread = sum((x - x_mean) ** 2 for x in xs)
+    if not spread:
+        return None
+    return sum((x - x_mean) * (y - y_mean) for x, y in zip(xs, ys)) / spread
+
+def usable(reading):
+    """
+    Readings flagged faulty by sensor_health.py, and failed DHT11 reads (null,
+    or 0/0 from older firmware), are not a temperature drop
+    """
+    if reading.get('faulty'):
+        return False
+    temp = reading.get('temp')
+    humidity = reading.get('humidity')
+    if not isinstance(temp, (int, float)) or not isinstance(humidity, (int, float)):
+        return False
+    return not (temp == 0 and humidity == 0)
+
+class FireAnalyzer:
+    """
+    Rolling rate-of-rise analysis of one room's readings, fed oldest first.
+    update() returns the trend for the reading and what to do about the
+    pre-alert: None, 'open', 'escalate' or 'clear'.
+    """
+
+    def __init__(self):
+        self.recent = deque()   # (timestamp, temp, humidity) within RATE_WINDOW
+        self.older = deque()    # older than that, within BASELINE_WINDOW
+        self.temp_sum = 0.0
+        self.humidity_sum = 0.0
+        self.level = 'normal'   # Highest level of the current episode
+        self.clear_since = None
+        self.alert_id = None    # Pre-alert of the current episode, set by the caller
+
+    def add(self, timestamp, temp, humidity):
+        self.recent.append((timestamp, temp, humidity))
+        while self.recent and timestamp - self.recent[0][0] > RATE_WINDOW:
+            moved = self.recent.popleft()
+            self.older.append(moved)
+            self.temp_sum += moved[1]
+            self.humidity_sum += moved[2]
+        while self.older and timestamp - self.older[0][0] > BASELINE_WINDOW:
+            _, old_temp, old_humidity = self.older.popleft()
+            self.temp_sum -= old_temp
+            self.humidity_sum -= old_humidity
+
+    def evaluate(self, timestamp, temp, humidity, fire_threshold):
+        rate = None
+        if len(self.recent) >= MIN_RATE_POINTS and timestamp - self.recent[0][0] >= MIN_RATE_SPAN:
+            rate = slope_per_minute([(t, v) for t, v, _ in self.recent])
+
+        baseline_temp = baseline_humidity = rise = humidity_drop = None
+        if self.older:
+            baseline_temp = self.temp_sum / len(self.older)
+            baseline_humidity = self.humidity_sum / len(self.older)
+            rise = temp - baseline_temp
+            humidity_drop = baseline_humidity - humidity
+
+        rising = rate is not None and rate >= RATE_WATCH
+        reasons = []
+        level = 'normal'
+
+        if rate is not None and rate >= RATE_WARNING:
+            level = 'warning'
+            reasons.append(f'rising {rate:.1f} °C/min')
+        elif rising:
+            level = 'watch'
+            reasons.append(f'rising {rate:.1f} °C/min')
+            if humidity_drop is not None and humidity_drop >= HUMIDITY_DROP:
+                level = 'warning'
+                reasons.append(f'humidity down {humidity_drop:.0f} points')
+            if rise is not None and rise >= RISE_WARNING:
+                level = 'warning'
+                reasons.append(f'{rise:.1f} °C over baseline')
+            if temp >= fire_threshold - NEAR_THRESHOLD:
+                level = 'warning'
+                reasons.append(f'{max(fire_threshold - temp, 0):.1f} °C under the fire threshold')
+
+        if rise is not None and rise >= RISE_WATCH and level == 'normal':
+            level = 'watch'
+            reasons.append(f'{rise:.1f} °C over the 30-minute baseline')
+
+        if rate is None or abs(rate) < STEADY_RATE:
+            direction = 'steady'
+        else:
+            direction = 'rising' if rate > 0 else 'falling'
+
+        def rounded(value, digits=1):
+            return round(value, digits) if value is not None else None
+
+        return {
+            'timestamp': timestamp,
+            'temp': temp,
+            'humidity': humidity,
+            'rate': rounded(rate, 2),
+            'direction': direction,
+            'baseline_temp': rounded(baseline_temp),
+            'rise': rounded(rise),
+            'humidity_drop': rounded(humidity_drop),
+            'level': level,
+            'reasons': reasons,
+        }
+
+    def update(self, timestamp, temp, humidity, fire_threshold=DEFAULT_FIRE_THRESHOLD):
+        self.add(timestamp, temp, humidity)
+        trend = self.evaluate(timestamp, temp, humidity, fire_threshold)
+        level = trend['level']
+
+        if level == 'normal':
+            if self.level == 'normal':
+                return trend, None
+            self.clear_since = self.clear_since or timestamp
+            if timestamp - self.clear_since < CLEAR_AFTER:
+                return trend, None
+            self.level, self.clear_since, self.alert_id = 'normal', None, None
+            return trend, 'clear'
+
+        self.clear_since = None
+        if LEVELS.index(level) <= LEVELS.index(self.level):
+            return trend, None
+        action = 'open' if self.level == 'normal' else 'escalate'
+        self.level = level
+        return trend, action
+
+def replay(readings, fire_threshold=DEFAULT_FIRE_THRESHOLD, report_from=None):
+    """
+    Run readings (oldest first, any devices) through fresh analyzers.
+    Returns (summary, events); readings before report_from only warm up
+    the baselines.
+    """
+    replay_analyzers = {}
+    events = []
+    summary = {'readings': 0, 'skipped': 0, 'max_rate': None, 'pre_alerts': 0,
+               'seconds': {level: 0 for level in LEVELS}}
+    previous = {}
+
+    for reading in readings:
+        device = reading.get('device')
+        timestamp = reading.get('timestamp')
+        if isinstance(timestamp, str):
+            timestamp = parse_iso(timestamp)
+        if not usable(reading) or not timestamp:
+            summary['skipped'] += 1
+            continue
+
+        analyzer = replay_analyzers.setdefault(device, FireAnalyzer())
+        trend, action = analyzer.update(timestamp, reading['temp'], reading['humidity'], fire_threshold)
+        if report_from and timestamp < report_from:
+            continue
+
+        summary['readings'] += 1
+        if trend['rate'] is not None:
+            summary['max_rate'] = trend['rate'] if summary['max_rate'] is None else max(summary['max_rate'], trend['rate'])
+        if device in previous:
+            last_time, last_level = previous[device]
+            summary['seconds'][last_level] += (timestamp - last_time).total_seconds()
+        previous[device] = (timestamp, trend['level'])
+
+        if action:
+            if action == 'open':
+                summary['pre_alerts'] += 1
+            events.append({'device': device, 'action': action, 'level': analyzer.level, **trend})
+
+    return summary, events
+
+# ==================== SETUP ====================
+def init_fire_analytics(db):
+    """Warm the baselines from the last readings and pick up open pre-alerts"""
+    global alerts, devices, sensor_readings
+    alerts = db['alerts']
+    devices = db['devices']
+    sensor_readings = db['sensor_readings']
+
+    since = datetime.utcnow() - BASELINE_WINDOW
+    fields = {'_id': 0, 'device': 1, 'timestamp': 1, 'temp': 1, 'humidity': 1, 'faulty': 1}
+    for reading in sensor_readings.find({'timestamp': {'$gte': since}}, fields).sort('timestamp', 1):
+        if usable(reading):
+            analyzer = analyzers.setdefault(reading['device'], FireAnalyzer())
+            analyzer.add(reading['timestamp'], reading['temp'], reading['humidity'])
+
+    # A still-open pre-alert is escalated instead of duplicated after a restart
+    for alert in alerts.find({
+        'type': PRE_ALERT_TYPE,
+        'state': {'$in': ['open', 'acknowledged']},
+        'timestamp': {'$gte': since}
+    }).sort('timestamp', 1):
+        analyzer = analyzers.setdefault(alert['device'], FireAnalyzer())
+        analyzer.level = alert.get('level', 'watch')
+        analyzer.alert_id = alert['_id']
+
+    print(f"[Fire] Rate-of-rise baselines warmed for {len(analyzers)} device(s)")
+
+def fire_threshold_for(device_id):
+    device = devices.find_one({'device_id': device_id}, {'reported_config': 1}) or {}
+    return (device.get('reported_config') or {}).get('fire_temp_threshold', DEFAULT_FIRE_THRESHOLD)
+
+def pre_alert_message(trend):
+    return f"Possible fire developing at {trend['temp']:.1f} °C: {', '.join(trend['reasons'])}"
+
+# ==================== MQTT HANDLER ====================
+def analyze_reading(reading):
+    """A stored sensor reading: update the room's trend and its pre-alert"""
+    if not usable(reading):
+        return
+    device_id = reading['device']
+    analyzer = analyzers.setdefault(device_id, FireAnalyzer())
+    trend, action = analyzer.update(
+        reading['timestamp'], reading['temp'], reading['humidity'], fire_threshold_for(device_id)
+    )
+
+    trends[device_id] = serialize({'device': device_id, **trend})
+    publish_event('trend', trends[device_id])
+
+    if action == 'escalate':
+        alert = alerts.find_one({'_id': analyzer.alert_id})
+        if alert and alert.get('state') != 'resolved':
+            alerts.update_one({'_id': alert['_id']}, {'$set': {
+                'level': trend['level'],
+                'severity': LEVEL_SEVERITY[trend['level']],
+                'message': pre_alert_message(trend),
+                'rate': trend['rate'],
+                'escalated_at': reading['timestamp']
+            }})
+            alert = alerts.find_one({'_id': alert['_id']})
+            broadcast(alert)
+            notify_alert(alert)
+            return
+        action = 'open'
+
+    if action == 'open':
+        alert = {
+            'device': device_id,
+            'type': PRE_ALERT_TYPE,
+            'level': trend['level'],
+            'severity': LEVEL_SEVERITY[trend['level']],
+            'message': pre_alert_message(trend),
+            'source': 'analytics',
+            'temp': trend['temp'],
+            'rate': trend['rate'],
+            'baseline_temp': trend['baseline_temp'],
+            'timestamp': reading['timestamp']
+        }
+        open_alert(alert)
+        push_alert_count(alert)
+        notify_alert(alert)
+        analyzer.alert_id = alert['_id']
+        print(f"[Fire] [{device_id}] Pre-alert ({trend['level']}): {alert['message']}")
+
+# ==================== ROUTES ====================
+@fire_bp.route('/api/analytics/fire', methods=['GET'])
+@require_auth()
+def get_trends():
+    """Latest trend for every room, or one ?device= (null until it reports)"""
+    device = request.args.get('device')
+    if device:
+        return jsonify(trends.get(device))
+    return jsonify(list(trends.values()))
+
+@fire_bp.route('/api/analytics/fire/replay', methods=['GET'])
+@require_auth()
+def replay_readings():
+    """
+    Replay stored readings through a fresh analyzer: which pre-alerts the
+    current thresholds would have raised. ?device= plus ?hours= or ?start=&end=
+    """
+    device = request.args.get('device')
+    if not device:
+        return jsonify({'error': 'device is required'}), 400
+    try:
+        since, until = parse_range()
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+    if until - since > MAX_REPLAY:
+        return jsonify({'error': f'Replay at most {MAX_REPLAY.days} days at a time'}), 400
+
+    threshold = request.args.get('fire_threshold', type=float) or fire_threshold_for(device)
+    cursor = sensor_readings.find(
+        {'device': device, 'timestamp': {'$gte': since - BASELINE_WINDOW, '$lte': until}},
+        {'_id': 0, 'device': 1, 'timestamp': 1, 'temp': 1, 'humidity': 1, 'faulty': 1}
+    ).sort('timestamp', 1)
+
+    summary, events = replay(cursor, threshold, report_from=since)
+    return jsonify({
+        'device': device,
+        'fire_threshold': threshold,
+        'summary': summary,
+        'events': [serialize(e) for e in events]
+    })
+
+# ==================== REPLAY CLI ====================
+def read_file(path):
+    """Readings from a /api/export/sensor_readings JSON or NDJSON download"""
+    with open(path) as f:
+        text = f.read().strip()
+    if text.startswith('['):
+        readings = json.loads(text)
+    else:
+        readings = [json.loads(line) for line in text.splitlines() if line.strip()]
+    return sorted(readings, key=lambda r: r.get('timestamp', ''))
+
+if __name__ == '__main__':
+    import argparse
+    from dotenv import load_dotenv
+    from pymongo import MongoClient
+
+    parser = argparse.ArgumentParser(description='Replay sensor readings through the fire early-warning analysis')
+    parser.add_argument('--file', help='JSON/NDJSON export of sensor_readings (instead of MongoDB)')
+    parser.add_argument('--device', help='Device id to replay from MongoDB')
+    parser.add_argument('--hours', type=int, default=24, help='Hours back from now (default 24)')
+    parser.add_argument('--fire-threshold', type=float, default=DEFAULT_FIRE_THRESHOLD)
+    args = parser.parse_args()
+
+    if args.file:
+        readings = read_file(args.file)
+        report_from = None
+    elif args.device:
+        load_dotenv()
+        db = MongoClient(os.getenv('MONGO_URI', 'mongodb://localhost:27017'))[os.getenv('MONGO_DB', 'roomguard')]
+        report_from = datetime.utcnow() - timedelta(hours=args.hours)
+        readings = db['sensor_readings'].find(
+            {'device': args.device, 'timestamp': {'$gte': report_from - BASELINE_WINDOW}}
+        ).sort('timestamp', 1)
+    else:
+        parser.error('give --file or --device')
+
+    summary, events = replay(readings, args.fire_threshold, report_from)
+    for event in events:
+        print(f"{event['timestamp']}  {event['device']}  {event['action']:<8} {event['level']:<7} "
+              f"{event['temp']:.1f} °C  {', '.join(event['reasons']) or '-'}")
+    print(json.dumps(summary, indent=2))
@@ -0,0 +1,315 @@
+"""
+Guest Access Codes
+Room Safety Checker - Backend Service
+
+Admins issue codes that let a guest or contractor unlock one room's door
+without an account: valid between two times, for a number of uses, and for
+nothing but unlock. Guests redeem them on the dashboard's guest page
+(#/guest), which needs no login.
+
+Only a hash of each code is stored - the code itself is shown once, when it
+is created. Every redemption attempt on a known code is kept in
+guest_code_uses, and the unlock itself goes through the audited command path
+as the user 'guest:<code id>'. Wrong codes are counted per client address
+and locked out after too many.
+"""
+
+import secrets
+import threading
+from datetime import datetime, timedelta
+from bson import ObjectId
+from bson.errors import InvalidId
+from flask import Blueprint, jsonify, request, g
+from auth import require_auth, hash_token
+from audit import find_command
+from utils import parse_iso, parse_paging, serialize, recent_attempts, record_attempt
+
+# ==================== CONFIGURATION ====================
+CODE_LENGTH = 8
+CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'   # No 0/O or 1/I
+MAX_VALIDITY = timedelta(days=30)
+MAX_USES = 100
+MAX_LABEL = 80
+
+# Wrong codes from one address before it has to wait
+FAILED_LIMIT = 10
+FAILED_WINDOW = 15 * 60      # Seconds
+
+# What a guest is told when a known code can't be used now
+REFUSALS = {
+    'revoked': 'This code has been revoked',
+    'scheduled': 'This code is not valid yet',
+    'expired': 'This code has expired',
+    'used_up': 'This code has no uses left',
+}
+
+guest_access_bp = Blueprint('guest_access', __name__)
+
+# Set by init_guest_access()
+guest_codes = None
+guest_code_uses = None
+devices = None
+dispatch_command = None
+
+failed_attempts = {}          # Client address -> monotonic times of wrong codes
+failed_lock = threading.Lock()
+
+# ==================== SETUP ====================
+def init_guest_access(db, dispatch):
+    global guest_codes, guest_code_uses, devices, dispatch_command
+    guest_codes = db['guest_codes']
+    guest_code_uses = db['guest_code_uses']
+    devices = db['devices']
+    dispatch_command = dispatch
+
+    guest_codes.create_index('code_hash', unique=True)
+    guest_codes.create_index([('created_at', -1)])
+    guest_code_uses.create_index([('code_id', 1), ('timestamp', -1)])
+    guest_code_uses.create_index([('timestamp', -1)])
+
+# ==================== CODES ====================
+def generate_code():
+    return ''.join(secrets.choice(CODE_ALPHABET) for _ in range(CODE_LENGTH))
+
+def normalize_code(value):
+    """What a guest typed, without spaces/dashes and in upper case"""
+    return ''.join(c for c in str(value).upper() if c.isalnum())
+
+def format_code(code):
+    return f'{code[:4]}-{code[4:]}'
+
+def code_status(code, now=None):
+    """'revoked', 'scheduled', 'expired', 'used_up' or 'active'"""
+    now = now or datetime.utcnow()
+    if code.get('revoked_at'):
+        return 'revoked'
+    if now < code['valid_from']:
+        return 'scheduled'
+    if now > code['valid_until']:
+        return 'expired'
+    if code['uses'] >= code['max_uses']:
+        return 'used_up'
+    return 'active'
+
+def serialize_code(code):
+    return {
+        **serialize({k: v for k, v in code.items() if k not in ('_id', 'code_hash')}),
+        'id': str(code['_id']),
+        'status': code_status(code)
+    }
+
+def guest_user(code):
+    """Who the audit log shows as having sent a guest unlock"""
+    return {'username': f"guest:{code['_id']}", 'name': f"Guest: {code['label']}", 'role': 'guest'}
+
+def validate_code(body):
+    """Validated fields of a new code, or (None, error)"""
+    label = str(body.get('label', '')).strip()
+    if not label or len(label) > MAX_LABEL:
+        return None, f'label is required (at most {MAX_LABEL} characters)'
+    device = body.get('device')
+    if not isinstance(device, str) or not devices.find_one({'device_id': device}):
+        return None, 'Unknown device'
+
+    try:
+        valid_from = parse_iso(str(body['valid_from'])) if body.get('valid_from') else datetime.utcnow()
+        valid_until = parse_iso(str(body.get('valid_until', '')))
+    except (ValueError, TypeError):
+        return None, 'valid_from and valid_until must be ISO-8601 times'
+    if valid_until <= valid_from:
+        return None, 'valid_until must be after valid_from'
+    if valid_until - valid_from > MAX_VALIDITY:
+        return None, f'A code can be valid for at most {MAX_VALIDITY.days} days'
+    if valid_until <= datetime.utcnow():
+        return None, 'valid_until is in the past'
+
+    max_uses = body.get('max_uses', 1)
+    if not isinstance(max_uses, int) or isinstance(max_uses, bool) or not 1 <= max_uses <= MAX_USES:
+        return None, f'max_uses must be 1 - {MAX_USES}'
+
+    return {
+        'label': label,
+        'device': device,
+        'valid_from': valid_from,
+        'valid_until': valid_until,
+        'max_uses': max_uses
+    }, None
+
+# ==================== REDEMPTION ====================
+def client_address():
+    return request.remote_addr or ''
+
+def locked_out(address):
+    with failed_lock:
+        return len(recent_attempts(failed_attempts, address, FAILED_WINDOW)) >= FAILED_LIMIT
+
+def record_failure(address):
+    with failed_lock:
+        record_attempt(failed_attempts, address, FAILED_WINDOW)
+
+def record_use(code, outcome, command_id=None, error=None):
+    use = {
+        'code_id': str(code['_id']),
+        'label': code['label'],
+        'device': code['device'],
+        'outcome': outcome,
+        'address': client_address(),
+        'timestamp': datetime.utcnow()
+    }
+    if command_id:
+        use['command_id'] = command_id
+    if error:
+        use['error'] = error
+    guest_code_uses.insert_one(use)
+    print(f"[Guest] [{code['device']}] {code['label']}: {outcome}{' - ' + error if error else ''}")
+
+def find_by_code(body):
+    """The code document for a guest's request, or (None, error response)"""
+    address = client_address()
+    if locked_out(address):
+        return None, (jsonify({'error': 'Too many wrong codes - try again later'}), 429)
+
+    value = normalize_code(body.get('code', ''))
+    code = guest_codes.find_one({'code_hash': hash_token(value)}) if len(value) == CODE_LENGTH else None
+    if not code:
+        record_failure(address)
+        return None, (jsonify({'error': 'Unknown code'}), 403)
+    return code, None
+
+def room_info(code):
+    device = devices.find_one({'device_id': code['device']}) or {}
+    return {
+        'room': device.get('name') or code['device'],
+        'label': code['label'],
+        'valid_from': code['valid_from'].isoformat(),
+        'valid_until': code['valid_until'].isoformat(),
+        'uses_left': max(code['max_uses'] - code['uses'], 0)
+    }
+
+# ==================== GUEST ROUTES ====================
+@guest_access_bp.route('/api/guest/check', methods=['POST'])
+def check_code():
+    """Which room a code opens and whether it can be used now (no login)"""
+    code, error = find_by_code(request.get_json(silent=True) or {})
+    if error:
+        return error
+    return jsonify({**room_info(code), 'status': code_status(code)})
+
+@guest_access_bp.route('/api/guest/unlock', methods=['POST'])
+def guest_unlock():
+    """Unlock a code's room, using up one of its uses (no login)"""
+    code, error = find_by_code(request.get_json(silent=True) or {})
+    if error:
+        return error
+
+    # Take a use atomically so two guests can't share the last one
+    now = datetime.utcnow()
+    taken = guest_codes.find_one_and_update(
+        {
+            '_id': code['_id'],
+            'revoked_at': None,
+            'valid_from': {'$lte': now},
+            'valid_until': {'$gte': now},
+            '$expr': {'$lt': ['$uses', '$max_uses']}
+        },
+        {'$inc': {'uses': 1}, '$set': {'last_used_at': now}}
+    )
+    if not taken:
+        status = code_status(guest_codes.find_one({'_id': code['_id']}) or code, now)
+        record_use(code, status)
+        return jsonify({'error': REFUSALS.get(status, 'This code cannot be used'), 'status': status}), 403
+
+    result, http_status = dispatch_command(code['device'], 'unlock', guest_user(code))
+    if http_status != 202:
+        # The door never got the command, so the use isn't spent
+        guest_codes.update_one({'_id': code['_id']}, {'$inc': {'uses': -1}})
+        record_use(code, 'failed', result.get('id'), result.get('error'))
+        return jsonify(result), http_status
+
+    record_use(code, 'sent', result['id'])
+    return jsonify({**result, **room_info({**code, 'uses': taken['uses'] + 1})}), 202
+
+@guest_access_bp.route('/api/guest/unlock/<command_id>', methods=['POST'])
+def guest_unlock_result(command_id):
+    """Whether the door confirmed a guest's unlock: pending, confirmed, rejected, timeout or failed"""
+    code, error = find_by_code(request.get_json(silent=True) or {})
+    if error:
+        return error
+
+    command = find_command(command_id)
+    if not command or command['user'] != guest_user(code)['username']:
+        return jsonify({'error': 'Unknown command'}), 404
+    return jsonify({'id': command_id, 'outcome': command['outcome'], 'reason': command.get('reason')})
+
+# ==================== ADMIN ROUTES ====================
+@guest_access_bp.route('/api/guest-codes', methods=['GET'])
+@require_auth('admin')
+def list_codes():
+    """Guest codes, newest first. ?device= for one room"""
+    query = {'device': request.args['device']} if request.args.get('device') else {}
+    return jsonify([serialize_code(c) for c in guest_codes.find(query).sort('created_at', -1).limit(200)])
+
+@guest_access_bp.route('/api/guest-codes', methods=['POST'])
+@require_auth('admin')
+def create_code():
+    """Issue a code. The response is the only time the code itself is shown."""
+    fields, error = validate_code(request.get_json(silent=True) or {})
+    if error:
+        return jsonify({'error': error}), 400
+
+    value = generate_code()
+    code = {
+        **fields,
+        'code_hash': hash_token(value),
+        'uses': 0,
+        'created_by': g.user['username'],
+        'created_at': datetime.utcnow(),
+        'revoked_at': None
+    }
+    guest_codes.insert_one(code)
+    print(f"[Guest] {g.user['username']} issued a code for {fields['device']}: {fields['label']}")
+    return jsonify({**serialize_code(code), 'code': format_code(value)}), 201
+
+def find_code(code_id):
+    try:
+        return guest_codes.find_one({'_id': ObjectId(code_id)})
+    except InvalidId:
+        return None
+
+@guest_access_bp.route('/api/guest-codes/<code_id>/revoke', methods=['POST'])
+@require_auth('admin')
+def revoke_code(code_id):
+    """Stop a code from working; its history is kept"""
+    code = find_code(code_id)
+    if not code:
+        return jsonify({'error': 'Unknown code'}), 404
+    if code.get('revoked_at'):
+        return jsonify({'error': 'Code already revoked'}), 409
+
+    changes = {'revoked_at': datetime.utcnow(), 'revoked_by': g.user['username']}
+    guest_codes.update_one({'_id': code['_id']}, {'$set': changes})
+    print(f"[Guest] {g.user['username']} revoked the code {code['label']}")
+    return jsonify(serialize_code({**code, **changes}))
+
+@guest_access_bp.route('/api/guest-codes/uses', methods=['GET'])
+@require_auth('admin')
+def list_uses():
+    """
+    Redemption attempts, newest first, with the door's answer for sent unlocks.
+    Filters: ?code=<id> ?device=   Paging: ?page= ?page_size=
+    """
+    page, page_size, skip = parse_paging()
+    query = {}
+    if request.args.get('code'):
+        query['code_id'] = request.args['code']
+    if request.args.get('device'):
+        query['device'] = request.args['device']
+
+    total = guest_code_uses.count_documents(query)
+    items = []
+    for use in guest_code_uses.find(query, {'_id': 0}).sort('timestamp', -1).skip(skip).limit(page_size):
+        if use.get('command_id') and use['outcome'] == 'sent':
+            command = find_command(use['command_id'])
+            use['door'] = command['outcome'] if command else None
+        items.append(serialize(use))
+    return jsonify({'items': items, 'total': total, 'page': page, 'page_size': page_size})
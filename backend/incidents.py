@@ -0,0 +1,149 @@
+"""
+Incident Timeline
+Room Safety Checker - Backend Service
+
+What happened around one alert as a single timeline: sensor readings,
+status changes, commands, arming, presence, sensor faults and other alerts,
+merged by time. Together with the room's state when the window opens this
+is enough to replay the room moment by moment.
+
+Status logs repeat every few seconds, so only changes are kept. Commands
+come from the audit log and are only included for admins.
+"""
+
+from datetime import timedelta
+from bson import ObjectId
+from bson.errors import InvalidId
+from flask import Blueprint, g, jsonify, request
+from auth import require_auth
+from utils import serialize
+
+# ==================== CONFIGURATION ====================
+DEFAULT_BEFORE = 15          # Minutes before the alert
+DEFAULT_AFTER = 15           # Minutes after resolution (or the alert, while unresolved)
+MAX_SIDE = 120               # Most minutes either side
+MAX_WINDOW = timedelta(hours=24)
+MAX_EVENTS = 5000            # Per collection
+
+STATE_FIELDS = ('door', 'led', 'mode', 'occupant_count', 'arm_mode', 'arm_state')
+READING_FIELDS = ('temp', 'humidity', 'ir', 'pir', 'occupant_count', 'faulty')
+
+incidents_bp = Blueprint('incidents', __name__)
+
+# Set by init_incidents()
+db = None
+
+# ==================== SETUP ====================
+def init_incidents(database):
+    global db
+    db = database
+
+# ==================== TIMELINE ====================
+def incident_window(alert, before, after):
+    """(start, end) around an alert: from `before` minutes ahead of it to `after` minutes past its resolution"""
+    start = alert['timestamp'] - timedelta(minutes=before)
+    end = (alert.get('resolved_at') or alert['timestamp']) + timedelta(minutes=after)
+    return start, min(end, alert['timestamp'] + MAX_WINDOW)
+
+def pick(doc, fields):
+    return {f: doc[f] for f in fields if f in doc}
+
+def status_changes(device_id, start, end, initial):
+    """Status log entries that changed anything in STATE_FIELDS, as {time, kind, changes}"""
+    last = dict(initial)
+    for doc in db['status_logs'].find(
+        {'device': device_id, 'timestamp': {'$gte': start, '$lte': end}}, {'_id': 0}
+    ).sort('timestamp', 1).limit(MAX_EVENTS):
+        changes = {f: doc[f] for f in STATE_FIELDS if f in doc and doc[f] != last.get(f)}
+        if changes:
+            last.update(changes)
+            yield {'time': doc['timestamp'], 'kind': 'status', 'changes': changes}
+
+def alert_events(alert, alert_id, device_id, window):
+    """The alert itself, its acknowledgement, resolution and notes, and the room's other alerts"""
+    yield {'time': alert['timestamp'], 'kind': 'alert', 'id': alert_id, 'type': alert['type'],
+           'message': alert.get('message', ''), 'level': alert.get('level'), 'incident': True}
+    if alert.get('acknowledged_at'):
+        yield {'time': alert['acknowledged_at'], 'kind': 'lifecycle', 'action': 'acknowledged',
+               'user': alert.get('acknowledged_by')}
+    if alert.get('resolved_at'):
+        yield {'time': alert['resolved_at'], 'kind': 'lifecycle', 'action': 'resolved',
+               'user': alert.get('resolved_by')}
+    for note in alert.get('notes') or []:
+        yield {'time': note['timestamp'], 'kind': 'note', 'user': note.get('user'), 'text': note.get('text')}
+
+    for other in db['alerts'].find({'device': device_id, 'timestamp': window, '_id': {'$ne': alert['_id']}}).limit(MAX_EVENTS):
+        yield {'time': other['timestamp'], 'kind': 'alert', 'id': str(other['_id']), 'type': other['type'],
+               'message': other.get('message', ''), 'level': other.get('level'), 'incident': False}
+
+def build_timeline(alert, before, after, include_commands):
+    alert_id = str(alert['_id'])
+    device_id = alert['device']
+    start, end = incident_window(alert, before, after)
+    window = {'$gte': start, '$lte': end}
+
+    def latest_before(collection):
+        return db[collection].find_one({'device': device_id, 'timestamp': {'$lt': start}},
+                                       {'_id': 0}, sort=[('timestamp', -1)]) or {}
+
+    def around(collection):
+        return db[collection].find({'device': device_id, 'timestamp': window}, {'_id': 0}) \
+            .sort('timestamp', 1).limit(MAX_EVENTS)
+
+    initial = {
+        'status': pick(latest_before('status_logs'), STATE_FIELDS),
+        'reading': pick(latest_before('sensor_readings'), READING_FIELDS),
+    }
+
+    events = [{'time': r['timestamp'], 'kind': 'reading', **pick(r, READING_FIELDS)} for r in around('sensor_readings')]
+    events += status_changes(device_id, start, end, initial['status'])
+    events += alert_events(alert, alert_id, device_id, window)
+    events += [{'time': e['timestamp'], 'kind': 'arming', **pick(e, ('mode', 'state', 'user'))}
+               for e in around('arm_events')]
+    events += [{'time': e['timestamp'], 'kind': 'presence', **pick(e, ('type', 'reason'))}
+               for e in around('device_events')]
+    if include_commands:
+        events += [{'time': c['timestamp'], 'kind': 'command',
+                    'user': c.get('user_name') or c.get('user'), **pick(c, ('action', 'outcome', 'reason'))}
+                   for c in around('audit_log')]
+
+    # Sensor faults that started or ended inside the window
+    for fault in db['sensor_faults'].find({'device': device_id, '$or': [{'started_at': window}, {'ended_at': window}]}):
+        for key, ended in (('started_at', False), ('ended_at', True)):
+            if fault.get(key) and start <= fault[key] <= end:
+                events.append({'time': fault[key], 'kind': 'fault', 'ended': ended,
+                               **pick(fault, ('fault', 'sensor', 'detail'))})
+
+    events.sort(key=lambda e: e['time'])
+    device = db['devices'].find_one({'device_id': device_id}, {'_id': 0}) or {}
+    return {
+        'alert': {**serialize({k: v for k, v in alert.items() if k not in ('_id', 'notes')}), 'id': alert_id},
+        'room': {'device_id': device_id, 'name': device.get('name') or device_id, 'location': device.get('location', '')},
+        'window': {'start': start.isoformat(), 'end': end.isoformat(), 'before': before, 'after': after},
+        'initial': initial,
+        'events': [serialize(e) for e in events],
+        'commands_included': include_commands
+    }
+
+# ==================== ROUTES ====================
+@incidents_bp.route('/api/alerts/<alert_id>/timeline', methods=['GET'])
+@require_auth()
+def get_incident_timeline(alert_id):
+    """
+    One alert's incident timeline and starting state for replay.
+    ?before= minutes ahead of the alert, ?after= minutes past its resolution
+    (default 15 each, at most 120)
+    """
+    try:
+        alert = db['alerts'].find_one({'_id': ObjectId(alert_id)})
+    except InvalidId:
+        alert = None
+    if not alert:
+        return jsonify({'error': 'Unknown alert'}), 404
+
+    before = request.args.get('before', DEFAULT_BEFORE, type=int)
+    after = request.args.get('after', DEFAULT_AFTER, type=int)
+    if not 0 <= before <= MAX_SIDE or not 0 <= after <= MAX_SIDE:
+        return jsonify({'error': f'before and after must be 0-{MAX_SIDE} minutes'}), 400
+
+    return jsonify(build_timeline(alert, before, after, g.user['role'] == 'admin'))
@@ -0,0 +1,223 @@
+"""
+Live Update Stream
+Room Safety Checker - Backend Service
+
+Server-Sent Events stream (GET /api/live) that pushes new sensor readings,
+alert changes and each room's rolling 24h stats as they happen, so
+dashboards don't poll. Every event carries an id. A client that reconnects
+with Last-Event-ID gets what it missed from a replay buffer, or a `resync`
+event telling it to refetch over REST when the gap is too old.
+
+The 24h stats are kept incrementally in per-minute buckets, seeded from
+MongoDB at startup, so /api/stats doesn't aggregate on every request.
+"""
+
+import json
+import queue
+import secrets
+import threading
+from collections import defaultdict, deque
+from datetime import datetime, timedelta
+from flask import Blueprint, Response, request, stream_with_context
+from auth import require_auth
+from utils import serialize
+
+# ==================== CONFIGURATION ====================
+REPLAY_SIZE = 1000        # Events kept for Last-Event-ID replay
+CLIENT_QUEUE_SIZE = 500   # A client this far behind is told to resync
+KEEPALIVE_SECONDS = 15    # Comment line so proxies don't close an idle stream
+RETRY_MS = 5000           # Reconnect delay suggested to EventSource clients
+STATS_HOURS = 24          # Window kept incrementally for /api/stats
+
+live_bp = Blueprint('live', __name__)
+
+# Event ids are "<stream>:<n>". The stream id changes on restart, so ids
+# from before a restart always resync instead of replaying the wrong events.
+STREAM_ID = secrets.token_hex(4)
+
+lock = threading.Lock()
+next_id = 1
+replay = deque(maxlen=REPLAY_SIZE)   # (n, message)
+clients = set()                      # queue.Queue per open stream
+
+# device -> {minute: bucket}, oldest minute first
+minutes = defaultdict(dict)
+
+# ==================== SETUP ====================
+def init_live(db):
+    """Seed the rolling stats from the last STATS_HOURS of readings and alerts"""
+    since = datetime.utcnow() - timedelta(hours=STATS_HOURS)
+    fields = {'_id': 0, 'device': 1, 'timestamp': 1, 'temp': 1, 'humidity': 1, 'faulty': 1, 'type': 1}
+
+    with lock:
+        for reading in db['sensor_readings'].find({'timestamp': {'$gte': since}}, fields).sort('timestamp', 1):
+            add_reading(reading)
+        for alert in db['alerts'].find({'timestamp': {'$gte': since}}, fields).sort('timestamp', 1):
+            add_alert(alert)
+
+    print(f"[Live] Stats seeded for {len(minutes)} device(s)")
+
+# ==================== EVENTS ====================
+def format_event(event, data, event_id=None):
+    lines = [f'id: {event_id}'] if event_id else []
+    lines += [f'event: {event}', f'data: {json.dumps(data)}']
+    return '\n'.join(lines) + '\n\n'
+
+RESYNC = format_event('resync', {})
+
+def publish_event(event, data):
+    """Send an event to every open stream and keep it for replay"""
+    global next_id
+    with lock:
+        n = next_id
+        next_id += 1
+        message = format_event(event, data, f'{STREAM_ID}:{n}')
+        replay.append((n, message))
+
+        for client in clients:
+            try:
+                client.put_nowait(message)
+            except queue.Full:
+                # Too far behind to catch up - drop its backlog and make it refetch
+                with client.mutex:
+                    client.queue.clear()
+                client.put_nowait(RESYNC)
+
+def backlog(last_id):
+    """Messages after last_id, or None if they are no longer all in the replay buffer"""
+    if not last_id:
+        return []
+    stream, _, n = last_id.partition(':')
+    if stream != STREAM_ID or not n.isdigit():
+        return None
+    n = int(n)
+    if replay and replay[0][0] > n + 1:
+        return None
+    return [message for i, message in replay if i > n]
+
+# ==================== ROLLING STATS ====================
+def bucket_for(device, timestamp):
+    """Per-minute counters for a device, dropping minutes older than the window"""
+    buckets = minutes[device]
+    cutoff = datetime.utcnow() - timedelta(hours=STATS_HOURS, minutes=1)
+    for minute in [m for m in buckets if m < cutoff]:
+        del buckets[minute]
+
+    return buckets.setdefault(timestamp.replace(second=0, microsecond=0), {
+        'readings': 0,
+        'faulty': 0,
+        'temp_sum': 0.0,
+        'temp_count': 0,
+        'temp_max': None,
+        'humidity_sum': 0.0,
+        'humidity_count': 0,
+        'alerts': defaultdict(int),
+    })
+
+def add_reading(reading):
+    bucket = bucket_for(reading['device'], reading['timestamp'])
+    bucket['readings'] += 1
+    # Sensor faults (sensor_health.py) don't count towards the averages
+    if reading.get('faulty'):
+        bucket['faulty'] += 1
+        return
+    temp = reading.get('temp')
+    if isinstance(temp, (int, float)):
+        bucket['temp_sum'] += temp
+        bucket['temp_count'] += 1
+        bucket['temp_max'] = temp if bucket['temp_max'] is None else max(bucket['temp_max'], temp)
+    humidity = reading.get('humidity')
+    if isinstance(humidity, (int, float)):
+        bucket['humidity_sum'] += humidity
+        bucket['humidity_count'] += 1
+
+def add_alert(alert):
+    bucket_for(alert['device'], alert['timestamp'])['alerts'][alert.get('type')] += 1
+
+def window_stats(device=None, hours=STATS_HOURS):
+    """Same shape as /api/stats, for one device or all, over the last `hours` (at most STATS_HOURS)"""
+    since = (datetime.utcnow() - timedelta(hours=hours)).replace(second=0, microsecond=0)
+    totals = defaultdict(float)
+    temp_max = None
+    alert_types = defaultdict(int)
+
+    with lock:
+        for d in [device] if device else list(minutes):
+            for minute, bucket in minutes.get(d, {}).items():
+                if minute < since:
+                    continue
+                for key in ('readings', 'faulty', 'temp_sum', 'temp_count', 'humidity_sum', 'humidity_count'):
+                    totals[key] += bucket[key]
+                if bucket['temp_max'] is not None:
+                    temp_max = bucket['temp_max'] if temp_max is None else max(temp_max, bucket['temp_max'])
+                for alert_type, count in bucket['alerts'].items():
+                    alert_types[alert_type] += count
+
+    def average(total, count):
+        return round(total / count, 1) if count else 0
+
+    return {
+        'total_readings': int(totals['readings']),
+        'faulty_readings': int(totals['faulty']),
+        'total_alerts': sum(alert_types.values()),
+        'burglar_alerts': alert_types['burglar'],
+        'fire_alerts': alert_types['fire'],
+        'avg_temp': average(totals['temp_sum'], totals['temp_count']),
+        'max_temp': round(temp_max, 1) if temp_max is not None else 0,
+        'avg_humidity': average(totals['humidity_sum'], totals['humidity_count'])
+    }
+
+def publish_stats(device_id):
+    publish_event('stats', {'device': device_id, 'hours': STATS_HOURS, **window_stats(device_id)})
+
+# ==================== MQTT HANDLERS ====================
+def push_reading(reading):
+    """A stored sensor reading: count it and push it along with the room's new stats"""
+    with lock:
+        add_reading(reading)
+    publish_event('reading', serialize({k: v for k, v in reading.items() if k != '_id'}))
+    publish_stats(reading['device'])
+
+def push_alert_count(alert):
+    """A new alert: count it in the room's stats (the alert itself is pushed by alert_lifecycle)"""
+    with lock:
+        add_alert(alert)
+    publish_stats(alert['device'])
+
+# ==================== ROUTES ====================
+@live_bp.route('/api/live', methods=['GET'])
+@require_auth()
+def live_stream():
+    """
+    Server-Sent Events: `reading`, `alert`, `stats` and `resync`.
+    Resume with the Last-Event-ID header or ?last_event_id=.
+    """
+    last_id = request.headers.get('Last-Event-ID') or request.args.get('last_event_id')
+    client = queue.Queue(maxsize=CLIENT_QUEUE_SIZE)
+
+    with lock:
+        missed = backlog(last_id)
+        clients.add(client)
+
+    def generate():
+        try:
+            yield f'retry: {RETRY_MS}\n\n'
+            if missed is None:
+                yield RESYNC
+            else:
+                yield from missed
+
+            while True:
+                try:
+                    yield client.get(timeout=KEEPALIVE_SECONDS)
+                except queue.Empty:
+                    yield ': keepalive\n\n'
+        finally:
+            with lock:
+                clients.discard(client)
+
+    return Response(
+        stream_with_context(generate()),
+        mimetype='text/event-stream',
+        headers={'Cache-Control': 'no-cache', 'X-Accel-Buffering': 'no'}
+    )
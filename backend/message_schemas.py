@@ -0,0 +1,257 @@
+"""
+MQTT Message Schemas
+Room Safety Checker - Backend Service
+
+The JSON on roomguard/<deviceId>/<kind> follows the versioned schemas in
+schemas/mqtt/v<N>.json at the repository root - the dashboard validates
+against the same files (dashboard/src/schemas.js). Every message carries its
+schema version as "v".
+
+Incoming device messages that aren't JSON, carry an unknown "v" or don't
+match their schema are rejected before anything is stored: they are counted
+per device and kind and the last week of them is kept in invalid_messages
+for the diagnostics view. Outgoing commands and config get "v" stamped and
+are checked too, so a backend bug can't send the device something it won't
+understand.
+
+The validator covers the JSON Schema keywords the schema files use: type,
+const, enum, minimum, maximum, minLength, maxLength, properties, required,
+additionalProperties, items and maxItems.
+"""
+
+import os
+import glob
+import json
+import math
+import threading
+from datetime import datetime
+from flask import Blueprint, jsonify, request
+from auth import require_auth
+from utils import parse_range, parse_paging, serialize
+
+# ==================== CONFIGURATION ====================
+SCHEMA_DIR = os.getenv('SCHEMA_DIR', os.path.join(
+    os.path.dirname(os.path.abspath(__file__)), '..', 'schemas', 'mqtt'))
+INVALID_RETENTION_DAYS = 7
+MAX_RAW_LENGTH = 1000         # Characters of a rejected payload that are kept
+
+message_schemas_bp = Blueprint('message_schemas', __name__)
+
+# Set by init_message_schemas()
+invalid_messages = None
+
+SCHEMAS = {}                  # Version -> {kind: schema}
+STARTED_AT = datetime.utcnow()
+counters = {}                 # (device, kind) -> {'accepted', 'rejected', 'last_rejected'}
+counters_lock = threading.Lock()
+
+# ==================== SETUP ====================
+def load_schemas(directory=SCHEMA_DIR):
+    """Every schemas/mqtt/v<N>.json, by version"""
+    schemas = {}
+    for path in sorted(glob.glob(os.path.join(directory, 'v*.json'))):
+        with open(path, encoding='utf-8') as f:
+            spec = json.load(f)
+        schemas[spec['version']] = spec['messages']
+    if not schemas:
+        raise RuntimeError(f'No MQTT message schemas found in {directory}')
+    return schemas
+
+def init_message_schemas(db):
+    global invalid_messages
+    invalid_messages = db['invalid_messages']
+    invalid_messages.create_index('timestamp', expireAfterSeconds=INVALID_RETENTION_DAYS * 86400)
+    invalid_messages.create_index([('device', 1), ('timestamp', -1)])
+
+    SCHEMAS.update(load_schemas())
+    print(f"[Schemas] MQTT message schema versions: {', '.join(f'v{v}' for v in sorted(SCHEMAS))}")
+
+def current_version():
+    return max(SCHEMAS)
+
+def validated_kinds():
+    """Topic kinds that have a schema in any version"""
+    return {kind for messages in SCHEMAS.values() for kind in messages}
+
+# ==================== VALIDATION ====================
+TYPES = {
+    'object': lambda v: isinstance(v, dict),
+    'array': lambda v: isinstance(v, list),
+    'string': lambda v: isinstance(v, str),
+    'boolean': lambda v: isinstance(v, bool),
+    'null': lambda v: v is None,
+    'number': lambda v: isinstance(v, (int, float)) and not isinstance(v, bool),
+    'integer': lambda v: (isinstance(v, int) and not isinstance(v, bool))
+                         or (isinstance(v, float) and v.is_integer()),
+}
+
+def same_value(a, b):
+    """JSON equality - True is not 1 here, unlike in Python"""
+    if isinstance(a, bool) or isinstance(b, bool):
+        return a is b
+    return a == b
+
+def validate(value, schema, path='$'):
+    """Problems with value against schema, as 'path: problem' strings"""
+    if isinstance(value, float) and not math.isfinite(value):
+        return [f'{path}: NaN/Infinity is not JSON']
+
+    types = schema.get('type')
+    if types:
+        types = [types] if isinstance(types, str) else types
+        if not any(TYPES[t](value) for t in types):
+            return [f"{path}: expected {' or '.join(types)}"]
+    if 'const' in schema and not same_value(value, schema['const']):
+        return [f"{path}: must be {json.dumps(schema['const'])}"]
+    if 'enum' in schema and not any(same_value(value, option) for option in schema['enum']):
+        return [f"{path}: must be one of {', '.join(json.dumps(o) for o in schema['enum'])}"]
+
+    errors = []
+    if TYPES['number'](value):
+        if 'minimum' in schema and value < schema['minimum']:
+            errors.append(f"{path}: below the minimum {schema['minimum']}")
+        if 'maximum' in schema and value > schema['maximum']:
+            errors.append(f"{path}: above the maximum {schema['maximum']}")
+    elif isinstance(value, str):
+        if len(value) < schema.get('minLength', 0):
+            errors.append(f"{path}: shorter than {schema['minLength']} characters")
+        if 'maxLength' in schema and len(value) > schema['maxLength']:
+            errors.append(f"{path}: longer than {schema['maxLength']} characters")
+    elif isinstance(value, dict):
+        properties = schema.get('properties', {})
+        for name in schema.get('required', []):
+            if name not in value:
+                errors.append(f'{path}.{name}: missing')
+        for name, item in value.items():
+            if name in properties:
+                errors += validate(item, properties[name], f'{path}.{name}')
+            elif schema.get('additionalProperties') is False:
+                errors.append(f'{path}.{name}: not in the schema')
+    elif isinstance(value, list):
+        if 'maxItems' in schema and len(value) > schema['maxItems']:
+            errors.append(f"{path}: more than {schema['maxItems']} items")
+        if 'items' in schema:
+            for i, item in enumerate(value):
+                errors += validate(item, schema['items'], f'{path}[{i}]')
+    return errors
+
+def check_payload(kind, payload):
+    """Problems with a parsed message for a topic kind; [] when it is valid or the kind has no schema"""
+    if kind not in validated_kinds():
+        return []
+    if not isinstance(payload, dict):
+        return ['$: expected object']
+    version = payload.get('v')
+    if 'v' not in payload:
+        return ['$.v: missing - no schema version']
+    if not TYPES['integer'](version) or version not in SCHEMAS:
+        return [f"$.v: unknown schema version {json.dumps(version)} "
+                f"(supported: {', '.join(str(v) for v in sorted(SCHEMAS))})"]
+    schema = SCHEMAS[version].get(kind)
+    if not schema:
+        return [f'$: no {kind} message in schema v{version}']
+    return validate(payload, schema)
+
+# ==================== COUNTING ====================
+def count(device_id, kind, accepted, timestamp=None):
+    with counters_lock:
+        entry = counters.setdefault((device_id, kind), {'accepted': 0, 'rejected': 0, 'last_rejected': None})
+        if accepted:
+            entry['accepted'] += 1
+        else:
+            entry['rejected'] += 1
+            entry['last_rejected'] = timestamp
+
+def reject(device_id, kind, topic, raw, errors, direction='in'):
+    timestamp = datetime.utcnow()
+    count(device_id, kind, False, timestamp)
+    invalid_messages.insert_one({
+        'device': device_id,
+        'kind': kind,
+        'topic': topic,
+        'direction': direction,
+        'errors': errors[:20],
+        'raw': raw[:MAX_RAW_LENGTH],
+        'truncated': len(raw) > MAX_RAW_LENGTH,
+        'timestamp': timestamp
+    })
+    print(f"[Schema] [{device_id}] Rejected {direction} {kind}: {'; '.join(errors[:3])}")
+
+def accept_message(device_id, kind, topic, raw_bytes):
+    """
+    Parse and validate an incoming message. Returns the payload without its
+    "v", or None when the message was rejected (and recorded).
+    """
+    raw = raw_bytes.decode('utf-8', errors='replace')
+    try:
+        payload = json.loads(raw)
+    except ValueError:
+        reject(device_id, kind, topic, raw, ['$: not valid JSON'])
+        return None
+
+    errors = check_payload(kind, payload)
+    if errors:
+        reject(device_id, kind, topic, raw, errors)
+        return None
+    if kind in validated_kinds():
+        count(device_id, kind, True)
+        payload.pop('v')
+    return payload
+
+def outgoing_message(device_id, kind, topic, payload):
+    """The payload stamped with the current version, or None if it doesn't match its schema"""
+    if kind not in validated_kinds():
+        return payload
+    message = {'v': current_version(), **payload}
+    errors = check_payload(kind, message)
+    if errors:
+        reject(device_id, kind, topic, json.dumps(message, default=str), errors, 'out')
+        return None
+    count(device_id, kind, True)
+    return message
+
+# ==================== ROUTES ====================
+@message_schemas_bp.route('/api/messages/stats', methods=['GET'])
+@require_auth('admin')
+def get_message_stats():
+    """Accepted and rejected messages per device and kind since the backend started"""
+    with counters_lock:
+        rows = [
+            {'device': device, 'kind': kind, **serialize(entry)}
+            for (device, kind), entry in sorted(counters.items())
+        ]
+    return jsonify({
+        'since': STARTED_AT.isoformat(),
+        'versions': sorted(SCHEMAS),
+        'current_version': current_version(),
+        'kinds': sorted(validated_kinds()),
+        'counters': rows
+    })
+
+@message_schemas_bp.route('/api/messages/invalid', methods=['GET'])
+@require_auth('admin')
+def get_invalid_messages():
+    """
+    Rejected messages, newest first (kept for a week).
+    Filters: ?device= ?kind= ?hours= or ?start=&end=   Paging: ?page= ?page_size=
+    """
+    try:
+        since, until = parse_range(default_hours=INVALID_RETENTION_DAYS * 24)
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+    page, page_size, skip = parse_paging()
+    query = {'timestamp': {'$gte': since, '$lte': until}}
+    for field in ('device', 'kind'):
+        if request.args.get(field):
+            query[field] = request.args[field]
+
+    total = invalid_messages.count_documents(query)
+    cursor = invalid_messages.find(query).sort('timestamp', -1).skip(skip).limit(page_size)
+    items = [{**serialize({k: v for k, v in doc.items() if k != '_id'}), 'id': str(doc['_id'])} for doc in cursor]
+    return jsonify({'items': items, 'total': total, 'page': page, 'page_size': page_size})
+
+@message_schemas_bp.route('/api/messages/schemas', methods=['GET'])
+@require_auth()
+def get_schemas():
+    """The message schemas this backend validates against, by version"""
+    return jsonify({str(version): messages for version, messages in sorted(SCHEMAS.items())})
@@ -9,14 +9,38 @@ This service:
 """
 
 import os
+import re
 import json
+import secrets
 import threading
 from datetime import datetime, timedelta
 from dotenv import load_dotenv
 import paho.mqtt.client as mqtt
 from pymongo import MongoClient
-from flask import Flask, jsonify, request
+from pymongo.errors import DuplicateKeyError
+from flask import Flask, jsonify, request, g
 from flask_cors import CORS
+from auth import auth_bp, init_auth, require_auth
+from arming import arming_bp, init_arming, record_arm_status, run_scheduler
+from alert_lifecycle import lifecycle_bp, init_alert_lifecycle, open_alert, serialize_alert
+from audit import audit_bp, init_audit, record_command, record_ack, mark_failed, find_command, ACK_TIMEOUT
+from command_policy import init_command_policy, check_command
+from device_config import config_bp, init_device_config, record_reported
+from export import export_bp, init_export
+from fire_analytics import fire_bp, init_fire_analytics, analyze_reading
+from guest_access import guest_access_bp, init_guest_access
+from incidents import incidents_bp, init_incidents
+from message_schemas import message_schemas_bp, init_message_schemas, accept_message, outgoing_message
+from live import live_bp, init_live, push_reading, push_alert_count, window_stats, STATS_HOURS
+from notifications import notifications_bp, init_notifications, notify_alert, run_dispatcher
+from occupancy import occupancy_bp, init_occupancy
+from preferences import preferences_bp, init_preferences
+from presence import presence_bp, init_presence, set_presence, record_heartbeat, run_watchdog
+from retention import storage_bp, init_retention, run_retention, reading_buckets, reading_summary
+from rules import rules_bp, init_rules, evaluate_message
+from sensor_health import sensor_health_bp, init_sensor_health, assess_reading
+from utils import parse_range, serialize
+from web_push import web_push_bp, init_web_push, push_alert
 
 # Load environment variables
 load_dotenv()
@@ -26,14 +50,40 @@ MQTT_BROKER = os.getenv('MQTT_BROKER', 'localhost')
 MQTT_PORT = int(os.getenv('MQTT_PORT', 1883))
 MQTT_USERNAME = os.getenv('MQTT_USERNAME', '')
 MQTT_PASSWORD = os.getenv('MQTT_PASSWORD', '')
+# TLS is used on 8883 or with MQTT_TLS=true. Without a CA file the broker's
+# certificate isn't verified (self-signed setups) unless MQTT_TLS_INSECURE=false.
+MQTT_TLS = os.getenv('MQTT_TLS', '').lower() == 'true' or MQTT_PORT == 8883
+MQTT_CA_CERT = os.getenv('MQTT_CA_CERT', '')
+MQTT_TLS_INSECURE = os.getenv('MQTT_TLS_INSECURE', 'false' if MQTT_CA_CERT else 'true').lower() == 'true'
 MONGO_URI = os.getenv('MONGO_URI', 'mongodb://localhost:27017')
 MONGO_DB = os.getenv('MONGO_DB', 'roomguard')
 API_PORT = int(os.getenv('API_PORT', 5000))
 
-# MQTT Topics
-TOPIC_SENSORS = 'room/sensors'
-TOPIC_STATUS = 'room/status'
-TOPIC_ALERT = 'room/alert'
+# MQTT Topics - namespaced per device: roomguard/<device_id>/<kind>
+TOPIC_PREFIX = 'roomguard'
+TOPIC_SENSORS = f'{TOPIC_PREFIX}/+/sensors'
+TOPIC_STATUS = f'{TOPIC_PREFIX}/+/status'
+TOPIC_ALERT = f'{TOPIC_PREFIX}/+/alert'
+TOPIC_ACK = f'{TOPIC_PREFIX}/+/ack'
+TOPIC_PRESENCE = f'{TOPIC_PREFIX}/+/presence'
+TOPIC_HEARTBEAT = f'{TOPIC_PREFIX}/+/heartbeat'
+TOPIC_CONFIG = f'{TOPIC_PREFIX}/+/config'
+
+# Commands the dashboard may send to a device
+COMMANDS = ('lock', 'unlock', 'reset', 'checkout', 'arm_away', 'arm_night', 'disarm')
+
+
+def device_topic(device_id, kind):
+    """Build the topic for a device, e.g. roomguard/room1/command"""
+    return f'{TOPIC_PREFIX}/{device_id}/{kind}'
+
+
+def parse_topic(topic):
+    """Split roomguard/<device_id>/<kind> into (device_id, kind)"""
+    parts = topic.split('/')
+    if len(parts) != 3 or parts[0] != TOPIC_PREFIX:
+        return None, None
+    return parts[1], parts[2]
 
 # ==================== MONGODB SETUP ====================
 mongo_client = MongoClient(MONGO_URI)
@@ -43,45 +93,206 @@ db = mongo_client[MONGO_DB]
 sensor_readings = db['sensor_readings']
 status_logs = db['status_logs']
 alerts = db['alerts']
+devices = db['devices']
 
 # Create indexes for efficient queries
 sensor_readings.create_index('timestamp')
 status_logs.create_index('timestamp')
 alerts.create_index('timestamp')
+sensor_readings.create_index([('device', 1), ('timestamp', -1)])
+status_logs.create_index([('device', 1), ('timestamp', -1)])
+alerts.create_index([('device', 1), ('timestamp', -1)])
+devices.create_index('device_id', unique=True)
+
+init_auth(db)
+init_audit(db)
+init_message_schemas(db)
+init_command_policy(db)
+init_presence(db)
+init_notifications(db)
+init_export(db)
+init_incidents(db)
+init_live(db)
+init_sensor_health(db)
+init_fire_analytics(db)
+init_occupancy(db)
+init_preferences(db)
+init_web_push(db)
+init_retention(db)
 
 print(f"[MongoDB] Connected to {MONGO_URI}/{MONGO_DB}")
 
 # ==================== MQTT CALLBACKS ====================
+# Set by run_mqtt() - used by the API to publish commands
+mqtt_client = None
+
+def mqtt_connected():
+    return mqtt_client is not None and mqtt_client.is_connected()
+
+def publish_to_device(device_id, kind, payload, retain=False):
+    """
+    Publish JSON to roomguard/<device_id>/<kind>, stamped with its schema version.
+    False if the broker is unreachable or the payload doesn't match its schema.
+    """
+    if not mqtt_connected():
+        return False
+    topic = device_topic(device_id, kind)
+    message = outgoing_message(device_id, kind, topic, payload)
+    if message is None:
+        return False
+    mqtt_client.publish(topic, json.dumps(message), qos=1, retain=retain)
+    return True
+
+def audit_command(*args, **kwargs):
+    """record_command(); False if a concurrent request took the command ID first"""
+    try:
+        record_command(*args, **kwargs)
+    except DuplicateKeyError:
+        return False
+    return True
+
+def dispatch_command(device_id, action, user, command_id='', confirmation=None):
+    """
+    Audit and publish a command on behalf of a user (or the arming scheduler).
+    The command policy may block it or ask for confirmation ({'confirm'} or
+    {'pin'}) first. Returns (response body, HTTP status).
+    """
+    if action not in COMMANDS:
+        return {'error': f'Action must be one of {", ".join(COMMANDS)}'}, 400
+    if not devices.find_one({'device_id': device_id}):
+        return {'error': 'Unknown device'}, 404
+    if not re.fullmatch(r'[A-Za-z0-9_-]{4,40}', command_id):
+        command_id = secrets.token_hex(6)
+    # The client picks the ID; a reused one would be a second audit entry with the same key
+    if find_command(command_id):
+        return {'error': 'Command ID already used', 'id': command_id}, 409
+
+    refusal, level = check_command(device_id, action, user, confirmation)
+    if refusal:
+        body, status = refusal
+        # Being asked to confirm isn't an attempt yet
+        if status != 428:
+            if not audit_command(command_id, user, device_id, action, 'failed', body['error']):
+                return {'error': 'Command ID already used', 'id': command_id}, 409
+            print(f"[CMD] [{device_id}] {user['username']} refused {action}: {body['error']}")
+        return {**body, 'id': command_id, 'action': action}, status
+    
+    if not mqtt_connected():
+        if not audit_command(command_id, user, device_id, action, 'failed', 'Broker unavailable'):
+            return {'error': 'Command ID already used', 'id': command_id}, 409
+        return {'error': 'Broker unavailable', 'id': command_id}, 503
+    
+    # Audit before publishing so a fast ack always finds its entry
+    if not audit_command(command_id, user, device_id, action, confirmed_with=None if level == 'allow' else level):
+        return {'error': 'Command ID already used', 'id': command_id}, 409
+    if not publish_to_device(device_id, 'command', {'action': action, 'id': command_id}):
+        mark_failed(command_id, 'Could not publish the command')
+        return {'error': 'Could not publish the command', 'id': command_id}, 503
+    print(f"[CMD] [{device_id}] {user['username']} sent {action} ({command_id})")
+    
+    return {
+        'id': command_id,
+        'action': action,
+        'device': device_id,
+        'ack_timeout': ACK_TIMEOUT.total_seconds()
+    }, 202
+
+init_device_config(db, publish_to_device)
+init_arming(db, dispatch_command)
+init_rules(db, dispatch_command)
+init_guest_access(db, dispatch_command)
+init_alert_lifecycle(db, publish_to_device)
+
 def on_connect(client, userdata, flags, rc):
     if rc == 0:
         print("[MQTT] Connected to broker")
         client.subscribe(TOPIC_SENSORS)
         client.subscribe(TOPIC_STATUS)
         client.subscribe(TOPIC_ALERT)
+        client.subscribe(TOPIC_ACK)
+        client.subscribe(TOPIC_PRESENCE)
+        client.subscribe(TOPIC_HEARTBEAT)
+        client.subscribe(TOPIC_CONFIG)
         print(f"[MQTT] Subscribed to topics")
     else:
         print(f"[MQTT] Connection failed with code {rc}")
 
+def register_device(device_id, timestamp, seen=True):
+    """Add a device to the registry on first contact and refresh last_seen"""
+    devices.update_one(
+        {'device_id': device_id},
+        {
+            '$set': {'last_seen': timestamp} if seen else {},
+            '$setOnInsert': {
+                'device_id': device_id,
+                'name': device_id,
+                'location': '',
+                'first_seen': timestamp
+            }
+        },
+        upsert=True
+    )
+
 def on_message(client, userdata, msg):
     try:
-        topic = msg.topic
-        payload = json.loads(msg.payload.decode())
+        device_id, kind = parse_topic(msg.topic)
+        if not device_id:
+            return
+
+        # Malformed or unknown-version messages are counted and dropped here
+        payload = accept_message(device_id, kind, msg.topic, msg.payload)
+        if payload is None:
+            return
         timestamp = datetime.utcnow()
         
-        # Add timestamp to payload
+        # Tag payload with device and timestamp
+        payload['device'] = device_id
         payload['timestamp'] = timestamp
+
+        # Presence may be a retained last-will from long ago, so it doesn't count as "seen"
+        register_device(device_id, timestamp, seen=kind != 'presence')
+        
+        if kind == 'presence':
+            online = bool(payload.get('online'))
+            set_presence(device_id, online, 'connect' if online else 'lwt', timestamp)
+            return
         
-        if topic == TOPIC_SENSORS:
+        # Any other traffic proves the device is alive
+        set_presence(device_id, True, 'message', timestamp)
+        
+        if kind == 'heartbeat':
+            record_heartbeat(device_id, payload, timestamp)
+            
+        elif kind == 'config':
+            record_reported(device_id, payload, timestamp)
+            
+        elif kind == 'sensors':
+            assess_reading(payload)
             sensor_readings.insert_one(payload)
-            print(f"[DB] Sensor reading saved: temp={payload.get('temp')}°C")
+            push_reading(payload)
+            analyze_reading(payload)
+            evaluate_message(device_id, kind, payload)
+            print(f"[DB] [{device_id}] Sensor reading saved: temp={payload.get('temp')}°C"
+                  f"{' faults=' + ','.join(payload['faults']) if payload['faults'] else ''}")
             
-        elif topic == TOPIC_STATUS:
+        elif kind == 'status':
             status_logs.insert_one(payload)
-            print(f"[DB] Status saved: door={payload.get('door')}, occupants={payload.get('occupant_count')}")
+            record_arm_status(device_id, payload, timestamp)
+            evaluate_message(device_id, kind, payload)
+            print(f"[DB] [{device_id}] Status saved: door={payload.get('door')}, occupants={payload.get('occupant_count')}")
+            
+        elif kind == 'alert':
+            # Device uptime lets dashboards match the live alert to its stored id
+            payload['device_millis'] = payload.pop('uptime_ms')
+            open_alert(payload)
+            push_alert_count(payload)
+            notify_alert(payload)
+            push_alert(payload)
+            print(f"[DB] [{device_id}] Alert saved: {payload.get('type')} - {payload.get('message')}")
             
-        elif topic == TOPIC_ALERT:
-            alerts.insert_one(payload)
-            print(f"[DB] Alert saved: {payload.get('type')} - {payload.get('message')}")
+        elif kind == 'ack':
+            record_ack(device_id, payload)
+            print(f"[DB] [{device_id}] Ack saved: {payload.get('action')} {payload.get('status')}")
             
     except Exception as e:
         print(f"[Error] Failed to process message: {e}")
@@ -93,11 +304,31 @@ app = Flask(__name__)
 CORS(app, resources={
     r"/api/*": {
         "origins": "*",
-        "methods": ["GET", "POST", "OPTIONS"],
-        "allow_headers": ["Content-Type"]
+        "methods": ["GET", "POST", "PUT", "DELETE", "OPTIONS"],
+        "allow_headers": ["Content-Type", "Authorization"]
     }
 })
 
+app.register_blueprint(auth_bp)
+app.register_blueprint(audit_bp)
+app.register_blueprint(message_schemas_bp)
+app.register_blueprint(presence_bp)
+app.register_blueprint(config_bp)
+app.register_blueprint(lifecycle_bp)
+app.register_blueprint(arming_bp)
+app.register_blueprint(notifications_bp)
+app.register_blueprint(export_bp)
+app.register_blueprint(incidents_bp)
+app.register_blueprint(live_bp)
+app.register_blueprint(fire_bp)
+app.register_blueprint(occupancy_bp)
+app.register_blueprint(rules_bp)
+app.register_blueprint(guest_access_bp)
+app.register_blueprint(sensor_health_bp)
+app.register_blueprint(preferences_bp)
+app.register_blueprint(web_push_bp)
+app.register_blueprint(storage_bp)
+
 @app.route('/api/health', methods=['GET'])
 def health_check():
     """Health check endpoint"""
@@ -107,16 +338,127 @@ def health_check():
         'mongo_db': MONGO_DB
     })
 
+def build_query(since=None, until=None):
+    """Build a Mongo query from the optional ?device= filter and a time range"""
+    query = {}
+    device = request.args.get('device')
+    if device:
+        query['device'] = device
+    if since:
+        query['timestamp'] = {'$gte': since}
+        if until:
+            query['timestamp']['$lte'] = until
+    return query
+
+# Aim for roughly this many points when ?resolution=auto
+TARGET_POINTS = 300
+
+def resolve_bucket(resolution, since, until):
+    """Turn ?resolution= (seconds or 'auto') into a bucket size in seconds, or None for raw"""
+    if not resolution or resolution == 'raw':
+        return None
+    if resolution == 'auto':
+        span = (until - since).total_seconds()
+        bucket = int(span / TARGET_POINTS)
+        # Device publishes every 5s - anything finer is just raw data
+        return bucket if bucket > 5 else None
+    return max(int(resolution), 1)
+
+def bucketed_readings(query, bucket_seconds):
+    """Average sensor readings into fixed-size time buckets"""
+    bucket_ms = bucket_seconds * 1000
+    ts_ms = {'$toLong': '$timestamp'}
+    
+    pipeline = [
+        {'$match': query},
+        {'$group': {
+            '_id': {'$subtract': [ts_ms, {'$mod': [ts_ms, bucket_ms]}]},
+            # Faulty readings (sensor_health.py) are left out of the averages
+            'temp': {'$avg': {'$cond': ['$faulty', None, '$temp']}},
+            'temp_max': {'$max': {'$cond': ['$faulty', None, '$temp']}},
+            'humidity': {'$avg': {'$cond': ['$faulty', None, '$humidity']}},
+            'occupant_count': {'$max': '$occupant_count'},
+            'pir': {'$max': '$pir'},
+            'samples': {'$sum': 1}
+        }},
+        {'$sort': {'_id': 1}}
+    ]
+    
+    buckets = []
+    for b in sensor_readings.aggregate(pipeline):
+        ts = datetime.utcfromtimestamp(b.pop('_id') / 1000)
+        b['timestamp'] = ts.isoformat()
+        for key in ('temp', 'temp_max', 'humidity'):
+            if b[key] is not None:
+                b[key] = round(b[key], 1)
+        buckets.append(b)
+    
+    return buckets
+
+@app.route('/api/devices', methods=['GET'])
+@require_auth()
+def get_devices():
+    """List registered devices"""
+    device_list = devices.find({}, {'_id': 0}).sort('device_id', 1)
+    return jsonify([serialize(d) for d in device_list])
+
+@app.route('/api/devices/<device_id>', methods=['PUT'])
+@require_auth('admin')
+def update_device(device_id):
+    """Update the display name / location of a device"""
+    body = request.get_json(silent=True) or {}
+    updates = {k: str(body[k]) for k in ('name', 'location') if k in body}
+    
+    if not updates:
+        return jsonify({'error': 'Nothing to update'}), 400
+    
+    result = devices.update_one({'device_id': device_id}, {'$set': updates})
+    if result.matched_count == 0:
+        return jsonify({'error': 'Unknown device'}), 404
+    
+    return jsonify({'device_id': device_id, **updates})
+
+@app.route('/api/devices/<device_id>/command', methods=['POST'])
+@require_auth('admin')
+def send_command(device_id):
+    """
+    Publish a command to a device on behalf of the logged-in admin and audit it.
+    The client may supply the correlation ID so it can match the device's ack.
+    Commands the policy guards need `confirm` (typed) or `pin` in the body -
+    without them the answer is 428 with the reason.
+    """
+    body = request.get_json(silent=True) or {}
+    confirmation = {k: body[k] for k in ('confirm', 'pin') if k in body}
+    result, status = dispatch_command(device_id, body.get('action'), g.user, str(body.get('id', '')), confirmation)
+    return jsonify(result), status
+
 @app.route('/api/sensors', methods=['GET'])
+@require_auth()
 def get_sensors():
-    """Get sensor readings with optional time filter"""
-    hours = request.args.get('hours', 24, type=int)
+    """
+    Get sensor readings with optional time and device filter.
+    
+    ?resolution=<seconds>|auto averages readings into time buckets
+    (oldest first) instead of returning the newest raw readings. Hour-sized
+    and larger buckets, and ranges past the raw retention, come from the
+    rollups (retention.py).
+    """
     limit = request.args.get('limit', 100, type=int)
     
-    since = datetime.utcnow() - timedelta(hours=hours)
+    try:
+        since, until = parse_range()
+        bucket = resolve_bucket(request.args.get('resolution'), since, until)
+    except ValueError:
+        return jsonify({'error': 'Invalid start, end or resolution'}), 400
+    
+    if bucket:
+        buckets = reading_buckets(request.args.get('device'), since, until, bucket)
+        if buckets is None:
+            buckets = bucketed_readings(build_query(since, until), bucket)
+        return jsonify(buckets)
     
     readings = list(sensor_readings.find(
-        {'timestamp': {'$gte': since}},
+        build_query(since, until),
         {'_id': 0}
     ).sort('timestamp', -1).limit(limit))
     
@@ -127,10 +469,11 @@ def get_sensors():
     return jsonify(readings)
 
 @app.route('/api/sensors/latest', methods=['GET'])
+@require_auth()
 def get_latest_sensor():
     """Get the most recent sensor reading"""
     reading = sensor_readings.find_one(
-        {},
+        build_query(),
         {'_id': 0},
         sort=[('timestamp', -1)]
     )
@@ -141,28 +484,33 @@ def get_latest_sensor():
     return jsonify({})
 
 @app.route('/api/alerts', methods=['GET'])
+@require_auth()
 def get_alerts():
-    """Get alerts with optional time filter"""
-    hours = request.args.get('hours', 24, type=int)
+    """Get alerts with optional time, device and ?state= filter (comma-separated)"""
     limit = request.args.get('limit', 50, type=int)
     
-    since = datetime.utcnow() - timedelta(hours=hours)
+    try:
+        since, until = parse_range()
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
     
-    alert_list = list(alerts.find(
-        {'timestamp': {'$gte': since}},
-        {'_id': 0}
-    ).sort('timestamp', -1).limit(limit))
+    query = build_query(since, until)
+    state = request.args.get('state')
+    if state:
+        states = state.split(',')
+        # Alerts stored before the lifecycle existed have no state and count as open
+        query['state'] = {'$in': states + [None]} if 'open' in states else {'$in': states}
     
-    for a in alert_list:
-        a['timestamp'] = a['timestamp'].isoformat()
+    alert_list = alerts.find(query).sort('timestamp', -1).limit(limit)
     
-    return jsonify(alert_list)
+    return jsonify([serialize_alert(a) for a in alert_list])
 
 @app.route('/api/status', methods=['GET'])
+@require_auth()
 def get_status():
     """Get the most recent status"""
     status = status_logs.find_one(
-        {},
+        build_query(),
         {'_id': 0},
         sort=[('timestamp', -1)]
     )
@@ -173,38 +521,31 @@ def get_status():
     return jsonify({})
 
 @app.route('/api/stats', methods=['GET'])
+@require_auth()
 def get_stats():
     """Get summary statistics"""
     hours = request.args.get('hours', 24, type=int)
-    since = datetime.utcnow() - timedelta(hours=hours)
     
-    # Count readings and alerts
-    total_readings = sensor_readings.count_documents({'timestamp': {'$gte': since}})
-    total_alerts = alerts.count_documents({'timestamp': {'$gte': since}})
-    burglar_alerts = alerts.count_documents({'timestamp': {'$gte': since}, 'type': 'burglar'})
-    fire_alerts = alerts.count_documents({'timestamp': {'$gte': since}, 'type': 'fire'})
+    # Windows up to a day come from the live stream's rolling counters
+    if 0 < hours <= STATS_HOURS:
+        return jsonify(window_stats(request.args.get('device'), hours))
     
-    # Get average temperature
-    pipeline = [
-        {'$match': {'timestamp': {'$gte': since}}},
-        {'$group': {
-            '_id': None,
-            'avg_temp': {'$avg': '$temp'},
-            'max_temp': {'$max': '$temp'},
-            'avg_humidity': {'$avg': '$humidity'}
-        }}
-    ]
+    until = datetime.utcnow()
+    since = until - timedelta(hours=hours)
+    query = build_query(since)
     
-    agg_result = list(sensor_readings.aggregate(pipeline))
+    # Count alerts
+    total_alerts = alerts.count_documents(query)
+    burglar_alerts = alerts.count_documents({**query, 'type': 'burglar'})
+    fire_alerts = alerts.count_documents({**query, 'type': 'fire'})
     
+    # Readings from the hourly rollups (retention.py) - faulty readings
+    # (sensor_health.py) don't count towards the averages
     stats = {
-        'total_readings': total_readings,
+        **reading_summary(request.args.get('device'), since, until),
         'total_alerts': total_alerts,
         'burglar_alerts': burglar_alerts,
-        'fire_alerts': fire_alerts,
-        'avg_temp': round(agg_result[0]['avg_temp'], 1) if agg_result else 0,
-        'max_temp': round(agg_result[0]['max_temp'], 1) if agg_result else 0,
-        'avg_humidity': round(agg_result[0]['avg_humidity'], 1) if agg_result else 0
+        'fire_alerts': fire_alerts
     }
     
     return jsonify(stats)
@@ -214,6 +555,7 @@ import ssl
 
 def run_mqtt():
     """Run MQTT client in background thread"""
+    global mqtt_client
     mqtt_client = mqtt.Client()
     mqtt_client.on_connect = on_connect
     mqtt_client.on_message = on_message
@@ -223,11 +565,15 @@ def run_mqtt():
         mqtt_client.username_pw_set(MQTT_USERNAME, MQTT_PASSWORD)
         print(f"[MQTT] Using authentication as '{MQTT_USERNAME}'")
     
-    # Configure TLS (use default CA or skip verification for self-signed)
-    if MQTT_PORT == 8883:
-        mqtt_client.tls_set(cert_reqs=ssl.CERT_NONE)
-        mqtt_client.tls_insecure_set(True)
-        print("[MQTT] TLS enabled (insecure mode for self-signed cert)")
+    # Configure TLS: verify against MQTT_CA_CERT (or the system CAs), or skip verification
+    if MQTT_TLS:
+        if MQTT_TLS_INSECURE:
+            mqtt_client.tls_set(ca_certs=MQTT_CA_CERT or None, cert_reqs=ssl.CERT_NONE)
+            mqtt_client.tls_insecure_set(True)
+            print("[MQTT] TLS enabled (insecure mode for self-signed cert)")
+        else:
+            mqtt_client.tls_set(ca_certs=MQTT_CA_CERT or None, cert_reqs=ssl.CERT_REQUIRED)
+            print(f"[MQTT] TLS enabled (verifying against {MQTT_CA_CERT or 'system CAs'})")
     
     print(f"[MQTT] Connecting to {MQTT_BROKER}:{MQTT_PORT}...")
     mqtt_client.connect(MQTT_BROKER, MQTT_PORT, 60)
@@ -242,6 +588,22 @@ if __name__ == '__main__':
     mqtt_thread = threading.Thread(target=run_mqtt, daemon=True)
     mqtt_thread.start()
     
+    # Mark silent devices offline
+    watchdog_thread = threading.Thread(target=run_watchdog, daemon=True)
+    watchdog_thread.start()
+    
+    # Apply weekly arming schedules
+    scheduler_thread = threading.Thread(target=run_scheduler, daemon=True)
+    scheduler_thread.start()
+    
+    # Deliver alert notifications with retries
+    dispatcher_thread = threading.Thread(target=run_dispatcher, daemon=True)
+    dispatcher_thread.start()
+    
+    # Roll up readings and expire old data
+    retention_thread = threading.Thread(target=run_retention, daemon=True)
+    retention_thread.start()
+    
     # Start Flask API
     print(f"[API] Starting on http://0.0.0.0:{API_PORT}")
     app.run(host='0.0.0.0', port=API_PORT, debug=False)
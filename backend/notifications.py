@@ -0,0 +1,517 @@
+"""
+Outbound Alert Notifications
+Room Safety Checker - Backend Service
+
+New alerts are fanned out to admin-configured channels:
+- webhook: JSON POST, optionally signed (X-RoomGuard-Signature: sha256=<hmac>)
+- email:   plain-text mail through the SMTP server from .env
+- chat:    Slack/Mattermost/Google Chat ({"text"}) or Discord ({"content"})
+
+Each channel only receives alerts at or above its minimum severity. Repeats
+of the same alert type from the same room within the channel's dedupe window
+and anything over its hourly rate limit are logged as 'suppressed'. Every
+delivery is queued in notification_log and retried with backoff by a
+background dispatcher until it is 'sent' or 'failed'.
+"""
+
+import os
+import hmac
+import json
+import hashlib
+import http.client
+import socket
+import smtplib
+import ipaddress
+import threading
+import urllib.error
+import urllib.parse
+import urllib.request
+from datetime import datetime, timedelta
+from email.message import EmailMessage
+from bson import ObjectId
+from bson.errors import InvalidId
+from flask import Blueprint, jsonify, request
+from auth import require_auth
+from utils import parse_range, parse_paging, serialize
+
+# ==================== CONFIGURATION ====================
+SMTP_HOST = os.getenv('SMTP_HOST', '')
+SMTP_PORT = int(os.getenv('SMTP_PORT', 587))
+SMTP_USERNAME = os.getenv('SMTP_USERNAME', '')
+SMTP_PASSWORD = os.getenv('SMTP_PASSWORD', '')
+SMTP_FROM = os.getenv('SMTP_FROM', 'roomguard@localhost')
+SMTP_STARTTLS = os.getenv('SMTP_STARTTLS', 'true').lower() == 'true'
+# Webhooks to localhost, private networks and link-local (cloud metadata)
+# addresses are refused unless this is set - e.g. for a receiver on the LAN
+ALLOW_PRIVATE_TARGETS = os.getenv('NOTIFY_ALLOW_PRIVATE_TARGETS', 'false').lower() == 'true'
+
+CHANNEL_TYPES = ('webhook', 'email', 'chat')
+CHAT_FORMATS = ('slack', 'discord')
+SEVERITIES = ('info', 'warning', 'high', 'critical')
+# Fire pre-alerts (fire_analytics.py) carry their own severity: info on watch, warning on warning.
+# Rule alerts (rules.py) carry the severity set in the rule.
+ALERT_SEVERITY = {'fire': 'critical', 'burglar': 'high', 'fire_warning': 'warning'}
+
+# Seconds to wait before each retry; a delivery fails after the last one
+RETRY_BACKOFF = (10, 60, 300)
+REQUEST_TIMEOUT = 10
+DISPATCH_INTERVAL = 5
+
+DEFAULT_DEDUPE_SECONDS = 300
+DEFAULT_RATE_LIMIT = 20  # per channel per hour
+
+notifications_bp = Blueprint('notifications', __name__)
+
+# Set by init_notifications()
+devices = None
+channels = None
+notification_log = None
+
+# Wakes the dispatcher as soon as a delivery is queued
+wake_dispatcher = threading.Event()
+
+# ==================== SETUP ====================
+def init_notifications(db):
+    global devices, channels, notification_log
+    devices = db['devices']
+    channels = db['notification_channels']
+    notification_log = db['notification_log']
+
+    notification_log.create_index([('created_at', -1)])
+    notification_log.create_index([('status', 1), ('next_attempt_at', 1)])
+    notification_log.create_index([('channel_id', 1), ('dedupe_key', 1), ('created_at', -1)])
+
+    # Deliveries interrupted by a restart are picked up again
+    notification_log.update_many({'status': 'sending', 'test': False}, {'$set': {'status': 'pending'}})
+
+def public_channel(channel):
+    """Channel for the API - the webhook secret is write-only"""
+    doc = serialize({k: v for k, v in channel.items() if k not in ('_id', 'secret')})
+    doc['id'] = str(channel['_id'])
+    doc['has_secret'] = bool(channel.get('secret'))
+    return doc
+
+def validate_channel(body, partial=False):
+    """Return (fields, error) for a channel body; partial allows missing fields"""
+    fields = {}
+
+    if 'name' in body or not partial:
+        name = str(body.get('name', '')).strip()
+        if not name:
+            return None, 'name is required'
+        fields['name'] = name[:80]
+
+    if 'type' in body or not partial:
+        if body.get('type') not in CHANNEL_TYPES:
+            return None, f'type must be one of {", ".join(CHANNEL_TYPES)}'
+        fields['type'] = body['type']
+
+    if 'min_severity' in body or not partial:
+        severity = body.get('min_severity', 'high')
+        if severity not in SEVERITIES:
+            return None, f'min_severity must be one of {", ".join(SEVERITIES)}'
+        fields['min_severity'] = severity
+
+    if 'url' in body:
+        url = str(body['url']).strip()
+        problem = url and url_problem(url)
+        if problem:
+            return None, problem
+        fields['url'] = url
+
+    if 'recipients' in body:
+        recipients = body['recipients']
+        if isinstance(recipients, str):
+            recipients = recipients.split(',')
+        if not isinstance(recipients, list) or not all(isinstance(r, str) for r in recipients):
+            return None, 'recipients must be a comma-separated string or a list of addresses'
+        fields['recipients'] = [r.strip() for r in recipients if '@' in r]
+
+    if 'chat_format' in body:
+        if body['chat_format'] not in CHAT_FORMATS:
+            return None, f'chat_format must be one of {", ".join(CHAT_FORMATS)}'
+        fields['chat_format'] = body['chat_format']
+
+    if 'secret' in body:
+        fields['secret'] = str(body['secret'])
+
+    for name, default in (('dedupe_seconds', DEFAULT_DEDUPE_SECONDS), ('rate_limit_per_hour', DEFAULT_RATE_LIMIT)):
+        if name in body or not partial:
+            try:
+                value = int(body.get(name, default))
+            except (TypeError, ValueError):
+                return None, f'{name} must be a number'
+            if value < 0:
+                return None, f'{name} must not be negative'
+            fields[name] = value
+
+    if 'enabled' in body:
+        fields['enabled'] = bool(body['enabled'])
+
+    return fields, None
+
+def check_target(channel):
+    """Error message if the channel can't be delivered to, else None"""
+    if channel['type'] in ('webhook', 'chat') and not channel.get('url'):
+        return 'url is required'
+    if channel['type'] == 'email':
+        if not channel.get('recipients'):
+            return 'At least one recipient is required'
+        if not SMTP_HOST:
+            return 'SMTP_HOST is not configured on the server'
+    return None
+
+# ==================== QUEUEING ====================
+def notify_alert(alert):
+    """Queue deliveries of a new alert to every matching channel"""
+    severity = alert.get('severity') or ALERT_SEVERITY.get(alert.get('type'), 'warning')
+    now = datetime.utcnow()
+    queued = False
+
+    for channel in channels.find({'enabled': True}):
+        if SEVERITIES.index(severity) < SEVERITIES.index(channel.get('min_severity', 'high')):
+            continue
+
+        entry = new_delivery(channel, alert, severity, now)
+        entry['status'], entry['reason'] = throttle(channel, entry['dedupe_key'], now)
+        notification_log.insert_one(entry)
+        queued = queued or entry['status'] == 'pending'
+
+    if queued:
+        wake_dispatcher.set()
+
+def new_delivery(channel, alert, severity, now, test=False):
+    return {
+        'channel_id': str(channel['_id']),
+        'channel_name': channel['name'],
+        'channel_type': channel['type'],
+        'alert_id': str(alert['_id']) if '_id' in alert else None,
+        'device': alert.get('device'),
+        'alert_type': alert.get('type'),
+        'severity': severity,
+        'message': alert.get('message', ''),
+        'alert_time': alert.get('timestamp', now),
+        # Each rule is its own kind of alert
+        'dedupe_key': f"{alert.get('device')}:{alert.get('rule_id') or alert.get('type')}",
+        'test': test,
+        'attempts': 0,
+        'created_at': now,
+        'next_attempt_at': now
+    }
+
+def throttle(channel, dedupe_key, now):
+    """(status, reason) - 'pending' unless deduplicated or rate limited"""
+    window = channel.get('dedupe_seconds', DEFAULT_DEDUPE_SECONDS)
+    if window and notification_log.find_one({
+        'channel_id': str(channel['_id']),
+        'dedupe_key': dedupe_key,
+        'status': {'$in': ['pending', 'sending', 'sent']},
+        'test': False,
+        'created_at': {'$gte': now - timedelta(seconds=window)}
+    }):
+        return 'suppressed', f'Duplicate within {window}s'
+
+    limit = channel.get('rate_limit_per_hour', DEFAULT_RATE_LIMIT)
+    if limit and notification_log.count_documents({
+        'channel_id': str(channel['_id']),
+        'status': {'$in': ['pending', 'sending', 'sent']},
+        'test': False,
+        'created_at': {'$gte': now - timedelta(hours=1)}
+    }) >= limit:
+        return 'suppressed', f'Rate limit of {limit}/hour reached'
+
+    return 'pending', None
+
+# ==================== DELIVERY ====================
+def render(entry):
+    """Subject line and body text for a delivery"""
+    device = devices.find_one({'device_id': entry['device']}) or {}
+    room = device.get('name') or entry['device']
+    prefix = '[TEST] ' if entry['test'] else ''
+    icon = {'fire': '🔥', 'burglar': '🚨', 'fire_warning': '🌡️', 'rule': '🤖'}.get(entry['alert_type'], '🔔')
+    alert_time = entry['alert_time']
+    if isinstance(alert_time, datetime):
+        alert_time = alert_time.isoformat() + 'Z'
+
+    subject = f"{prefix}{icon} {str(entry['alert_type']).upper()} alert - {room}"
+    text = f"{subject}\n{entry['message']}\nSeverity: {entry['severity']}\nTime: {alert_time}"
+    return room, subject, text, alert_time
+
+# ==================== WEBHOOK TARGETS ====================
+def url_problem(url):
+    """Why the backend must not POST to this URL, or None"""
+    parts = urllib.parse.urlsplit(url)
+    if parts.scheme not in ('http', 'https') or not parts.hostname:
+        return 'url must start with http:// or https://'
+    try:
+        port = parts.port
+    except ValueError:
+        return 'url has an invalid port'
+    if ALLOW_PRIVATE_TARGETS:
+        return None
+    try:
+        addresses = {info[4][0] for info in socket.getaddrinfo(parts.hostname, port)}
+    except (socket.gaierror, UnicodeError):
+        return f'Cannot resolve {parts.hostname}'
+    for address in addresses:
+        if is_private(address):
+            return f'{parts.hostname} is a local or private address (set NOTIFY_ALLOW_PRIVATE_TARGETS=true to allow it)'
+    return None
+
+def is_private(address):
+    return not ipaddress.ip_address(address.split('%')[0]).is_global
+
+def connect_checked(address, *args, **kwargs):
+    """
+    socket.create_connection() that refuses local/private peers: the name is
+    resolved again on connect and may point elsewhere than when url_problem()
+    looked (DNS rebinding). Checked before anything is sent, TLS included.
+    """
+    sock = socket.create_connection(address, *args, **kwargs)
+    if not ALLOW_PRIVATE_TARGETS and is_private(sock.getpeername()[0]):
+        sock.close()
+        raise OSError(f'{address[0]} connected to a local or private address')
+    return sock
+
+class CheckedHTTPConnection(http.client.HTTPConnection):
+    def __init__(self, *args, **kwargs):
+        super().__init__(*args, **kwargs)
+        self._create_connection = connect_checked
+
+class CheckedHTTPSConnection(http.client.HTTPSConnection):
+    def __init__(self, *args, **kwargs):
+        super().__init__(*args, **kwargs)
+        self._create_connection = connect_checked
+
+class CheckedHTTPHandler(urllib.request.HTTPHandler):
+    def http_open(self, req):
+        return self.do_open(CheckedHTTPConnection, req)
+
+class CheckedHTTPSHandler(urllib.request.HTTPSHandler):
+    def https_open(self, req):
+        return self.do_open(CheckedHTTPSConnection, req, context=self._context)
+
+class CheckedRedirectHandler(urllib.request.HTTPRedirectHandler):
+    """Follow redirects only to URLs a channel could be saved with"""
+    def redirect_request(self, req, fp, code, msg, headers, newurl):
+        problem = url_problem(newurl)
+        if problem:
+            raise urllib.error.URLError(f'Redirect refused: {problem}')
+        return super().redirect_request(req, fp, code, msg, headers, newurl)
+
+opener = urllib.request.build_opener(CheckedHTTPHandler, CheckedHTTPSHandler, CheckedRedirectHandler)
+
+def post_json(url, payload, secret=None):
+    data = json.dumps(payload).encode()
+    headers = {'Content-Type': 'application/json', 'User-Agent': 'RoomGuard-Notifier'}
+    if secret:
+        digest = hmac.new(secret.encode(), data, hashlib.sha256).hexdigest()
+        headers['X-RoomGuard-Signature'] = f'sha256={digest}'
+    # Checked again on every delivery: the host may resolve elsewhere by now,
+    # and the opener checks the address it actually connects to
+    problem = url_problem(url)
+    if problem:
+        raise RuntimeError(problem)
+    req = urllib.request.Request(url, data=data, method='POST', headers=headers)
+    # Non-2xx responses raise HTTPError
+    with opener.open(req, timeout=REQUEST_TIMEOUT) as res:
+        res.read()
+
+def deliver(channel, entry):
+    """Send one delivery; raises on failure"""
+    room, subject, text, alert_time = render(entry)
+
+    if channel['type'] == 'webhook':
+        payload = {
+            'event': 'test' if entry['test'] else 'alert',
+            'alert_id': entry['alert_id'],
+            'device': entry['device'],
+            'room': room,
+            'type': entry['alert_type'],
+            'severity': entry['severity'],
+            'message': entry['message'],
+            'timestamp': alert_time
+        }
+        post_json(channel['url'], payload, channel.get('secret'))
+
+    elif channel['type'] == 'chat':
+        key = 'content' if channel.get('chat_format') == 'discord' else 'text'
+        post_json(channel['url'], {key: text})
+
+    elif channel['type'] == 'email':
+        if not SMTP_HOST:
+            raise RuntimeError('SMTP_HOST is not configured')
+        msg = EmailMessage()
+        msg['Subject'] = subject
+        msg['From'] = SMTP_FROM
+        msg['To'] = ', '.join(channel['recipients'])
+        msg.set_content(text)
+        with smtplib.SMTP(SMTP_HOST, SMTP_PORT, timeout=REQUEST_TIMEOUT) as smtp:
+            if SMTP_STARTTLS:
+                smtp.starttls()
+            if SMTP_USERNAME:
+                smtp.login(SMTP_USERNAME, SMTP_PASSWORD)
+            smtp.send_message(msg)
+
+def attempt(entry, retry=True):
+    """Try a delivery once and record the outcome; returns the updated entry"""
+    now = datetime.utcnow()
+    attempts = entry['attempts'] + 1
+    channel = find_channel(entry['channel_id'])
+
+    update = {'attempts': attempts, 'last_attempt_at': now}
+    try:
+        if not channel:
+            raise RuntimeError('Channel was deleted')
+        deliver(channel, entry)
+        update.update({'status': 'sent', 'sent_at': now, 'error': None})
+    except Exception as e:
+        update['error'] = str(e)[:300]
+        if retry and channel and attempts <= len(RETRY_BACKOFF):
+            update.update({
+                'status': 'pending',
+                'next_attempt_at': now + timedelta(seconds=RETRY_BACKOFF[attempts - 1])
+            })
+        else:
+            update['status'] = 'failed'
+        print(f"[Notify] {entry['channel_name']}: attempt {attempts} failed: {e}")
+
+    notification_log.update_one({'_id': entry['_id']}, {'$set': update})
+    return {**entry, **update}
+
+def run_dispatcher():
+    """Send queued deliveries as they become due (background thread)"""
+    while True:
+        wake_dispatcher.wait(DISPATCH_INTERVAL)
+        wake_dispatcher.clear()
+        try:
+            while True:
+                # Claim one due delivery so a slow channel doesn't block the loop forever
+                entry = notification_log.find_one_and_update(
+                    {'status': 'pending', 'next_attempt_at': {'$lte': datetime.utcnow()}},
+                    {'$set': {'status': 'sending'}},
+                    sort=[('next_attempt_at', 1)]
+                )
+                if not entry:
+                    break
+                attempt(entry)
+        except Exception as e:
+            print(f"[Error] Notification dispatcher failed: {e}")
+
+# ==================== ROUTES ====================
+def find_channel(channel_id):
+    try:
+        return channels.find_one({'_id': ObjectId(channel_id)})
+    except InvalidId:
+        return None
+
+@notifications_bp.route('/api/notifications/channels', methods=['GET'])
+@require_auth('admin')
+def list_channels():
+    return jsonify({
+        'channels': [public_channel(c) for c in channels.find().sort('name', 1)],
+        'severities': SEVERITIES,
+        'alert_severity': ALERT_SEVERITY,
+        'smtp_configured': bool(SMTP_HOST)
+    })
+
+@notifications_bp.route('/api/notifications/channels', methods=['POST'])
+@require_auth('admin')
+def add_channel():
+    fields, error = validate_channel(request.get_json(silent=True) or {})
+    if error:
+        return jsonify({'error': error}), 400
+
+    channel = {'enabled': True, 'chat_format': 'slack', **fields, 'created_at': datetime.utcnow()}
+    error = check_target(channel)
+    if error:
+        return jsonify({'error': error}), 400
+
+    channels.insert_one(channel)
+    return jsonify(public_channel(channel)), 201
+
+@notifications_bp.route('/api/notifications/channels/<channel_id>', methods=['PUT'])
+@require_auth('admin')
+def update_channel(channel_id):
+    channel = find_channel(channel_id)
+    if not channel:
+        return jsonify({'error': 'Unknown channel'}), 404
+
+    fields, error = validate_channel(request.get_json(silent=True) or {}, partial=True)
+    if error:
+        return jsonify({'error': error}), 400
+    if not fields:
+        return jsonify({'error': 'Nothing to update'}), 400
+
+    channel = {**channel, **fields}
+    error = check_target(channel)
+    if error:
+        return jsonify({'error': error}), 400
+
+    channels.update_one({'_id': channel['_id']}, {'$set': fields})
+    return jsonify(public_channel(channel))
+
+@notifications_bp.route('/api/notifications/channels/<channel_id>', methods=['DELETE'])
+@require_auth('admin')
+def delete_channel(channel_id):
+    channel = find_channel(channel_id)
+    if not channel:
+        return jsonify({'error': 'Unknown channel'}), 404
+
+    channels.delete_one({'_id': channel['_id']})
+    # Nothing left to send to
+    notification_log.update_many(
+        {'channel_id': channel_id, 'status': 'pending'},
+        {'$set': {'status': 'failed', 'error': 'Channel was deleted'}}
+    )
+    return jsonify({'deleted': channel_id})
+
+@notifications_bp.route('/api/notifications/channels/<channel_id>/test', methods=['POST'])
+@require_auth('admin')
+def test_channel(channel_id):
+    """Send a test notification right away (no filters, no retries)"""
+    channel = find_channel(channel_id)
+    if not channel:
+        return jsonify({'error': 'Unknown channel'}), 404
+
+    test_alert = {
+        'device': 'test',
+        'type': 'test',
+        'message': 'Test notification from RoomGuard - this channel works.',
+    }
+    entry = new_delivery(channel, test_alert, 'info', datetime.utcnow(), test=True)
+    entry['status'] = 'sending'
+    notification_log.insert_one(entry)
+    entry = attempt(entry, retry=False)
+
+    result = serialize({k: v for k, v in entry.items() if k != '_id'})
+    return jsonify(result), 200 if entry['status'] == 'sent' else 502
+
+@notifications_bp.route('/api/notifications/log', methods=['GET'])
+@require_auth('admin')
+def get_log():
+    """
+    Delivery log, newest first.
+    Filters: ?channel=<id> ?status= ?start=&end= or ?hours=
+    Paging: ?page= ?page_size=
+    """
+    try:
+        since, until = parse_range(default_hours=24 * 7)
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+    page, page_size, skip = parse_paging()
+
+    query = {'created_at': {'$gte': since, '$lte': until}}
+    if request.args.get('channel'):
+        query['channel_id'] = request.args['channel']
+    if request.args.get('status'):
+        query['status'] = request.args['status']
+
+    total = notification_log.count_documents(query)
+    items = notification_log.find(query).sort('created_at', -1).skip(skip).limit(page_size)
+    return jsonify({
+        'items': [{**serialize({k: v for k, v in e.items() if k != '_id'}), 'id': str(e['_id'])} for e in items],
+        'total': total,
+        'page': page,
+        'page_size': page_size
+    })
@@ -0,0 +1,206 @@
+"""
+Occupancy Analytics
+Room Safety Checker - Backend Service
+
+How rooms are really used, from the occupant_count in every stored sensor
+reading and the checkout commands in the audit log:
+- entries: every rise of occupant_count (the IR beam-break counter)
+- peak occupancy and when it happened
+- time occupied vs. empty (gaps in the readings count as no data)
+- average dwell: person-time per entry (Little's law - nobody is tracked)
+- manual checkouts: how often and by whom people are checked out
+
+Results come per hour or per day for trend charts, and as a weekday x hour
+heatmap in the viewer's timezone.
+"""
+
+from collections import defaultdict
+from datetime import datetime, timedelta, timezone
+from zoneinfo import ZoneInfo, ZoneInfoNotFoundError
+from flask import Blueprint, jsonify, request
+from auth import require_auth
+from utils import parse_range
+
+# ==================== CONFIGURATION ====================
+MAX_RANGE = timedelta(days=31)
+HOURLY_UP_TO = timedelta(hours=48)   # Longer ranges are bucketed per day
+MAX_GAP = timedelta(seconds=60)      # Readings further apart than this leave a data gap
+
+occupancy_bp = Blueprint('occupancy', __name__)
+
+# Set by init_occupancy()
+sensor_readings = None
+audit_log = None
+
+# ==================== SETUP ====================
+def init_occupancy(db):
+    global sensor_readings, audit_log
+    sensor_readings = db['sensor_readings']
+    audit_log = db['audit_log']
+
+# ==================== ANALYSIS ====================
+def to_local(timestamp, tz):
+    """Naive UTC from MongoDB -> aware local time"""
+    return timestamp.replace(tzinfo=timezone.utc).astimezone(tz)
+
+def bucket_start(local, hourly):
+    local = local.replace(minute=0, second=0, microsecond=0)
+    return local if hourly else local.replace(hour=0)
+
+def empty_bucket():
+    return {'entries': 0, 'checkouts': 0, 'peak': 0, 'occupied_seconds': 0.0, 'observed_seconds': 0.0}
+
+def analyze(readings, checkouts, since, until, tz):
+    """
+    readings: (timestamp, occupant_count) oldest first; checkouts: confirmed
+    checkout audit entries. Returns the /api/occupancy body.
+    """
+    hourly = until - since <= HOURLY_UP_TO
+    buckets = defaultdict(empty_bucket)
+    heatmap = [[{'entries': 0, 'occupied_seconds': 0.0, 'observed_seconds': 0.0} for _ in range(24)]
+               for _ in range(7)]
+
+    entries = 0
+    peak, peak_at = 0, None
+    occupied = observed = person_seconds = 0.0
+    periods = []        # Lengths of uninterrupted occupied stretches, in seconds
+    period_start = None
+    previous = None
+
+    for timestamp, count in readings:
+        local = to_local(timestamp, tz)
+        bucket = buckets[bucket_start(local, hourly)]
+        cell = heatmap[local.weekday()][local.hour]
+        bucket['peak'] = max(bucket['peak'], count)
+        if count > peak:
+            peak, peak_at = count, timestamp
+
+        if previous:
+            last_time, last_count = previous
+            gap = (timestamp - last_time).total_seconds()
+
+            # A rise is somebody walking in; drops are checkouts or a reset
+            if count > last_count:
+                entries += count - last_count
+                bucket['entries'] += count - last_count
+                cell['entries'] += count - last_count
+
+            if gap <= MAX_GAP.total_seconds():
+                observed += gap
+                bucket['observed_seconds'] += gap
+                cell['observed_seconds'] += gap
+                if last_count > 0:
+                    occupied += gap
+                    person_seconds += gap * last_count
+                    bucket['occupied_seconds'] += gap
+                    cell['occupied_seconds'] += gap
+            elif period_start:
+                # Can't tell when a stretch ended inside a data gap
+                periods.append((last_time - period_start).total_seconds())
+                period_start = None
+
+        if count > 0 and not period_start:
+            period_start = timestamp
+        elif count == 0 and period_start:
+            periods.append((timestamp - period_start).total_seconds())
+            period_start = None
+        previous = (timestamp, count)
+
+    if period_start and previous:
+        periods.append((previous[0] - period_start).total_seconds())
+
+    by_user = defaultdict(int)
+    for checkout in checkouts:
+        buckets[bucket_start(to_local(checkout['timestamp'], tz), hourly)]['checkouts'] += 1
+        by_user[checkout.get('user_name') or checkout['user']] += 1
+
+    # Every bucket in the range, so charts show quiet hours as zero
+    series = []
+    step = timedelta(hours=1) if hourly else timedelta(days=1)
+    cursor = bucket_start(to_local(since, tz), hourly)
+    end = to_local(until, tz)
+    while cursor <= end:
+        bucket = buckets.get(cursor, empty_bucket())
+        series.append({
+            'start': cursor.astimezone(timezone.utc).replace(tzinfo=None).isoformat(),
+            **{k: round(v) if isinstance(v, float) else v for k, v in bucket.items()}
+        })
+        # Wall-clock step keeps day buckets on local midnight across DST changes
+        cursor = (cursor.replace(tzinfo=None) + step).replace(tzinfo=tz)
+
+    days = max((until - since).total_seconds() / 86400, 1 / 24)
+    checkout_count = sum(by_user.values())
+    return {
+        'bucket': 'hour' if hourly else 'day',
+        'summary': {
+            'entries': entries,
+            'entries_per_day': round(entries / days, 1),
+            'peak_occupancy': peak,
+            'peak_at': peak_at.isoformat() if peak_at else None,
+            'occupied_seconds': round(occupied),
+            'empty_seconds': round(observed - occupied),
+            'no_data_seconds': round(max((until - since).total_seconds() - observed, 0)),
+            'occupied_ratio': round(occupied / observed, 3) if observed else None,
+            'occupied_periods': len(periods),
+            'avg_occupied_period_seconds': round(sum(periods) / len(periods)) if periods else None,
+            'avg_dwell_seconds': round(person_seconds / entries) if entries else None,
+            'checkouts': checkout_count,
+            'checkouts_per_day': round(checkout_count / days, 1),
+            'checkouts_per_entry': round(checkout_count / entries, 2) if entries else None,
+            'checkouts_by_user': dict(sorted(by_user.items(), key=lambda kv: -kv[1])),
+        },
+        'series': series,
+        'heatmap': [[{
+            'entries': cell['entries'],
+            'occupied_ratio': round(cell['occupied_seconds'] / cell['observed_seconds'], 3)
+            if cell['observed_seconds'] else None,
+        } for cell in row] for row in heatmap],
+    }
+
+# ==================== ROUTES ====================
+@occupancy_bp.route('/api/occupancy', methods=['GET'])
+@require_auth()
+def get_occupancy():
+    """
+    Occupancy analytics for one room. ?device= plus ?hours= (default 7 days)
+    or ?start=&end=, and ?tz= (IANA name, default UTC) for local hours/days.
+    The heatmap is indexed [weekday Mon=0][hour].
+    """
+    device = request.args.get('device')
+    if not device:
+        return jsonify({'error': 'device is required'}), 400
+    try:
+        tz = ZoneInfo(request.args.get('tz') or 'UTC')
+    except (ZoneInfoNotFoundError, ValueError):
+        return jsonify({'error': 'Unknown timezone'}), 400
+
+    try:
+        since, until = parse_range(default_hours=24 * 7)
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+    if until <= since:
+        return jsonify({'error': 'end must be after start'}), 400
+    if until - since > MAX_RANGE:
+        return jsonify({'error': f'At most {MAX_RANGE.days} days at a time'}), 400
+
+    window = {'$gte': since, '$lte': until}
+    readings = (
+        (r['timestamp'], r.get('occupant_count') or 0)
+        for r in sensor_readings.find(
+            {'device': device, 'timestamp': window},
+            {'_id': 0, 'timestamp': 1, 'occupant_count': 1}
+        ).sort('timestamp', 1)
+    )
+    checkouts = list(audit_log.find(
+        {'device': device, 'action': 'checkout', 'outcome': 'confirmed', 'timestamp': window},
+        {'_id': 0, 'timestamp': 1, 'user': 1, 'user_name': 1}
+    ))
+
+    result = analyze(readings, checkouts, since, until, tz)
+    return jsonify({
+        'device': device,
+        'start': since.isoformat(),
+        'end': until.isoformat(),
+        'timezone': str(tz),
+        **result
+    })
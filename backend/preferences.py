@@ -0,0 +1,168 @@
+"""
+User Preferences
+Room Safety Checker - Backend Service
+
+Per-user display and alert choices: °C or °F, 12/24h time and timezone,
+siren and volume, quiet hours that keep non-fire alerts silent, and which
+alert types notify at all. The defaults and allowed values live in
+schemas/preferences.json, shared with the dashboard, which applies them.
+Web Push (web_push.py) follows the notification choices here as well.
+"""
+
+import os
+import re
+import copy
+import json
+from datetime import datetime, timezone
+from zoneinfo import ZoneInfo, ZoneInfoNotFoundError
+from flask import Blueprint, jsonify, request, g
+from auth import require_auth
+
+# ==================== CONFIGURATION ====================
+PREFERENCES_FILE = os.getenv('PREFERENCES_FILE', os.path.join(
+    os.path.dirname(os.path.abspath(__file__)), '..', 'schemas', 'preferences.json'))
+
+TIME_OF_DAY = re.compile(r'^([01]\d|2[0-3]):[0-5]\d$')
+
+# Choices picked from a fixed list
+CHOICES = ('temp_unit', 'time_format', 'siren')
+
+preferences_bp = Blueprint('preferences', __name__)
+
+# Set by init_preferences()
+user_preferences = None
+DEFAULTS = {}
+OPTIONS = {}
+
+# ==================== SETUP ====================
+def init_preferences(db):
+    global user_preferences
+    user_preferences = db['user_preferences']
+    user_preferences.create_index('user', unique=True)
+
+    with open(PREFERENCES_FILE, encoding='utf-8') as f:
+        spec = json.load(f)
+    DEFAULTS.update(spec['defaults'])
+    OPTIONS.update(spec['options'])
+
+# ==================== PREFERENCES ====================
+def merged(stored):
+    """Stored preferences over the defaults, one level deep for the grouped ones"""
+    prefs = copy.deepcopy(DEFAULTS)
+    for key, value in (stored or {}).items():
+        if key not in prefs:
+            continue
+        if isinstance(prefs[key], dict):
+            prefs[key].update({k: v for k, v in value.items() if k in prefs[key]})
+        else:
+            prefs[key] = value
+    return prefs
+
+def preferences_of(username):
+    doc = user_preferences.find_one({'user': username}, {'preferences': 1}) or {}
+    return merged(doc.get('preferences'))
+
+def find_zone(name):
+    try:
+        return ZoneInfo(name) if name else None
+    except (ZoneInfoNotFoundError, ValueError, OSError):
+        return None
+
+def apply_update(prefs, body):
+    """
+    Apply a partial update to a copy of prefs.
+    Returns (preferences, None) or (None, error message).
+    """
+    prefs = copy.deepcopy(prefs)
+    for key, value in body.items():
+        if key not in DEFAULTS:
+            return None, f'Unknown preference: {key}'
+
+        if key in CHOICES:
+            if not isinstance(value, str) or value not in OPTIONS[key]:
+                return None, f"{key} must be one of {', '.join(OPTIONS[key])}"
+            prefs[key] = value
+        elif key == 'timezone':
+            value = str(value or '').strip()
+            if value and not find_zone(value):
+                return None, f'Unknown timezone: {value}'
+            prefs[key] = value
+        elif key == 'siren_volume':
+            if isinstance(value, bool) or not isinstance(value, (int, float)) or not 0 <= value <= 1:
+                return None, 'siren_volume must be between 0 and 1'
+            prefs[key] = round(float(value), 2)
+        elif not isinstance(value, dict):
+            return None, f'{key} must be an object'
+        elif key == 'quiet_hours':
+            for name, item in value.items():
+                if name == 'enabled':
+                    prefs[key][name] = bool(item)
+                elif name in ('start', 'end'):
+                    if not TIME_OF_DAY.match(str(item)):
+                        return None, f'quiet_hours.{name} must be HH:MM'
+                    prefs[key][name] = item
+                else:
+                    return None, f'Unknown preference: quiet_hours.{name}'
+        elif key == 'notify':
+            for alert_type, item in value.items():
+                if alert_type not in OPTIONS['notify']:
+                    return None, f'Unknown alert type: {alert_type}'
+                prefs[key][alert_type] = bool(item)
+
+    quiet = prefs['quiet_hours']
+    if quiet['enabled'] and quiet['start'] == quiet['end']:
+        return None, 'Quiet hours need different start and end times'
+    return prefs, None
+
+def in_quiet_hours(prefs, browser_timezone=None, now=None):
+    """
+    Whether it is quiet time for this user. Times are in the user's timezone;
+    without one, in the browser's (sent with push subscriptions), else UTC.
+    """
+    quiet = prefs['quiet_hours']
+    if not quiet['enabled']:
+        return False
+    zone = find_zone(prefs['timezone']) or find_zone(browser_timezone) or timezone.utc
+    local = (now or datetime.now(timezone.utc)).astimezone(zone).strftime('%H:%M')
+    start, end = quiet['start'], quiet['end']
+    # A window like 22:00-07:00 runs over midnight
+    return start <= local < end if start < end else local >= start or local < end
+
+def wants_notification(prefs, alert_type):
+    """Alert types without a toggle always notify"""
+    return prefs['notify'].get(alert_type, True)
+
+def silenced(prefs, alert_type, browser_timezone=None):
+    """Quiet hours silence everything except fire"""
+    return alert_type != 'fire' and in_quiet_hours(prefs, browser_timezone)
+
+# ==================== API ====================
+@preferences_bp.route('/api/preferences', methods=['GET'])
+@require_auth()
+def get_preferences():
+    return jsonify(preferences_of(g.user['username']))
+
+@preferences_bp.route('/api/preferences', methods=['PUT'])
+@require_auth()
+def update_preferences():
+    body = request.get_json(silent=True)
+    if not isinstance(body, dict) or not body:
+        return jsonify({'error': 'Nothing to update'}), 400
+
+    prefs, error = apply_update(preferences_of(g.user['username']), body)
+    if error:
+        return jsonify({'error': error}), 400
+
+    user_preferences.update_one(
+        {'user': g.user['username']},
+        {'$set': {'preferences': prefs, 'updated_at': datetime.utcnow()}},
+        upsert=True
+    )
+    return jsonify(prefs)
+
+@preferences_bp.route('/api/preferences', methods=['DELETE'])
+@require_auth()
+def reset_preferences():
+    """Back to the defaults"""
+    user_preferences.delete_one({'user': g.user['username']})
+    return jsonify(merged(None))
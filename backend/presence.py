@@ -0,0 +1,128 @@
+"""
+Device Presence
+Room Safety Checker - Backend Service
+
+Devices publish a retained {"online": true} on roomguard/<id>/presence when
+they connect, with an MQTT last-will of {"online": false}, plus a periodic
+heartbeat. A watchdog also marks a device offline when nothing has been heard
+from it for DEVICE_TIMEOUT_SECONDS, covering a dead ESP32 whose broker session
+has not expired yet. Every online/offline transition is stored as an event.
+"""
+
+import os
+import time
+from datetime import datetime, timedelta
+from flask import Blueprint, jsonify, request
+from auth import require_auth
+from utils import parse_range
+
+# ==================== CONFIGURATION ====================
+DEVICE_TIMEOUT_SECONDS = int(os.getenv('DEVICE_TIMEOUT_SECONDS', 90))
+WATCHDOG_INTERVAL = 15
+
+presence_bp = Blueprint('presence', __name__)
+
+# Collections - set by init_presence()
+devices = None
+device_events = None
+
+# ==================== SETUP ====================
+def init_presence(db):
+    global devices, device_events
+    devices = db['devices']
+    device_events = db['device_events']
+
+    device_events.create_index([('device', 1), ('timestamp', 1)])
+
+# ==================== STATE ====================
+def set_presence(device_id, online, reason, timestamp=None):
+    """Record an online/offline transition; repeated states are ignored"""
+    timestamp = timestamp or datetime.utcnow()
+
+    result = devices.update_one(
+        {'device_id': device_id, 'online': {'$ne': online}},
+        {'$set': {'online': online, 'presence_changed_at': timestamp}}
+    )
+    if result.modified_count == 0:
+        return
+
+    device_events.insert_one({
+        'device': device_id,
+        'type': 'online' if online else 'offline',
+        'reason': reason,
+        'timestamp': timestamp
+    })
+    print(f"[Presence] [{device_id}] {'ONLINE' if online else 'OFFLINE'} ({reason})")
+
+def record_heartbeat(device_id, payload, timestamp):
+    """Keep the latest heartbeat diagnostics on the device record"""
+    devices.update_one(
+        {'device_id': device_id},
+        {'$set': {
+            'last_heartbeat': timestamp,
+            'uptime': payload.get('uptime'),
+            'rssi': payload.get('rssi'),
+            'free_heap': payload.get('heap')
+        }}
+    )
+
+def run_watchdog():
+    """Mark devices offline once they have been silent too long (background thread)"""
+    while True:
+        time.sleep(WATCHDOG_INTERVAL)
+        try:
+            cutoff = datetime.utcnow() - timedelta(seconds=DEVICE_TIMEOUT_SECONDS)
+            for device in devices.find({'online': True, 'last_seen': {'$lt': cutoff}}):
+                set_presence(device['device_id'], False, 'timeout')
+        except Exception as e:
+            print(f"[Error] Presence watchdog failed: {e}")
+
+# ==================== ROUTES ====================
+@presence_bp.route('/api/presence', methods=['GET'])
+@require_auth()
+def get_presence():
+    """
+    Online/offline events and the offline periods they form.
+    Filters: ?device= ?start=&end= or ?hours=
+    """
+    try:
+        since, until = parse_range()
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+
+    query = {'timestamp': {'$gte': since, '$lte': until}}
+    device = request.args.get('device')
+    if device:
+        query['device'] = device
+
+    events = list(device_events.find(query, {'_id': 0}).sort('timestamp', 1))
+
+    # Pair each offline event with the next online event for the same device
+    periods = []
+    open_periods = {}
+    for e in events:
+        if e['type'] == 'offline':
+            open_periods.setdefault(e['device'], e)
+        elif e['device'] in open_periods:
+            start = open_periods.pop(e['device'])
+            periods.append(offline_period(start, e['timestamp']))
+
+    # Still offline at the end of the window
+    for start in open_periods.values():
+        periods.append(offline_period(start, None))
+
+    for e in events:
+        e['timestamp'] = e['timestamp'].isoformat()
+    periods.sort(key=lambda p: p['start'], reverse=True)
+
+    return jsonify({'events': events, 'offline_periods': periods})
+
+def offline_period(start_event, end):
+    duration_end = end or datetime.utcnow()
+    return {
+        'device': start_event['device'],
+        'reason': start_event['reason'],
+        'start': start_event['timestamp'].isoformat(),
+        'end': end.isoformat() if end else None,
+        'duration_seconds': int((duration_end - start_event['timestamp']).total_seconds())
+    }
@@ -0,0 +1,546 @@
+"""
+Data Retention & Rollups
+Room Safety Checker - Backend Service
+
+Raw readings arrive every 5 seconds per room and would otherwise be kept
+forever. A background job rolls sensor_readings up into hourly and daily
+summaries (sensor_rollups_hourly / sensor_rollups_daily), then deletes what
+is older than each collection's retention - after appending it to gzipped
+NDJSON archives if archiving is on. Raw data is only deleted once it has
+been rolled up, so charts and long-range stats read the rollups where the
+raw readings are gone (see reading_buckets() / reading_summary()).
+Retention is set per collection by admins; the defaults come from .env.
+"""
+
+import os
+import re
+import gzip
+import json
+import time
+import threading
+from datetime import datetime, timedelta
+from pymongo import UpdateOne
+from flask import Blueprint, jsonify, request, g, send_from_directory
+from auth import require_auth
+from export import export_row
+from utils import parse_paging, serialize
+
+# ==================== CONFIGURATION ====================
+ARCHIVE_DIR = os.getenv('ARCHIVE_DIR') or os.path.join(os.path.dirname(os.path.abspath(__file__)), 'archive')
+STORAGE_JOB_INTERVAL = int(os.getenv('STORAGE_JOB_INTERVAL', 3600))
+# Let the backend settle before the first run
+STORAGE_JOB_DELAY = 60
+
+# collection: (days, archive) until an admin changes them - 0 days keeps everything
+DEFAULT_RETENTION = {
+    'sensor_readings': (int(os.getenv('RETENTION_SENSOR_READINGS_DAYS', 30)), True),
+    'status_logs': (int(os.getenv('RETENTION_STATUS_LOGS_DAYS', 30)), True),
+    'sensor_rollups_hourly': (int(os.getenv('RETENTION_HOURLY_DAYS', 365)), False),
+    'sensor_rollups_daily': (int(os.getenv('RETENTION_DAILY_DAYS', 0)), False),
+}
+
+# The History view's 7-day range needs raw readings
+MIN_DAYS = {
+    'sensor_readings': 8,
+    'status_logs': 8,
+    'sensor_rollups_hourly': 8,
+    'sensor_rollups_daily': 8,
+}
+
+# Rollups must outlive what they summarize
+SUMMARIZES = {
+    'sensor_rollups_hourly': 'sensor_readings',
+    'sensor_rollups_daily': 'sensor_rollups_hourly',
+}
+
+# Documents deleted (and archived) per round trip
+ARCHIVE_BATCH = 5000
+
+HOUR = 3600
+DAY = 86400
+LEVEL_STEPS = {'hourly': HOUR, 'daily': DAY}
+
+ARCHIVE_NAME = re.compile(r'^[a-z_]+-\d{4}-\d{2}-\d{2}\.ndjson\.gz$')
+
+# Time fields worth showing the oldest value of (when indexed)
+TIME_FIELDS = ('timestamp', 'created_at')
+
+storage_bp = Blueprint('storage', __name__)
+
+# Set by init_retention()
+db = None
+storage_state = None
+sensor_readings = None
+rollups = {}
+
+# One storage job at a time (background loop or "run now")
+run_lock = threading.Lock()
+
+# ==================== SETUP ====================
+def init_retention(database):
+    global db, storage_state, sensor_readings
+    db = database
+    storage_state = db['storage_state']
+    sensor_readings = db['sensor_readings']
+    rollups['hourly'] = db['sensor_rollups_hourly']
+    rollups['daily'] = db['sensor_rollups_daily']
+
+    for collection in rollups.values():
+        collection.create_index([('device', 1), ('timestamp', 1)], unique=True)
+        collection.create_index('timestamp')
+
+# ==================== SETTINGS ====================
+def retention_settings():
+    """{collection: {days, archive}} - the stored settings over the defaults"""
+    stored = (storage_state.find_one({'_id': 'retention'}) or {}).get('collections', {})
+    settings = {}
+    for name, (days, archive) in DEFAULT_RETENTION.items():
+        settings[name] = {'days': days, 'archive': archive, **stored.get(name, {})}
+    return settings
+
+def rollup_marks():
+    """Up to when (exclusive) raw readings are rolled up hourly, and hourly ones daily"""
+    doc = storage_state.find_one({'_id': 'rollups'}) or {}
+    return doc.get('hourly_until'), doc.get('daily_until')
+
+def validate_retention(settings, body):
+    """
+    Apply {collection: {days, archive}} to a copy of settings.
+    Returns (settings, None) or (None, error message).
+    """
+    settings = {name: dict(value) for name, value in settings.items()}
+    for name, changes in body.items():
+        if name not in settings:
+            return None, f'Retention can be set for {", ".join(settings)}'
+        if not isinstance(changes, dict):
+            return None, f'{name} must be an object'
+        if 'days' in changes:
+            days = changes['days']
+            if isinstance(days, bool) or not isinstance(days, int) or days < 0:
+                return None, f'{name}.days must be a whole number (0 keeps everything)'
+            if 0 < days < MIN_DAYS[name]:
+                return None, f'{name} must be kept at least {MIN_DAYS[name]} days'
+            settings[name]['days'] = days
+        if 'archive' in changes:
+            settings[name]['archive'] = bool(changes['archive'])
+
+    def kept(name):
+        # 0 (forever) outlives everything
+        return settings[name]['days'] or float('inf')
+
+    for rollup, source in SUMMARIZES.items():
+        if kept(rollup) < kept(source):
+            return None, f'{rollup} must be kept at least as long as {source}'
+    return settings, None
+
+# ==================== ROLLUPS ====================
+def floor_to(dt, seconds):
+    """Start of the epoch-aligned step containing dt (naive UTC)"""
+    epoch = int((dt - datetime(1970, 1, 1)).total_seconds())
+    return datetime.utcfromtimestamp(epoch - epoch % seconds)
+
+def bucket_of(step_seconds):
+    """Mongo expression: the start of the timestamp's bucket in epoch ms"""
+    ts_ms = {'$toLong': '$timestamp'}
+    return {'$subtract': [ts_ms, {'$mod': [ts_ms, step_seconds * 1000]}]}
+
+# Faulty readings (sensor_health.py) are left out of the temperature/humidity figures
+def _good(field):
+    return {'$cond': ['$faulty', None, f'${field}']}
+
+# Raw readings -> rollup fields
+RAW_SUMS = {
+    'samples': {'$sum': 1},
+    'faulty': {'$sum': {'$cond': ['$faulty', 1, 0]}},
+    'temp_sum': {'$sum': _good('temp')},
+    'temp_count': {'$sum': {'$cond': [{'$isNumber': _good('temp')}, 1, 0]}},
+    'temp_min': {'$min': _good('temp')},
+    'temp_max': {'$max': _good('temp')},
+    'humidity_sum': {'$sum': _good('humidity')},
+    'humidity_count': {'$sum': {'$cond': [{'$isNumber': _good('humidity')}, 1, 0]}},
+    'humidity_min': {'$min': _good('humidity')},
+    'humidity_max': {'$max': _good('humidity')},
+    'occupant_max': {'$max': '$occupant_count'},
+    'pir': {'$max': '$pir'},
+}
+
+def merge_op(field):
+    """How a rollup field of several buckets adds up: $sum, $min or $max"""
+    if field.endswith('_min'):
+        return '$min'
+    if field.endswith('_max') or field == 'pir':
+        return '$max'
+    return '$sum'
+
+# Rollups -> coarser rollups
+ROLLUP_SUMS = {field: {merge_op(field): f'${field}'} for field in RAW_SUMS}
+
+MERGE = {'$sum': lambda a, b: a + b, '$min': min, '$max': max}
+
+def combine(total, part):
+    """Add one bucket's rollup fields to another's"""
+    for field, value in part.items():
+        if value is None:
+            continue
+        current = total.get(field)
+        total[field] = value if current is None else MERGE[merge_op(field)](current, value)
+
+def roll_up(source, target, sums, step, start, end):
+    """Summarize source documents in [start, end) into target, one per device and step"""
+    pipeline = [
+        {'$match': {'timestamp': {'$gte': start, '$lt': end}}},
+        {'$group': {'_id': {'device': '$device', 'bucket': bucket_of(step)}, **sums}},
+    ]
+    ops = []
+    for b in source.aggregate(pipeline, allowDiskUse=True):
+        key = b.pop('_id')
+        timestamp = datetime.utcfromtimestamp(key['bucket'] / 1000)
+        # Whole steps are rolled up at once, so a rerun simply replaces them
+        ops.append(UpdateOne({'device': key['device'], 'timestamp': timestamp}, {'$set': b}, upsert=True))
+    if ops:
+        target.bulk_write(ops, ordered=False)
+    return len(ops)
+
+def advance(source, level, sums, until, chunk):
+    """Roll source up into the level's rollups from its watermark to until, in chunks, saving progress"""
+    step = LEVEL_STEPS[level]
+    mark = (storage_state.find_one({'_id': 'rollups'}) or {}).get(f'{level}_until')
+    rolled = 0
+    if mark is None:
+        oldest = source.find_one({}, {'timestamp': 1}, sort=[('timestamp', 1)])
+        if not oldest:
+            return rolled
+        mark = floor_to(oldest['timestamp'], step)
+    while mark < until:
+        end = min(mark + chunk, until)
+        rolled += roll_up(source, rollups[level], sums, step, mark, end)
+        storage_state.update_one({'_id': 'rollups'}, {'$set': {f'{level}_until': end}}, upsert=True)
+        mark = end
+    return rolled
+
+def run_rollups(now):
+    """Roll up every finished hour, then every day whose hours are all rolled up"""
+    # Timestamps are set on receipt, so a finished hour gets no more readings
+    hourly = advance(sensor_readings, 'hourly', RAW_SUMS, floor_to(now, HOUR), timedelta(days=1))
+
+    hourly_until, _ = rollup_marks()
+    daily = 0
+    if hourly_until:
+        daily = advance(rollups['hourly'], 'daily', ROLLUP_SUMS, floor_to(hourly_until, DAY), timedelta(days=30))
+    return {'hourly': hourly, 'daily': daily}
+
+# ==================== RETENTION ====================
+def archive_path(name, day):
+    return os.path.join(ARCHIVE_DIR, name, f'{name}-{day:%Y-%m-%d}.ndjson.gz')
+
+def write_archive(name, docs):
+    """Append documents to one gzipped NDJSON file per collection and day"""
+    os.makedirs(os.path.join(ARCHIVE_DIR, name), exist_ok=True)
+    by_day = {}
+    for doc in docs:
+        by_day.setdefault(doc['timestamp'].date(), []).append(doc)
+    for day, day_docs in by_day.items():
+        # Appending adds a gzip member - gunzip and zcat read them as one file
+        with gzip.open(archive_path(name, day), 'at', encoding='utf-8') as f:
+            for doc in day_docs:
+                row = export_row({k: v for k, v in doc.items() if k != '_id'})
+                f.write(json.dumps(row, default=str) + '\n')
+
+def archive_and_delete(name, cutoff, archive):
+    """Delete documents older than cutoff, oldest first, archiving each batch before it goes"""
+    collection = db[name]
+    removed = 0
+    while True:
+        batch = list(collection.find({'timestamp': {'$lt': cutoff}}).sort('timestamp', 1).limit(ARCHIVE_BATCH))
+        if not batch:
+            return removed
+        if archive:
+            write_archive(name, batch)
+        collection.delete_many({'_id': {'$in': [doc['_id'] for doc in batch]}})
+        removed += len(batch)
+
+def apply_retention(now):
+    """Remove everything past its collection's retention. Returns {collection: removed}"""
+    hourly_until, daily_until = rollup_marks()
+    # Never drop data that isn't rolled up yet
+    holds = {
+        'sensor_readings': hourly_until or datetime.min,
+        'sensor_rollups_hourly': daily_until or datetime.min,
+    }
+
+    removed = {}
+    for name, setting in retention_settings().items():
+        if not setting['days']:
+            continue
+        cutoff = now - timedelta(days=setting['days'])
+        if name in holds:
+            cutoff = min(cutoff, holds[name])
+        removed[name] = archive_and_delete(name, cutoff, setting['archive'])
+    return removed
+
+def run_storage_job():
+    """Rollups, then retention. Returns the run summary, or None if a run is in progress"""
+    if not run_lock.acquire(blocking=False):
+        return None
+    try:
+        started = datetime.utcnow()
+        summary = {'started_at': started}
+        try:
+            summary['rolled_up'] = run_rollups(started)
+            summary['removed'] = apply_retention(started)
+        except Exception as e:
+            summary['error'] = str(e)
+            print(f"[Error] Storage job failed: {e}")
+        summary['finished_at'] = datetime.utcnow()
+
+        storage_state.replace_one({'_id': 'last_run'}, {'_id': 'last_run', **summary}, upsert=True)
+        if summary.get('removed'):
+            print(f"[Storage] Removed {summary['removed']}, rolled up {summary['rolled_up']}")
+        return summary
+    finally:
+        run_lock.release()
+
+def run_retention():
+    """Roll up and expire data every STORAGE_JOB_INTERVAL (background thread)"""
+    time.sleep(STORAGE_JOB_DELAY)
+    while True:
+        try:
+            run_storage_job()
+        except Exception as e:
+            print(f"[Error] Storage job failed: {e}")
+        time.sleep(STORAGE_JOB_INTERVAL)
+
+# ==================== READING ROLLUPS ====================
+def rollup_level(since, bucket_seconds, now=None):
+    """'hourly' / 'daily' rollups for charting from since in buckets this size, or None for raw"""
+    now = now or datetime.utcnow()
+    settings = retention_settings()
+
+    def kept_since(name):
+        days = settings[name]['days']
+        return days == 0 or since >= now - timedelta(days=days)
+
+    if bucket_seconds < HOUR and kept_since('sensor_readings'):
+        return None
+    if bucket_seconds >= DAY or not kept_since('sensor_rollups_hourly'):
+        return 'daily'
+    return 'hourly'
+
+def collect(collection, sums, match, bucket_seconds):
+    """{bucket start (epoch ms) or None: rollup fields} of the matching documents"""
+    pipeline = [
+        {'$match': match},
+        {'$group': {'_id': bucket_of(bucket_seconds) if bucket_seconds else None, **sums}},
+    ]
+    return {b.pop('_id'): b for b in collection.aggregate(pipeline, allowDiskUse=True)}
+
+def gather(device, since, until, level, bucket_seconds):
+    """
+    Rollup fields per bucket from the rollups where they exist and raw readings
+    after that. Coarsest first - each source takes over where the one before stops.
+    """
+    hourly_until, daily_until = rollup_marks()
+    sources = [('daily', daily_until)] if level == 'daily' else []
+    sources.append(('hourly', hourly_until))
+
+    device_match = {'device': device} if device else {}
+    totals = {}
+    start = floor_to(since, LEVEL_STEPS[level])
+    for name, until_mark in sources:
+        if not until_mark or until_mark <= start:
+            continue
+        stop = min(until_mark, until)
+        match = {**device_match, 'timestamp': {'$gte': start, '$lt': stop}}
+        for key, part in collect(rollups[name], ROLLUP_SUMS, match, bucket_seconds).items():
+            combine(totals.setdefault(key, {}), part)
+        start = stop
+
+    if start < until:
+        match = {**device_match, 'timestamp': {'$gte': max(start, since), '$lte': until}}
+        for key, part in collect(sensor_readings, RAW_SUMS, match, bucket_seconds).items():
+            combine(totals.setdefault(key, {}), part)
+    return totals
+
+def average(total, field):
+    count = total.get(f'{field}_count')
+    return round(total[f'{field}_sum'] / count, 1) if count else None
+
+def rounded(value):
+    return round(value, 1) if value is not None else None
+
+def reading_buckets(device, since, until, bucket_seconds):
+    """
+    Like /api/sensors?resolution= over raw readings, but from the rollups when
+    the range or bucket size allows. Returns None when raw readings should be used.
+    Bucket sizes are rounded up to whole hours / days.
+    """
+    level = rollup_level(since, bucket_seconds)
+    if not level:
+        return None
+
+    step = LEVEL_STEPS[level]
+    bucket_seconds = -(-bucket_seconds // step) * step
+    totals = gather(device, since, until, level, bucket_seconds)
+
+    return [{
+        'timestamp': datetime.utcfromtimestamp(key / 1000).isoformat(),
+        'temp': average(total, 'temp'),
+        'temp_max': rounded(total.get('temp_max')),
+        'humidity': average(total, 'humidity'),
+        'occupant_count': total.get('occupant_max'),
+        'pir': total.get('pir'),
+        'samples': total['samples'],
+    } for key, total in sorted(totals.items())]
+
+def reading_summary(device, since, until):
+    """
+    Reading counts and averages for /api/stats, from the hourly rollups plus
+    raw readings. The rollups start at the full hour before since.
+    """
+    total = gather(device, since, until, 'hourly', None).get(None, {})
+    return {
+        'total_readings': total.get('samples', 0),
+        'faulty_readings': total.get('faulty', 0),
+        'avg_temp': average(total, 'temp') or 0,
+        'max_temp': rounded(total.get('temp_max')) or 0,
+        'avg_humidity': average(total, 'humidity') or 0,
+    }
+
+# ==================== STORAGE INFO ====================
+def oldest_record(collection, indexes):
+    """(field, value) of the oldest record by an indexed time field, or (None, None)"""
+    for field in TIME_FIELDS:
+        if any(index['key'][0][0] == field for index in indexes.values()):
+            doc = collection.find_one({field: {'$exists': True}}, {field: 1}, sort=[(field, 1)])
+            return field, doc[field] if doc else None
+    return None, None
+
+def ttl_days(indexes):
+    """Expiry of a TTL index in days, if the collection has one"""
+    for index in indexes.values():
+        if 'expireAfterSeconds' in index:
+            return round(index['expireAfterSeconds'] / DAY, 1)
+    return None
+
+def collection_info(name, settings):
+    collection = db[name]
+    indexes = collection.index_information()
+    stats = next(collection.aggregate([{'$collStats': {'storageStats': {}}}]), {}).get('storageStats', {})
+    field, oldest = oldest_record(collection, indexes)
+    return {
+        'name': name,
+        'count': stats.get('count', 0),
+        'size': stats.get('size', 0),
+        'storage_size': stats.get('storageSize', 0),
+        'index_size': stats.get('totalIndexSize', 0),
+        'oldest_field': field,
+        'oldest': oldest.isoformat() if isinstance(oldest, datetime) else None,
+        'retention': settings.get(name),
+        'ttl_days': ttl_days(indexes),
+    }
+
+def archive_files():
+    """Archive files, newest first"""
+    files = []
+    if not os.path.isdir(ARCHIVE_DIR):
+        return files
+    for name in os.listdir(ARCHIVE_DIR):
+        folder = os.path.join(ARCHIVE_DIR, name)
+        if not os.path.isdir(folder):
+            continue
+        for filename in os.listdir(folder):
+            if not ARCHIVE_NAME.match(filename):
+                continue
+            stat = os.stat(os.path.join(folder, filename))
+            files.append({
+                'collection': name,
+                'name': filename,
+                'size': stat.st_size,
+                'modified': datetime.utcfromtimestamp(stat.st_mtime).isoformat(),
+            })
+    return sorted(files, key=lambda f: f['name'], reverse=True)
+
+# ==================== ROUTES ====================
+@storage_bp.route('/api/storage', methods=['GET'])
+@require_auth('admin')
+def get_storage():
+    """Size, oldest record and retention of every collection, plus rollup and archive state"""
+    settings = retention_settings()
+    names = sorted(n for n in db.list_collection_names() if not n.startswith('system.'))
+    hourly_until, daily_until = rollup_marks()
+    files = archive_files()
+    last_run = storage_state.find_one({'_id': 'last_run'}, {'_id': 0})
+
+    return jsonify({
+        'collections': [collection_info(name, settings) for name in names],
+        'retention': settings,
+        'min_days': MIN_DAYS,
+        'rollups': {
+            'hourly_until': hourly_until.isoformat() if hourly_until else None,
+            'daily_until': daily_until.isoformat() if daily_until else None,
+        },
+        'archive': {
+            'dir': ARCHIVE_DIR,
+            'files': len(files),
+            'size': sum(f['size'] for f in files),
+        },
+        'last_run': serialize(last_run) if last_run else None,
+        'running': run_lock.locked(),
+        'interval_seconds': STORAGE_JOB_INTERVAL,
+    })
+
+@storage_bp.route('/api/storage/retention', methods=['PUT'])
+@require_auth('admin')
+def update_retention():
+    """Change the retention of some collections: {collection: {days, archive}}"""
+    body = request.get_json(silent=True)
+    if not isinstance(body, dict) or not body:
+        return jsonify({'error': 'Nothing to update'}), 400
+
+    settings, error = validate_retention(retention_settings(), body)
+    if error:
+        return jsonify({'error': error}), 400
+
+    storage_state.update_one(
+        {'_id': 'retention'},
+        {'$set': {'collections': settings, 'updated_by': g.user['username'], 'updated_at': datetime.utcnow()}},
+        upsert=True
+    )
+    print(f"[Storage] Retention changed by {g.user['username']}: {body}")
+    return jsonify(settings)
+
+@storage_bp.route('/api/storage/run', methods=['POST'])
+@require_auth('admin')
+def run_now():
+    """Start the rollup and retention job now instead of waiting for the next run"""
+    if run_lock.locked():
+        return jsonify({'error': 'A storage job is already running'}), 409
+    threading.Thread(target=run_storage_job, daemon=True).start()
+    return jsonify({'running': True}), 202
+
+@storage_bp.route('/api/storage/archives', methods=['GET'])
+@require_auth('admin')
+def list_archives():
+    """Archive files newest first, ?collection= to filter; paged"""
+    page, page_size, skip = parse_paging()
+    files = archive_files()
+    collection = request.args.get('collection')
+    if collection:
+        files = [f for f in files if f['collection'] == collection]
+
+    return jsonify({
+        'items': files[skip:skip + page_size],
+        'total': len(files),
+        'page': page,
+        'page_size': page_size,
+    })
+
+@storage_bp.route('/api/storage/archives/<collection>/<filename>', methods=['GET'])
+@require_auth('admin')
+def download_archive(collection, filename):
+    if collection not in DEFAULT_RETENTION or not ARCHIVE_NAME.match(filename):
+        return jsonify({'error': 'Unknown archive'}), 404
+    folder = os.path.join(ARCHIVE_DIR, collection)
+    if not os.path.isfile(os.path.join(folder, filename)):
+        return jsonify({'error': 'Unknown archive'}), 404
+    return send_from_directory(folder, filename, as_attachment=True, mimetype='application/gzip')
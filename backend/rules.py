@@ -0,0 +1,535 @@
+"""
+Rules & Automation
+Room Safety Checker - Backend Service
+
+The firmware only knows two fixed reactions (burglar -> lock, fire ->
+unlock). Rules let admins add their own, evaluated here over every incoming
+sensor and status message:
+
+    humidity > 80 for 10 min                    -> notify
+    occupant_count == 0 between 22:00 and 06:00 -> lock the door
+    occupant_count > 12                         -> raise an overcrowding alert
+
+A rule's conditions must all hold on the room's latest values, optionally
+for a while and inside a weekly time window. It then fires once: commands go
+through the same audited path as the dashboard (as the 'rules' user), alerts
+go through the normal alert lifecycle and notification channels. It fires
+again only after the conditions stopped holding and the cooldown has passed.
+Every firing is kept in rule_firings.
+
+RuleEngine does no I/O, so a rule can be dry-run over stored history before
+it is switched on.
+"""
+
+import heapq
+import operator
+import re
+from datetime import datetime, timedelta, timezone
+from bson import ObjectId
+from bson.errors import InvalidId
+from flask import Blueprint, jsonify, request, g
+from alert_lifecycle import open_alert
+from arming import ARMING_TIMEZONE
+from auth import require_auth
+from fire_analytics import usable
+from live import push_alert_count
+from notifications import notify_alert, SEVERITIES
+from utils import parse_range, parse_paging, serialize, is_weekday
+from web_push import push_alert
+
+# ==================== CONFIGURATION ====================
+# Time windows are in the same timezone as the arming schedules (ARMING_TIMEZONE)
+
+# Values a condition can test: numbers, or one of a fixed set of states
+FIELDS = {
+    'temp': 'number',
+    'humidity': 'number',
+    'occupant_count': 'number',
+    'pir': 'number',
+    'ir': 'number',
+    'door': ['locked', 'unlocked'],
+    'mode': ['normal', 'fire', 'burglar'],
+    'arm_mode': ['disarmed', 'away', 'night'],
+}
+OPERATORS = {
+    '>': operator.gt,
+    '>=': operator.ge,
+    '<': operator.lt,
+    '<=': operator.le,
+    '==': operator.eq,
+    '!=': operator.ne,
+}
+ACTION_TYPES = ('command', 'alert', 'notify')
+# No reset or checkout - those need someone looking at the room
+RULE_COMMANDS = ('lock', 'unlock', 'arm_away', 'arm_night', 'disarm')
+# Commands a room is already in the state of are skipped
+COMMAND_STATE = {
+    'lock': ('door', 'locked'),
+    'unlock': ('door', 'unlocked'),
+    'arm_away': ('arm_mode', 'away'),
+    'arm_night': ('arm_mode', 'night'),
+    'disarm': ('arm_mode', 'disarmed'),
+}
+
+MAX_CONDITIONS = 5
+MAX_ACTIONS = 3
+MAX_SECONDS = 24 * 3600
+DEFAULT_COOLDOWN = 600
+MAX_DRY_RUN = timedelta(days=7)
+MAX_DRY_RUN_FIRINGS = 200
+
+RULE_ALERT_TYPE = 'rule'
+
+rules_bp = Blueprint('rules', __name__)
+
+# Set by init_rules()
+rules = None
+rule_firings = None
+devices = None
+sensor_readings = None
+status_logs = None
+dispatch_command = None
+
+engine = None        # RuleEngine over the live traffic
+active_rules = []    # Enabled rules, reloaded after every change
+
+# ==================== EVALUATION ====================
+def in_window(window, local):
+    """Whether a local time is inside {start, end, days}; overnight windows belong to the day they start"""
+    if not window:
+        return True
+    now = local.strftime('%H:%M')
+    day = local.weekday()
+    if window['start'] <= window['end']:
+        inside = window['start'] <= now < window['end']
+    elif now >= window['start']:
+        inside = True
+    else:
+        inside = now < window['end']
+        day = (day - 1) % 7
+    return inside and day in window.get('days', range(7))
+
+def describe(rule, values):
+    """humidity > 80 (now 83), ... - what made a rule fire"""
+    return ', '.join(
+        f"{c['field']} {c['op']} {c['value']} (now {values.get(c['field'])})" for c in rule['conditions']
+    )
+
+class RuleEngine:
+    """
+    Rule evaluation over one stream of messages, fed oldest first. Keeps each
+    room's latest values and, per rule and room, since when the conditions
+    hold and when the rule last fired.
+    """
+
+    def __init__(self, tz=ARMING_TIMEZONE):
+        self.tz = tz
+        self.values = {}       # device -> latest value of every field
+        self.holding = {}      # (rule id, device) -> {'since', 'fired'}
+        self.last_fired = {}   # (rule id, device) -> timestamp
+
+    def observe(self, device, payload):
+        """Merge a sensors or status message into the room's values"""
+        values = self.values.setdefault(device, {})
+        # A failed or faulty sensor (sensor_health.py) says nothing about the room
+        skip = set() if usable(payload) else {'temp', 'humidity'}
+        faults = payload.get('faults') or []
+        if 'pir_flapping' in faults:
+            skip.add('pir')
+        if 'ir_blocked' in faults:
+            skip.add('ir')
+        for field in FIELDS:
+            if field in payload and field not in skip:
+                values[field] = payload[field]
+
+    def holds(self, rule, device, timestamp):
+        local = timestamp.replace(tzinfo=timezone.utc).astimezone(self.tz)
+        if not in_window(rule.get('window'), local):
+            return False
+        values = self.values.get(device, {})
+        for condition in rule['conditions']:
+            value = values.get(condition['field'])
+            if value is None:
+                return False
+            try:
+                if not OPERATORS[condition['op']](value, condition['value']):
+                    return False
+            except TypeError:
+                return False
+        return True
+
+    def forget(self, rule_id):
+        """Drop the state of a changed or deleted rule"""
+        for key in [k for k in list(self.holding) if k[0] == rule_id]:
+            self.holding.pop(key, None)
+
+    def evaluate(self, rule_list, device, timestamp):
+        """Rules that fire for a room now: [(rule, values the conditions saw)]"""
+        fired = []
+        for rule in rule_list:
+            if rule.get('device') and rule['device'] != device:
+                continue
+            key = (rule['id'], device)
+            if not self.holds(rule, device, timestamp):
+                self.holding.pop(key, None)
+                continue
+
+            state = self.holding.setdefault(key, {'since': timestamp, 'fired': False})
+            if state['fired'] or timestamp - state['since'] < timedelta(seconds=rule.get('for_seconds', 0)):
+                continue
+            last = self.last_fired.get(key)
+            if last and timestamp - last < timedelta(seconds=rule.get('cooldown_seconds', DEFAULT_COOLDOWN)):
+                continue
+
+            state['fired'] = True
+            self.last_fired[key] = timestamp
+            values = self.values[device]
+            fired.append((rule, {c['field']: values.get(c['field']) for c in rule['conditions']}))
+        return fired
+
+def merged_messages(device, since, until):
+    """Stored sensor readings and status logs of a room as one stream, oldest first"""
+    query = {'device': device, 'timestamp': {'$gte': since, '$lte': until}}
+    fields = {'_id': 0, 'timestamp': 1, 'faulty': 1, **{f: 1 for f in FIELDS}}
+    return heapq.merge(
+        sensor_readings.find(query, fields).sort('timestamp', 1),
+        status_logs.find(query, fields).sort('timestamp', 1),
+        key=lambda m: m['timestamp']
+    )
+
+# ==================== SETUP ====================
+def init_rules(db, dispatch):
+    """dispatch(device_id, action, user) -> (body, status)"""
+    global rules, rule_firings, devices, sensor_readings, status_logs, dispatch_command, engine
+    rules = db['rules']
+    rule_firings = db['rule_firings']
+    devices = db['devices']
+    sensor_readings = db['sensor_readings']
+    status_logs = db['status_logs']
+    dispatch_command = dispatch
+
+    rule_firings.create_index([('timestamp', -1)])
+    rule_firings.create_index([('rule_id', 1), ('timestamp', -1)])
+
+    # Start from each room's last known values
+    engine = RuleEngine()
+    for device in devices.find({}, {'device_id': 1}):
+        for collection in (status_logs, sensor_readings):
+            last = collection.find_one({'device': device['device_id']}, sort=[('timestamp', -1)])
+            if last:
+                engine.observe(device['device_id'], last)
+    reload_rules()
+    print(f"[Rules] {len(active_rules)} rule(s) enabled")
+
+def reload_rules():
+    global active_rules
+    active_rules = [serialize_rule(r) for r in rules.find({'enabled': True})]
+
+def serialize_rule(rule):
+    doc = serialize({k: v for k, v in rule.items() if k != '_id'})
+    doc['id'] = str(rule['_id'])
+    return doc
+
+def validate_condition(condition):
+    if not isinstance(condition, dict) or condition.get('field') not in FIELDS:
+        return None, f'condition field must be one of {", ".join(FIELDS)}'
+    field, op, value = condition['field'], condition.get('op'), condition.get('value')
+    if op not in OPERATORS:
+        return None, f'condition op must be one of {" ".join(OPERATORS)}'
+
+    if FIELDS[field] == 'number':
+        if isinstance(value, bool):
+            return None, f'{field} must be compared with a number'
+        try:
+            value = float(value)
+        except (TypeError, ValueError):
+            return None, f'{field} must be compared with a number'
+        if value.is_integer():
+            value = int(value)
+    else:
+        if op not in ('==', '!='):
+            return None, f'{field} can only be compared with == or !='
+        if value not in FIELDS[field]:
+            return None, f'{field} must be one of {", ".join(FIELDS[field])}'
+    return {'field': field, 'op': op, 'value': value}, None
+
+def validate_action(action):
+    if not isinstance(action, dict) or action.get('type') not in ACTION_TYPES:
+        return None, f'action type must be one of {", ".join(ACTION_TYPES)}'
+    if action['type'] == 'command':
+        if action.get('action') not in RULE_COMMANDS:
+            return None, f'command must be one of {", ".join(RULE_COMMANDS)}'
+        return {'type': 'command', 'action': action['action']}, None
+
+    severity = action.get('severity', 'warning')
+    if severity not in SEVERITIES:
+        return None, f'severity must be one of {", ".join(SEVERITIES)}'
+    return {'type': action['type'], 'severity': severity, 'message': str(action.get('message') or '').strip()[:200]}, None
+
+def validate_rule(body, partial=False):
+    """Return (fields, error) for a rule body; partial allows missing fields"""
+    fields = {}
+
+    if 'name' in body or not partial:
+        name = str(body.get('name') or '').strip()
+        if not name:
+            return None, 'name is required'
+        fields['name'] = name[:80]
+
+    if 'device' in body:
+        device = body['device'] or None
+        if device and not devices.find_one({'device_id': device}):
+            return None, 'Unknown device'
+        fields['device'] = device
+
+    if 'conditions' in body or not partial:
+        conditions = body.get('conditions')
+        if not isinstance(conditions, list) or not 1 <= len(conditions) <= MAX_CONDITIONS:
+            return None, f'conditions must be a list of 1 to {MAX_CONDITIONS} conditions'
+        fields['conditions'] = []
+        for condition in conditions:
+            checked, error = validate_condition(condition)
+            if error:
+                return None, error
+            fields['conditions'].append(checked)
+
+    for key, default in (('for_seconds', 0), ('cooldown_seconds', DEFAULT_COOLDOWN)):
+        if key in body or not partial:
+            value = body.get(key, default)
+            if not isinstance(value, int) or isinstance(value, bool) or not 0 <= value <= MAX_SECONDS:
+                return None, f'{key} must be 0 - {MAX_SECONDS}'
+            fields[key] = value
+
+    if 'window' in body:
+        window = body['window']
+        if window:
+            if not isinstance(window, dict):
+                return None, 'window must be {start, end, days}'
+            for key in ('start', 'end'):
+                if not re.fullmatch(r'([01]\d|2[0-3]):[0-5]\d', str(window.get(key, ''))):
+                    return None, f'window {key} must be HH:MM (24h)'
+            days = window.get('days', list(range(7)))
+            if not isinstance(days, list) or not days or not all(is_weekday(d) for d in days):
+                return None, 'window days must be a non-empty list of weekdays 0 (Mon) - 6 (Sun)'
+            window = {'start': window['start'], 'end': window['end'], 'days': sorted(set(days))}
+        fields['window'] = window or None
+
+    if 'actions' in body or not partial:
+        actions = body.get('actions')
+        if not isinstance(actions, list) or not 1 <= len(actions) <= MAX_ACTIONS:
+            return None, f'actions must be a list of 1 to {MAX_ACTIONS} actions'
+        fields['actions'] = []
+        for action in actions:
+            checked, error = validate_action(action)
+            if error:
+                return None, error
+            fields['actions'].append(checked)
+
+    if 'enabled' in body:
+        fields['enabled'] = bool(body['enabled'])
+
+    return fields, None
+
+# ==================== ACTIONS ====================
+def rules_user(rule):
+    """Who a rule's commands are audited as"""
+    return {'username': 'rules', 'name': f"Rule: {rule['name']}", 'role': 'system'}
+
+def perform(rule, action, device_id, values, timestamp):
+    """Run one action of a fired rule: {'ok', 'detail'}"""
+    if action['type'] == 'command':
+        field, state = COMMAND_STATE[action['action']]
+        if engine.values.get(device_id, {}).get(field) == state:
+            return {'ok': True, 'detail': f'Already {state}'}
+        result, status = dispatch_command(device_id, action['action'], rules_user(rule))
+        return {'ok': status == 202, 'detail': result.get('error') or result.get('id')}
+
+    message = f"{action['message'] or rule['name']} ({describe(rule, values)})"
+    alert = {
+        'device': device_id,
+        'type': RULE_ALERT_TYPE,
+        'severity': action['severity'],
+        'message': message,
+        'source': 'rules',
+        'rule_id': rule['id'],
+        'rule_name': rule['name'],
+        'timestamp': timestamp
+    }
+    if action['type'] == 'notify':
+        # Notification channels only - nothing is stored or shown as an alert
+        notify_alert(alert)
+        return {'ok': True, 'detail': 'Queued for notification channels'}
+
+    open_alert(alert)
+    push_alert_count(alert)
+    notify_alert(alert)
+    push_alert(alert)
+    return {'ok': True, 'detail': str(alert['_id'])}
+
+def run_actions(rule, device_id, values, timestamp):
+    results = []
+    for action in rule['actions']:
+        try:
+            results.append({**action, **perform(rule, action, device_id, values, timestamp)})
+        except Exception as e:
+            results.append({**action, 'ok': False, 'detail': str(e)})
+
+    rule_firings.insert_one({
+        'rule_id': rule['id'],
+        'rule_name': rule['name'],
+        'device': device_id,
+        'timestamp': timestamp,
+        'values': values,
+        'actions': results
+    })
+    rules.update_one({'_id': ObjectId(rule['id'])}, {'$set': {'last_fired': timestamp}, '$inc': {'fire_count': 1}})
+    print(f"[Rules] [{device_id}] {rule['name']} fired: {describe(rule, values)}")
+
+# ==================== MQTT HANDLER ====================
+def evaluate_message(device_id, kind, payload):
+    """A stored sensors or status message: update the room's values and run the rules that fire"""
+    if kind not in ('sensors', 'status'):
+        return
+    engine.observe(device_id, payload)
+    for rule, values in engine.evaluate(active_rules, device_id, payload['timestamp']):
+        run_actions(rule, device_id, values, payload['timestamp'])
+
+# ==================== ROUTES ====================
+def find_rule(rule_id):
+    try:
+        return rules.find_one({'_id': ObjectId(rule_id)})
+    except InvalidId:
+        return None
+
+@rules_bp.route('/api/rules', methods=['GET'])
+@require_auth('admin')
+def list_rules():
+    return jsonify({
+        'timezone': str(ARMING_TIMEZONE),
+        'fields': FIELDS,
+        'operators': list(OPERATORS),
+        'commands': RULE_COMMANDS,
+        'severities': SEVERITIES,
+        'rules': [serialize_rule(r) for r in rules.find().sort('name', 1)]
+    })
+
+@rules_bp.route('/api/rules', methods=['POST'])
+@require_auth('admin')
+def add_rule():
+    fields, error = validate_rule(request.get_json(silent=True) or {})
+    if error:
+        return jsonify({'error': error}), 400
+
+    rule = {
+        'device': None,
+        'window': None,
+        'enabled': True,
+        **fields,
+        'fire_count': 0,
+        'created_by': g.user['username'],
+        'created_at': datetime.utcnow()
+    }
+    rules.insert_one(rule)
+    reload_rules()
+    return jsonify(serialize_rule(rule)), 201
+
+@rules_bp.route('/api/rules/<rule_id>', methods=['PUT'])
+@require_auth('admin')
+def update_rule(rule_id):
+    rule = find_rule(rule_id)
+    if not rule:
+        return jsonify({'error': 'Unknown rule'}), 404
+
+    fields, error = validate_rule(request.get_json(silent=True) or {}, partial=True)
+    if error:
+        return jsonify({'error': error}), 400
+    if not fields:
+        return jsonify({'error': 'Nothing to update'}), 400
+
+    fields.update({'updated_by': g.user['username'], 'updated_at': datetime.utcnow()})
+    rules.update_one({'_id': rule['_id']}, {'$set': fields})
+    # Changed conditions start a fresh episode
+    engine.forget(rule_id)
+    reload_rules()
+    return jsonify(serialize_rule({**rule, **fields}))
+
+@rules_bp.route('/api/rules/<rule_id>', methods=['DELETE'])
+@require_auth('admin')
+def delete_rule(rule_id):
+    rule = find_rule(rule_id)
+    if not rule:
+        return jsonify({'error': 'Unknown rule'}), 404
+
+    rules.delete_one({'_id': rule['_id']})
+    engine.forget(rule_id)
+    reload_rules()
+    return jsonify({'deleted': rule_id})
+
+@rules_bp.route('/api/rules/dry-run', methods=['POST'])
+@require_auth('admin')
+def dry_run():
+    """
+    When a rule (saved or not) would have fired over stored history. Actions
+    aren't run, so the room's recorded values don't reflect its commands.
+    Body: the rule. ?device= (default: the rule's room) plus ?hours= or ?start=&end=
+    """
+    fields, error = validate_rule(request.get_json(silent=True) or {})
+    if error:
+        return jsonify({'error': error}), 400
+    device = request.args.get('device') or fields.get('device')
+    if not device:
+        return jsonify({'error': 'device is required for rules that apply to every room'}), 400
+    try:
+        since, until = parse_range()
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+    if until - since > MAX_DRY_RUN:
+        return jsonify({'error': f'Dry-run at most {MAX_DRY_RUN.days} days at a time'}), 400
+
+    rule = {'id': 'dry-run', 'device': device, **fields}
+    replay_engine = RuleEngine()
+    messages = 0
+    firings = []
+    for message in merged_messages(device, since, until):
+        messages += 1
+        replay_engine.observe(device, message)
+        for _, values in replay_engine.evaluate([rule], device, message['timestamp']):
+            firings.append({'timestamp': message['timestamp'].isoformat(), 'values': values})
+
+    return jsonify({
+        'device': device,
+        'start': since.isoformat(),
+        'end': until.isoformat(),
+        'messages': messages,
+        'total': len(firings),
+        'firings': firings[:MAX_DRY_RUN_FIRINGS]
+    })
+
+@rules_bp.route('/api/rules/firings', methods=['GET'])
+@require_auth('admin')
+def get_firings():
+    """
+    When rules fired and what their actions did, newest first.
+    Filters: ?rule=<id> ?device= ?start=&end= or ?hours=
+    Paging: ?page= ?page_size=
+    """
+    try:
+        since, until = parse_range(default_hours=24 * 7)
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+    page, page_size, skip = parse_paging()
+
+    query = {'timestamp': {'$gte': since, '$lte': until}}
+    if request.args.get('rule'):
+        query['rule_id'] = request.args['rule']
+    if request.args.get('device'):
+        query['device'] = request.args['device']
+
+    total = rule_firings.count_documents(query)
+    items = rule_firings.find(query).sort('timestamp', -1).skip(skip).limit(page_size)
+    return jsonify({
+        'items': [{**serialize({k: v for k, v in e.items() if k != '_id'}), 'id': str(e['_id'])} for e in items],
+        'total': total,
+        'page': page,
+        'page_size': page_size
+    })
@@ -0,0 +1,264 @@
+"""
+Sensor Health
+Room Safety Checker - Backend Service
+
+The firmware reports a failed DHT11 read as a fault (temp and humidity
+null, "faults": ["dht"]) instead of 0/0. The backend also watches each
+room's readings for faults a sensor can't report itself:
+- dht_error:    the DHT11 couldn't be read (or 0/0 from older firmware)
+- out_of_range: a value no room reaches
+- jump:         a change the DHT11 can't follow between two readings
+- stuck:        temperature and humidity not changing at all for an hour
+- pir_flapping: the PIR output toggling on most reads for minutes
+- ir_blocked:   the IR beam held broken for minutes
+
+Every reading is stored with the faults active at the time (`faults`) and
+`faulty: true` when its temperature/humidity can't be trusted. Faulty
+readings are left out of stats, history averages, fire analytics and rules.
+Each fault's start and end is kept in sensor_faults and pushed as a
+`health` event on the live stream.
+"""
+
+import os
+from collections import deque
+from datetime import datetime, timedelta
+from flask import Blueprint, jsonify, request
+from auth import require_auth
+from live import publish_event
+from utils import parse_range, serialize
+
+# ==================== CONFIGURATION ====================
+STUCK_AFTER = timedelta(minutes=int(os.getenv('SENSOR_STUCK_MINUTES', 60)))
+MAX_TEMP_JUMP = 8.0          # °C between readings less than JUMP_WINDOW apart
+MAX_HUMIDITY_JUMP = 25.0     # % points, likewise
+JUMP_WINDOW = timedelta(seconds=60)
+JUMP_CONFIRM = 3             # Readings agreeing on a new level make it real
+TEMP_RANGE = (-20.0, 125.0)
+HUMIDITY_RANGE = (0.0, 100.0)
+PIR_WINDOW = timedelta(minutes=5)
+PIR_FLAP_TRANSITIONS = 24    # PIR changes within PIR_WINDOW; clears below half
+IR_BLOCKED_AFTER = timedelta(minutes=2)
+
+# Fault -> sensor it belongs to
+FAULTS = {
+    'dht_error': 'dht',
+    'out_of_range': 'dht',
+    'jump': 'dht',
+    'stuck': 'dht',
+    'pir_flapping': 'pir',
+    'ir_blocked': 'ir',
+}
+SENSORS = {'dht': 'DHT11 temperature/humidity', 'pir': 'PIR motion', 'ir': 'IR entry beam'}
+
+sensor_health_bp = Blueprint('sensor_health', __name__)
+
+# Set by init_sensor_health()
+sensor_faults = None
+
+monitors = {}   # device -> SensorMonitor
+
+# ==================== DETECTION ====================
+class SensorMonitor:
+    """
+    Fault detection over one room's readings, fed oldest first. check()
+    updates `active` (fault -> detail) and says whether the reading's
+    temperature/humidity can be trusted.
+    """
+
+    def __init__(self):
+        self.active = {}
+        self.reference = None          # (timestamp, temp, humidity) of the last trusted reading
+        self.shifted = []              # Readings since a jump, while they agree with each other
+        self.unchanged_since = None
+        self.last_values = None
+        self.pir = deque()             # (timestamp, pir) within PIR_WINDOW
+        self.ir_broken_since = None
+
+    def check(self, reading):
+        timestamp = reading['timestamp']
+        climate = self.check_climate(reading, timestamp)
+        for fault in ('dht_error', 'out_of_range', 'jump', 'stuck'):
+            self.active.pop(fault, None)
+        if climate:
+            self.active[climate[0]] = climate[1]
+
+        self.check_pir(reading.get('pir'), timestamp)
+        self.check_ir(reading.get('ir'), timestamp)
+        return climate is None
+
+    def check_climate(self, reading, timestamp):
+        """(fault, detail) for the reading's temperature/humidity, or None if they look real"""
+        temp, humidity = reading.get('temp'), reading.get('humidity')
+        if 'dht' in (reading.get('faults') or []) or not isinstance(temp, (int, float)) \
+                or not isinstance(humidity, (int, float)):
+            return 'dht_error', 'DHT11 read failed'
+        if temp == 0 and humidity == 0:
+            return 'dht_error', 'DHT11 read failed (reported as 0/0)'
+        if not TEMP_RANGE[0] <= temp <= TEMP_RANGE[1] or not HUMIDITY_RANGE[0] <= humidity <= HUMIDITY_RANGE[1]:
+            return 'out_of_range', f'{temp} °C / {humidity} % is impossible'
+
+        jump = self.check_jump(timestamp, temp, humidity)
+        if jump:
+            return 'jump', jump
+
+        if (temp, humidity) != self.last_values:
+            self.last_values = (temp, humidity)
+            self.unchanged_since = timestamp
+        elif timestamp - self.unchanged_since >= STUCK_AFTER:
+            minutes = int((timestamp - self.unchanged_since).total_seconds() // 60)
+            return 'stuck', f'{temp} °C / {humidity} % unchanged for {minutes} min'
+        return None
+
+    def check_jump(self, timestamp, temp, humidity):
+        """Detail if the reading jumped away from the last trusted one; a new level is accepted once it holds"""
+        reference = self.reference
+        self.reference = (timestamp, temp, humidity)
+        if not reference or timestamp - reference[0] > JUMP_WINDOW:
+            self.shifted = []
+            return None
+        if abs(temp - reference[1]) <= MAX_TEMP_JUMP and abs(humidity - reference[2]) <= MAX_HUMIDITY_JUMP:
+            self.shifted = []
+            return None
+
+        # Keep comparing against the last trusted reading until the new level has held
+        if self.shifted and (abs(temp - self.shifted[-1][1]) > MAX_TEMP_JUMP
+                             or abs(humidity - self.shifted[-1][2]) > MAX_HUMIDITY_JUMP):
+            self.shifted = []
+        self.shifted.append((timestamp, temp, humidity))
+        if len(self.shifted) >= JUMP_CONFIRM:
+            self.shifted = []
+            return None
+        self.reference = (timestamp, reference[1], reference[2])
+        return f'{reference[1]} → {temp} °C, {reference[2]} → {humidity} % between two readings'
+
+    def check_pir(self, pir, timestamp):
+        if pir is None:
+            return
+        self.pir.append((timestamp, pir))
+        while timestamp - self.pir[0][0] > PIR_WINDOW:
+            self.pir.popleft()
+        samples = [p for _, p in self.pir]
+        transitions = sum(1 for a, b in zip(samples, samples[1:]) if a != b)
+
+        minutes = int(PIR_WINDOW.total_seconds() // 60)
+        if transitions >= PIR_FLAP_TRANSITIONS:
+            self.active['pir_flapping'] = f'{transitions} changes in {minutes} min'
+        elif transitions < PIR_FLAP_TRANSITIONS / 2:
+            self.active.pop('pir_flapping', None)
+
+    def check_ir(self, ir, timestamp):
+        if ir is None:
+            return
+        if not ir:
+            self.ir_broken_since = None
+            self.active.pop('ir_blocked', None)
+            return
+        self.ir_broken_since = self.ir_broken_since or timestamp
+        held = timestamp - self.ir_broken_since
+        if held >= IR_BLOCKED_AFTER:
+            self.active['ir_blocked'] = f'Beam broken for {int(held.total_seconds() // 60)} min'
+
+# ==================== SETUP ====================
+def init_sensor_health(db):
+    """Warm the monitors from the last readings and pick up faults still open"""
+    global sensor_faults
+    sensor_faults = db['sensor_faults']
+    sensor_faults.create_index([('device', 1), ('started_at', -1)])
+
+    since = datetime.utcnow() - STUCK_AFTER
+    for reading in db['sensor_readings'].find({'timestamp': {'$gte': since}}, {'_id': 0}).sort('timestamp', 1):
+        monitors.setdefault(reading['device'], SensorMonitor()).check(reading)
+
+    # What is recorded as open wins, so nothing is reported twice after a restart
+    for monitor in monitors.values():
+        monitor.active = {}
+    for fault in sensor_faults.find({'ended_at': None}):
+        monitors.setdefault(fault['device'], SensorMonitor()).active[fault['fault']] = fault.get('detail')
+
+    print(f"[Health] Sensor monitors warmed for {len(monitors)} device(s)")
+
+# ==================== MQTT HANDLER ====================
+def assess_reading(reading):
+    """
+    A sensor reading about to be stored: set `faults` and `faulty` on it and
+    record faults that started or ended with it
+    """
+    device_id = reading['device']
+    monitor = monitors.setdefault(device_id, SensorMonitor())
+    before = dict(monitor.active)
+    trusted = monitor.check(reading)
+
+    reading['faults'] = sorted(monitor.active)
+    reading['faulty'] = not trusted
+    if before.keys() == monitor.active.keys():
+        return
+
+    now = reading['timestamp']
+    for fault in before.keys() - monitor.active.keys():
+        sensor_faults.update_many(
+            {'device': device_id, 'fault': fault, 'ended_at': None},
+            {'$set': {'ended_at': now}}
+        )
+        print(f"[Health] [{device_id}] {fault} cleared")
+    for fault in monitor.active.keys() - before.keys():
+        sensor_faults.insert_one({
+            'device': device_id,
+            'fault': fault,
+            'sensor': FAULTS[fault],
+            'detail': monitor.active[fault],
+            'started_at': now,
+            'ended_at': None
+        })
+        print(f"[Health] [{device_id}] {fault}: {monitor.active[fault]}")
+    publish_event('health', device_health(device_id))
+
+def device_health(device_id):
+    """Each sensor of a room with the faults it has right now"""
+    active = monitors[device_id].active if device_id in monitors else {}
+    open_faults = {f['fault']: f for f in sensor_faults.find({'device': device_id, 'ended_at': None})}
+    sensors = {}
+    for sensor, label in SENSORS.items():
+        faults = [{
+            'fault': fault,
+            'detail': detail,
+            'since': open_faults[fault]['started_at'].isoformat() if fault in open_faults else None
+        } for fault, detail in active.items() if FAULTS[fault] == sensor]
+        sensors[sensor] = {'label': label, 'ok': not faults, 'faults': faults}
+    return {'device': device_id, 'ok': not active, 'sensors': sensors}
+
+# ==================== ROUTES ====================
+@sensor_health_bp.route('/api/sensor-health', methods=['GET'])
+@require_auth()
+def get_sensor_health():
+    """Current health of every sensor of one ?device=, or of every room"""
+    device = request.args.get('device')
+    if device:
+        return jsonify(device_health(device))
+    return jsonify([device_health(d) for d in sorted(monitors)])
+
+@sensor_health_bp.route('/api/sensor-health/history', methods=['GET'])
+@require_auth()
+def get_fault_history():
+    """
+    Fault episodes overlapping the range, newest first.
+    Filters: ?device= ?sensor= ?start=&end= or ?hours= (default 7 days)
+    """
+    try:
+        since, until = parse_range(default_hours=24 * 7)
+    except ValueError:
+        return jsonify({'error': 'Invalid start or end'}), 400
+
+    query = {'started_at': {'$lte': until}, '$or': [{'ended_at': None}, {'ended_at': {'$gte': since}}]}
+    for key in ('device', 'sensor'):
+        if request.args.get(key):
+            query[key] = request.args[key]
+
+    limit = request.args.get('limit', 100, type=int)
+    episodes = []
+    for fault in sensor_faults.find(query, {'_id': 0}).sort('started_at', -1).limit(limit):
+        end = fault['ended_at'] or datetime.utcnow()
+        episodes.append({
+            **serialize(fault),
+            'duration_seconds': int((end - fault['started_at']).total_seconds())
+        })
+    return jsonify(episodes)
@@ -0,0 +1,75 @@
+"""
+Shared request helpers
+Room Safety Checker - Backend Service
+"""
+
+import time
+from datetime import datetime, timedelta, timezone
+from flask import request
+
+
+def parse_iso(value):
+    """Parse an ISO-8601 query parameter into a naive UTC datetime"""
+    dt = datetime.fromisoformat(value.replace('Z', '+00:00'))
+    if dt.tzinfo:
+        dt = dt.astimezone(timezone.utc).replace(tzinfo=None)
+    return dt
+
+
+def parse_range(default_hours=24):
+    """Resolve ?start=&end= (ISO-8601) or ?hours= into a (since, until) pair"""
+    until = datetime.utcnow()
+    start = request.args.get('start')
+    end = request.args.get('end')
+    
+    if start:
+        since = parse_iso(start)
+        if end:
+            until = parse_iso(end)
+    else:
+        hours = request.args.get('hours', default_hours, type=int)
+        since = until - timedelta(hours=hours)
+    
+    return since, until
+
+
+def parse_paging(default_size=50, max_size=200):
+    """Resolve ?page= (1-based) and ?page_size= into (page, page_size, skip)"""
+    page = max(request.args.get('page', 1, type=int), 1)
+    page_size = min(max(request.args.get('page_size', default_size, type=int), 1), max_size)
+    return page, page_size, (page - 1) * page_size
+
+
+def serialize(doc):
+    """Convert datetime fields of a Mongo document to ISO strings for JSON"""
+    return {k: v.isoformat() if isinstance(v, datetime) else v for k, v in doc.items()}
+
+
+def is_weekday(value):
+    """0 (Monday) to 6 (Sunday) as a real int - not True/False or 1.0"""
+    return isinstance(value, int) and not isinstance(value, bool) and 0 <= value <= 6
+
+
+# Failed-attempt tables (logins, PINs, guest codes) map a key to the monotonic
+# times of its failures. Callers hold their own lock around these.
+ATTEMPTS_SWEEP_SIZE = 1000
+
+
+def recent_attempts(attempts, key, window):
+    """Failure times of key within the last window seconds; drops the key when none are left"""
+    now = time.monotonic()
+    recent = [t for t in attempts.get(key, []) if now - t < window]
+    if recent:
+        attempts[key] = recent
+    else:
+        attempts.pop(key, None)
+    return recent
+
+
+def record_attempt(attempts, key, window):
+    """Add a failure for key - and forget expired keys once the table grows, so made-up names can't fill memory"""
+    now = time.monotonic()
+    if len(attempts) >= ATTEMPTS_SWEEP_SIZE:
+        for stale in [k for k, times in attempts.items() if not times or now - times[-1] >= window]:
+            del attempts[stale]
+    attempts.setdefault(key, []).append(now)
@@ -0,0 +1,172 @@
+"""
+Web Push Alerts
+Room Safety Checker - Backend Service
+
+Browsers that enabled background alerts in the dashboard register their
+push subscription here. New fire/burglar alerts are pushed to every
+subscription so the installed app notifies even while it is closed - unless
+the user turned that alert type off in their preferences (preferences.py).
+During their quiet hours, only fire alerts make a sound.
+
+Needs a VAPID key pair in .env (npx web-push generate-vapid-keys); without
+one the feature is reported as disabled and nothing is sent.
+"""
+
+import os
+import json
+import threading
+from datetime import datetime
+from urllib.parse import urlsplit
+from pymongo.errors import DuplicateKeyError
+from flask import Blueprint, jsonify, request, g
+from pywebpush import webpush, WebPushException
+from auth import require_auth
+from preferences import preferences_of, wants_notification, silenced
+
+# ==================== CONFIGURATION ====================
+VAPID_PUBLIC_KEY = os.getenv('VAPID_PUBLIC_KEY', '')
+VAPID_PRIVATE_KEY = os.getenv('VAPID_PRIVATE_KEY', '')
+VAPID_SUBJECT = os.getenv('VAPID_SUBJECT', 'mailto:roomguard@localhost')
+
+# Seconds a push service may hold the message for an offline browser
+PUSH_TTL = 3600
+
+# Browsers' push services - the server POSTs to subscription endpoints, so
+# anything else would let a user point it at arbitrary hosts
+PUSH_SERVICE_HOSTS = (
+    'fcm.googleapis.com',               # Chrome, Opera, Samsung Internet
+    'updates.push.services.mozilla.com',
+    'push.apple.com',                   # Safari: web.push.apple.com
+    'notify.windows.com',               # Edge: wns2-*.notify.windows.com
+)
+
+ALERT_TITLES = {'fire': '🔥 FIRE ALERT', 'burglar': '🚨 BURGLAR ALERT', 'rule': '🤖 RULE ALERT'}
+
+web_push_bp = Blueprint('web_push', __name__)
+
+# Set by init_web_push()
+devices = None
+users = None
+subscriptions = None
+
+def push_enabled():
+    return bool(VAPID_PUBLIC_KEY and VAPID_PRIVATE_KEY)
+
+# ==================== SETUP ====================
+def init_web_push(db):
+    global devices, users, subscriptions
+    devices = db['devices']
+    users = db['users']
+    subscriptions = db['push_subscriptions']
+
+    subscriptions.create_index('endpoint', unique=True)
+    subscriptions.create_index('user')
+
+    if not push_enabled():
+        print("[Push] Web Push disabled - set VAPID_PUBLIC_KEY / VAPID_PRIVATE_KEY in .env")
+
+def endpoint_allowed(endpoint):
+    """Whether the endpoint is an https URL of a known push service"""
+    parts = urlsplit(endpoint)
+    host = (parts.hostname or '').lower()
+    return parts.scheme == 'https' and any(host == h or host.endswith('.' + h) for h in PUSH_SERVICE_HOSTS)
+
+# ==================== SENDING ====================
+def alert_message(alert):
+    device = devices.find_one({'device_id': alert.get('device')}) or {}
+    room = device.get('name') or alert.get('device')
+    return {
+        'title': f"{ALERT_TITLES.get(alert.get('type'), '⚠️ ALERT')} - {room}",
+        'body': alert.get('message', ''),
+        'tag': f"alert-{alert['_id']}" if '_id' in alert else f"alert-{alert.get('device')}",
+        # Opens the alert's incident timeline
+        'url': f"/#/incident/{alert['_id']}" if '_id' in alert else '/',
+    }
+
+def send_all(message, alert_type=None):
+    disabled = {u['username'] for u in users.find({'disabled': True}, {'username': 1})}
+    prefs = {}
+
+    for sub in subscriptions.find():
+        user = sub.get('user')
+        if user in disabled:
+            continue
+        # Stored before endpoints were checked
+        if not endpoint_allowed(sub['subscription'].get('endpoint', '')):
+            continue
+        if user not in prefs:
+            prefs[user] = preferences_of(user)
+        if not wants_notification(prefs[user], alert_type):
+            continue
+        silent = silenced(prefs[user], alert_type, sub.get('timezone'))
+        try:
+            webpush(
+                subscription_info=sub['subscription'],
+                data=json.dumps({**message, 'silent': silent}),
+                vapid_private_key=VAPID_PRIVATE_KEY,
+                vapid_claims={'sub': VAPID_SUBJECT},
+                ttl=PUSH_TTL,
+            )
+        except WebPushException as e:
+            status = getattr(e.response, 'status_code', None)
+            # The browser unsubscribed or the subscription expired
+            if status in (404, 410):
+                subscriptions.delete_one({'_id': sub['_id']})
+            else:
+                print(f"[Push] Failed for {sub.get('user')}: {e}")
+        except Exception as e:
+            print(f"[Push] Failed for {sub.get('user')}: {e}")
+
+def push_alert(alert):
+    """Push a new alert to every subscribed browser without blocking the caller"""
+    if not push_enabled():
+        return
+    threading.Thread(target=send_all, args=(alert_message(alert), alert.get('type')), daemon=True).start()
+
+# ==================== API ====================
+@web_push_bp.route('/api/push/key', methods=['GET'])
+@require_auth()
+def push_key():
+    return jsonify({'enabled': push_enabled(), 'public_key': VAPID_PUBLIC_KEY if push_enabled() else None})
+
+@web_push_bp.route('/api/push/subscriptions', methods=['POST'])
+@require_auth()
+def subscribe():
+    if not push_enabled():
+        return jsonify({'error': 'Web Push is not configured on the server'}), 503
+
+    body = request.get_json(silent=True) or {}
+    subscription = body.get('subscription') if isinstance(body, dict) else None
+    keys = subscription.get('keys') if isinstance(subscription, dict) else None
+    if not isinstance(keys, dict) or not all(isinstance(value, str) and value for value in (
+            subscription.get('endpoint'), keys.get('p256dh'), keys.get('auth'))):
+        return jsonify({'error': 'subscription with endpoint and keys is required'}), 400
+    if not endpoint_allowed(subscription['endpoint']):
+        return jsonify({'error': 'endpoint is not a known push service'}), 400
+
+    try:
+        # The endpoint stays with the user who registered it
+        subscriptions.update_one(
+            {'endpoint': subscription['endpoint'], 'user': g.user['username']},
+            {'$set': {
+                'subscription': {'endpoint': subscription['endpoint'], 'keys': {'p256dh': keys['p256dh'], 'auth': keys['auth']}},
+                # Quiet hours follow the browser's clock unless the user picked a timezone
+                'timezone': str(body.get('timezone') or '')[:64],
+                'user_agent': request.headers.get('User-Agent', '')[:200],
+                'updated_at': datetime.utcnow(),
+            }, '$setOnInsert': {'created_at': datetime.utcnow()}},
+            upsert=True
+        )
+    except DuplicateKeyError:
+        return jsonify({'error': 'endpoint is registered to another user'}), 409
+    return jsonify({'success': True})
+
+@web_push_bp.route('/api/push/subscriptions', methods=['DELETE'])
+@require_auth()
+def unsubscribe():
+    body = request.get_json(silent=True) or {}
+    endpoint = body.get('endpoint') if isinstance(body, dict) else None
+    if not isinstance(endpoint, str) or not endpoint:
+        return jsonify({'error': 'endpoint is required'}), 400
+    subscriptions.delete_one({'endpoint': endpoint, 'user': g.user['username']})
+    return jsonify({'success': True})
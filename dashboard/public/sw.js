@@ -0,0 +1,122 @@
+// ==================== ROOMGUARD SERVICE WORKER ====================
+// Caches the app shell so the dashboard opens without a connection (it then
+// shows the last known state from IndexedDB), and shows Web Push alerts
+// from the backend while no dashboard tab is open.
+//
+// Bump CACHE_VERSION when the precache list changes.
+
+const CACHE_VERSION = 'v2';
+const CACHE = `roomguard-${CACHE_VERSION}`;
+
+const PRECACHE = [
+    '/',
+    '/manifest.webmanifest',
+    '/icon.svg',
+    '/sounds/siren.wav',
+    '/sounds/beep.wav',
+    '/sounds/chime.wav',
+    '/assets/bg.png',
+];
+
+// Hashed build output and fonts never change under the same URL
+const IMMUTABLE = [/^\/assets\//, /^https:\/\/fonts\.(googleapis|gstatic)\.com\//];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE)
+            .then(cache => cache.addAll(PRECACHE))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('roomguard-') && key !== CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// ==================== FETCH ====================
+async function cacheFirst(request) {
+    const cached = await caches.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        const cache = await caches.open(CACHE);
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+// Pages: always try the network so a new build is picked up, fall back to
+// the cached shell when offline
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            const cache = await caches.open(CACHE);
+            cache.put('/', response.clone());
+        }
+        return response;
+    } catch {
+        return (await caches.match('/')) || Response.error();
+    }
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (request.mode === 'navigate' && url.origin === self.location.origin) {
+        event.respondWith(networkFirst(request));
+        return;
+    }
+
+    // The API, the live stream and the broker are never cached
+    const path = url.origin === self.location.origin ? url.pathname : url.href;
+    if (IMMUTABLE.some(pattern => pattern.test(path)) || PRECACHE.includes(path)) {
+        event.respondWith(cacheFirst(request));
+    }
+});
+
+// ==================== WEB PUSH ====================
+self.addEventListener('push', (event) => {
+    let alert = {};
+    try {
+        alert = event.data ? event.data.json() : {};
+    } catch {
+        alert = { title: 'RoomGuard', body: event.data?.text() };
+    }
+
+    event.waitUntil(self.registration.showNotification(alert.title || 'RoomGuard alert', {
+        body: alert.body || '',
+        icon: '/icon.svg',
+        badge: '/icon.svg',
+        tag: alert.tag,
+        renotify: Boolean(alert.tag),
+        requireInteraction: true,
+        // The user's quiet hours (non-fire alerts only)
+        silent: Boolean(alert.silent),
+        data: { url: alert.url || '/' },
+    }));
+});
+
+// Focus an open dashboard and tell it what to show (e.g. the alert's
+// incident timeline), or open one at that address
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    const url = event.notification.data?.url || '/';
+
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+            const open = windows.find(w => new URL(w.url).origin === self.location.origin);
+            if (!open) return self.clients.openWindow(url);
+            open.postMessage({ type: 'open', url });
+            return open.focus();
+        })
+    );
+});
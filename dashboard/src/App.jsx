@@ -1,47 +1,103 @@
 import { useState, useEffect, useCallback, useRef } from 'react';
 import mqtt from 'mqtt';
+import { apiFetch, loadSession, login, logout } from './api';
+import { TOPICS, parseTopic } from './topics';
+import { acceptMessage } from './schemas';
+import { useCommands } from './hooks/useCommands';
+import { usePreferences } from './hooks/usePreferences';
+import { useAlerts, isPreAlert, isRuleAlert } from './hooks/useAlerts';
+import { parseTimestamp, useSensorHistory, useStats, useFireTrend, useSensorHealth } from './hooks/useHistory';
+import { formatAge } from './format';
+import { effectiveConfig } from './deviceConfig';
+import { ARM_MODES } from './arming';
+import { loadSnapshot, saveSnapshot, clearSnapshot } from './offlineStore';
+import { disablePush } from './push';
+import { activeProfile } from './connection';
+import RoomOverview from './components/RoomOverview';
+import AlertsPanel from './components/AlertsPanel';
+import HistoryPage from './components/HistoryPage';
+import UsersPage from './components/UsersPage';
+import AuditPage from './components/AuditPage';
+import DeviceSettingsPage from './components/DeviceSettingsPage';
+import ArmPanel from './components/ArmPanel';
+import ArmingPage from './components/ArmingPage';
+import NotificationsPage from './components/NotificationsPage';
+import RulesPage from './components/RulesPage';
+import IncidentReport from './components/IncidentReport';
+import OccupancyPage from './components/OccupancyPage';
+import PushToggle from './components/PushToggle';
+import ConnectionDialog from './components/ConnectionDialog';
+import SensorHealthPanel from './components/SensorHealthPanel';
+import StoragePage from './components/StoragePage';
+import IncidentPage from './components/IncidentPage';
+import { parseIncidentHash, incidentHash } from './incidents';
+import GuestPage from './components/GuestPage';
+import GuestCodesPage from './components/GuestCodesPage';
+import MessagesPage from './components/MessagesPage';
+import ConfirmCommandDialog from './components/ConfirmCommandDialog';
+import { commandPolicy, blockedReason, describePolicy } from './commandPolicy';
+import { parseGuestHash } from './guest';
+import PreferencesPage from './components/PreferencesPage';
+import { loadPreferences, clearPreferences, sirenUrl, silenced, wantsNotification } from './preferences';
 import './index.css';
 
 // ==================== CONFIGURATION ====================
-// Note: Using non-TLS WebSocket for dashboard (browser cert issues with self-signed)
-// ESP32 and backend still use TLS on port 8883
-const MQTT_BROKER_URL = 'ws://35.193.224.18:9001/mqtt';
-const API_BASE = 'http://35.193.224.18:5000/api';
-
-// Role-Based Access - PINs
-const USERS = {
-    '1411': { role: 'admin', name: 'Admin' },
-    '0000': { role: 'viewer', name: 'Viewer' }
+// Broker and API addresses come from the active connection profile (connection.js)
+
+const COMMAND_STATUS_ICONS = {
+    pending: '⏳',
+    confirmed: '✅',
+    rejected: '⛔',
+    timeout: '⌛',
+    failed: '❌',
+};
+
+// Device publishes sensors every 5s - older than this is shown as stale
+const STALE_AFTER_MS = 20000;
+
+const TREND_ARROWS = {
+    rising: '↗',
+    steady: '→',
+    falling: '↘',
 };
 
-const TOPICS = {
-    SENSORS: 'room/sensors',
-    STATUS: 'room/status',
-    ALERT: 'room/alert',
-    COMMAND: 'room/command',
+// How often the last known state is saved for offline reloads
+const SNAPSHOT_INTERVAL_MS = 10000;
+
+const DEFAULT_SENSORS = {
+    temp: 0,
+    humidity: 0,
+    ir: 0,
+    pir: 0,
+    occupant_count: 0,
+};
+
+const DEFAULT_STATUS = {
+    door: 'unlocked',
+    led: 'green',
+    mode: 'normal',
+    occupant_count: 0,
 };
 
 // ==================== LOGIN COMPONENT ====================
 function LoginPage({ onLogin }) {
+    const [username, setUsername] = useState('');
     const [pin, setPin] = useState('');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
+    const [editingConnection, setEditingConnection] = useState(false);
 
-    const handleSubmit = (e) => {
+    const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
         setError('');
 
-        setTimeout(() => {
-            const user = USERS[pin];
-            if (user) {
-                localStorage.setItem('roomguard_user', JSON.stringify(user));
-                onLogin(user);
-            } else {
-                setError('Invalid PIN');
-                setLoading(false);
-            }
-        }, 500);
+        try {
+            onLogin(await login(username.trim(), pin));
+        } catch (err) {
+            setError(err.message === 'Failed to fetch' ? 'Server unreachable' : err.message);
+            setLoading(false);
+        }
     };
 
     return (
@@ -49,65 +105,168 @@ function LoginPage({ onLogin }) {
             <div className="login-card">
                 <div className="login-icon">🔐</div>
                 <h1>RoomGuard</h1>
-                <p>Enter PIN to access dashboard</p>
+                <p>Sign in to access dashboard</p>
                 <form onSubmit={handleSubmit}>
+                    <input
+                        className="login-username"
+                        type="text"
+                        value={username}
+                        onChange={(e) => setUsername(e.target.value)}
+                        placeholder="Username"
+                        autoComplete="username"
+                        autoFocus
+                    />
                     <input
                         type="password"
                         value={pin}
                         onChange={(e) => setPin(e.target.value)}
-                        placeholder="Enter PIN"
-                        maxLength={6}
-                        autoFocus
+                        placeholder="PIN / Password"
+                        autoComplete="current-password"
                     />
                     {error && <div className="login-error">{error}</div>}
-                    <button type="submit" disabled={loading || pin.length < 4}>
+                    <button type="submit" disabled={loading || !username.trim() || pin.length < 4}>
                         {loading ? 'Verifying...' : 'Access Dashboard'}
                     </button>
                 </form>
                 <p className="login-hint">Admin: Full Control | Viewer: Monitor Only</p>
+                <button className="connection-link" onClick={() => setEditingConnection(true)}>
+                    🔌 {activeProfile().name}
+                </button>
+                <button className="connection-link" onClick={() => { window.location.hash = '#/guest'; }}>
+                    🎟️ I have a guest code
+                </button>
             </div>
+            {editingConnection && <ConnectionDialog onClose={() => setEditingConnection(false)} />}
         </div>
     );
 }
 
 // ==================== MAIN APP COMPONENT ====================
-function Dashboard({ userRole = 'viewer' }) {
+function Dashboard({ user, mqttAuth, onLogout }) {
+    const userRole = user.role;
     const isAdmin = userRole === 'admin';
 
-    // Connection state
+    // Connection state; linkDown once a connection attempt has failed or dropped
     const [connected, setConnected] = useState(false);
-    const [client, setClient] = useState(null);
-
-    // Sensor data
-    const [sensors, setSensors] = useState({
-        temp: 0,
-        humidity: 0,
-        ir: 0,
-        pir: 0,
-        occupant_count: 0,
-    });
-
-    // Status
-    const [status, setStatus] = useState({
-        door: 'unlocked',
-        led: 'green',
-        mode: 'normal',
-        occupant_count: 0,
-    });
-
-    // Alerts
-    const [alerts, setAlerts] = useState([]);
-
-    // History data
-    const [history, setHistory] = useState([]);
-    const [stats, setStats] = useState(null);
-
-    // Button loading states
-    const [loadingBtn, setLoadingBtn] = useState(null);
+    const [linkDown, setLinkDown] = useState(() => !navigator.onLine);
+    // When the data on screen was last live (or saved, after an offline reload)
+    const [liveAsOf, setLiveAsOf] = useState(null);
+
+    // Live data per device: { [deviceId]: { sensors, sensorsAt, status, statusAt, online, lastSeen } }
+    const [rooms, setRooms] = useState({});
+
+    // Ticks so "last seen" ages and staleness stay current
+    const [now, setNow] = useState(Date.now());
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), 5000);
+        return () => clearInterval(interval);
+    }, []);
+
+    // Device registry and selection
+    const [devices, setDevices] = useState([]);
+    const [selectedDevice, setSelectedDevice] = useState(
+        () => localStorage.getItem('roomguard_device') || null
+    );
+    const [incident, setIncident] = useState(() => parseIncidentHash(window.location.hash));
+    const [view, setView] = useState(() => (incident ? 'incident' : 'room'));
+    const [reportAlert, setReportAlert] = useState(null);
+    const [editingConnection, setEditingConnection] = useState(false);
+
+    // Alerts with their open/acknowledged/resolved lifecycle
+    const {
+        alerts, counts: alertCounts, handleAlert, handleUpdate: handleAlertUpdate,
+        acknowledge, resolve, addNote, silence, restore: restoreAlerts,
+    } = useAlerts();
+
+    // Recent readings and 24h stats for the selected room, pushed by the backend
+    const { data: history } = useSensorHistory({ hours: 24, limit: 20, device: selectedDevice, resolution: 'raw' });
+    const stats = useStats({ hours: 24, device: selectedDevice });
+    const fireTrend = useFireTrend(selectedDevice);
+    const sensorHealth = useSensorHealth(selectedDevice);
+
+    // Commands awaiting device acknowledgement
+    const { commands, sendCommand: publishCommand, handleAck } = useCommands();
+
+    // Units, time format, siren and notification choices of this user
+    const { prefs, tempUnit, toTempDelta, formatTemp, formatTime, formatDateTime } = usePreferences();
+    useEffect(() => {
+        loadPreferences().catch(() => { });
+    }, []);
 
     // Audio ref for alerts
     const alarmRef = useRef(null);
-    const lastAlertMode = useRef('normal');
+    const lastAlertModes = useRef({});
+    const notifiedAlerts = useRef(new Set());
+
+    // Incident links (#/incident/<alertId>) open the incident timeline
+    const openIncident = useCallback((id, at = null) => {
+        setIncident({ id, at });
+        setView('incident');
+    }, []);
+
+    useEffect(() => {
+        const onHashChange = () => {
+            const linked = parseIncidentHash(window.location.hash);
+            if (linked) openIncident(linked.id, linked.at);
+        };
+        window.addEventListener('hashchange', onHashChange);
+        return () => window.removeEventListener('hashchange', onHashChange);
+    }, [openIncident]);
+
+    // The address bar shows the open incident's link, and nothing otherwise
+    useEffect(() => {
+        const linked = parseIncidentHash(window.location.hash);
+        if (view === 'incident' && incident && linked?.id !== incident.id) {
+            window.history.replaceState(null, '', incidentHash(incident.id, incident.at));
+        } else if (view !== 'incident' && linked) {
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }, [view, incident]);
+
+    const roomName = useCallback((deviceId) => {
+        const device = devices.find(d => d.device_id === deviceId);
+        return device?.name || deviceId;
+    }, [devices]);
+
+    // Show the last known state until live data arrives
+    useEffect(() => {
+        loadSnapshot().then(snapshot => {
+            if (!snapshot) return;
+            setRooms(prev => (Object.keys(prev).length ? prev : snapshot.rooms || {}));
+            setDevices(prev => (prev.length ? prev : snapshot.devices || []));
+            restoreAlerts(snapshot.alerts);
+            setLiveAsOf(prev => prev ?? snapshot.savedAt);
+        });
+    }, [restoreAlerts]);
+
+    // Save it periodically while live
+    const snapshotRef = useRef(null);
+    snapshotRef.current = { rooms, devices, alerts };
+
+    useEffect(() => {
+        if (!connected) return;
+        const save = () => {
+            const { rooms, devices, alerts } = snapshotRef.current;
+            saveSnapshot({
+                rooms,
+                devices,
+                alerts: alerts
+                    .filter(a => !a.provisional)
+                    .map(({ live, restored, ...alert }) => alert),
+                savedAt: Date.now(),
+            });
+        };
+        const interval = setInterval(save, SNAPSHOT_INTERVAL_MS);
+        return () => {
+            clearInterval(interval);
+            setLiveAsOf(Date.now());
+        };
+    }, [connected]);
+
+    // Remember selected room across reloads
+    useEffect(() => {
+        if (selectedDevice) localStorage.setItem('roomguard_device', selectedDevice);
+    }, [selectedDevice]);
 
     // Request browser notification permission
     useEffect(() => {
@@ -116,35 +275,70 @@ function Dashboard({ userRole = 'viewer' }) {
         }
     }, []);
 
-    // Play sound and show notification on alerts
+    // Siren repeats while any alert received live is still unacknowledged (pre-alerts and rule alerts stay quiet,
+    // and during the user's quiet hours everything but fire)
+    const ringing = alerts.some(a => a.live && a.state === 'open' && !isPreAlert(a) && !isRuleAlert(a)
+        && !silenced(prefs, a.type, new Date(now)));
+    const unacknowledged = Math.max(alertCounts.open, alerts.filter(a => a.state === 'open').length);
+
     useEffect(() => {
-        const currentMode = status.mode || 'normal';
-
-        // Only trigger on mode CHANGE to alert
-        if (currentMode !== 'normal' && lastAlertMode.current === 'normal') {
-            // Play alarm sound
-            if (alarmRef.current) {
-                alarmRef.current.currentTime = 0;
-                alarmRef.current.play().catch(() => { });
-            }
+        const alarm = alarmRef.current;
+        if (!alarm) return;
+        alarm.volume = prefs.siren_volume;
+        if (ringing) {
+            alarm.loop = true;
+            alarm.play().catch(() => { });
+        } else {
+            alarm.pause();
+            alarm.currentTime = 0;
+        }
+    }, [ringing, prefs.siren, prefs.siren_volume]);
+
+    const notify = useCallback((title, options) => {
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification(title, { requireInteraction: true, ...options });
+        }
+    }, []);
+
+    // Show notification on alerts in any room
+    useEffect(() => {
+        Object.entries(rooms).forEach(([deviceId, room]) => {
+            const currentMode = room.status?.mode || 'normal';
+            const lastMode = lastAlertModes.current[deviceId] || 'normal';
 
-            // Browser notification
-            if ('Notification' in window && Notification.permission === 'granted') {
+            // Only trigger on mode CHANGE to alert, if the user wants this alert type
+            if (currentMode !== 'normal' && lastMode === 'normal' && wantsNotification(prefs, currentMode)) {
                 const title = currentMode === 'fire' ? '🔥 FIRE ALERT!' : '🚨 BURGLAR ALERT!';
                 const body = currentMode === 'fire'
                     ? 'High temperature detected! Door unlocked for evacuation.'
                     : 'Motion detected with no authorized entry!';
 
-                new Notification(title, {
+                notify(`${title} - ${roomName(deviceId)}`, {
                     body,
                     icon: currentMode === 'fire' ? '🔥' : '🚨',
-                    requireInteraction: true,
+                    silent: silenced(prefs, currentMode),
                 });
             }
-        }
 
-        lastAlertMode.current = currentMode;
-    }, [status.mode]);
+            lastAlertModes.current[deviceId] = currentMode;
+        });
+    }, [rooms, roomName, prefs, notify]);
+
+    // Early warnings and rule alerts don't change the room's mode - notify when they arrive, if wanted
+    useEffect(() => {
+        alerts
+            .filter(a => a.live && a.state === 'open' && (isPreAlert(a) || isRuleAlert(a)))
+            .filter(a => !notifiedAlerts.current.has(a.id))
+            .forEach(alert => {
+                notifiedAlerts.current.add(alert.id);
+                if (!wantsNotification(prefs, alert.type)) return;
+                notify(`${isPreAlert(alert) ? '🌡️ Early fire warning' : '🤖 Rule alert'} - ${roomName(alert.device)}`, {
+                    body: alert.message || '',
+                    tag: `alert-${alert.id}`,
+                    silent: silenced(prefs, alert.type),
+                });
+            });
+    }, [alerts, roomName, prefs, notify]);
 
     // Connect to MQTT
     useEffect(() => {
@@ -155,16 +349,18 @@ function Dashboard({ userRole = 'viewer' }) {
             connectTimeout: 30 * 1000,
             clean: true,
             clientId: 'dashboard_' + Math.random().toString(16).substr(2, 8),
-            username: 'dashboard',         // MQTT auth
-            password: 'dashboard_secret'   // MQTT auth
+            // Role-scoped broker account issued by the backend at login
+            username: mqttAuth?.username,
+            password: mqttAuth?.password
         };
 
-        const mqttClient = mqtt.connect(MQTT_BROKER_URL, options);
+        const mqttClient = mqtt.connect(activeProfile().mqttUrl, options);
 
         mqttClient.on('connect', () => {
             console.log('MQTT Connected');
             setConnected(true);
-            mqttClient.subscribe(Object.values(TOPICS).slice(0, 3), { qos: 1 });
+            setLinkDown(false);
+            mqttClient.subscribe(Object.values(TOPICS), { qos: 1 });
         });
 
         mqttClient.on('reconnect', () => {
@@ -175,373 +371,787 @@ function Dashboard({ userRole = 'viewer' }) {
         mqttClient.on('offline', () => {
             console.log('MQTT Offline');
             setConnected(false);
+            setLinkDown(true);
         });
 
-        mqttClient.on('message', (topic, message) => {
+        mqttClient.on('message', (topic, message, packet) => {
             try {
-                const data = JSON.parse(message.toString());
-
-                if (topic === TOPICS.SENSORS) {
-                    setSensors(data);
-                } else if (topic === TOPICS.STATUS) {
-                    setStatus(data);
-                } else if (topic === TOPICS.ALERT) {
-                    setAlerts(prev => [{
-                        ...data,
-                        id: Date.now(),
-                        time: new Date().toLocaleTimeString(),
-                    }, ...prev.slice(0, 9)]);
+                const { deviceId, kind } = parseTopic(topic);
+                if (!deviceId) return;
+
+                // Malformed or unknown-version messages never reach the UI
+                const data = acceptMessage(deviceId, kind, topic, message.toString());
+                if (!data) return;
+                const updateRoom = (changes) => setRooms(prev => ({
+                    ...prev,
+                    [deviceId]: { ...prev[deviceId], ...changes },
+                }));
+
+                // Lifecycle changes come from the backend, not the device
+                if (kind === 'alert/update') {
+                    handleAlertUpdate(data);
+                    return;
+                }
+
+                // Retained presence / last-will from the broker
+                if (kind === 'presence') {
+                    updateRoom({ online: !!data.online });
+                    return;
+                }
+
+                // Any other live (non-retained) traffic means the device is alive
+                const receivedAt = Date.now();
+                if (!packet.retain) updateRoom({ online: true, lastSeen: receivedAt });
+
+                if (kind === 'config') {
+                    updateRoom({ config: data });
+                } else if (kind === 'sensors' || kind === 'status') {
+                    updateRoom({ [kind]: data, [`${kind}At`]: receivedAt });
+                    // Fall back to the first room we hear from
+                    setSelectedDevice(prev => prev || deviceId);
+                } else if (kind === 'heartbeat') {
+                    updateRoom({ heartbeat: data });
+                } else if (kind === 'alert') {
+                    handleAlert(deviceId, data);
+                } else if (kind === 'ack') {
+                    handleAck(data);
                 }
             } catch (e) {
                 console.error('Parse error:', e);
             }
         });
 
-        mqttClient.on('close', () => setConnected(false));
-        mqttClient.on('error', () => setConnected(false));
+        mqttClient.on('close', () => {
+            setConnected(false);
+            setLinkDown(true);
+        });
+        mqttClient.on('error', () => {
+            setConnected(false);
+            setLinkDown(true);
+        });
 
-        setClient(mqttClient);
         return () => mqttClient.end();
-    }, []);
+    }, [mqttAuth, handleAck, handleAlert, handleAlertUpdate]);
 
-    // Fetch history/stats
+    // Fetch device registry
     useEffect(() => {
-        const fetchData = async () => {
+        const fetchDevices = async () => {
             try {
-                const [sensorsRes, statsRes] = await Promise.all([
-                    fetch(`${API_BASE}/sensors?hours=24&limit=20`),
-                    fetch(`${API_BASE}/stats?hours=24`)
-                ]);
-                if (sensorsRes.ok) setHistory(await sensorsRes.json());
-                if (statsRes.ok) setStats(await statsRes.json());
+                const res = await apiFetch('/devices');
+                if (res.ok) {
+                    const list = await res.json();
+                    setDevices(list);
+                    setSelectedDevice(prev => prev || list[0]?.device_id || null);
+                }
             } catch (e) {
                 console.log('API not available');
             }
         };
-        fetchData();
-        const interval = setInterval(fetchData, 30000);
+        fetchDevices();
+        const interval = setInterval(fetchDevices, 60000);
         return () => clearInterval(interval);
     }, []);
 
-    // Send command with loading state
-    const sendCommand = useCallback((action) => {
-        if (client && connected) {
-            setLoadingBtn(action);
-            client.publish(TOPICS.COMMAND, JSON.stringify({ action }));
+    // Risky command waiting for a typed confirmation or PIN: { device, action, level, reason, mode }
+    const [confirming, setConfirming] = useState(null);
 
-            // Reset loading after delay
-            setTimeout(() => setLoadingBtn(null), 1000);
+    // Send command to the selected room; the button stays busy until acked.
+    // The command policy may block it or ask for a confirmation first.
+    const sendCommand = useCallback(async (action) => {
+        if (!connected || !selectedDevice) return;
+        const mode = rooms[selectedDevice]?.status?.mode || 'normal';
+        const rule = commandPolicy(action, mode);
+        if (rule.level === 'block') return;
+        if (rule.level !== 'allow') {
+            setConfirming({ device: selectedDevice, action, mode, ...rule });
+            return;
         }
-    }, [client, connected]);
+        const result = await publishCommand(selectedDevice, action);
+        // The room's mode changed before the backend saw the command
+        if (result.confirm) setConfirming({ device: selectedDevice, action, ...result.confirm });
+    }, [connected, selectedDevice, rooms, publishCommand]);
 
-    // Logout
-    const handleLogout = () => {
-        localStorage.removeItem('roomguard_user');
-        window.location.reload();
-    };
+    const roomCommands = commands.filter(c => c.device === selectedDevice);
+    const loadingBtn = roomCommands.find(c => c.status === 'pending')?.action || null;
+
+    // Live presence wins over the registry snapshot from the API
+    const presenceOf = useCallback((deviceId) => {
+        const device = devices.find(d => d.device_id === deviceId);
+        const live = rooms[deviceId];
+        return {
+            online: live?.online ?? device?.online ?? false,
+            lastSeen: live?.lastSeen ?? parseTimestamp(device?.last_seen)?.getTime() ?? null,
+        };
+    }, [devices, rooms]);
+
+    // Selected room's live data
+    const room = rooms[selectedDevice] || {};
+    const sensors = room.sensors || DEFAULT_SENSORS;
+    const status = room.status || DEFAULT_STATUS;
+    const presence = presenceOf(selectedDevice);
+    const config = effectiveConfig(room.config);
+    const tempHigh = sensors.temp >= config.fire_temp_threshold;
+    const sensorsStale = !presence.online || !room.sensorsAt || now - room.sensorsAt > STALE_AFTER_MS;
+    const statusStale = !presence.online || !room.statusAt;
+    const trend = sensorsStale ? null : fireTrend;
+    const preAlertLevel = trend && trend.level !== 'normal' ? trend.level : null;
+    // Failed DHT11 reads come as null; the backend flags the rest (stuck, jumps, ...)
+    const healthOf = (sensor) => sensorHealth?.sensors[sensor];
+    const dhtFault = sensors.temp == null || sensors.humidity == null || healthOf('dht')?.ok === false;
+    const faultText = (sensor) => healthOf(sensor)?.faults.map(f => f.detail).join(', ') || 'DHT11 read failed';
+
+    // Every room known from the registry or live traffic
+    const roomIds = [...new Set([...devices.map(d => d.device_id), ...Object.keys(rooms)])].sort();
 
     // Determine current mode
     const currentMode = status.mode || 'normal';
     const isAlert = currentMode !== 'normal';
     const occupants = status.occupant_count || sensors.occupant_count || 0;
+    // Door panel commands the policy blocks in this mode, with the reason
+    const doorBlocks = ['lock', 'unlock', 'reset']
+        .map(action => [action, blockedReason(action, currentMode)])
+        .filter(([, reason]) => reason);
 
     return (
         <div className={`app ${isAlert ? 'alert-mode' : ''}`}>
             {/* Hidden audio element for alarm */}
-            <audio ref={alarmRef} preload="auto">
-                <source src="https://assets.mixkit.co/active_storage/sfx/2869/2869-preview.mp3" type="audio/mpeg" />
-            </audio>
+            <audio ref={alarmRef} preload="auto" src={sirenUrl(prefs.siren)} />
 
             {/* Header */}
             <header className="header">
                 <div className="header-content">
                     <h1>🏠 RoomGuard</h1>
                     <div className="header-right">
-                        <span className={`role-badge ${userRole}`}>
+                        <div className="view-toggle">
+                            <button
+                                className={view === 'overview' ? 'active' : ''}
+                                onClick={() => setView('overview')}
+                            >
+                                🏢 All Rooms
+                            </button>
+                            <select
+                                className="room-select"
+                                value={selectedDevice || ''}
+                                onChange={(e) => {
+                                    setSelectedDevice(e.target.value);
+                                    setView(v => v === 'overview' ? 'room' : v);
+                                }}
+                            >
+                                {!selectedDevice && <option value="">No rooms</option>}
+                                {roomIds.map(id => (
+                                    <option key={id} value={id}>{roomName(id)}</option>
+                                ))}
+                            </select>
+                            <button
+                                className={view === 'room' ? 'active' : ''}
+                                onClick={() => setView('room')}
+                            >
+                                📊 Live
+                            </button>
+                            <button
+                                className={view === 'history' ? 'active' : ''}
+                                onClick={() => setView('history')}
+                                disabled={!selectedDevice}
+                            >
+                                📈 History
+                            </button>
+                            <button
+                                className={view === 'occupancy' ? 'active' : ''}
+                                onClick={() => setView('occupancy')}
+                                disabled={!selectedDevice}
+                            >
+                                👥 Occupancy
+                            </button>
+                            <button
+                                className={view === 'arming' ? 'active' : ''}
+                                onClick={() => setView('arming')}
+                                disabled={!selectedDevice}
+                            >
+                                🗓️ Arming
+                            </button>
+                            <button
+                                className={view === 'preferences' ? 'active' : ''}
+                                onClick={() => setView('preferences')}
+                            >
+                                🎛️ Preferences
+                            </button>
+                            {isAdmin && (
+                                <button
+                                    className={view === 'users' ? 'active' : ''}
+                                    onClick={() => setView('users')}
+                                >
+                                    👤 Users
+                                </button>
+                            )}
+                            {isAdmin && (
+                                <button
+                                    className={view === 'settings' ? 'active' : ''}
+                                    onClick={() => setView('settings')}
+                                    disabled={!selectedDevice}
+                                >
+                                    ⚙️ Settings
+                                </button>
+                            )}
+                            {isAdmin && (
+                                <button
+                                    className={view === 'audit' ? 'active' : ''}
+                                    onClick={() => setView('audit')}
+                                >
+                                    🧾 Audit
+                                </button>
+                            )}
+                            {isAdmin && (
+                                <button
+                                    className={view === 'notifications' ? 'active' : ''}
+                                    onClick={() => setView('notifications')}
+                                >
+                                    📣 Notify
+                                </button>
+                            )}
+                            {isAdmin && (
+                                <button
+                                    className={view === 'rules' ? 'active' : ''}
+                                    onClick={() => setView('rules')}
+                                >
+                                    🤖 Rules
+                                </button>
+                            )}
+                            {isAdmin && (
+                                <button
+                                    className={view === 'guests' ? 'active' : ''}
+                                    onClick={() => setView('guests')}
+                                >
+                                    🎟️ Guests
+                                </button>
+                            )}
+                            {isAdmin && (
+                                <button
+                                    className={view === 'messages' ? 'active' : ''}
+                                    onClick={() => setView('messages')}
+                                >
+                                    📨 Messages
+                                </button>
+                            )}
+                            {isAdmin && (
+                                <button
+                                    className={view === 'storage' ? 'active' : ''}
+                                    onClick={() => setView('storage')}
+                                >
+                                    🗄️ Storage
+                                </button>
+                            )}
+                        </div>
+                        {unacknowledged > 0 && (
+                            <button
+                                className={`unack-badge ${ringing ? 'ringing' : ''}`}
+                                title="Unacknowledged alerts"
+                                onClick={() => setView('room')}
+                            >
+                                🔔 {unacknowledged}
+                            </button>
+                        )}
+                        <span className={`role-badge ${userRole}`} title={user.name}>
                             {userRole === 'admin' ? '👑 Admin' : '👁️ Viewer'}
                         </span>
+                        {selectedDevice && ARM_MODES[status.arm_mode] && (
+                            <button
+                                className={`arm-badge arm-${status.arm_mode} arm-state-${status.arm_state}`}
+                                title={`${roomName(selectedDevice)}: ${status.arm_state}`}
+                                onClick={() => setView('room')}
+                            >
+                                {ARM_MODES[status.arm_mode].icon} {ARM_MODES[status.arm_mode].label}
+                                {status.arm_state === 'arming' && <small>arming</small>}
+                                {status.arm_state === 'entry' && <small>entry!</small>}
+                            </button>
+                        )}
+                        {selectedDevice && (
+                            <div
+                                className={`connection-badge device-badge ${presence.online ? 'online' : 'offline'}`}
+                                title={`Last seen ${formatAge(presence.lastSeen, now)}`}
+                            >
+                                {presence.online ? '📶 Device online' : '📴 Device offline'}
+                                <small>{formatAge(presence.lastSeen, now)}</small>
+                            </div>
+                        )}
                         <div className={`connection-badge ${connected ? 'online' : 'offline'}`}>
                             <span className="pulse-dot"></span>
                             {connected ? 'Live' : 'Disconnected'}
                         </div>
-                        <button className="logout-btn" onClick={handleLogout}>
+                        <PushToggle />
+                        <button
+                            className="logout-btn connection-btn"
+                            onClick={() => setEditingConnection(true)}
+                            title={`Connection: ${activeProfile().name}`}
+                        >
+                            🔌
+                        </button>
+                        <button className="logout-btn" onClick={onLogout}>
                             🚪 Logout
                         </button>
                     </div>
                 </div>
             </header>
 
+            {editingConnection && (
+                <ConnectionDialog mqttAuth={mqttAuth} onClose={() => setEditingConnection(false)} />
+            )}
+
+            {/* Offline: last known state */}
+            {!connected && linkDown && liveAsOf && (
+                <div className="offline-banner">
+                    📴 Offline - showing last known state as of {formatDateTime(liveAsOf)}
+                </div>
+            )}
+
             {/* Alert Banner */}
             {isAlert && (
                 <div className={`alert-banner ${currentMode}`}>
                     <span className="alert-icon">{currentMode === 'fire' ? '🔥' : '🚨'}</span>
                     <span className="alert-text">
+                        {roomName(selectedDevice)}:{' '}
                         {currentMode === 'fire'
                             ? 'FIRE DETECTED - Door unlocked for evacuation!'
                             : 'BURGLAR DETECTED - Door locked!'}
                     </span>
-                    <button
-                        className="alert-dismiss"
-                        onClick={() => sendCommand('reset')}
-                        disabled={loadingBtn === 'reset'}
-                    >
-                        {loadingBtn === 'reset' ? '...' : 'Reset Alert'}
-                    </button>
+                    {isAdmin && (
+                        <button
+                            className="alert-dismiss"
+                            onClick={() => sendCommand('reset')}
+                            disabled={!connected || loadingBtn === 'reset'}
+                            title={describePolicy('reset', currentMode)}
+                        >
+                            {loadingBtn === 'reset' ? '...' : 'Reset Alert'}
+                        </button>
+                    )}
                 </div>
             )}
 
-            <main className="main-content">
-                {/* Left Column - Controls */}
-                <section className="control-panel">
-                    {/* Door Control */}
-                    <div className="panel door-panel">
-                        <div className="panel-header">
-                            <h2>🚪 Door Control</h2>
-                        </div>
-                        <div className="door-visual">
-                            <div className={`door-icon ${status.door}`}>
-                                {status.door === 'locked' ? '🔒' : '🔓'}
+            {view === 'overview' ? (
+                <RoomOverview
+                    roomIds={roomIds}
+                    rooms={rooms}
+                    roomName={roomName}
+                    presenceOf={presenceOf}
+                    now={now}
+                    onSelect={(id) => {
+                        setSelectedDevice(id);
+                        setView('room');
+                    }}
+                />
+            ) : view === 'history' ? (
+                <HistoryPage deviceId={selectedDevice} roomName={roomName(selectedDevice)} />
+            ) : view === 'occupancy' ? (
+                <OccupancyPage deviceId={selectedDevice} roomName={roomName(selectedDevice)} />
+            ) : view === 'arming' ? (
+                <ArmingPage deviceId={selectedDevice} roomName={roomName(selectedDevice)} isAdmin={isAdmin} />
+            ) : view === 'preferences' ? (
+                <PreferencesPage />
+            ) : view === 'users' && isAdmin ? (
+                <UsersPage currentUser={user} />
+            ) : view === 'settings' && isAdmin ? (
+                <DeviceSettingsPage
+                    deviceId={selectedDevice}
+                    roomName={roomName(selectedDevice)}
+                    reported={room.config}
+                />
+            ) : view === 'audit' && isAdmin ? (
+                <AuditPage roomName={roomName} />
+            ) : view === 'notifications' && isAdmin ? (
+                <NotificationsPage />
+            ) : view === 'rules' && isAdmin ? (
+                <RulesPage deviceId={selectedDevice} roomIds={roomIds} roomName={roomName} />
+            ) : view === 'guests' && isAdmin ? (
+                <GuestCodesPage deviceId={selectedDevice} roomIds={roomIds} roomName={roomName} />
+            ) : view === 'messages' && isAdmin ? (
+                <MessagesPage roomIds={roomIds} roomName={roomName} />
+            ) : view === 'storage' && isAdmin ? (
+                <StoragePage />
+            ) : view === 'report' && isAdmin && reportAlert ? (
+                <IncidentReport
+                    alertId={reportAlert}
+                    roomName={roomName}
+                    onBack={() => setView('room')}
+                    onTimeline={() => openIncident(reportAlert)}
+                />
+            ) : view === 'incident' && incident ? (
+                <IncidentPage
+                    alertId={incident.id}
+                    at={incident.at}
+                    roomName={roomName}
+                    isAdmin={isAdmin}
+                    onBack={() => setView('room')}
+                    onReport={(id) => {
+                        setReportAlert(id);
+                        setView('report');
+                    }}
+                />
+            ) : (
+                <main className="main-content">
+                    {/* Left Column - Controls */}
+                    <section className="control-panel">
+                        {/* Arm Mode */}
+                        <ArmPanel
+                            status={room.status}
+                            statusAt={room.statusAt}
+                            stale={statusStale}
+                            canCommand={connected}
+                            loadingBtn={loadingBtn}
+                            onCommand={sendCommand}
+                            isAdmin={isAdmin}
+                            mode={currentMode}
+                        />
+
+                        {/* Door Control */}
+                        <div className="panel door-panel">
+                            <div className="panel-header">
+                                <h2>🚪 Door Control</h2>
+                            </div>
+                            <div className="door-visual">
+                                <div className={`door-icon ${status.door}`}>
+                                    {status.door === 'locked' ? '🔒' : '🔓'}
+                                </div>
+                                <span className={`door-status ${status.door}`}>
+                                    {status.door?.toUpperCase()}
+                                </span>
+                            </div>
+                            <div className="door-actions">
+                                <button
+                                    className={`btn btn-lock ${loadingBtn === 'lock' ? 'loading' : ''}`}
+                                    onClick={() => sendCommand('lock')}
+                                    disabled={!connected || loadingBtn || !isAdmin || !!blockedReason('lock', currentMode)}
+                                    title={!isAdmin ? 'Admin only' : describePolicy('lock', currentMode)}
+                                >
+                                    {loadingBtn === 'lock' ? '⏳' : '🔒'} Lock
+                                </button>
+                                <button
+                                    className={`btn btn-unlock ${loadingBtn === 'unlock' ? 'loading' : ''}`}
+                                    onClick={() => sendCommand('unlock')}
+                                    disabled={!connected || loadingBtn || !isAdmin || !!blockedReason('unlock', currentMode)}
+                                    title={!isAdmin ? 'Admin only' : describePolicy('unlock', currentMode)}
+                                >
+                                    {loadingBtn === 'unlock' ? '⏳' : '🔓'} Unlock
+                                </button>
                             </div>
-                            <span className={`door-status ${status.door}`}>
-                                {status.door?.toUpperCase()}
-                            </span>
-                        </div>
-                        <div className="door-actions">
                             <button
-                                className={`btn btn-lock ${loadingBtn === 'lock' ? 'loading' : ''}`}
-                                onClick={() => sendCommand('lock')}
-                                disabled={!connected || loadingBtn || !isAdmin}
-                                title={!isAdmin ? 'Admin only' : ''}
+                                className={`btn btn-reset full-width ${loadingBtn === 'reset' ? 'loading' : ''}`}
+                                onClick={() => sendCommand('reset')}
+                                disabled={!connected || loadingBtn || !isAdmin || !!blockedReason('reset', currentMode)}
+                                title={!isAdmin ? 'Admin only' : describePolicy('reset', currentMode)}
                             >
-                                {loadingBtn === 'lock' ? '⏳' : '🔒'} Lock
+                                {loadingBtn === 'reset' ? '⏳ Resetting...' : '🔄 Reset System'}
                             </button>
+                            {isAdmin && doorBlocks.length > 0 && (
+                                <ul className="command-blocked">
+                                    {doorBlocks.map(([action, reason]) => (
+                                        <li key={action}><strong className="capitalize">{action}</strong> blocked: {reason}</li>
+                                    ))}
+                                </ul>
+                            )}
+                            {roomCommands.length > 0 && (
+                                <ul className="command-log">
+                                    {roomCommands.slice(0, 4).map(cmd => (
+                                        <li key={cmd.id} className={`command-item ${cmd.status}`}>
+                                            <span className="command-action">
+                                                {COMMAND_STATUS_ICONS[cmd.status]} {cmd.action}
+                                            </span>
+                                            <span className="command-status">
+                                                {cmd.status === 'pending' ? 'Waiting for device...' : cmd.status}
+                                            </span>
+                                            {cmd.reason && <span className="command-reason">{cmd.reason}</span>}
+                                        </li>
+                                    ))}
+                                </ul>
+                            )}
+                        </div>
+
+                        {/* Room Occupancy */}
+                        <div className="panel occupancy-panel">
+                            <div className="panel-header">
+                                <h2>👥 Room Occupancy</h2>
+                            </div>
+                            <div className="occupancy-display">
+                                <span className="occupancy-count">{occupants}</span>
+                                <span className="occupancy-label">
+                                    {occupants === 0 ? 'Empty' : occupants === 1 ? 'Person' : 'People'}
+                                </span>
+                            </div>
                             <button
-                                className={`btn btn-unlock ${loadingBtn === 'unlock' ? 'loading' : ''}`}
-                                onClick={() => sendCommand('unlock')}
-                                disabled={!connected || loadingBtn || !isAdmin}
-                                title={!isAdmin ? 'Admin only' : ''}
+                                className={`btn btn-checkout full-width ${loadingBtn === 'checkout' ? 'loading' : ''}`}
+                                onClick={() => sendCommand('checkout')}
+                                disabled={!connected || occupants === 0 || loadingBtn || !isAdmin || !!blockedReason('checkout', currentMode)}
+                                title={!isAdmin ? 'Admin only' : describePolicy('checkout', currentMode)}
                             >
-                                {loadingBtn === 'unlock' ? '⏳' : '🔓'} Unlock
+                                {loadingBtn === 'checkout' ? '⏳' : '🚪'} Checkout (-1)
                             </button>
                         </div>
-                        <button
-                            className={`btn btn-reset full-width ${loadingBtn === 'reset' ? 'loading' : ''}`}
-                            onClick={() => sendCommand('reset')}
-                            disabled={!connected || loadingBtn || !isAdmin}
-                            title={!isAdmin ? 'Admin only' : ''}
-                        >
-                            {loadingBtn === 'reset' ? '⏳ Resetting...' : '🔄 Reset System'}
-                        </button>
-                    </div>
-
-                    {/* Room Occupancy */}
-                    <div className="panel occupancy-panel">
-                        <div className="panel-header">
-                            <h2>👥 Room Occupancy</h2>
-                        </div>
-                        <div className="occupancy-display">
-                            <span className="occupancy-count">{occupants}</span>
-                            <span className="occupancy-label">
-                                {occupants === 0 ? 'Empty' : occupants === 1 ? 'Person' : 'People'}
-                            </span>
-                        </div>
-                        <button
-                            className={`btn btn-checkout full-width ${loadingBtn === 'checkout' ? 'loading' : ''}`}
-                            onClick={() => sendCommand('checkout')}
-                            disabled={!connected || occupants === 0 || loadingBtn || !isAdmin}
-                            title={!isAdmin ? 'Admin only' : ''}
-                        >
-                            {loadingBtn === 'checkout' ? '⏳' : '🚪'} Checkout (-1)
-                        </button>
-                    </div>
-                </section>
+                    </section>
 
-                {/* Center Column - Sensors */}
-                <section className="sensor-panel">
-                    <div className="panel">
-                        <div className="panel-header">
-                            <h2>📊 Live Sensors</h2>
-                        </div>
-                        <div className="sensor-grid">
-                            {/* Temperature */}
-                            <div className="sensor-card temp">
-                                <div className="sensor-icon">🌡️</div>
-                                <div className="sensor-info">
-                                    <span className="sensor-value">
-                                        {sensors.temp?.toFixed(1) || 0}
-                                        <small>°C</small>
-                                    </span>
-                                    <span className="sensor-label">Temperature</span>
-                                </div>
-                                <div className={`sensor-status ${sensors.temp >= 50 ? 'danger' : 'normal'}`}>
-                                    {sensors.temp >= 50 ? '⚠️ HIGH' : 'Normal'}
-                                </div>
+                    {/* Center Column - Sensors */}
+                    <section className="sensor-panel">
+                        <div className="panel">
+                            <div className="panel-header">
+                                <h2>📊 Live Sensors</h2>
+                                <span className={`data-age ${sensorsStale ? 'stale' : ''}`}>
+                                    {room.sensorsAt
+                                        ? `${sensorsStale ? '⚠️ Stale · ' : ''}${formatAge(room.sensorsAt, now)}`
+                                        : 'No data yet'}
+                                </span>
                             </div>
+                            <div className={`sensor-grid ${sensorsStale ? 'stale' : ''}`}>
+                                {/* Temperature */}
+                                <div className="sensor-card temp">
+                                    <div className="sensor-icon">🌡️</div>
+                                    <div className="sensor-info">
+                                        <span className="sensor-value">
+                                            {formatTemp(sensors.temp, { unit: false })}
+                                            <small>{tempUnit}</small>
+                                        </span>
+                                        <span className="sensor-label">Temperature</span>
+                                        {trend?.rate != null && (
+                                            <span
+                                                className={`temp-trend ${trend.direction}`}
+                                                title={trend.baseline_temp != null ? `30-min baseline ${formatTemp(trend.baseline_temp)}` : ''}
+                                            >
+                                                {TREND_ARROWS[trend.direction]} {trend.rate > 0 ? '+' : ''}{toTempDelta(trend.rate).toFixed(1)} {tempUnit}/min
+                                            </span>
+                                        )}
+                                    </div>
+                                    {dhtFault ? (
+                                        <div className="sensor-status fault" title={faultText('dht')}>⚠️ Sensor fault</div>
+                                    ) : (
+                                        <div
+                                            className={`sensor-status ${tempHigh ? 'danger' : preAlertLevel || 'normal'}`}
+                                            title={preAlertLevel
+                                                ? `Early warning: ${trend.reasons.join(', ')}`
+                                                : `Fire threshold ${formatTemp(config.fire_temp_threshold)}`}
+                                        >
+                                            {tempHigh
+                                                ? '⚠️ HIGH'
+                                                : preAlertLevel === 'warning' ? '🌡️ RISING FAST'
+                                                    : preAlertLevel === 'watch' ? '👀 Rising' : 'Normal'}
+                                        </div>
+                                    )}
+                                </div>
 
-                            {/* Humidity */}
-                            <div className="sensor-card humidity">
-                                <div className="sensor-icon">💧</div>
-                                <div className="sensor-info">
-                                    <span className="sensor-value">
-                                        {sensors.humidity?.toFixed(0) || 0}
-                                        <small>%</small>
-                                    </span>
-                                    <span className="sensor-label">Humidity</span>
+                                {/* Humidity */}
+                                <div className="sensor-card humidity">
+                                    <div className="sensor-icon">💧</div>
+                                    <div className="sensor-info">
+                                        <span className="sensor-value">
+                                            {sensors.humidity == null ? '—' : sensors.humidity.toFixed(0)}
+                                            <small>%</small>
+                                        </span>
+                                        <span className="sensor-label">Humidity</span>
+                                    </div>
+                                    {dhtFault && (
+                                        <div className="sensor-status fault" title={faultText('dht')}>⚠️ Sensor fault</div>
+                                    )}
                                 </div>
-                            </div>
 
-                            {/* IR Sensor */}
-                            <div className={`sensor-card ir ${sensors.ir ? 'active' : ''}`}>
-                                <div className="sensor-icon">📡</div>
-                                <div className="sensor-info">
-                                    <span className="sensor-value">{sensors.ir ? 'TRIGGERED' : 'Clear'}</span>
-                                    <span className="sensor-label">IR Entry</span>
+                                {/* IR Sensor */}
+                                <div className={`sensor-card ir ${sensors.ir ? 'active' : ''}`}>
+                                    <div className="sensor-icon">📡</div>
+                                    <div className="sensor-info">
+                                        <span className="sensor-value">{sensors.ir ? 'TRIGGERED' : 'Clear'}</span>
+                                        <span className="sensor-label">IR Entry</span>
+                                    </div>
+                                    {healthOf('ir')?.ok === false && (
+                                        <div className="sensor-status fault" title={faultText('ir')}>⚠️ Blocked</div>
+                                    )}
                                 </div>
-                            </div>
 
-                            {/* PIR Sensor */}
-                            <div className={`sensor-card pir ${sensors.pir ? 'active' : ''}`}>
-                                <div className="sensor-icon">🏃</div>
-                                <div className="sensor-info">
-                                    <span className="sensor-value">{sensors.pir ? 'MOTION' : 'No Motion'}</span>
-                                    <span className="sensor-label">PIR Motion</span>
+                                {/* PIR Sensor */}
+                                <div className={`sensor-card pir ${sensors.pir ? 'active' : ''}`}>
+                                    <div className="sensor-icon">🏃</div>
+                                    <div className="sensor-info">
+                                        <span className="sensor-value">{sensors.pir ? 'MOTION' : 'No Motion'}</span>
+                                        <span className="sensor-label">PIR Motion</span>
+                                    </div>
+                                    {healthOf('pir')?.ok === false && (
+                                        <div className="sensor-status fault" title={faultText('pir')}>⚠️ Flapping</div>
+                                    )}
                                 </div>
                             </div>
                         </div>
-                    </div>
 
-                    {/* Status Indicators */}
-                    <div className="panel status-panel">
-                        <div className="panel-header">
-                            <h2>📍 System Status</h2>
-                        </div>
-                        <div className="status-grid">
-                            <div className="status-item">
-                                <span className="status-label">Mode</span>
-                                <span className={`status-value mode-${currentMode}`}>
-                                    {currentMode.toUpperCase()}
-                                </span>
-                            </div>
-                            <div className="status-item">
-                                <span className="status-label">LED</span>
-                                <span className={`status-value led-${status.led}`}>
-                                    {status.led === 'red' ? '🔴 Red' : '🟢 Green'}
-                                </span>
+                        {/* Status Indicators */}
+                        <div className="panel status-panel">
+                            <div className="panel-header">
+                                <h2>📍 System Status</h2>
+                                {statusStale && (
+                                    <span className="data-age stale">
+                                        {room.statusAt ? `⚠️ Stale · ${formatAge(room.statusAt, now)}` : 'No data yet'}
+                                    </span>
+                                )}
                             </div>
-                            <div className="status-item">
-                                <span className="status-label">Door</span>
-                                <span className={`status-value door-${status.door}`}>
-                                    {status.door === 'locked' ? '🔒 Locked' : '🔓 Open'}
-                                </span>
+                            <div className={`status-grid ${statusStale ? 'stale' : ''}`}>
+                                <div className="status-item">
+                                    <span className="status-label">Mode</span>
+                                    <span className={`status-value mode-${currentMode}`}>
+                                        {currentMode.toUpperCase()}
+                                    </span>
+                                </div>
+                                <div className="status-item">
+                                    <span className="status-label">LED</span>
+                                    <span className={`status-value led-${status.led}`}>
+                                        {status.led === 'red' ? '🔴 Red' : '🟢 Green'}
+                                    </span>
+                                </div>
+                                <div className="status-item">
+                                    <span className="status-label">Door</span>
+                                    <span className={`status-value door-${status.door}`}>
+                                        {status.door === 'locked' ? '🔒 Locked' : '🔓 Open'}
+                                    </span>
+                                </div>
                             </div>
                         </div>
-                    </div>
-                </section>
-
-                {/* Right Column - Alerts & History */}
-                <section className="history-panel">
-                    {/* Recent Alerts */}
-                    <div className="panel alerts-panel">
-                        <div className="panel-header">
-                            <h2>🚨 Recent Alerts</h2>
-                            <span className="alert-count">{alerts.length}</span>
-                        </div>
-                        <div className="alerts-list">
-                            {alerts.length === 0 ? (
-                                <div className="no-alerts">
-                                    <span>✅</span>
-                                    <p>No alerts</p>
+
+                        <SensorHealthPanel
+                            device={selectedDevice}
+                            health={sensorHealth}
+                            faultyReadings={stats?.faulty_readings}
+                            now={now}
+                        />
+                    </section>
+
+                    {/* Right Column - Alerts & History */}
+                    <section className="history-panel">
+                        {/* Recent Alerts */}
+                        <AlertsPanel
+                            alerts={alerts}
+                            roomName={roomName}
+                            isAdmin={isAdmin}
+                            onAcknowledge={acknowledge}
+                            onResolve={resolve}
+                            onAddNote={addNote}
+                            onSilence={silence}
+                            onReport={(alert) => {
+                                setReportAlert(alert.id);
+                                setView('report');
+                            }}
+                            onTimeline={(alert) => openIncident(alert.id)}
+                        />
+
+                        {/* Stats */}
+                        {stats && (
+                            <div className="panel stats-panel">
+                                <div className="panel-header">
+                                    <h2>📈 24h Stats</h2>
                                 </div>
-                            ) : (
-                                alerts.map(alert => (
-                                    <div key={alert.id} className={`alert-item ${alert.type}`}>
-                                        <span className="alert-type-icon">
-                                            {alert.type === 'fire' ? '🔥' : '🚨'}
-                                        </span>
-                                        <div className="alert-details">
-                                            <span className="alert-type-text">{alert.type}</span>
-                                            <span className="alert-time">{alert.time}</span>
-                                        </div>
+                                <div className="stats-grid">
+                                    <div className="stat-item">
+                                        <span className="stat-value">{stats.total_readings}</span>
+                                        <span className="stat-label">Readings</span>
                                     </div>
-                                ))
-                            )}
-                        </div>
-                    </div>
+                                    <div className="stat-item">
+                                        <span className="stat-value">{formatTemp(stats.avg_temp)}</span>
+                                        <span className="stat-label">Avg Temp</span>
+                                    </div>
+                                    <div className="stat-item danger">
+                                        <span className="stat-value">{stats.total_alerts}</span>
+                                        <span className="stat-label">Alerts</span>
+                                    </div>
+                                </div>
+                            </div>
+                        )}
 
-                    {/* Stats */}
-                    {stats && (
-                        <div className="panel stats-panel">
+                        {/* History Table */}
+                        <div className="panel history-table-panel">
                             <div className="panel-header">
-                                <h2>📈 24h Stats</h2>
+                                <h2>📜 History</h2>
                             </div>
-                            <div className="stats-grid">
-                                <div className="stat-item">
-                                    <span className="stat-value">{stats.total_readings}</span>
-                                    <span className="stat-label">Readings</span>
-                                </div>
-                                <div className="stat-item">
-                                    <span className="stat-value">{stats.avg_temp}°</span>
-                                    <span className="stat-label">Avg Temp</span>
-                                </div>
-                                <div className="stat-item danger">
-                                    <span className="stat-value">{stats.total_alerts}</span>
-                                    <span className="stat-label">Alerts</span>
-                                </div>
+                            <div className="history-table">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>Time</th>
+                                            <th>Temp</th>
+                                            <th>Hum</th>
+                                            <th>Occ</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {history.slice(0, 8).map((row, i) => (
+                                            <tr key={i}>
+                                                <td>{formatTime(new Date(row.timestamp))}</td>
+                                                <td>{row.temp == null ? '—' : `${formatTemp(row.temp, { unit: false })}°`}</td>
+                                                <td>{row.humidity == null ? '—' : `${row.humidity.toFixed(0)}%`}</td>
+                                                <td>{row.occupant_count || 0}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
                             </div>
                         </div>
-                    )}
+                    </section>
+                </main>
+            )}
 
-                    {/* History Table */}
-                    <div className="panel history-table-panel">
-                        <div className="panel-header">
-                            <h2>📜 History</h2>
-                        </div>
-                        <div className="history-table">
-                            <table>
-                                <thead>
-                                    <tr>
-                                        <th>Time</th>
-                                        <th>Temp</th>
-                                        <th>Hum</th>
-                                        <th>Occ</th>
-                                    </tr>
-                                </thead>
-                                <tbody>
-                                    {history.slice(0, 8).map((row, i) => (
-                                        <tr key={i}>
-                                            <td>{new Date(row.timestamp).toLocaleTimeString()}</td>
-                                            <td>{row.temp?.toFixed(1)}°</td>
-                                            <td>{row.humidity?.toFixed(0)}%</td>
-                                            <td>{row.occupant_count || 0}</td>
-                                        </tr>
-                                    ))}
-                                </tbody>
-                            </table>
-                        </div>
-                    </div>
-                </section>
-            </main>
+            {confirming && (
+                <ConfirmCommandDialog
+                    {...confirming}
+                    roomName={roomName(confirming.device)}
+                    onConfirm={async (confirmation) => {
+                        const result = await publishCommand(confirming.device, confirming.action, confirmation);
+                        // The policy asks for something else now, e.g. the room went into alarm
+                        if (result.confirm) setConfirming(prev => prev && { ...prev, ...result.confirm });
+                        return result;
+                    }}
+                    onClose={() => setConfirming(null)}
+                />
+            )}
         </div>
     );
 }
 
 // ==================== APP WRAPPER ====================
 function App() {
-    const [user, setUser] = useState(() => {
-        const saved = localStorage.getItem('roomguard_user');
-        return saved ? JSON.parse(saved) : null;
-    });
-
-    const handleLogout = () => {
-        localStorage.removeItem('roomguard_user');
-        setUser(null);
+    const [session, setSession] = useState(() => loadSession());
+    // The guest page (#/guest) is shown instead of login or the dashboard
+    const [guest, setGuest] = useState(() => parseGuestHash(window.location.hash));
+
+    useEffect(() => {
+        const onHashChange = () => setGuest(parseGuestHash(window.location.hash));
+        window.addEventListener('hashchange', onHashChange);
+        return () => window.removeEventListener('hashchange', onHashChange);
+    }, []);
+
+    // Any 401 from the API (expired/revoked token) drops back to login
+    useEffect(() => {
+        const onLogout = () => setSession(null);
+        window.addEventListener('roomguard:logout', onLogout);
+        return () => window.removeEventListener('roomguard:logout', onLogout);
+    }, []);
+
+    // Re-validate a saved session and pick up role changes made by an admin
+    useEffect(() => {
+        if (!session) return;
+        apiFetch('/auth/me')
+            .then(res => res.ok ? res.json() : null)
+            .then(user => user && setSession(prev => prev && { ...prev, user }))
+            .catch(() => { });
+    }, [session?.token]);
+
+    // This browser shouldn't keep receiving alerts or cached room data for the next user
+    const handleLogout = async () => {
+        await Promise.all([disablePush().catch(() => { }), clearSnapshot()]);
+        clearPreferences();
+        await logout();
     };
 
-    if (!user) {
-        return <LoginPage onLogin={(userData) => setUser(userData)} />;
+    if (guest) {
+        const leaveGuest = () => {
+            window.history.replaceState(null, '', window.location.pathname + window.location.search);
+            setGuest(null);
+        };
+        return <GuestPage initialCode={guest.code} onLeave={leaveGuest} />;
+    }
+
+    if (!session) {
+        return <LoginPage onLogin={setSession} />;
     }
 
-    return <Dashboard userRole={user.role} />;
+    return <Dashboard user={session.user} mqttAuth={session.mqtt} onLogout={handleLogout} />;
 }
 
 export default App;
@@ -0,0 +1,95 @@
+import { apiBase, activeProfile } from './connection';
+
+// ==================== REST API CLIENT ====================
+// The API address comes from the active connection profile (connection.js).
+
+// One login per connection profile - tokens belong to one backend
+const sessionKey = () => `roomguard_session:${activeProfile().id}`;
+
+/**
+ * Session returned by /api/auth/login: { token, expires_at, user, mqtt }.
+ * The role stored here is only used for display - the backend and broker
+ * enforce it, so editing localStorage gains nothing.
+ */
+export function loadSession() {
+    try {
+        const session = JSON.parse(localStorage.getItem(sessionKey()));
+        if (!session?.token) return null;
+        if (new Date(`${session.expires_at}Z`) <= new Date()) {
+            localStorage.removeItem(sessionKey());
+            return null;
+        }
+        return session;
+    } catch {
+        return null;
+    }
+}
+
+function clearSession() {
+    localStorage.removeItem(sessionKey());
+    window.dispatchEvent(new Event('roomguard:logout'));
+}
+
+/**
+ * fetch() against the backend with the session token attached.
+ * A 401 ends the session everywhere via the 'roomguard:logout' event.
+ */
+export async function apiFetch(path, options = {}) {
+    const session = loadSession();
+    const headers = { ...options.headers };
+    if (session) headers.Authorization = `Bearer ${session.token}`;
+    if (options.body && !headers['Content-Type']) headers['Content-Type'] = 'application/json';
+
+    const response = await fetch(`${apiBase()}${path}`, { ...options, headers });
+    if (response.status === 401 && session) clearSession();
+    return response;
+}
+
+/**
+ * Read the { error } message from a failed response
+ */
+export async function errorMessage(response, fallback = 'Request failed') {
+    try {
+        const body = await response.json();
+        return body.error || fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+/**
+ * Save an API response as a file. Goes through fetch so the token stays
+ * in the Authorization header instead of the URL.
+ */
+export async function apiDownload(path, filename) {
+    const response = await apiFetch(path);
+    if (!response.ok) throw new Error(await errorMessage(response, 'Download failed'));
+
+    const url = URL.createObjectURL(await response.blob());
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+export async function login(username, password) {
+    const response = await fetch(`${apiBase()}/auth/login`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username, password }),
+    });
+    if (!response.ok) throw new Error(await errorMessage(response, 'Login failed'));
+
+    const session = await response.json();
+    localStorage.setItem(sessionKey(), JSON.stringify(session));
+    return session;
+}
+
+export async function logout() {
+    try {
+        await apiFetch('/auth/logout', { method: 'POST' });
+    } finally {
+        clearSession();
+    }
+}
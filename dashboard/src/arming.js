@@ -0,0 +1,32 @@
+// ==================== ARMING ====================
+// Arm modes reported by the firmware in every status message
+// (arm_mode / arm_state / arm_remaining) and the commands that change them.
+export const ARM_MODES = {
+    disarmed: { label: 'Disarmed', icon: '🔓' },
+    away: { label: 'Armed Away', icon: '🛡️' },
+    night: { label: 'Armed Night', icon: '🌙' },
+};
+
+export const ARM_ACTIONS = [
+    { action: 'arm_away', mode: 'away', label: 'Arm Away' },
+    { action: 'arm_night', mode: 'night', label: 'Arm Night' },
+    { action: 'disarm', mode: 'disarmed', label: 'Disarm' },
+];
+
+export const ARM_STATE_LABELS = {
+    disarmed: 'Burglar detection off',
+    arming: 'Exit delay',
+    armed: 'Watching',
+    entry: 'Entry detected - disarm now',
+};
+
+export const WEEKDAYS = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+/**
+ * Seconds left on a running exit/entry delay, counted down from when the
+ * status arrived; null when no delay is running.
+ */
+export function armCountdown(status, statusAt, now) {
+    if (status?.arm_remaining == null || !statusAt) return null;
+    return Math.max(Math.ceil(status.arm_remaining - (now - statusAt) / 1000), 0);
+}
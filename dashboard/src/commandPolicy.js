@@ -0,0 +1,47 @@
+import policy from '../../schemas/command-policy.json';
+
+// ==================== COMMAND POLICY ====================
+// Safety interlocks from schemas/command-policy.json, shared with the
+// backend (backend/command_policy.py), which enforces them. Per room mode a
+// command is allowed, needs the action typed in capitals ('confirm') or the
+// user's PIN ('pin'), or is blocked. The dashboard only uses this to explain
+// blocked buttons and ask for the confirmation before sending.
+
+export const MODE_LABELS = {
+    normal: 'Normal operation',
+    burglar: '🚨 Burglar alarm active',
+    fire: '🔥 Fire alarm active',
+};
+
+const ALLOWED = { level: 'allow', reason: '' };
+
+/**
+ * { level: 'allow' | 'confirm' | 'pin' | 'block', reason } for an action in a room mode
+ */
+export function commandPolicy(action, mode) {
+    return policy.modes[mode || 'normal']?.[action] || ALLOWED;
+}
+
+/**
+ * What must be typed to confirm an action
+ */
+export const confirmPhrase = (action) => action.toUpperCase();
+
+/**
+ * Why a button is disabled by the policy, or '' if it isn't
+ */
+export function blockedReason(action, mode) {
+    const rule = commandPolicy(action, mode);
+    return rule.level === 'block' ? rule.reason : '';
+}
+
+/**
+ * Tooltip for a command button: what the policy does with it in this mode
+ */
+export function describePolicy(action, mode) {
+    const { level, reason } = commandPolicy(action, mode);
+    if (level === 'block') return `Blocked: ${reason}`;
+    if (level === 'pin') return `Asks for your PIN: ${reason}`;
+    if (level === 'confirm') return `Asks you to type ${confirmPhrase(action)}: ${reason}`;
+    return '';
+}
@@ -0,0 +1,152 @@
+import { useState } from 'react';
+import { parseTimestamp } from '../hooks/useHistory';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== ALERTS PANEL ====================
+// Alerts across all rooms with their lifecycle: anyone can acknowledge and
+// add notes, admins resolve.
+
+const TYPE_ICONS = {
+    fire: '🔥',
+    burglar: '🚨',
+    fire_warning: '🌡️',
+    rule: '🤖',
+};
+
+const STATE_LABELS = {
+    open: 'Open',
+    acknowledged: 'Acknowledged',
+    resolved: 'Resolved',
+};
+
+function AlertItem({ alert, roomName, isAdmin, onAcknowledge, onResolve, onAddNote, onSilence, onReport, onTimeline }) {
+    const { formatTime, formatDateTime } = usePreferences();
+    const [expanded, setExpanded] = useState(false);
+    const [note, setNote] = useState('');
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    const run = async (action) => {
+        setBusy(true);
+        setError('');
+        const err = await action(alert.id, note.trim());
+        setBusy(false);
+        if (err) {
+            setError(err);
+        } else {
+            setNote('');
+        }
+    };
+
+    const time = parseTimestamp(alert.timestamp);
+
+    return (
+        <div className={`alert-item ${alert.type} ${alert.level || ''} ${alert.state}`}>
+            <span className="alert-type-icon">
+                {TYPE_ICONS[alert.type] || '🚨'}
+            </span>
+            <div className="alert-body">
+                <div className="alert-details">
+                    <span className="alert-type-text">
+                        {alert.type === 'fire_warning' ? `fire ${alert.level}` : alert.type === 'rule' ? alert.rule_name : alert.type}
+                    </span>
+                    <span className="alert-room">{roomName(alert.device)}</span>
+                    <span className="alert-time" title={formatDateTime(time)}>{formatTime(time)}</span>
+                </div>
+                <div className="alert-lifecycle">
+                    <span className={`outcome-badge ${alert.state}`}>{STATE_LABELS[alert.state] || alert.state}</span>
+                    {alert.acknowledged_by && <small>by {alert.acknowledged_by}</small>}
+                    {alert.resolved_by && alert.resolved_by !== alert.acknowledged_by && (
+                        <small>· resolved by {alert.resolved_by}</small>
+                    )}
+                    <div className="row-actions">
+                        {alert.state === 'open' && (alert.provisional ? (
+                            alert.live && <button onClick={() => onSilence(alert.id)}>🔕 Silence</button>
+                        ) : (
+                            <button disabled={busy} onClick={() => run(onAcknowledge)}>✋ Acknowledge</button>
+                        ))}
+                        {isAdmin && !alert.provisional && alert.state !== 'resolved' && (
+                            <button disabled={busy} onClick={() => run(onResolve)}>✔️ Resolve</button>
+                        )}
+                        {!alert.provisional && (
+                            <button onClick={() => setExpanded(e => !e)}>
+                                📝 {alert.notes?.length || 0}
+                            </button>
+                        )}
+                        {!alert.provisional && onTimeline && (
+                            <button onClick={() => onTimeline(alert)}>🎞️ Timeline</button>
+                        )}
+                        {isAdmin && !alert.provisional && onReport && (
+                            <button onClick={() => onReport(alert)}>🧾 Report</button>
+                        )}
+                    </div>
+                </div>
+                {expanded && (
+                    <div className="alert-notes">
+                        {alert.message && <p className="alert-message">{alert.message}</p>}
+                        {(alert.notes || []).map((n, i) => (
+                            <div key={i} className="alert-note">
+                                <small>{n.user} · {formatDateTime(parseTimestamp(n.timestamp))}</small>
+                                <p>{n.text}</p>
+                            </div>
+                        ))}
+                        <form
+                            className="inline-form alert-note-form"
+                            onSubmit={(e) => {
+                                e.preventDefault();
+                                if (note.trim()) run(onAddNote);
+                            }}
+                        >
+                            <input
+                                placeholder="Add a note (also saved with Acknowledge/Resolve)"
+                                value={note}
+                                maxLength={1000}
+                                onChange={(e) => setNote(e.target.value)}
+                            />
+                            <button type="submit" disabled={busy || !note.trim()}>Add</button>
+                        </form>
+                    </div>
+                )}
+                {error && <div className="login-error">{error}</div>}
+            </div>
+        </div>
+    );
+}
+
+function AlertsPanel({ alerts, roomName, isAdmin, onAcknowledge, onResolve, onAddNote, onSilence, onReport, onTimeline }) {
+    const unacknowledged = alerts.filter(a => a.state === 'open').length;
+
+    return (
+        <div className="panel alerts-panel">
+            <div className="panel-header">
+                <h2>🚨 Recent Alerts</h2>
+                <span className="alert-count" title="Unacknowledged">{unacknowledged}</span>
+            </div>
+            <div className="alerts-list">
+                {alerts.length === 0 ? (
+                    <div className="no-alerts">
+                        <span>✅</span>
+                        <p>No alerts</p>
+                    </div>
+                ) : (
+                    alerts.map(alert => (
+                        <AlertItem
+                            key={alert.id}
+                            alert={alert}
+                            roomName={roomName}
+                            isAdmin={isAdmin}
+                            onAcknowledge={onAcknowledge}
+                            onResolve={onResolve}
+                            onAddNote={onAddNote}
+                            onSilence={onSilence}
+                            onReport={onReport}
+                            onTimeline={onTimeline}
+                        />
+                    ))
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default AlertsPanel;
@@ -0,0 +1,62 @@
+import { useState, useEffect } from 'react';
+import { ARM_MODES, ARM_ACTIONS, ARM_STATE_LABELS, armCountdown } from '../arming';
+import { blockedReason, describePolicy } from '../commandPolicy';
+
+// ==================== ARM PANEL ====================
+// Current arm mode of the selected room with its exit/entry countdown.
+// `mode` is the room's alarm mode, which the command policy checks.
+
+function ArmPanel({ status, statusAt, stale, canCommand, loadingBtn, onCommand, isAdmin, mode: roomMode }) {
+    const mode = status?.arm_mode;
+    const state = status?.arm_state;
+    const info = ARM_MODES[mode];
+
+    // Tick every second while a delay is counting down
+    const [now, setNow] = useState(Date.now());
+    const counting = state === 'arming' || state === 'entry';
+    useEffect(() => {
+        if (!counting) return;
+        setNow(Date.now());
+        const interval = setInterval(() => setNow(Date.now()), 1000);
+        return () => clearInterval(interval);
+    }, [counting, statusAt]);
+
+    const remaining = counting ? armCountdown(status, statusAt, now) : null;
+    const blocked = ARM_ACTIONS
+        .map(({ action }) => blockedReason(action, roomMode))
+        .find(reason => reason);
+
+    return (
+        <div className={`panel arm-panel arm-${mode || 'unknown'} arm-state-${state || 'unknown'} ${stale ? 'stale' : ''}`}>
+            <div className="panel-header">
+                <h2>🛡️ Arming</h2>
+            </div>
+            <div className="arm-mode">
+                <span className="arm-mode-icon">{info?.icon || '❔'}</span>
+                <div>
+                    <div className="arm-mode-label">{info?.label || 'Unknown'}</div>
+                    <div className="arm-state-label">
+                        {ARM_STATE_LABELS[state] || 'Waiting for device...'}
+                        {remaining != null && <strong> · {remaining}s</strong>}
+                    </div>
+                </div>
+            </div>
+            <div className="arm-actions">
+                {ARM_ACTIONS.map(({ action, mode: target, label }) => (
+                    <button
+                        key={action}
+                        className={`btn arm-btn ${mode === target ? 'active' : ''} ${loadingBtn === action ? 'loading' : ''}`}
+                        onClick={() => onCommand(action)}
+                        disabled={!canCommand || loadingBtn || !isAdmin || mode === target || !!blockedReason(action, roomMode)}
+                        title={!isAdmin ? 'Admin only' : describePolicy(action, roomMode)}
+                    >
+                        {loadingBtn === action ? '⏳' : ARM_MODES[target].icon} {label}
+                    </button>
+                ))}
+            </div>
+            {isAdmin && blocked && <p className="command-blocked">Arming blocked: {blocked}</p>}
+        </div>
+    );
+}
+
+export default ArmPanel;
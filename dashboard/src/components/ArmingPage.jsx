@@ -0,0 +1,212 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { ARM_MODES, ARM_ACTIONS, WEEKDAYS } from '../arming';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== ARMING SCHEDULES & HISTORY ====================
+// Weekly schedules are run by the backend, which sends the arm/disarm command
+// as the 'scheduler' user. Every mode/state change the device reports is kept.
+
+const EMPTY_FORM = { action: 'arm_away', time: '22:00', days: [0, 1, 2, 3, 4] };
+
+const actionLabel = (action) => ARM_ACTIONS.find(a => a.action === action)?.label || action;
+
+function ArmingPage({ deviceId, roomName, isAdmin }) {
+    const { formatDateTime } = usePreferences();
+    const device = encodeURIComponent(deviceId);
+    const [schedules, setSchedules] = useState([]);
+    const [timezone, setTimezone] = useState('');
+    const [history, setHistory] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const fetchSchedules = useCallback(async () => {
+        try {
+            const res = await apiFetch(`/devices/${device}/arm-schedules`);
+            if (res.ok) {
+                const data = await res.json();
+                setSchedules(data.schedules);
+                setTimezone(data.timezone);
+            } else {
+                setError(await errorMessage(res));
+            }
+        } catch {
+            setError('API not available');
+        }
+    }, [device]);
+
+    useEffect(() => {
+        fetchSchedules();
+    }, [fetchSchedules]);
+
+    useEffect(() => {
+        const fetchHistory = async () => {
+            try {
+                const res = await apiFetch(`/devices/${device}/arm-history?hours=${24 * 7}`);
+                if (res.ok) setHistory(await res.json());
+            } catch {
+                // Keep the last history shown
+            }
+        };
+        fetchHistory();
+        const interval = setInterval(fetchHistory, 30000);
+        return () => clearInterval(interval);
+    }, [device]);
+
+    // Run a schedule change, then reload the list
+    const run = async (path, options) => {
+        setBusy(true);
+        setError('');
+        try {
+            const res = await apiFetch(path, options);
+            if (!res.ok) setError(await errorMessage(res));
+            await fetchSchedules();
+            return res.ok;
+        } catch {
+            setError('API not available');
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const ok = await run(`/devices/${device}/arm-schedules`, {
+            method: 'POST',
+            body: JSON.stringify(form),
+        });
+        if (ok) setForm(EMPTY_FORM);
+    };
+
+    const toggleDay = (day) => setForm(prev => ({
+        ...prev,
+        days: prev.days.includes(day) ? prev.days.filter(d => d !== day) : [...prev.days, day],
+    }));
+
+    return (
+        <main className="page-content">
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🗓️ Arming Schedules — {roomName}</h2>
+                    {timezone && <span className="status-label">Times in {timezone}</span>}
+                </div>
+                {error && <div className="login-error">{error}</div>}
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Days</th>
+                                <th>Action</th>
+                                <th>Last run</th>
+                                <th>Enabled</th>
+                                {isAdmin && <th></th>}
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {schedules.map(s => (
+                                <tr key={s.id} className={s.enabled ? '' : 'muted'}>
+                                    <td>{s.time}</td>
+                                    <td>{s.days.map(d => WEEKDAYS[d]).join(', ')}</td>
+                                    <td>{actionLabel(s.action)}</td>
+                                    <td>{s.last_run || '—'}</td>
+                                    <td>
+                                        <input
+                                            type="checkbox"
+                                            checked={s.enabled}
+                                            disabled={!isAdmin || busy}
+                                            onChange={() => run(`/arm-schedules/${s.id}`, {
+                                                method: 'PUT',
+                                                body: JSON.stringify({ enabled: !s.enabled }),
+                                            })}
+                                        />
+                                    </td>
+                                    {isAdmin && (
+                                        <td className="row-actions">
+                                            <button
+                                                disabled={busy}
+                                                onClick={() => run(`/arm-schedules/${s.id}`, { method: 'DELETE' })}
+                                            >
+                                                Delete
+                                            </button>
+                                        </td>
+                                    )}
+                                </tr>
+                            ))}
+                            {schedules.length === 0 && (
+                                <tr>
+                                    <td colSpan={isAdmin ? 6 : 5} className="no-alerts">No schedules</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+                {isAdmin && (
+                    <form className="inline-form schedule-form" onSubmit={handleCreate}>
+                        <select value={form.action} onChange={(e) => setForm({ ...form, action: e.target.value })}>
+                            {ARM_ACTIONS.map(a => <option key={a.action} value={a.action}>{a.label}</option>)}
+                        </select>
+                        <input
+                            type="time"
+                            value={form.time}
+                            onChange={(e) => setForm({ ...form, time: e.target.value })}
+                        />
+                        <div className="weekday-picker">
+                            {WEEKDAYS.map((label, day) => (
+                                <label key={label} className={form.days.includes(day) ? 'active' : ''}>
+                                    <input
+                                        type="checkbox"
+                                        checked={form.days.includes(day)}
+                                        onChange={() => toggleDay(day)}
+                                    />
+                                    {label}
+                                </label>
+                            ))}
+                        </div>
+                        <button className="btn btn-unlock" type="submit" disabled={busy || !form.time || form.days.length === 0}>
+                            Add Schedule
+                        </button>
+                    </form>
+                )}
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🕘 Arming History</h2>
+                </div>
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Mode</th>
+                                <th>State</th>
+                                <th>By</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {history.map((e, i) => (
+                                <tr key={i}>
+                                    <td>{formatDateTime(parseTimestamp(e.timestamp))}</td>
+                                    <td>{ARM_MODES[e.mode]?.icon} {ARM_MODES[e.mode]?.label || e.mode}</td>
+                                    <td className="capitalize">{e.state}</td>
+                                    <td>{e.user || '—'}</td>
+                                </tr>
+                            ))}
+                            {history.length === 0 && (
+                                <tr>
+                                    <td colSpan={4} className="no-alerts">No changes in the last 7 days</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </main>
+    );
+}
+
+export default ArmingPage;
@@ -0,0 +1,130 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== AUDIT LOG (ADMIN) ====================
+const PAGE_SIZE = 25;
+const ACTIONS = ['lock', 'unlock', 'reset', 'checkout', 'arm_away', 'arm_night', 'disarm'];
+const OUTCOMES = ['pending', 'confirmed', 'rejected', 'timeout', 'failed'];
+const EMPTY_FILTERS = { user: '', device: '', action: '', outcome: '' };
+
+function AuditPage({ roomName }) {
+    const { formatDateTime } = usePreferences();
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ items: [], total: 0 });
+    const [error, setError] = useState('');
+    const [loading, setLoading] = useState(false);
+
+    useEffect(() => {
+        const query = new URLSearchParams({ page, page_size: PAGE_SIZE });
+        Object.entries(filters).forEach(([key, value]) => value && query.set(key, value));
+
+        // Debounce typing in the text filters
+        const timer = setTimeout(async () => {
+            setLoading(true);
+            try {
+                const res = await apiFetch(`/audit?${query}`);
+                if (res.ok) {
+                    setResult(await res.json());
+                    setError('');
+                } else {
+                    setError(await errorMessage(res));
+                }
+            } catch {
+                setError('API not available');
+            } finally {
+                setLoading(false);
+            }
+        }, 300);
+        return () => clearTimeout(timer);
+    }, [filters, page]);
+
+    const setFilter = (key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value }));
+        setPage(1);
+    };
+
+    const pages = Math.max(Math.ceil(result.total / PAGE_SIZE), 1);
+
+    return (
+        <main className="page-content">
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🧾 Audit Log</h2>
+                    <span className="alert-count">{result.total}</span>
+                </div>
+                <div className="inline-form audit-filters">
+                    <input
+                        placeholder="User"
+                        value={filters.user}
+                        onChange={(e) => setFilter('user', e.target.value)}
+                    />
+                    <input
+                        placeholder="Device"
+                        value={filters.device}
+                        onChange={(e) => setFilter('device', e.target.value)}
+                    />
+                    <select value={filters.action} onChange={(e) => setFilter('action', e.target.value)}>
+                        <option value="">All actions</option>
+                        {ACTIONS.map(a => <option key={a} value={a}>{a}</option>)}
+                    </select>
+                    <select value={filters.outcome} onChange={(e) => setFilter('outcome', e.target.value)}>
+                        <option value="">All outcomes</option>
+                        {OUTCOMES.map(o => <option key={o} value={o}>{o}</option>)}
+                    </select>
+                </div>
+                {error && <div className="login-error">{error}</div>}
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>User</th>
+                                <th>Role</th>
+                                <th>Room</th>
+                                <th>Action</th>
+                                <th>Outcome</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.items.map(entry => (
+                                <tr key={entry.command_id}>
+                                    <td>{formatDateTime(parseTimestamp(entry.timestamp))}</td>
+                                    <td title={entry.user}>{entry.user_name}</td>
+                                    <td>{entry.role}</td>
+                                    <td>{roomName(entry.device)}</td>
+                                    <td>
+                                        <span className="capitalize">{entry.action}</span>
+                                        {entry.confirmed_with && (
+                                            <div className="command-reason">
+                                                {entry.confirmed_with === 'pin' ? '🔑 PIN re-entered' : '⌨️ Typed confirmation'}
+                                            </div>
+                                        )}
+                                    </td>
+                                    <td>
+                                        <span className={`outcome-badge ${entry.outcome}`}>{entry.outcome}</span>
+                                        {entry.reason && <div className="command-reason">{entry.reason}</div>}
+                                    </td>
+                                </tr>
+                            ))}
+                            {!loading && result.items.length === 0 && (
+                                <tr>
+                                    <td colSpan={6} className="no-alerts">No commands recorded</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="pager">
+                    <button disabled={page <= 1} onClick={() => setPage(p => p - 1)}>‹ Prev</button>
+                    <span>Page {page} of {pages}</span>
+                    <button disabled={page >= pages} onClick={() => setPage(p => p + 1)}>Next ›</button>
+                </div>
+            </div>
+        </main>
+    );
+}
+
+export default AuditPage;
@@ -0,0 +1,67 @@
+import { useState } from 'react';
+import { confirmPhrase, MODE_LABELS } from '../commandPolicy';
+
+// ==================== CONFIRM COMMAND DIALOG ====================
+// Asks for what the command policy wants before a risky command is sent:
+// the action typed in capitals, or the user's PIN re-entered. The backend
+// checks it again.
+
+function ConfirmCommandDialog({ action, level, reason, mode, roomName, onConfirm, onClose }) {
+    const [value, setValue] = useState('');
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const phrase = confirmPhrase(action);
+    const pin = level === 'pin';
+    // Any length: accounts from before the 8-character minimum keep shorter passwords
+    const ready = pin ? value.length > 0 : value.trim() === phrase;
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError('');
+        const result = await onConfirm(pin ? { pin: value } : { confirm: value.trim() });
+        setBusy(false);
+        if (result.error || result.confirm) {
+            setError(result.error || result.confirm.error);
+            setValue('');
+            return;
+        }
+        onClose();
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <form className="panel modal" onClick={(e) => e.stopPropagation()} onSubmit={handleSubmit}>
+                <div className="panel-header">
+                    <h2>⚠️ Confirm {action}</h2>
+                    <button type="button" className="modal-close" onClick={onClose}>✕</button>
+                </div>
+                <p className="confirm-reason">
+                    <strong>{roomName}: {MODE_LABELS[mode] || mode}</strong>. {reason}.
+                </p>
+                <label className="settings-field">
+                    <span className="status-label">
+                        {pin ? 'Re-enter your PIN / password' : <>Type <strong>{phrase}</strong> to confirm</>}
+                    </span>
+                    <input
+                        className="settings-input"
+                        type={pin ? 'password' : 'text'}
+                        value={value}
+                        onChange={(e) => setValue(e.target.value)}
+                        autoComplete={pin ? 'current-password' : 'off'}
+                        placeholder={pin ? '' : phrase}
+                        autoFocus
+                    />
+                </label>
+
+                {error && <div className="login-error">{error}</div>}
+                <button className="btn btn-reset full-width" type="submit" disabled={busy || !ready}>
+                    {busy ? '⏳ Sending...' : `Send ${action}`}
+                </button>
+            </form>
+        </div>
+    );
+}
+
+export default ConfirmCommandDialog;
@@ -0,0 +1,184 @@
+import { useState } from 'react';
+import {
+    listProfiles, activeProfile, selectProfile, saveProfile, deleteProfile,
+    validateProfile, testProfile, certificateUrl,
+} from '../connection';
+import { clearSnapshot } from '../offlineStore';
+
+// ==================== CONNECTION PROFILES DIALOG ====================
+// Add, switch and test broker/API endpoints. Built-in profiles come from
+// config.json or the build and can't be edited here.
+
+const EMPTY_FORM = { id: null, name: '', apiUrl: 'https://', mqttUrl: 'wss://', selfSigned: false };
+
+function TestResult({ label, result }) {
+    if (!result) return null;
+    return (
+        <small className={`connection-test ${result.ok ? 'ok' : 'failed'}`}>
+            {result.ok ? '✅' : '❌'} {label}: {result.message}
+        </small>
+    );
+}
+
+function TrustLinks({ profile }) {
+    const links = [...new Set([certificateUrl(profile.apiUrl), certificateUrl(profile.mqttUrl)].filter(Boolean))];
+    if (!profile.selfSigned || links.length === 0) return null;
+    return (
+        <small className="connection-trust">
+            Self-signed: open {links.map((url, i) => (
+                <span key={url}>
+                    {i > 0 && ' and '}
+                    <a href={url} target="_blank" rel="noreferrer">{new URL(url).host}</a>
+                </span>
+            ))} once and accept the certificate (or install your CA in the system), then test again.
+        </small>
+    );
+}
+
+function ConnectionDialog({ mqttAuth, onClose }) {
+    const [profiles, setProfiles] = useState(listProfiles);
+    const [form, setForm] = useState(null);
+    const [error, setError] = useState('');
+    const [results, setResults] = useState({});
+    const [testing, setTesting] = useState(null);
+    const current = activeProfile();
+
+    const runTest = async (profile) => {
+        setTesting(profile.id || 'form');
+        // Broker credentials only belong to the backend that issued them
+        const result = await testProfile(profile, profile.id === current.id ? mqttAuth : null);
+        setResults(prev => ({ ...prev, [profile.id || 'form']: result }));
+        setTesting(null);
+    };
+
+    const use = async (profile) => {
+        if (profile.id === current.id) return;
+        // Rooms cached for offline use belong to the old backend
+        await clearSnapshot();
+        selectProfile(profile.id);
+        window.location.reload();
+    };
+
+    const handleSave = (e) => {
+        e.preventDefault();
+        const problem = validateProfile(form);
+        if (problem) {
+            setError(problem);
+            return;
+        }
+        saveProfile(form);
+        setProfiles(listProfiles());
+        setForm(null);
+        setError('');
+    };
+
+    const handleDelete = (profile) => {
+        if (!window.confirm(`Delete the connection profile "${profile.name}"?`)) return;
+        deleteProfile(profile.id);
+        setProfiles(listProfiles());
+        if (profile.id === current.id) window.location.reload();
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <div className="panel modal connection-dialog" onClick={(e) => e.stopPropagation()}>
+                <div className="panel-header">
+                    <h2>🔌 Connection</h2>
+                    <button type="button" className="modal-close" onClick={onClose}>✕</button>
+                </div>
+
+                <ul className="connection-list">
+                    {profiles.map(profile => (
+                        <li key={profile.id} className={profile.id === current.id ? 'active' : ''}>
+                            <div className="connection-info">
+                                <strong>
+                                    {profile.name}
+                                    {profile.id === current.id && <span className="outcome-badge confirmed">In use</span>}
+                                    {profile.builtIn && <span className="outcome-badge">Built-in</span>}
+                                </strong>
+                                <small>{profile.apiUrl}</small>
+                                <small>{profile.mqttUrl}</small>
+                                <TestResult label="API" result={results[profile.id]?.api} />
+                                <TestResult label="Broker" result={results[profile.id]?.broker} />
+                                <TrustLinks profile={profile} />
+                            </div>
+                            <div className="row-actions">
+                                <button onClick={() => runTest(profile)} disabled={testing !== null}>
+                                    {testing === profile.id ? '⏳' : '🧪'} Test
+                                </button>
+                                {profile.id !== current.id && (
+                                    <button onClick={() => use(profile)}>Use</button>
+                                )}
+                                {!profile.builtIn && (
+                                    <>
+                                        <button onClick={() => setForm({ ...EMPTY_FORM, ...profile })}>✏️</button>
+                                        <button onClick={() => handleDelete(profile)}>🗑️</button>
+                                    </>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+
+                {form ? (
+                    <form className="connection-form" onSubmit={handleSave}>
+                        <label className="settings-field">
+                            <span className="status-label">Name</span>
+                            <input
+                                value={form.name}
+                                onChange={(e) => setForm({ ...form, name: e.target.value })}
+                                placeholder="Staging"
+                                autoFocus
+                            />
+                        </label>
+                        <label className="settings-field">
+                            <span className="status-label">API URL</span>
+                            <input
+                                value={form.apiUrl}
+                                onChange={(e) => setForm({ ...form, apiUrl: e.target.value })}
+                                placeholder="https://roomguard.example.com/api"
+                            />
+                        </label>
+                        <label className="settings-field">
+                            <span className="status-label">Broker URL</span>
+                            <input
+                                value={form.mqttUrl}
+                                onChange={(e) => setForm({ ...form, mqttUrl: e.target.value })}
+                                placeholder="wss://roomguard.example.com:9001/mqtt"
+                            />
+                        </label>
+                        <label className="modal-check">
+                            <input
+                                type="checkbox"
+                                checked={form.selfSigned}
+                                onChange={(e) => setForm({ ...form, selfSigned: e.target.checked })}
+                            />
+                            Self-signed certificate or private CA
+                        </label>
+                        <TrustLinks profile={form} />
+                        <TestResult label="API" result={results.form?.api} />
+                        <TestResult label="Broker" result={results.form?.broker} />
+                        {error && <div className="login-error">{error}</div>}
+                        <div className="row-actions">
+                            <button
+                                type="button"
+                                disabled={testing !== null || Boolean(validateProfile(form))}
+                                onClick={() => runTest({ ...form, id: null })}
+                            >
+                                {testing === 'form' ? '⏳' : '🧪'} Test
+                            </button>
+                            <button type="submit">💾 Save</button>
+                            <button type="button" onClick={() => { setForm(null); setError(''); }}>Cancel</button>
+                        </div>
+                    </form>
+                ) : (
+                    <button className="btn btn-reset full-width" onClick={() => setForm(EMPTY_FORM)}>
+                        ➕ Add profile
+                    </button>
+                )}
+            </div>
+        </div>
+    );
+}
+
+export default ConnectionDialog;
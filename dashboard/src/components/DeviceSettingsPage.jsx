@@ -0,0 +1,147 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { CONFIG_FIELDS, effectiveConfig } from '../deviceConfig';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== DEVICE SETTINGS (ADMIN) ====================
+// Edits a room's safety thresholds/timings. The backend publishes them to the
+// device, which applies them and echoes the config it is really running.
+
+function DeviceSettingsPage({ deviceId, roomName, reported }) {
+    const { formatDateTime } = usePreferences();
+    const [state, setState] = useState(null);
+    const [form, setForm] = useState(null);
+    const [error, setError] = useState('');
+    const [saving, setSaving] = useState(false);
+
+    const fetchConfig = useCallback(async () => {
+        try {
+            const res = await apiFetch(`/devices/${encodeURIComponent(deviceId)}/config`);
+            if (res.ok) {
+                const data = await res.json();
+                setState(data);
+                setError('');
+                return data;
+            }
+            setError(await errorMessage(res));
+        } catch {
+            setError('API not available');
+        }
+        return null;
+    }, [deviceId]);
+
+    // Load once per device and seed the form with what the device is running
+    useEffect(() => {
+        setForm(null);
+        fetchConfig().then(data => {
+            if (data) setForm(effectiveConfig(data.desired || data.reported));
+        });
+    }, [fetchConfig]);
+
+    // Live echo from the device (retained MQTT) is newer than the API snapshot
+    const reportedConfig = reported || state?.reported;
+    const reportedVersion = reported?.version ?? state?.reported_version;
+    const pending = state?.desired_version && state.desired_version !== reportedVersion;
+
+    // Refresh history once the device confirms a pending change
+    useEffect(() => {
+        if (reported?.version) fetchConfig();
+    }, [reported?.version, fetchConfig]);
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setSaving(true);
+        setError('');
+        try {
+            const res = await apiFetch(`/devices/${encodeURIComponent(deviceId)}/config`, {
+                method: 'PUT',
+                body: JSON.stringify(form),
+            });
+            if (!res.ok) setError(await errorMessage(res));
+            await fetchConfig();
+        } catch {
+            setError('API not available');
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <main className="page-content">
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>⚙️ Safety Settings — {roomName}</h2>
+                    {state && (
+                        <span className={`outcome-badge ${pending ? 'pending' : 'confirmed'}`}>
+                            {pending ? `Waiting for device (v${state.desired_version})` : `Applied v${reportedVersion ?? 0}`}
+                        </span>
+                    )}
+                </div>
+                {error && <div className="login-error">{error}</div>}
+                {form && (
+                    <form className="settings-form" onSubmit={handleSave}>
+                        {CONFIG_FIELDS.map(field => (
+                            <label key={field.key} className="settings-field">
+                                <span className="status-label">{field.label}</span>
+                                <div className="settings-input">
+                                    <input
+                                        type="number"
+                                        min={field.min}
+                                        max={field.max}
+                                        step={field.step}
+                                        value={form[field.key]}
+                                        onChange={(e) => setForm({ ...form, [field.key]: Number(e.target.value) })}
+                                    />
+                                    <small>{field.unit}</small>
+                                </div>
+                                <span className="settings-reported">
+                                    Device: {reportedConfig?.[field.key] ?? '—'}{field.unit}
+                                </span>
+                            </label>
+                        ))}
+                        <button className="btn btn-unlock" type="submit" disabled={saving}>
+                            {saving ? '⏳ Saving...' : '💾 Apply to Device'}
+                        </button>
+                    </form>
+                )}
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🕘 Config History</h2>
+                </div>
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Event</th>
+                                <th>Version</th>
+                                <th>Fire °C</th>
+                                <th>PIR reads</th>
+                                <th>Intervals</th>
+                                <th>Exit / entry</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {(state?.history || []).map((h, i) => (
+                                <tr key={i}>
+                                    <td>{formatDateTime(parseTimestamp(h.timestamp))}</td>
+                                    <td>{h.type === 'requested' ? `Requested by ${h.user}` : 'Applied by device'}</td>
+                                    <td>v{h.version ?? 0}</td>
+                                    <td>{h.config.fire_temp_threshold} (−{h.config.fire_hysteresis})</td>
+                                    <td>{h.config.pir_confirm_reads}</td>
+                                    <td>{h.config.sensor_interval_ms} / {h.config.mqtt_interval_ms} ms</td>
+                                    <td>{h.config.exit_delay_s ?? '—'} / {h.config.entry_delay_s ?? '—'} s</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </main>
+    );
+}
+
+export default DeviceSettingsPage;
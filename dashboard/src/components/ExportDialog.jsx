@@ -0,0 +1,95 @@
+import { useState } from 'react';
+import { apiDownload } from '../api';
+import { toLocalInput } from '../format';
+
+// ==================== EXPORT DIALOG ====================
+// Downloads a collection over a date range. The backend streams the file,
+// so long ranges are fine.
+
+const COLLECTIONS = [
+    { key: 'sensor_readings', label: 'Sensor readings' },
+    { key: 'alerts', label: 'Alerts' },
+    { key: 'status_logs', label: 'Status log' },
+];
+
+const FORMATS = [
+    { key: 'csv', label: 'CSV (spreadsheets)' },
+    { key: 'json', label: 'JSON' },
+    { key: 'ndjson', label: 'NDJSON (one record per line)' },
+];
+
+function ExportDialog({ deviceId, roomName, start, end, onClose }) {
+    const [collection, setCollection] = useState('sensor_readings');
+    const [format, setFormat] = useState('csv');
+    const [from, setFrom] = useState(() => toLocalInput(new Date(start)));
+    const [to, setTo] = useState(() => toLocalInput(new Date(end)));
+    const [allRooms, setAllRooms] = useState(false);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const handleExport = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError('');
+
+        const query = new URLSearchParams({
+            format,
+            start: new Date(from).toISOString(),
+            end: new Date(to).toISOString(),
+        });
+        if (!allRooms) query.set('device', deviceId);
+        const filename = `roomguard-${collection}-${allRooms ? 'all' : deviceId}-${from.slice(0, 10)}.${format}`;
+
+        try {
+            await apiDownload(`/export/${collection}?${query}`, filename);
+            onClose();
+        } catch (err) {
+            setError(err.message === 'Failed to fetch' ? 'Server unreachable' : err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    return (
+        <div className="modal-overlay" onClick={onClose}>
+            <form className="panel modal" onClick={(e) => e.stopPropagation()} onSubmit={handleExport}>
+                <div className="panel-header">
+                    <h2>⬇️ Export Data</h2>
+                    <button type="button" className="modal-close" onClick={onClose}>✕</button>
+                </div>
+
+                <label className="settings-field">
+                    <span className="status-label">Data</span>
+                    <select value={collection} onChange={(e) => setCollection(e.target.value)}>
+                        {COLLECTIONS.map(c => <option key={c.key} value={c.key}>{c.label}</option>)}
+                    </select>
+                </label>
+                <label className="settings-field">
+                    <span className="status-label">Format</span>
+                    <select value={format} onChange={(e) => setFormat(e.target.value)}>
+                        {FORMATS.map(f => <option key={f.key} value={f.key}>{f.label}</option>)}
+                    </select>
+                </label>
+                <div className="settings-field">
+                    <span className="status-label">Range</span>
+                    <div className="custom-range">
+                        <input type="datetime-local" value={from} onChange={(e) => setFrom(e.target.value)} />
+                        <span>→</span>
+                        <input type="datetime-local" value={to} onChange={(e) => setTo(e.target.value)} />
+                    </div>
+                </div>
+                <label className="modal-check">
+                    <input type="checkbox" checked={allRooms} onChange={(e) => setAllRooms(e.target.checked)} />
+                    All rooms (instead of {roomName})
+                </label>
+
+                {error && <div className="login-error">{error}</div>}
+                <button className="btn btn-unlock full-width" type="submit" disabled={busy || !from || to <= from}>
+                    {busy ? '⏳ Exporting...' : '⬇️ Download'}
+                </button>
+            </form>
+        </div>
+    );
+}
+
+export default ExportDialog;
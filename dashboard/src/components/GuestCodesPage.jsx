@@ -0,0 +1,338 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { toLocalInput } from '../format';
+import { guestUrl } from '../guest';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== GUEST CODES (ADMIN) ====================
+// Codes that let a guest unlock one room's door on the guest page for a
+// time window and a number of uses. The code is only shown once, right
+// after it is issued; every redemption attempt is logged.
+
+const PAGE_SIZE = 20;
+const DEFAULT_HOURS = 4;
+
+const STATUS_BADGES = {
+    active: ['confirmed', 'Active'],
+    scheduled: ['pending', 'Scheduled'],
+    expired: ['timeout', 'Expired'],
+    used_up: ['resolved', 'Used up'],
+    revoked: ['failed', 'Revoked'],
+};
+
+const USE_BADGES = {
+    sent: ['pending', 'Unlock sent'],
+    failed: ['failed', 'Not sent'],
+    revoked: ['failed', 'Revoked code'],
+    scheduled: ['failed', 'Too early'],
+    expired: ['failed', 'Expired code'],
+    used_up: ['failed', 'No uses left'],
+};
+
+const emptyForm = (deviceId) => {
+    const now = new Date();
+    return {
+        label: '',
+        device: deviceId || '',
+        valid_from: toLocalInput(now),
+        valid_until: toLocalInput(new Date(now.getTime() + DEFAULT_HOURS * 3600000)),
+        max_uses: 1,
+    };
+};
+
+function Badge({ badges, value }) {
+    const [cls, label] = badges[value] || ['', value];
+    return <span className={`outcome-badge ${cls}`}>{label}</span>;
+}
+
+function CopyButton({ text, label }) {
+    const [copied, setCopied] = useState(false);
+    const copy = async () => {
+        try {
+            await navigator.clipboard.writeText(text);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch {
+            window.prompt('Copy this', text);
+        }
+    };
+    return <button type="button" onClick={copy}>{copied ? '✅ Copied' : `📋 ${label}`}</button>;
+}
+
+function GuestCodesPage({ deviceId, roomIds, roomName }) {
+    const { formatDateTime } = usePreferences();
+    const [codes, setCodes] = useState([]);
+    const [form, setForm] = useState(() => emptyForm(deviceId));
+    const [issued, setIssued] = useState(null);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const [codeFilter, setCodeFilter] = useState('');
+    const [page, setPage] = useState(1);
+    const [log, setLog] = useState({ items: [], total: 0 });
+    const [logVersion, setLogVersion] = useState(0);
+
+    const fetchCodes = useCallback(async () => {
+        try {
+            const res = await apiFetch('/guest-codes');
+            if (res.ok) {
+                setCodes(await res.json());
+            } else {
+                setError(await errorMessage(res));
+            }
+        } catch {
+            setError('API not available');
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchCodes();
+    }, [fetchCodes]);
+
+    useEffect(() => {
+        const fetchLog = async () => {
+            const query = new URLSearchParams({ page, page_size: PAGE_SIZE });
+            if (codeFilter) query.set('code', codeFilter);
+            try {
+                const res = await apiFetch(`/guest-codes/uses?${query}`);
+                if (res.ok) setLog(await res.json());
+            } catch {
+                // Keep the last log shown
+            }
+        };
+        fetchLog();
+        const interval = setInterval(fetchLog, 15000);
+        return () => clearInterval(interval);
+    }, [codeFilter, page, logVersion]);
+
+    // Run a change, then reload codes and log
+    const run = async (path, options) => {
+        setBusy(true);
+        setError('');
+        try {
+            const res = await apiFetch(path, options);
+            const body = res.ok ? await res.json() : null;
+            if (!res.ok) setError(await errorMessage(res));
+            await fetchCodes();
+            setLogVersion(v => v + 1);
+            return body;
+        } catch {
+            setError('API not available');
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleIssue = async (e) => {
+        e.preventDefault();
+        const created = await run('/guest-codes', {
+            method: 'POST',
+            body: JSON.stringify({
+                label: form.label.trim(),
+                device: form.device,
+                valid_from: new Date(form.valid_from).toISOString(),
+                valid_until: new Date(form.valid_until).toISOString(),
+                max_uses: Number(form.max_uses),
+            }),
+        });
+        if (created) {
+            setIssued(created);
+            setForm(emptyForm(form.device));
+        }
+    };
+
+    const handleRevoke = (code) => {
+        if (!window.confirm(`Revoke the guest code "${code.label}"? It stops working at once.`)) return;
+        run(`/guest-codes/${code.id}/revoke`, { method: 'POST' });
+    };
+
+    const pages = Math.max(Math.ceil(log.total / PAGE_SIZE), 1);
+    const window_ = (code) => `${formatDateTime(parseTimestamp(code.valid_from))} → ${formatDateTime(parseTimestamp(code.valid_until))}`;
+
+    return (
+        <main className="page-content">
+            {issued && (
+                <div className="panel guest-issued">
+                    <div className="panel-header">
+                        <h2>🎟️ Code for {issued.label}</h2>
+                    </div>
+                    <div className="guest-code">{issued.code}</div>
+                    <p className="history-hint">
+                        Give this code to the guest - it is not shown again. It unlocks {roomName(issued.device)}
+                        {' '}{issued.max_uses} time{issued.max_uses === 1 ? '' : 's'}, {window_(issued)}.
+                        The guest enters it at {guestUrl()}
+                    </p>
+                    <div className="row-actions">
+                        <CopyButton text={issued.code} label="Code" />
+                        <CopyButton text={guestUrl(issued.code)} label="Guest link with code" />
+                        <button type="button" onClick={() => setIssued(null)}>Done</button>
+                    </div>
+                </div>
+            )}
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🎟️ Guest Codes</h2>
+                    <span className="alert-count">{codes.filter(c => c.status === 'active').length}</span>
+                </div>
+                <p className="history-hint">Guest codes only unlock the door of their room - nothing else.</p>
+                {error && <div className="login-error">{error}</div>}
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Label</th>
+                                <th>Room</th>
+                                <th>Valid</th>
+                                <th>Uses</th>
+                                <th>Status</th>
+                                <th>Issued by</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {codes.map(code => (
+                                <tr key={code.id}>
+                                    <td>{code.label}</td>
+                                    <td>{roomName(code.device)}</td>
+                                    <td>{window_(code)}</td>
+                                    <td>{code.uses} / {code.max_uses}</td>
+                                    <td>
+                                        <Badge badges={STATUS_BADGES} value={code.status} />
+                                        {code.revoked_by && <div className="command-reason">by {code.revoked_by}</div>}
+                                    </td>
+                                    <td>{code.created_by}</td>
+                                    <td>
+                                        <div className="row-actions">
+                                            <button onClick={() => { setCodeFilter(code.id); setPage(1); }}>📜 Uses</button>
+                                            {code.status !== 'revoked' && code.status !== 'expired' && (
+                                                <button disabled={busy} onClick={() => handleRevoke(code)}>🚫 Revoke</button>
+                                            )}
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                            {codes.length === 0 && (
+                                <tr>
+                                    <td colSpan={7} className="no-alerts">No guest codes issued</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>➕ Issue Code</h2>
+                </div>
+                <form className="inline-form" onSubmit={handleIssue}>
+                    <input
+                        placeholder="For, e.g. Plumber - Müller GmbH"
+                        value={form.label}
+                        maxLength={80}
+                        onChange={(e) => setForm({ ...form, label: e.target.value })}
+                    />
+                    <select value={form.device} onChange={(e) => setForm({ ...form, device: e.target.value })}>
+                        <option value="" disabled>Room</option>
+                        {roomIds.map(id => <option key={id} value={id}>{roomName(id)}</option>)}
+                    </select>
+                    <label className="field-inline">
+                        from
+                        <input
+                            type="datetime-local"
+                            value={form.valid_from}
+                            onChange={(e) => setForm({ ...form, valid_from: e.target.value })}
+                        />
+                    </label>
+                    <label className="field-inline">
+                        until
+                        <input
+                            type="datetime-local"
+                            value={form.valid_until}
+                            onChange={(e) => setForm({ ...form, valid_until: e.target.value })}
+                        />
+                    </label>
+                    <label className="field-inline">
+                        uses
+                        <input
+                            type="number"
+                            min={1}
+                            max={100}
+                            value={form.max_uses}
+                            onChange={(e) => setForm({ ...form, max_uses: e.target.value })}
+                        />
+                    </label>
+                    <button
+                        type="submit"
+                        disabled={busy || !form.label.trim() || !form.device || form.valid_until <= form.valid_from}
+                    >
+                        🎟️ Issue
+                    </button>
+                </form>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>📜 Uses</h2>
+                    <span className="alert-count">{log.total}</span>
+                </div>
+                <div className="inline-form audit-filters">
+                    <select
+                        value={codeFilter}
+                        onChange={(e) => {
+                            setCodeFilter(e.target.value);
+                            setPage(1);
+                        }}
+                    >
+                        <option value="">All codes</option>
+                        {codes.map(code => <option key={code.id} value={code.id}>{code.label}</option>)}
+                    </select>
+                </div>
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Code</th>
+                                <th>Room</th>
+                                <th>Outcome</th>
+                                <th>Door</th>
+                                <th>From</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {log.items.map((use, i) => (
+                                <tr key={i}>
+                                    <td>{formatDateTime(parseTimestamp(use.timestamp))}</td>
+                                    <td>{use.label}</td>
+                                    <td>{roomName(use.device)}</td>
+                                    <td>
+                                        <Badge badges={USE_BADGES} value={use.outcome} />
+                                        {use.error && <div className="command-reason">{use.error}</div>}
+                                    </td>
+                                    <td>{use.door ? <span className={`outcome-badge ${use.door}`}>{use.door}</span> : '-'}</td>
+                                    <td>{use.address}</td>
+                                </tr>
+                            ))}
+                            {log.items.length === 0 && (
+                                <tr>
+                                    <td colSpan={6} className="no-alerts">No guest code has been used</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="pager">
+                    <button disabled={page <= 1} onClick={() => setPage(p => p - 1)}>‹ Prev</button>
+                    <span>Page {page} of {pages}</span>
+                    <button disabled={page >= pages} onClick={() => setPage(p => p + 1)}>Next ›</button>
+                </div>
+            </div>
+        </main>
+    );
+}
+
+export default GuestCodesPage;
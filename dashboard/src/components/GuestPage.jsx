@@ -0,0 +1,137 @@
+import { useState, useEffect } from 'react';
+import { checkCode, unlockWithCode, unlockResult } from '../guest';
+import { parseTimestamp } from '../hooks/useHistory';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== GUEST PAGE ====================
+// Unlock a door with a guest code - no account, nothing else. Shown for
+// #/guest instead of the login page.
+
+const CODE_LENGTH = 8;
+const POLL_MS = 1000;
+const RESULT_TIMEOUT_MS = 10000;
+
+const normalize = (value) => value.toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const REFUSALS = {
+    revoked: 'This code has been revoked',
+    scheduled: 'This code is not valid yet',
+    expired: 'This code has expired',
+    used_up: 'This code has no uses left',
+};
+
+const RESULTS = {
+    confirmed: '✅ Door unlocked - come in',
+    rejected: '❌ The door refused to unlock',
+    timeout: '⌛ No answer from the door - try again or contact the host',
+    failed: '❌ The unlock could not be sent',
+};
+
+function GuestPage({ initialCode, onLeave }) {
+    const { formatDateTime } = usePreferences();
+    const [code, setCode] = useState(initialCode || '');
+    const [info, setInfo] = useState(null);
+    const [error, setError] = useState('');
+    const [command, setCommand] = useState(null);   // { id, outcome, reason }
+    const [busy, setBusy] = useState(false);
+
+    const complete = normalize(code).length === CODE_LENGTH;
+
+    // Show which room the code opens once it is typed in full
+    useEffect(() => {
+        setInfo(null);
+        setCommand(null);
+        setError('');
+        if (!complete) return;
+        let cancelled = false;
+        checkCode(code)
+            .then(result => { if (!cancelled) setInfo(result); })
+            .catch(err => { if (!cancelled) setError(err.message); });
+        return () => { cancelled = true; };
+    }, [code, complete]);
+
+    // Wait for the door to confirm
+    useEffect(() => {
+        if (command?.outcome !== 'pending') return;
+        const started = Date.now();
+        const interval = setInterval(async () => {
+            try {
+                const result = await unlockResult(code, command.id);
+                if (result.outcome !== 'pending') {
+                    setCommand(result);
+                } else if (Date.now() - started > RESULT_TIMEOUT_MS) {
+                    setCommand({ ...result, outcome: 'timeout' });
+                }
+            } catch (err) {
+                setError(err.message);
+                setCommand(null);
+            }
+        }, POLL_MS);
+        return () => clearInterval(interval);
+    }, [command, code]);
+
+    const handleUnlock = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError('');
+        try {
+            const result = await unlockWithCode(code);
+            setInfo(prev => ({ ...prev, ...result }));
+            setCommand({ id: result.id, outcome: 'pending' });
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const usable = info?.status === 'active';
+
+    return (
+        <div className="login-page">
+            <div className="login-card guest-card">
+                <div className="login-icon">🎟️</div>
+                <h1>Guest Access</h1>
+                <p>Enter the code you were given to unlock the door</p>
+                <form onSubmit={handleUnlock}>
+                    <input
+                        value={code}
+                        onChange={(e) => setCode(e.target.value)}
+                        placeholder="XXXX-XXXX"
+                        autoComplete="off"
+                        autoCapitalize="characters"
+                        spellCheck={false}
+                        maxLength={12}
+                        autoFocus
+                    />
+                    {info && (
+                        <div className="guest-info">
+                            <strong>🚪 {info.room}</strong>
+                            <small>
+                                Valid until {formatDateTime(parseTimestamp(info.valid_until))}
+                                {' · '}{info.uses_left} use{info.uses_left === 1 ? '' : 's'} left
+                            </small>
+                        </div>
+                    )}
+                    {info && !usable && <div className="login-error">{REFUSALS[info.status]}</div>}
+                    {error && <div className="login-error">{error}</div>}
+                    {command && command.outcome !== 'pending' && (
+                        <div className={`guest-result ${command.outcome}`}>
+                            {RESULTS[command.outcome] || command.outcome}
+                            {command.reason && ` (${command.reason})`}
+                        </div>
+                    )}
+                    <button
+                        type="submit"
+                        disabled={!complete || !usable || busy || command?.outcome === 'pending' || info?.uses_left === 0}
+                    >
+                        {busy || command?.outcome === 'pending' ? '⏳ Unlocking...' : '🔓 Unlock Door'}
+                    </button>
+                </form>
+                <button className="connection-link" onClick={onLeave}>Staff sign-in</button>
+            </div>
+        </div>
+    );
+}
+
+export default GuestPage;
@@ -0,0 +1,315 @@
+import { useState, useMemo, useCallback } from 'react';
+import {
+    Chart as ChartJS,
+    TimeScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    Filler,
+    Tooltip,
+    Legend,
+} from 'chart.js';
+import zoomPlugin from 'chartjs-plugin-zoom';
+import annotationPlugin from 'chartjs-plugin-annotation';
+import 'chartjs-adapter-date-fns';
+import { Line } from 'react-chartjs-2';
+import { useSensorHistory, useAlertHistory, useStats, parseTimestamp } from '../hooks/useHistory';
+import { toLocalInput } from '../format';
+import { usePreferences } from '../hooks/usePreferences';
+import ExportDialog from './ExportDialog';
+
+ChartJS.register(TimeScale, LinearScale, PointElement, LineElement, Filler, Tooltip, Legend, zoomPlugin, annotationPlugin);
+
+// ==================== CONFIGURATION ====================
+const RANGES = [
+    { key: '1h', label: '1h', hours: 1 },
+    { key: '24h', label: '24h', hours: 24 },
+    { key: '7d', label: '7d', hours: 24 * 7 },
+    { key: 'custom', label: 'Custom' },
+];
+
+const ALERT_COLORS = {
+    fire: '#ef4444',
+    burglar: '#f59e0b',
+    fire_warning: '#fb923c',
+    rule: '#8b5cf6',
+};
+
+const ALERT_ICONS = {
+    fire: '🔥',
+    burglar: '🚨',
+    fire_warning: '🌡️',
+    rule: '🤖',
+};
+
+const SERIES = [
+    { key: 'temp', label: 'Temperature', color: '#ff6b6b', temperature: true },
+    { key: 'humidity', label: 'Humidity', unit: '%', color: '#4facfe' },
+    { key: 'occupant_count', label: 'Occupancy', unit: '', color: '#8b5cf6', stepped: true },
+];
+
+// Longer ranges label the time axis with days
+const DAY_TICKS_AFTER_MS = 2 * 86400000;
+
+// ==================== CHART ====================
+function HistoryChart({ series, points, markers, xRange, onZoom }) {
+    // Temperatures are stored in °C; axis and tooltips follow the user's units and time format
+    const { tempUnit, toTemp, formatTime, formatDateTime, formatDay } = usePreferences();
+    const unit = series.temperature ? tempUnit : series.unit;
+
+    const data = useMemo(() => ({
+        datasets: [{
+            label: series.label,
+            data: points.map(p => ({ x: p.x, y: series.temperature ? toTemp(p[series.key]) : p[series.key] })),
+            borderColor: series.color,
+            backgroundColor: `${series.color}22`,
+            fill: true,
+            stepped: series.stepped ? 'before' : false,
+            pointRadius: 0,
+            borderWidth: 2,
+            tension: series.stepped ? 0 : 0.3,
+        }],
+    }), [series, points, toTemp]);
+
+    const options = useMemo(() => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+            x: {
+                type: 'time',
+                min: xRange.min,
+                max: xRange.max,
+                grid: { color: 'rgba(255, 255, 255, 0.05)' },
+                ticks: {
+                    color: '#9ca3af',
+                    maxRotation: 0,
+                    callback: (value) => (xRange.max - xRange.min > DAY_TICKS_AFTER_MS
+                        ? formatDay(value)
+                        : formatTime(value, { seconds: false })),
+                },
+            },
+            y: {
+                beginAtZero: series.stepped,
+                grid: { color: 'rgba(255, 255, 255, 0.05)' },
+                ticks: { color: '#9ca3af', precision: series.stepped ? 0 : undefined },
+            },
+        },
+        plugins: {
+            legend: { display: false },
+            tooltip: {
+                callbacks: {
+                    title: (items) => (items.length ? formatDateTime(items[0].parsed.x) : ''),
+                    label: (ctx) => `${series.label}: ${Number(ctx.parsed.y.toFixed(1))}${unit}`,
+                },
+            },
+            zoom: {
+                zoom: {
+                    wheel: { enabled: true },
+                    pinch: { enabled: true },
+                    drag: { enabled: true, modifierKey: 'shift' },
+                    mode: 'x',
+                    onZoomComplete: ({ chart }) => onZoom(chart.scales.x.min, chart.scales.x.max),
+                },
+                pan: {
+                    enabled: true,
+                    mode: 'x',
+                    onPanComplete: ({ chart }) => onZoom(chart.scales.x.min, chart.scales.x.max),
+                },
+            },
+            annotation: {
+                annotations: markers.map((m, i) => ({
+                    type: 'line',
+                    id: `alert-${i}`,
+                    xMin: m.x,
+                    xMax: m.x,
+                    borderColor: ALERT_COLORS[m.type] || '#ef4444',
+                    borderWidth: 2,
+                    borderDash: [4, 4],
+                    label: {
+                        display: true,
+                        content: ALERT_ICONS[m.type] || '🚨',
+                        position: 'start',
+                        backgroundColor: 'transparent',
+                    },
+                })),
+            },
+        },
+    }), [series, unit, markers, xRange, onZoom, formatTime, formatDateTime, formatDay]);
+
+    return (
+        <div className="panel chart-panel">
+            <div className="panel-header">
+                <h2>{series.label}{unit && ` (${unit})`}</h2>
+            </div>
+            <div className="chart-container">
+                <Line data={data} options={options} />
+            </div>
+        </div>
+    );
+}
+
+// ==================== HISTORY PAGE ====================
+function HistoryPage({ deviceId, roomName }) {
+    const [rangeKey, setRangeKey] = useState('24h');
+    const [customStart, setCustomStart] = useState(() => toLocalInput(new Date(Date.now() - 24 * 3600000)));
+    const [customEnd, setCustomEnd] = useState(() => toLocalInput(new Date()));
+    const [appliedCustom, setAppliedCustom] = useState(null);
+    const [zoom, setZoom] = useState(null);
+    const [exporting, setExporting] = useState(false);
+    const { formatTemp } = usePreferences();
+
+    const range = RANGES.find(r => r.key === rangeKey);
+    const isCustom = rangeKey === 'custom' && appliedCustom;
+
+    const query = isCustom
+        ? { device: deviceId, start: appliedCustom.start, end: appliedCustom.end }
+        : { device: deviceId, hours: range.hours || 24 };
+
+    const { data: readings, loading, error } = useSensorHistory({ ...query, resolution: 'auto' });
+    const { data: alertList } = useAlertHistory(query);
+    const stats = useStats({ hours: range.hours || 24, device: deviceId });
+
+    // Chart.js wants ascending x; raw readings come back newest-first
+    const points = useMemo(() => readings
+        .map(r => ({ ...r, x: parseTimestamp(r.timestamp).getTime() }))
+        .sort((a, b) => a.x - b.x), [readings]);
+
+    const markers = useMemo(() => alertList.map(a => ({
+        x: parseTimestamp(a.timestamp).getTime(),
+        type: a.type,
+    })), [alertList]);
+
+    const baseRange = isCustom
+        ? { min: new Date(appliedCustom.start).getTime(), max: new Date(appliedCustom.end).getTime() }
+        : { min: Date.now() - (range.hours || 24) * 3600000, max: Date.now() };
+    const xRange = zoom || baseRange;
+
+    const handleZoom = useCallback((min, max) => setZoom({ min, max }), []);
+
+    const selectRange = (key) => {
+        setRangeKey(key);
+        setZoom(null);
+    };
+
+    const applyCustom = () => {
+        setAppliedCustom({
+            start: new Date(customStart).toISOString(),
+            end: new Date(customEnd).toISOString(),
+        });
+        setZoom(null);
+    };
+
+    return (
+        <main className="page-content">
+            <div className="panel history-toolbar">
+                <div className="panel-header">
+                    <h2>📈 History — {roomName}</h2>
+                    <div className="toolbar-actions">
+                        {zoom && (
+                            <button className="btn btn-reset" onClick={() => setZoom(null)}>
+                                🔍 Reset Zoom
+                            </button>
+                        )}
+                        <button className="btn btn-reset" onClick={() => setExporting(true)}>
+                            ⬇️ Export
+                        </button>
+                    </div>
+                </div>
+                <div className="range-picker">
+                    {RANGES.map(r => (
+                        <button
+                            key={r.key}
+                            className={rangeKey === r.key ? 'active' : ''}
+                            onClick={() => selectRange(r.key)}
+                        >
+                            {r.label}
+                        </button>
+                    ))}
+                    {rangeKey === 'custom' && (
+                        <div className="custom-range">
+                            <input
+                                type="datetime-local"
+                                value={customStart}
+                                onChange={(e) => setCustomStart(e.target.value)}
+                            />
+                            <span>→</span>
+                            <input
+                                type="datetime-local"
+                                value={customEnd}
+                                onChange={(e) => setCustomEnd(e.target.value)}
+                            />
+                            <button onClick={applyCustom} disabled={!customStart || customEnd <= customStart}>
+                                Apply
+                            </button>
+                        </div>
+                    )}
+                </div>
+                <p className="history-hint">
+                    Scroll or pinch to zoom, drag to pan, shift-drag to select a range.
+                    {markers.length > 0 && ` ${markers.length} alert${markers.length === 1 ? '' : 's'} in range.`}
+                </p>
+            </div>
+
+            {exporting && (
+                <ExportDialog
+                    deviceId={deviceId}
+                    roomName={roomName}
+                    start={xRange.min}
+                    end={xRange.max}
+                    onClose={() => setExporting(false)}
+                />
+            )}
+
+            {stats && !isCustom && (
+                <div className="panel stats-panel">
+                    <div className="stats-grid history-stats">
+                        <div className="stat-item">
+                            <span className="stat-value">{stats.total_readings}</span>
+                            <span className="stat-label">Readings</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-value">{formatTemp(stats.avg_temp)}</span>
+                            <span className="stat-label">Avg Temp</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-value">{formatTemp(stats.max_temp)}</span>
+                            <span className="stat-label">Max Temp</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-value">{stats.avg_humidity}%</span>
+                            <span className="stat-label">Avg Humidity</span>
+                        </div>
+                        <div className="stat-item danger">
+                            <span className="stat-value">{stats.fire_alerts}</span>
+                            <span className="stat-label">Fire</span>
+                        </div>
+                        <div className="stat-item danger">
+                            <span className="stat-value">{stats.burglar_alerts}</span>
+                            <span className="stat-label">Burglar</span>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {error && <div className="login-error">{error}</div>}
+            {loading && points.length === 0 ? (
+                <div className="panel no-alerts"><p>Loading history...</p></div>
+            ) : (
+                SERIES.map(series => (
+                    <HistoryChart
+                        key={series.key}
+                        series={series}
+                        points={points}
+                        markers={markers}
+                        xRange={xRange}
+                        onZoom={handleZoom}
+                    />
+                ))
+            )}
+        </main>
+    );
+}
+
+export default HistoryPage;
@@ -0,0 +1,422 @@
+import { useState, useEffect, useMemo, useRef } from 'react';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { incidentUrl } from '../incidents';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== INCIDENT TIMELINE ====================
+// Everything around one alert merged into one timeline, with a scrubber
+// that replays the room's state (door, LED, mode, occupancy, sensors) at
+// any moment. Every incident has its own link (see incidents.js).
+
+const WINDOWS = [15, 30, 60];
+const SPEEDS = [1, 10, 60];
+const PLAY_TICK_MS = 200;
+
+const KIND_ICONS = {
+    alert: '🚨',
+    lifecycle: '✋',
+    note: '📝',
+    status: '📍',
+    command: '🎛️',
+    arming: '🛡️',
+    presence: '📶',
+    fault: '🩺',
+    reading: '📊',
+};
+
+const ALERT_ICONS = {
+    fire: '🔥',
+    burglar: '🚨',
+    fire_warning: '🌡️',
+    rule: '🤖',
+};
+
+const STATUS_LABELS = {
+    door: 'Door',
+    led: 'LED',
+    mode: 'Mode',
+    occupant_count: 'Occupants',
+    arm_mode: 'Arm mode',
+    arm_state: 'Arm state',
+};
+
+/**
+ * The room's state after an event, from the state before it
+ */
+function applyEvent(state, event) {
+    switch (event.kind) {
+        case 'reading':
+            return {
+                ...state,
+                temp: event.faulty ? null : event.temp,
+                humidity: event.faulty ? null : event.humidity,
+                ir: event.ir,
+                pir: event.pir,
+                occupant_count: event.occupant_count ?? state.occupant_count,
+                faulty: Boolean(event.faulty),
+            };
+        case 'status':
+            return { ...state, ...event.changes };
+        case 'presence':
+            return { ...state, online: event.type === 'online' };
+        default:
+            return state;
+    }
+}
+
+/**
+ * Replay frames: the room's state from each event on, oldest first
+ */
+function buildFrames(timeline) {
+    const { initial, window: covers } = timeline;
+    let state = { ...initial.reading, ...initial.status, online: null };
+    if (state.faulty) state = { ...state, temp: null, humidity: null };
+
+    const frames = [{ time: parseTimestamp(covers.start).getTime(), state }];
+    timeline.events.forEach(e => {
+        state = applyEvent(state, e);
+        frames.push({ time: parseTimestamp(e.time).getTime(), state });
+    });
+    return frames;
+}
+
+/**
+ * Index of the last item at or before `time` in a list sorted by `time`, or -1
+ */
+function lastAtOrBefore(items, time) {
+    let low = 0;
+    let high = items.length - 1;
+    let found = -1;
+    while (low <= high) {
+        const mid = (low + high) >> 1;
+        if (items[mid].time <= time) {
+            found = mid;
+            low = mid + 1;
+        } else {
+            high = mid - 1;
+        }
+    }
+    return found;
+}
+
+function describe(event, formatTemp) {
+    switch (event.kind) {
+        case 'alert':
+            return `${ALERT_ICONS[event.type] || '🚨'} ${event.type === 'fire_warning' ? `fire ${event.level}` : event.type} alert`
+                + `${event.incident ? ' (this incident)' : ''}: ${event.message || ''}`;
+        case 'lifecycle':
+            return `${event.action === 'resolved' ? 'Resolved' : 'Acknowledged'} by ${event.user}`;
+        case 'note':
+            return `Note by ${event.user}: ${event.text}`;
+        case 'status':
+            return Object.entries(event.changes)
+                .map(([field, value]) => `${STATUS_LABELS[field] || field} → ${value}`)
+                .join(', ');
+        case 'command':
+            return `${event.user} sent ${event.action} - ${event.outcome}${event.reason ? ` (${event.reason})` : ''}`;
+        case 'arming':
+            return `Arm mode ${event.mode} (${event.state})${event.user ? ` by ${event.user}` : ''}`;
+        case 'presence':
+            return `Device ${event.type} (${event.reason})`;
+        case 'fault':
+            return `${event.fault} ${event.ended ? 'cleared' : 'detected'}${event.detail && !event.ended ? `: ${event.detail}` : ''}`;
+        case 'reading':
+            return event.faulty
+                ? 'Faulty reading'
+                : `${formatTemp(event.temp)} · ${event.humidity ?? '—'}% · IR ${event.ir} · PIR ${event.pir} · ${event.occupant_count ?? 0} inside`;
+        default:
+            return event.kind;
+    }
+}
+
+function RoomState({ state }) {
+    const { formatTemp } = usePreferences();
+    const value = (v, unit = '') => (v == null ? '—' : `${v}${unit}`);
+    return (
+        <div className="status-grid incident-state">
+            <div className="status-item">
+                <span className="status-label">Mode</span>
+                <span className={`status-value mode-${state.mode}`}>{value(state.mode?.toUpperCase())}</span>
+            </div>
+            <div className="status-item">
+                <span className="status-label">Door</span>
+                <span className={`status-value door-${state.door}`}>
+                    {state.door ? (state.door === 'locked' ? '🔒 Locked' : '🔓 Open') : '—'}
+                </span>
+            </div>
+            <div className="status-item">
+                <span className="status-label">LED</span>
+                <span className={`status-value led-${state.led}`}>
+                    {state.led ? (state.led === 'red' ? '🔴 Red' : '🟢 Green') : '—'}
+                </span>
+            </div>
+            <div className="status-item">
+                <span className="status-label">Occupants</span>
+                <span className="status-value">{value(state.occupant_count)}</span>
+            </div>
+            <div className="status-item">
+                <span className="status-label">Arm</span>
+                <span className="status-value">
+                    {state.arm_mode ? `${state.arm_mode}${state.arm_state && state.arm_state !== state.arm_mode ? ` (${state.arm_state})` : ''}` : '—'}
+                </span>
+            </div>
+            <div className="status-item">
+                <span className="status-label">Temperature</span>
+                <span className="status-value">{state.faulty ? '⚠️ Fault' : formatTemp(state.temp)}</span>
+            </div>
+            <div className="status-item">
+                <span className="status-label">Humidity</span>
+                <span className="status-value">{state.faulty ? '⚠️ Fault' : value(state.humidity, '%')}</span>
+            </div>
+            <div className="status-item">
+                <span className="status-label">IR / PIR</span>
+                <span className="status-value">
+                    {state.ir ? '📡 Broken' : '📡 Clear'} · {state.pir ? '🏃 Motion' : '🏃 None'}
+                </span>
+            </div>
+            {state.online === false && (
+                <div className="status-item">
+                    <span className="status-label">Device</span>
+                    <span className="status-value">📴 Offline</span>
+                </div>
+            )}
+        </div>
+    );
+}
+
+function IncidentPage({ alertId, at, roomName, isAdmin, onBack, onReport }) {
+    const { formatTemp, formatTime, formatDateTime } = usePreferences();
+    const [minutes, setMinutes] = useState(15);
+    const [timeline, setTimeline] = useState(null);
+    const [error, setError] = useState('');
+    const [position, setPosition] = useState(null);
+    const [playing, setPlaying] = useState(false);
+    const [speed, setSpeed] = useState(10);
+    const [showReadings, setShowReadings] = useState(false);
+    const [copied, setCopied] = useState(false);
+    const currentRow = useRef(null);
+
+    useEffect(() => {
+        const fetchTimeline = async () => {
+            setError('');
+            try {
+                const res = await apiFetch(`/alerts/${alertId}/timeline?before=${minutes}&after=${minutes}`);
+                if (res.ok) {
+                    setTimeline(await res.json());
+                } else {
+                    setError(await errorMessage(res));
+                }
+            } catch {
+                setError('API not available');
+            }
+        };
+        fetchTimeline();
+    }, [alertId, minutes]);
+
+    const start = timeline ? parseTimestamp(timeline.window.start).getTime() : 0;
+    const end = timeline ? parseTimestamp(timeline.window.end).getTime() : 0;
+    const alertTime = timeline ? parseTimestamp(timeline.alert.timestamp).getTime() : 0;
+
+    // A new link starts over at its own moment
+    useEffect(() => {
+        setPosition(null);
+        setPlaying(false);
+    }, [alertId, at]);
+
+    // Open at the linked moment, otherwise at the alert
+    useEffect(() => {
+        if (!timeline) return;
+        const linked = at ? parseTimestamp(at)?.getTime() : NaN;
+        setPosition(prev => (prev != null && prev >= start && prev <= end ? prev
+            : linked >= start && linked <= end ? linked : alertTime));
+    }, [timeline, at, start, end, alertTime]);
+
+    const frames = useMemo(() => (timeline ? buildFrames(timeline) : []), [timeline]);
+    const events = useMemo(() => (timeline ? timeline.events.map(e => ({
+        ...e,
+        date: parseTimestamp(e.time),
+        time: parseTimestamp(e.time).getTime(),
+    })) : []), [timeline]);
+    const shown = useMemo(
+        () => events.filter(e => showReadings || e.kind !== 'reading'),
+        [events, showReadings]
+    );
+
+    // Playback moves the scrubber `speed` times faster than real time
+    useEffect(() => {
+        if (!playing) return;
+        const interval = setInterval(() => {
+            setPosition(prev => {
+                const next = prev + PLAY_TICK_MS * speed;
+                if (next >= end) setPlaying(false);
+                return Math.min(next, end);
+            });
+        }, PLAY_TICK_MS);
+        return () => clearInterval(interval);
+    }, [playing, speed, end]);
+
+    const currentIndex = position == null ? -1 : lastAtOrBefore(shown, position);
+    useEffect(() => {
+        if (playing) currentRow.current?.scrollIntoView({ block: 'nearest' });
+    }, [currentIndex, playing]);
+
+    if (error || !timeline || position == null) {
+        return (
+            <main className="page-content">
+                <div className="panel">
+                    {error ? <div className="login-error">{error}</div> : <p className="no-alerts">Loading incident...</p>}
+                    <button className="btn btn-reset" onClick={onBack}>‹ Back</button>
+                </div>
+            </main>
+        );
+    }
+
+    const { alert, room } = timeline;
+    const state = frames[Math.max(lastAtOrBefore(frames, position), 0)].state;
+    const percent = (time) => `${((time - start) / Math.max(end - start, 1)) * 100}%`;
+    const step = (direction) => {
+        const index = direction > 0
+            ? shown.findIndex(e => e.time > position)
+            : lastAtOrBefore(shown, position - 1);
+        if (index >= 0) setPosition(shown[index].time);
+    };
+
+    const copyLink = async () => {
+        const url = incidentUrl(alertId, position === alertTime ? null : new Date(position).toISOString());
+        try {
+            await navigator.clipboard.writeText(url);
+            setCopied(true);
+            setTimeout(() => setCopied(false), 2000);
+        } catch {
+            window.prompt('Copy this link', url);
+        }
+    };
+
+    return (
+        <main className="page-content incident-page">
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🎞️ Incident — {alert.type} in {room.name || roomName(room.device_id)}</h2>
+                    <div className="toolbar-actions">
+                        <button className="btn btn-reset" onClick={onBack}>‹ Back</button>
+                        <button className="btn btn-reset" onClick={copyLink} title="Link to this incident at the current moment">
+                            {copied ? '✅ Copied' : '🔗 Copy link'}
+                        </button>
+                        {isAdmin && onReport && (
+                            <button className="btn btn-reset" onClick={() => onReport(alertId)}>🧾 Report</button>
+                        )}
+                    </div>
+                </div>
+                <p className="history-hint">
+                    Raised {formatDateTime(parseTimestamp(alert.timestamp))} · {alert.state}
+                    {alert.message && ` · ${alert.message}`}
+                </p>
+                <div className="range-picker">
+                    {WINDOWS.map(m => (
+                        <button key={m} className={minutes === m ? 'active' : ''} onClick={() => setMinutes(m)}>
+                            ±{m} min
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="panel incident-replay">
+                <div className="panel-header">
+                    <h2>⏯️ Replay</h2>
+                    <span className="incident-clock">{formatDateTime(position)}</span>
+                </div>
+                <RoomState state={state} />
+
+                <div className="incident-track">
+                    {shown.filter(e => e.kind !== 'reading').map((e, i) => (
+                        <span
+                            key={i}
+                            className={`incident-tick ${e.kind} ${e.incident ? 'incident' : ''}`}
+                            style={{ left: percent(e.time) }}
+                            title={`${formatTime(e.date)} ${describe(e, formatTemp)}`}
+                            onClick={() => setPosition(e.time)}
+                        />
+                    ))}
+                    <span className="incident-cursor" style={{ left: percent(position) }} />
+                </div>
+                <input
+                    type="range"
+                    className="incident-scrubber"
+                    min={start}
+                    max={end}
+                    step={1000}
+                    value={position}
+                    onChange={(e) => {
+                        setPlaying(false);
+                        setPosition(Number(e.target.value));
+                    }}
+                />
+                <div className="incident-controls">
+                    <button onClick={() => step(-1)} title="Previous event">⏮️</button>
+                    <button
+                        onClick={() => {
+                            if (position >= end) setPosition(start);
+                            setPlaying(p => !p);
+                        }}
+                    >
+                        {playing ? '⏸️ Pause' : '▶️ Play'}
+                    </button>
+                    <button onClick={() => step(1)} title="Next event">⏭️</button>
+                    <button onClick={() => setPosition(alertTime)}>🚨 Alert</button>
+                    <select value={speed} onChange={(e) => setSpeed(Number(e.target.value))}>
+                        {SPEEDS.map(s => <option key={s} value={s}>{s}×</option>)}
+                    </select>
+                </div>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🕒 Timeline</h2>
+                    <label className="modal-check">
+                        <input
+                            type="checkbox"
+                            checked={showReadings}
+                            onChange={(e) => setShowReadings(e.target.checked)}
+                        />
+                        Show readings
+                    </label>
+                </div>
+                {!timeline.commands_included && (
+                    <p className="history-hint">Commands are only shown to admins.</p>
+                )}
+                <div className="history-table incident-timeline">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Source</th>
+                                <th>Event</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {shown.map((e, i) => (
+                                <tr
+                                    key={i}
+                                    ref={i === currentIndex ? currentRow : null}
+                                    className={[
+                                        e.kind === 'alert' ? 'timeline-alert' : '',
+                                        i === currentIndex ? 'current' : '',
+                                        e.time > position ? 'future' : '',
+                                    ].join(' ')}
+                                    onClick={() => setPosition(e.time)}
+                                >
+                                    <td>{formatTime(e.date)}</td>
+                                    <td className="capitalize">{KIND_ICONS[e.kind]} {e.kind}</td>
+                                    <td>{describe(e, formatTemp)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </main>
+    );
+}
+
+export default IncidentPage;
@@ -0,0 +1,214 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== INCIDENT REPORT (ADMIN) ====================
+// Everything recorded around one alert on a single printable page:
+// the lifecycle, what happened in the room and who did what.
+
+const STATE_LABELS = {
+    open: 'Open',
+    acknowledged: 'Acknowledged',
+    resolved: 'Resolved',
+};
+
+/**
+ * Merge the report's collections into one chronological list of { time, kind, text }
+ */
+function buildTimeline(report) {
+    const { alert } = report;
+    const events = [{ time: alert.timestamp, kind: 'alert', text: `${alert.type} alert raised: ${alert.message || ''}` }];
+
+    if (alert.acknowledged_at) {
+        events.push({ time: alert.acknowledged_at, kind: 'lifecycle', text: `Acknowledged by ${alert.acknowledged_by}` });
+    }
+    if (alert.resolved_at) {
+        events.push({ time: alert.resolved_at, kind: 'lifecycle', text: `Resolved by ${alert.resolved_by}` });
+    }
+    (alert.notes || []).forEach(n => {
+        events.push({ time: n.timestamp, kind: 'note', text: `Note by ${n.user}: ${n.text}` });
+    });
+    report.other_alerts.forEach(a => {
+        events.push({ time: a.timestamp, kind: 'alert', text: `${a.type} alert: ${a.message || ''}` });
+    });
+
+    // Only mode changes - the status log repeats every few seconds
+    let lastMode = null;
+    report.status.forEach(s => {
+        if (s.mode && s.mode !== lastMode) {
+            if (lastMode !== null) events.push({ time: s.timestamp, kind: 'status', text: `Mode ${lastMode} → ${s.mode}` });
+            lastMode = s.mode;
+        }
+    });
+
+    report.commands.forEach(c => {
+        const reason = c.reason ? ` (${c.reason})` : '';
+        events.push({ time: c.timestamp, kind: 'command', text: `${c.user_name || c.user} sent ${c.action} - ${c.outcome}${reason}` });
+    });
+    report.arm_events.forEach(e => {
+        const by = e.user ? ` by ${e.user}` : '';
+        events.push({ time: e.timestamp, kind: 'arming', text: `Arm mode ${e.mode} (${e.state})${by}` });
+    });
+    report.presence.forEach(e => {
+        events.push({ time: e.timestamp, kind: 'presence', text: `Device ${e.type} (${e.reason})` });
+    });
+    report.notifications.forEach(n => {
+        const error = n.error ? ` - ${n.error}` : '';
+        events.push({ time: n.created_at, kind: 'notify', text: `${n.channel_name}: ${n.status} after ${n.attempts} attempt(s)${error}` });
+    });
+
+    return events
+        .map(e => ({ ...e, date: parseTimestamp(e.time) }))
+        .sort((a, b) => a.date - b.date);
+}
+
+function readingStats(readings) {
+    if (readings.length === 0) return null;
+    // Readings flagged faulty by the backend's sensor health checks don't count
+    const climate = readings.filter(r => !r.faulty);
+    const temps = climate.map(r => r.temp).filter(t => t != null);
+    const humidity = climate.map(r => r.humidity).filter(h => h != null);
+    return {
+        samples: readings.length,
+        tempMin: temps.length ? Math.min(...temps) : null,
+        tempMax: temps.length ? Math.max(...temps) : null,
+        humidityMax: humidity.length ? Math.max(...humidity) : null,
+        occupantsMax: Math.max(...readings.map(r => r.occupant_count || 0)),
+        irTriggers: readings.filter(r => r.ir).length,
+        motion: readings.filter(r => r.pir).length,
+    };
+}
+
+function IncidentReport({ alertId, roomName, onBack, onTimeline }) {
+    const { tempUnit, formatTemp, formatDateTime } = usePreferences();
+    const [report, setReport] = useState(null);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        const fetchReport = async () => {
+            try {
+                const res = await apiFetch(`/alerts/${alertId}/report`);
+                if (res.ok) {
+                    setReport(await res.json());
+                } else {
+                    setError(await errorMessage(res));
+                }
+            } catch {
+                setError('API not available');
+            }
+        };
+        fetchReport();
+    }, [alertId]);
+
+    if (error || !report) {
+        return (
+            <main className="page-content">
+                <div className="panel">
+                    {error ? <div className="login-error">{error}</div> : <p className="no-alerts">Loading report...</p>}
+                </div>
+            </main>
+        );
+    }
+
+    const { alert, room, window: covers } = report;
+    const timeline = buildTimeline(report);
+    const stats = readingStats(report.readings);
+    const fmt = (value) => (value == null ? '-' : formatTemp(value, { unit: false }));
+
+    return (
+        <main className="page-content incident-report">
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🧾 Incident Report — {alert.type} in {room.name || roomName(room.device_id)}</h2>
+                    <div className="toolbar-actions no-print">
+                        <button className="btn btn-reset" onClick={onBack}>‹ Back</button>
+                        {onTimeline && <button className="btn btn-reset" onClick={onTimeline}>🎞️ Timeline</button>}
+                        <button className="btn btn-unlock" onClick={() => window.print()}>🖨️ Print</button>
+                    </div>
+                </div>
+                <dl className="report-summary">
+                    <dt>Room</dt>
+                    <dd>{room.name} ({room.device_id}){room.location && ` · ${room.location}`}</dd>
+                    <dt>Raised</dt>
+                    <dd>{formatDateTime(parseTimestamp(alert.timestamp))}</dd>
+                    <dt>State</dt>
+                    <dd>
+                        <span className={`outcome-badge ${alert.state}`}>{STATE_LABELS[alert.state] || alert.state}</span>
+                    </dd>
+                    <dt>Message</dt>
+                    <dd>{alert.message || '-'}</dd>
+                    <dt>Covers</dt>
+                    <dd>
+                        {formatDateTime(parseTimestamp(covers.start))} → {formatDateTime(parseTimestamp(covers.end))}
+                    </dd>
+                    <dt>Generated</dt>
+                    <dd>{formatDateTime(parseTimestamp(report.generated_at))}</dd>
+                </dl>
+            </div>
+
+            {stats && (
+                <div className="panel stats-panel">
+                    <div className="panel-header">
+                        <h2>📈 Readings in Window</h2>
+                    </div>
+                    <div className="stats-grid">
+                        <div className="stat-item">
+                            <span className="stat-value">{stats.samples}</span>
+                            <span className="stat-label">Readings</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-value">{fmt(stats.tempMin)} – {fmt(stats.tempMax)}{tempUnit}</span>
+                            <span className="stat-label">Temperature</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-value">{fmt(stats.humidityMax)}%</span>
+                            <span className="stat-label">Max Humidity</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-value">{stats.occupantsMax}</span>
+                            <span className="stat-label">Max Occupants</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-value">{stats.irTriggers}</span>
+                            <span className="stat-label">IR Triggers</span>
+                        </div>
+                        <div className="stat-item">
+                            <span className="stat-value">{stats.motion}</span>
+                            <span className="stat-label">Motion Readings</span>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🕒 Timeline</h2>
+                    <span className="alert-count">{timeline.length}</span>
+                </div>
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Source</th>
+                                <th>Event</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {timeline.map((e, i) => (
+                                <tr key={i} className={e.kind === 'alert' ? 'timeline-alert' : ''}>
+                                    <td>{formatDateTime(e.date)}</td>
+                                    <td className="capitalize">{e.kind}</td>
+                                    <td>{e.text}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </main>
+    );
+}
+
+export default IncidentReport;
@@ -0,0 +1,230 @@
+import { useState, useEffect } from 'react';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { SCHEMA_VERSIONS, subscribeRejected } from '../schemas';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== MESSAGE DIAGNOSTICS (ADMIN) ====================
+// MQTT messages rejected against the shared schemas (schemas/mqtt): counts
+// per room and topic from the backend, the last week of rejected messages,
+// and what this dashboard dropped itself.
+const PAGE_SIZE = 25;
+const EMPTY_FILTERS = { device: '', kind: '' };
+
+function Errors({ errors }) {
+    return (
+        <ul className="message-errors">
+            {errors.map((error, i) => <li key={i}>{error}</li>)}
+        </ul>
+    );
+}
+
+function Raw({ raw, truncated }) {
+    return (
+        <details className="message-raw">
+            <summary>Payload</summary>
+            <pre>{raw}{truncated && '…'}</pre>
+        </details>
+    );
+}
+
+function MessagesPage({ roomIds, roomName }) {
+    const { formatTime, formatDateTime } = usePreferences();
+    const [stats, setStats] = useState(null);
+    const [filters, setFilters] = useState(EMPTY_FILTERS);
+    const [page, setPage] = useState(1);
+    const [result, setResult] = useState({ items: [], total: 0 });
+    const [error, setError] = useState('');
+    const [local, setLocal] = useState(null);
+
+    useEffect(() => subscribeRejected(setLocal), []);
+
+    useEffect(() => {
+        const fetchStats = async () => {
+            try {
+                const res = await apiFetch('/messages/stats');
+                if (res.ok) setStats(await res.json());
+            } catch {
+                // Keep the last counters shown
+            }
+        };
+        fetchStats();
+        const interval = setInterval(fetchStats, 15000);
+        return () => clearInterval(interval);
+    }, []);
+
+    useEffect(() => {
+        const fetchInvalid = async () => {
+            const query = new URLSearchParams({ page, page_size: PAGE_SIZE });
+            Object.entries(filters).forEach(([key, value]) => value && query.set(key, value));
+            try {
+                const res = await apiFetch(`/messages/invalid?${query}`);
+                if (res.ok) {
+                    setResult(await res.json());
+                    setError('');
+                } else {
+                    setError(await errorMessage(res));
+                }
+            } catch {
+                setError('API not available');
+            }
+        };
+        fetchInvalid();
+        const interval = setInterval(fetchInvalid, 15000);
+        return () => clearInterval(interval);
+    }, [filters, page]);
+
+    const setFilter = (key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value }));
+        setPage(1);
+    };
+
+    const pages = Math.max(Math.ceil(result.total / PAGE_SIZE), 1);
+    const versionMismatch = stats && stats.versions.join() !== SCHEMA_VERSIONS.join();
+    const localCounts = Object.entries(local?.counts || {});
+    // A device whose messages are all rejected never gets registered
+    const deviceIds = [...new Set([...roomIds, ...(stats?.counters || []).map(row => row.device)])].sort();
+
+    return (
+        <main className="page-content">
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>📨 Message Schemas</h2>
+                </div>
+                <p className="history-hint">
+                    This dashboard knows schema {SCHEMA_VERSIONS.map(v => `v${v}`).join(', ')}
+                    {stats && <>, the backend {stats.versions.map(v => `v${v}`).join(', ')}
+                        {' '}(counting since {formatDateTime(parseTimestamp(stats.since))})</>}.
+                </p>
+                {versionMismatch && (
+                    <div className="login-error">
+                        The dashboard and backend know different schema versions - rebuild the dashboard after updating the schemas
+                    </div>
+                )}
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Room</th>
+                                <th>Topic</th>
+                                <th>Accepted</th>
+                                <th>Rejected</th>
+                                <th>Last rejected</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {stats?.counters.map(row => (
+                                <tr key={`${row.device}/${row.kind}`} className={row.rejected ? 'message-rejected' : ''}>
+                                    <td>{roomName(row.device)}</td>
+                                    <td>{row.kind}</td>
+                                    <td>{row.accepted}</td>
+                                    <td>{row.rejected}</td>
+                                    <td>{row.last_rejected ? formatDateTime(parseTimestamp(row.last_rejected)) : '-'}</td>
+                                </tr>
+                            ))}
+                            {!stats?.counters.length && (
+                                <tr>
+                                    <td colSpan={5} className="no-alerts">No messages since the backend started</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🚫 Rejected Messages</h2>
+                    <span className="alert-count">{result.total}</span>
+                </div>
+                <p className="history-hint">Messages the backend dropped in the last 7 days. They were not stored.</p>
+                <div className="inline-form audit-filters">
+                    <select value={filters.device} onChange={(e) => setFilter('device', e.target.value)}>
+                        <option value="">All rooms</option>
+                        {deviceIds.map(id => <option key={id} value={id}>{roomName(id)}</option>)}
+                    </select>
+                    <select value={filters.kind} onChange={(e) => setFilter('kind', e.target.value)}>
+                        <option value="">All topics</option>
+                        {(stats?.kinds || []).map(kind => <option key={kind} value={kind}>{kind}</option>)}
+                    </select>
+                </div>
+                {error && <div className="login-error">{error}</div>}
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Room</th>
+                                <th>Topic</th>
+                                <th>Problems</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {result.items.map(message => (
+                                <tr key={message.id}>
+                                    <td>{formatDateTime(parseTimestamp(message.timestamp))}</td>
+                                    <td>{roomName(message.device)}</td>
+                                    <td>
+                                        {message.kind}
+                                        {message.direction === 'out' && <div className="command-reason">sent by the backend</div>}
+                                    </td>
+                                    <td><Errors errors={message.errors} /></td>
+                                    <td><Raw raw={message.raw} truncated={message.truncated} /></td>
+                                </tr>
+                            ))}
+                            {result.items.length === 0 && (
+                                <tr>
+                                    <td colSpan={5} className="no-alerts">No rejected messages</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="pager">
+                    <button disabled={page <= 1} onClick={() => setPage(p => p - 1)}>‹ Prev</button>
+                    <span>Page {page} of {pages}</span>
+                    <button disabled={page >= pages} onClick={() => setPage(p => p + 1)}>Next ›</button>
+                </div>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🖥️ Dropped by This Dashboard</h2>
+                    <span className="alert-count">{local?.recent.length || 0}</span>
+                </div>
+                <p className="history-hint">
+                    {localCounts.length
+                        ? localCounts.map(([key, n]) => `${key}: ${n}`).join(' · ')
+                        : 'Every message received since the dashboard was opened matched its schema.'}
+                </p>
+                {local?.recent.length > 0 && (
+                    <div className="history-table">
+                        <table>
+                            <thead>
+                                <tr>
+                                    <th>Time</th>
+                                    <th>Topic</th>
+                                    <th>Problems</th>
+                                    <th></th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {local.recent.map((message, i) => (
+                                    <tr key={i}>
+                                        <td>{formatTime(new Date(message.timestamp))}</td>
+                                        <td>{message.topic}</td>
+                                        <td><Errors errors={message.errors} /></td>
+                                        <td><Raw raw={message.raw} /></td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+            </div>
+        </main>
+    );
+}
+
+export default MessagesPage;
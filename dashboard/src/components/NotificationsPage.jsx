@@ -0,0 +1,347 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== NOTIFICATION CHANNELS (ADMIN) ====================
+// Where the backend sends new alerts when nobody has the dashboard open:
+// webhooks, email and chat webhooks, each with its own severity filter,
+// dedupe window and rate limit. Deliveries are retried by the backend.
+
+const PAGE_SIZE = 25;
+const TYPES = { webhook: 'Webhook', email: 'Email', chat: 'Chat' };
+const STATUSES = ['pending', 'sending', 'sent', 'suppressed', 'failed'];
+const EMPTY_FORM = {
+    name: '',
+    type: 'webhook',
+    url: '',
+    recipients: '',
+    chat_format: 'slack',
+    secret: '',
+    min_severity: 'high',
+    dedupe_seconds: 300,
+    rate_limit_per_hour: 20,
+};
+
+// Map a log status onto the shared outcome badge colours
+const STATUS_BADGES = { sent: 'confirmed', failed: 'failed', suppressed: 'timeout' };
+
+const channelTarget = (c) => (c.type === 'email' ? (c.recipients || []).join(', ') : c.url);
+
+function NotificationsPage() {
+    const { formatDateTime } = usePreferences();
+    const [config, setConfig] = useState({ channels: [], severities: [], alert_severity: {} });
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editing, setEditing] = useState(null);
+    const [error, setError] = useState('');
+    const [notice, setNotice] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const [filters, setFilters] = useState({ channel: '', status: '' });
+    const [page, setPage] = useState(1);
+    const [log, setLog] = useState({ items: [], total: 0 });
+    const [logVersion, setLogVersion] = useState(0);
+
+    const fetchChannels = useCallback(async () => {
+        try {
+            const res = await apiFetch('/notifications/channels');
+            if (res.ok) {
+                setConfig(await res.json());
+            } else {
+                setError(await errorMessage(res));
+            }
+        } catch {
+            setError('API not available');
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchChannels();
+    }, [fetchChannels]);
+
+    useEffect(() => {
+        const fetchLog = async () => {
+            const query = new URLSearchParams({ page, page_size: PAGE_SIZE });
+            Object.entries(filters).forEach(([key, value]) => value && query.set(key, value));
+            try {
+                const res = await apiFetch(`/notifications/log?${query}`);
+                if (res.ok) setLog(await res.json());
+            } catch {
+                // Keep the last log shown
+            }
+        };
+        fetchLog();
+        const interval = setInterval(fetchLog, 15000);
+        return () => clearInterval(interval);
+    }, [filters, page, logVersion]);
+
+    // Run a channel change, then reload channels and log
+    const run = async (path, options) => {
+        setBusy(true);
+        setError('');
+        setNotice('');
+        try {
+            const res = await apiFetch(path, options);
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok) setError(data.error || `Request failed (${res.status})`);
+            await fetchChannels();
+            setLogVersion(v => v + 1);
+            return res.ok ? data : null;
+        } catch {
+            setError('API not available');
+            return null;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const body = { ...form };
+        // Only send the secret when it is being set or changed
+        if (editing && !body.secret) delete body.secret;
+        const saved = editing
+            ? await run(`/notifications/channels/${editing}`, { method: 'PUT', body: JSON.stringify(body) })
+            : await run('/notifications/channels', { method: 'POST', body: JSON.stringify(body) });
+        if (saved) {
+            setForm(EMPTY_FORM);
+            setEditing(null);
+        }
+    };
+
+    const handleEdit = (c) => {
+        setEditing(c.id);
+        setForm({
+            ...EMPTY_FORM,
+            ...c,
+            url: c.url || '',
+            recipients: (c.recipients || []).join(', '),
+            secret: '',
+        });
+    };
+
+    const handleTest = async (c) => {
+        const result = await run(`/notifications/channels/${c.id}/test`, { method: 'POST' });
+        if (result) setNotice(`Test notification sent to ${c.name}`);
+    };
+
+    const setFilter = (key, value) => {
+        setFilters(prev => ({ ...prev, [key]: value }));
+        setPage(1);
+    };
+
+    const pages = Math.max(Math.ceil(log.total / PAGE_SIZE), 1);
+    const severityHint = Object.entries(config.alert_severity)
+        .map(([type, severity]) => `${type} = ${severity}`)
+        .join(', ');
+
+    return (
+        <main className="page-content">
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>📣 Notification Channels</h2>
+                    {severityHint && <span className="status-label">{severityHint}</span>}
+                </div>
+                {error && <div className="login-error">{error}</div>}
+                {notice && <div className="notice">{notice}</div>}
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Type</th>
+                                <th>Target</th>
+                                <th>Min severity</th>
+                                <th>Dedupe / rate</th>
+                                <th>Enabled</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {config.channels.map(c => (
+                                <tr key={c.id} className={c.enabled ? '' : 'muted'}>
+                                    <td>{c.name}</td>
+                                    <td>{TYPES[c.type]}{c.type === 'chat' && ` (${c.chat_format})`}</td>
+                                    <td className="channel-target" title={channelTarget(c)}>{channelTarget(c)}</td>
+                                    <td className="capitalize">{c.min_severity}</td>
+                                    <td>{c.dedupe_seconds}s / {c.rate_limit_per_hour || '∞'} per h</td>
+                                    <td>
+                                        <input
+                                            type="checkbox"
+                                            checked={c.enabled}
+                                            disabled={busy}
+                                            onChange={() => run(`/notifications/channels/${c.id}`, {
+                                                method: 'PUT',
+                                                body: JSON.stringify({ enabled: !c.enabled }),
+                                            })}
+                                        />
+                                    </td>
+                                    <td className="row-actions">
+                                        <button disabled={busy} onClick={() => handleTest(c)}>🔔 Test</button>
+                                        <button disabled={busy} onClick={() => handleEdit(c)}>Edit</button>
+                                        <button
+                                            disabled={busy}
+                                            onClick={() => run(`/notifications/channels/${c.id}`, { method: 'DELETE' })}
+                                        >
+                                            Delete
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                            {config.channels.length === 0 && (
+                                <tr>
+                                    <td colSpan={7} className="no-alerts">No channels - alerts only reach open dashboards</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>{editing ? '✏️ Edit Channel' : '➕ Add Channel'}</h2>
+                </div>
+                <form className="inline-form" onSubmit={handleSave}>
+                    <input
+                        placeholder="Name"
+                        value={form.name}
+                        onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    />
+                    <select value={form.type} onChange={(e) => setForm({ ...form, type: e.target.value })}>
+                        {Object.entries(TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </select>
+                    {form.type === 'email' ? (
+                        <input
+                            placeholder={config.smtp_configured ? 'Recipients (comma-separated)' : 'SMTP is not configured on the server'}
+                            value={form.recipients}
+                            onChange={(e) => setForm({ ...form, recipients: e.target.value })}
+                        />
+                    ) : (
+                        <input
+                            placeholder="https://..."
+                            value={form.url}
+                            onChange={(e) => setForm({ ...form, url: e.target.value })}
+                        />
+                    )}
+                    {form.type === 'chat' && (
+                        <select value={form.chat_format} onChange={(e) => setForm({ ...form, chat_format: e.target.value })}>
+                            <option value="slack">Slack / Mattermost / Google Chat</option>
+                            <option value="discord">Discord</option>
+                        </select>
+                    )}
+                    {form.type === 'webhook' && (
+                        <input
+                            type="password"
+                            placeholder={editing ? 'Signing secret (unchanged)' : 'Signing secret (optional)'}
+                            value={form.secret}
+                            onChange={(e) => setForm({ ...form, secret: e.target.value })}
+                        />
+                    )}
+                    <select value={form.min_severity} onChange={(e) => setForm({ ...form, min_severity: e.target.value })}>
+                        {config.severities.map(s => <option key={s} value={s}>{s} and above</option>)}
+                    </select>
+                    <label className="field-inline">
+                        Dedupe
+                        <input
+                            type="number"
+                            min={0}
+                            value={form.dedupe_seconds}
+                            onChange={(e) => setForm({ ...form, dedupe_seconds: Number(e.target.value) })}
+                        />
+                        s
+                    </label>
+                    <label className="field-inline">
+                        Max
+                        <input
+                            type="number"
+                            min={0}
+                            value={form.rate_limit_per_hour}
+                            onChange={(e) => setForm({ ...form, rate_limit_per_hour: Number(e.target.value) })}
+                        />
+                        / h
+                    </label>
+                    <button className="btn btn-unlock" type="submit" disabled={busy || !form.name.trim()}>
+                        {editing ? 'Save' : 'Add'}
+                    </button>
+                    {editing && (
+                        <button
+                            className="btn btn-reset"
+                            type="button"
+                            onClick={() => {
+                                setEditing(null);
+                                setForm(EMPTY_FORM);
+                            }}
+                        >
+                            Cancel
+                        </button>
+                    )}
+                </form>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>📬 Delivery Log</h2>
+                    <span className="alert-count">{log.total}</span>
+                </div>
+                <div className="inline-form audit-filters">
+                    <select value={filters.channel} onChange={(e) => setFilter('channel', e.target.value)}>
+                        <option value="">All channels</option>
+                        {config.channels.map(c => <option key={c.id} value={c.id}>{c.name}</option>)}
+                    </select>
+                    <select value={filters.status} onChange={(e) => setFilter('status', e.target.value)}>
+                        <option value="">All statuses</option>
+                        {STATUSES.map(s => <option key={s} value={s}>{s}</option>)}
+                    </select>
+                </div>
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Channel</th>
+                                <th>Alert</th>
+                                <th>Severity</th>
+                                <th>Status</th>
+                                <th>Attempts</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {log.items.map(entry => (
+                                <tr key={entry.id}>
+                                    <td>{formatDateTime(parseTimestamp(entry.created_at))}</td>
+                                    <td>{entry.channel_name}</td>
+                                    <td className="capitalize">
+                                        {entry.test ? 'Test' : `${entry.alert_type} · ${entry.device}`}
+                                    </td>
+                                    <td className="capitalize">{entry.severity}</td>
+                                    <td>
+                                        <span className={`outcome-badge ${STATUS_BADGES[entry.status] || 'pending'}`}>
+                                            {entry.status}
+                                        </span>
+                                        {(entry.reason || entry.error) && (
+                                            <div className="command-reason">{entry.reason || entry.error}</div>
+                                        )}
+                                    </td>
+                                    <td>{entry.attempts}</td>
+                                </tr>
+                            ))}
+                            {log.items.length === 0 && (
+                                <tr>
+                                    <td colSpan={6} className="no-alerts">No deliveries</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="pager">
+                    <button disabled={page <= 1} onClick={() => setPage(p => p - 1)}>‹ Prev</button>
+                    <span>Page {page} of {pages}</span>
+                    <button disabled={page >= pages} onClick={() => setPage(p => p + 1)}>Next ›</button>
+                </div>
+            </div>
+        </main>
+    );
+}
+
+export default NotificationsPage;
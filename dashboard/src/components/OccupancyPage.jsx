@@ -0,0 +1,341 @@
+import { useState, useEffect, useMemo } from 'react';
+import {
+    Chart as ChartJS,
+    TimeScale,
+    LinearScale,
+    PointElement,
+    LineElement,
+    BarElement,
+    Tooltip,
+    Legend,
+} from 'chart.js';
+import 'chartjs-adapter-date-fns';
+import { Bar, Line } from 'react-chartjs-2';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { WEEKDAYS } from '../arming';
+import { formatDuration } from '../format';
+import { usePreferences } from '../hooks/usePreferences';
+
+ChartJS.register(TimeScale, LinearScale, PointElement, LineElement, BarElement, Tooltip, Legend);
+
+// ==================== OCCUPANCY ANALYTICS ====================
+// Entries, occupied time, dwell and manual checkouts for one room, from the
+// backend's /api/occupancy. Hours and weekdays are in the user's timezone
+// (Preferences), or this browser's.
+
+const RANGES = [
+    { key: '24h', label: '24h', hours: 24 },
+    { key: '7d', label: '7d', hours: 24 * 7 },
+    { key: '30d', label: '30d', hours: 24 * 30 },
+];
+
+const HEATMAP_METRICS = [
+    { key: 'entries', label: 'Entries' },
+    { key: 'occupied_ratio', label: 'Occupied %' },
+];
+
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+const percent = (ratio) => (ratio == null ? '—' : `${Math.round(ratio * 100)}%`);
+
+const AXIS = {
+    grid: { color: 'rgba(255, 255, 255, 0.05)' },
+    ticks: { color: '#9ca3af', maxRotation: 0 },
+};
+
+// ==================== HEATMAP ====================
+function OccupancyHeatmap({ heatmap, metric }) {
+    // Entries scale to the busiest hour, occupancy to 100%
+    const max = metric === 'entries' ? Math.max(...heatmap.flat().map(cell => cell.entries), 1) : 1;
+
+    const cellLabel = (cell) => (metric === 'entries'
+        ? `${cell.entries} entr${cell.entries === 1 ? 'y' : 'ies'}`
+        : cell.occupied_ratio == null ? 'no data' : `occupied ${percent(cell.occupied_ratio)}`);
+
+    return (
+        <div className="heatmap">
+            <div className="heatmap-row heatmap-hours">
+                <span />
+                {Array.from({ length: 24 }, (_, hour) => (
+                    <span key={hour}>{hour % 3 === 0 ? hour : ''}</span>
+                ))}
+            </div>
+            {heatmap.map((row, day) => (
+                <div key={day} className="heatmap-row">
+                    <span className="heatmap-day">{WEEKDAYS[day]}</span>
+                    {row.map((cell, hour) => {
+                        const value = cell[metric];
+                        return (
+                            <span
+                                key={hour}
+                                className={`heatmap-cell ${value == null ? 'empty' : ''}`}
+                                style={{ background: `rgba(139, 92, 246, ${value ? 0.12 + 0.88 * (value / max) : 0.04})` }}
+                                title={`${WEEKDAYS[day]} ${String(hour).padStart(2, '0')}:00 - ${cellLabel(cell)}`}
+                            />
+                        );
+                    })}
+                </div>
+            ))}
+        </div>
+    );
+}
+
+// ==================== OCCUPANCY PAGE ====================
+function OccupancyPage({ deviceId, roomName }) {
+    const { prefs, formatTime, formatDateTime, formatDay } = usePreferences();
+    const timezone = prefs.timezone || BROWSER_TIMEZONE;
+    const [rangeKey, setRangeKey] = useState('7d');
+    const [metric, setMetric] = useState('entries');
+    const [data, setData] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState('');
+
+    const range = RANGES.find(r => r.key === rangeKey);
+
+    useEffect(() => {
+        let cancelled = false;
+        const fetchOccupancy = async () => {
+            setLoading(true);
+            setError('');
+            try {
+                const query = new URLSearchParams({ device: deviceId, hours: range.hours, tz: timezone });
+                const res = await apiFetch(`/occupancy?${query}`);
+                if (cancelled) return;
+                if (res.ok) {
+                    setData(await res.json());
+                } else {
+                    setError(await errorMessage(res));
+                }
+            } catch {
+                if (!cancelled) setError('API not available');
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+        fetchOccupancy();
+        return () => {
+            cancelled = true;
+        };
+    }, [deviceId, range.hours, timezone]);
+
+    const unit = data?.bucket === 'hour' ? 'hour' : 'day';
+    const points = useMemo(() => (data?.series || []).map(b => ({
+        ...b,
+        x: parseTimestamp(b.start).getTime(),
+        occupied_ratio: b.observed_seconds ? b.occupied_seconds / b.observed_seconds : null,
+    })), [data]);
+
+    const usageData = useMemo(() => ({
+        datasets: [
+            {
+                label: 'Entries',
+                data: points.map(p => ({ x: p.x, y: p.entries })),
+                backgroundColor: '#8b5cf6',
+            },
+            {
+                label: 'Checkouts',
+                data: points.map(p => ({ x: p.x, y: p.checkouts })),
+                backgroundColor: '#4facfe',
+            },
+        ],
+    }), [points]);
+
+    const levelData = useMemo(() => ({
+        datasets: [
+            {
+                label: 'Peak occupancy',
+                data: points.map(p => ({ x: p.x, y: p.peak })),
+                borderColor: '#8b5cf6',
+                stepped: 'before',
+                pointRadius: 0,
+                borderWidth: 2,
+                yAxisID: 'y',
+            },
+            {
+                label: 'Occupied %',
+                data: points.map(p => ({ x: p.x, y: p.occupied_ratio == null ? null : Math.round(p.occupied_ratio * 100) })),
+                borderColor: '#10b981',
+                pointRadius: 0,
+                borderWidth: 2,
+                tension: 0.3,
+                yAxisID: 'y1',
+            },
+        ],
+    }), [points]);
+
+    const chartOptions = useMemo(() => ({
+        responsive: true,
+        maintainAspectRatio: false,
+        animation: false,
+        interaction: { mode: 'index', intersect: false },
+        scales: {
+            x: {
+                type: 'time',
+                time: { unit },
+                ...AXIS,
+                ticks: {
+                    ...AXIS.ticks,
+                    callback: (value) => (unit === 'day' ? formatDay(value) : formatTime(value, { seconds: false })),
+                },
+            },
+            y: { beginAtZero: true, ...AXIS, ticks: { ...AXIS.ticks, precision: 0 } },
+        },
+        plugins: {
+            legend: { labels: { color: '#9ca3af' } },
+            tooltip: {
+                callbacks: {
+                    title: (items) => (items.length ? formatDateTime(items[0].parsed.x, { seconds: false }) : ''),
+                },
+            },
+        },
+    }), [unit, formatTime, formatDateTime, formatDay]);
+
+    const levelOptions = useMemo(() => ({
+        ...chartOptions,
+        scales: {
+            ...chartOptions.scales,
+            y1: { position: 'right', min: 0, max: 100, ...AXIS, grid: { display: false } },
+        },
+    }), [chartOptions]);
+
+    const summary = data?.summary;
+    const checkoutUsers = Object.entries(summary?.checkouts_by_user || {});
+
+    return (
+        <main className="page-content">
+            <div className="panel history-toolbar">
+                <div className="panel-header">
+                    <h2>👥 Occupancy — {roomName}</h2>
+                </div>
+                <div className="range-picker">
+                    {RANGES.map(r => (
+                        <button
+                            key={r.key}
+                            className={rangeKey === r.key ? 'active' : ''}
+                            onClick={() => setRangeKey(r.key)}
+                        >
+                            {r.label}
+                        </button>
+                    ))}
+                </div>
+                <p className="history-hint">
+                    Entries are counted by the IR beam; people leave through manual checkouts.
+                    Dwell is person-time per entry. Times are in {timezone}.
+                </p>
+            </div>
+
+            {error && <div className="login-error">{error}</div>}
+            {loading && !data && <div className="panel no-alerts"><p>Loading occupancy...</p></div>}
+
+            {summary && (
+                <>
+                    <div className="panel stats-panel">
+                        <div className="stats-grid history-stats">
+                            <div className="stat-item">
+                                <span className="stat-value">{summary.entries}</span>
+                                <span className="stat-label">Entries ({summary.entries_per_day}/day)</span>
+                            </div>
+                            <div
+                                className="stat-item"
+                                title={summary.peak_at ? formatDateTime(parseTimestamp(summary.peak_at)) : ''}
+                            >
+                                <span className="stat-value">{summary.peak_occupancy}</span>
+                                <span className="stat-label">Peak</span>
+                            </div>
+                            <div
+                                className="stat-item"
+                                title={`${formatDuration(summary.occupied_seconds)} occupied, ${formatDuration(summary.empty_seconds)} empty, ${formatDuration(summary.no_data_seconds)} no data`}
+                            >
+                                <span className="stat-value">{percent(summary.occupied_ratio)}</span>
+                                <span className="stat-label">Occupied</span>
+                            </div>
+                            <div className="stat-item">
+                                <span className="stat-value">{formatDuration(summary.avg_dwell_seconds)}</span>
+                                <span className="stat-label">Avg Dwell</span>
+                            </div>
+                            <div
+                                className="stat-item"
+                                title={`${summary.occupied_periods} occupied period${summary.occupied_periods === 1 ? '' : 's'}`}
+                            >
+                                <span className="stat-value">{formatDuration(summary.avg_occupied_period_seconds)}</span>
+                                <span className="stat-label">Avg Occupied Period</span>
+                            </div>
+                            <div
+                                className="stat-item"
+                                title={summary.checkouts_per_entry != null ? `${summary.checkouts_per_entry} checkouts per entry` : ''}
+                            >
+                                <span className="stat-value">{summary.checkouts}</span>
+                                <span className="stat-label">Checkouts ({summary.checkouts_per_day}/day)</span>
+                            </div>
+                        </div>
+                    </div>
+
+                    <div className="panel">
+                        <div className="panel-header">
+                            <h2>🗓️ Weekday × Hour</h2>
+                            <div className="range-picker">
+                                {HEATMAP_METRICS.map(m => (
+                                    <button
+                                        key={m.key}
+                                        className={metric === m.key ? 'active' : ''}
+                                        onClick={() => setMetric(m.key)}
+                                    >
+                                        {m.label}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                        <OccupancyHeatmap heatmap={data.heatmap} metric={metric} />
+                    </div>
+
+                    <div className="panel chart-panel">
+                        <div className="panel-header">
+                            <h2>Entries & Checkouts per {unit}</h2>
+                        </div>
+                        <div className="chart-container">
+                            <Bar data={usageData} options={chartOptions} />
+                        </div>
+                    </div>
+
+                    <div className="panel chart-panel">
+                        <div className="panel-header">
+                            <h2>Peak Occupancy & Occupied % per {unit}</h2>
+                        </div>
+                        <div className="chart-container">
+                            <Line data={levelData} options={levelOptions} />
+                        </div>
+                    </div>
+
+                    {checkoutUsers.length > 0 && (
+                        <div className="panel">
+                            <div className="panel-header">
+                                <h2>🚪 Checkouts by User</h2>
+                            </div>
+                            <div className="history-table">
+                                <table>
+                                    <thead>
+                                        <tr>
+                                            <th>User</th>
+                                            <th>Checkouts</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {checkoutUsers.map(([name, count]) => (
+                                            <tr key={name}>
+                                                <td>{name}</td>
+                                                <td>{count}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        </div>
+                    )}
+                </>
+            )}
+        </main>
+    );
+}
+
+export default OccupancyPage;
@@ -0,0 +1,228 @@
+import { useState, useEffect, useRef } from 'react';
+import { usePreferences } from '../hooks/usePreferences';
+import {
+    PREFERENCE_OPTIONS, savePreferences, resetPreferences, sirenUrl, inQuietHours,
+} from '../preferences';
+import { formatTemp, formatDateTime } from '../format';
+
+// ==================== PREFERENCES ====================
+// This user's units, time format, siren and notification choices. Stored by
+// the backend, so they follow the user to every browser.
+
+const SAMPLE_TEMP = 21.5;
+const TEST_SOUND_MS = 3000;
+
+// Timezones this browser knows, for the picker
+const TIMEZONES = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : [];
+const BROWSER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+function Options({ options }) {
+    return Object.entries(options).map(([value, label]) => <option key={value} value={value}>{label}</option>);
+}
+
+function PreferencesPage() {
+    const { prefs } = usePreferences();
+    const [form, setForm] = useState(prefs);
+    const [error, setError] = useState('');
+    const [saved, setSaved] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const testSound = useRef(null);
+
+    // Saved elsewhere (or loaded late): start over from the stored preferences
+    useEffect(() => setForm(prefs), [prefs]);
+
+    useEffect(() => () => testSound.current?.pause(), []);
+
+    const update = (changes) => {
+        setForm(prev => ({ ...prev, ...changes }));
+        setSaved(false);
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        setBusy(true);
+        setError('');
+        try {
+            await savePreferences(form);
+            setSaved(true);
+        } catch (err) {
+            setError(err.message === 'Failed to fetch' ? 'Server unreachable' : err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleReset = async () => {
+        setBusy(true);
+        setError('');
+        try {
+            await resetPreferences();
+            setSaved(true);
+        } catch (err) {
+            setError(err.message === 'Failed to fetch' ? 'Server unreachable' : err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const playTest = () => {
+        testSound.current?.pause();
+        const audio = new Audio(sirenUrl(form.siren));
+        audio.volume = form.siren_volume;
+        audio.play().catch(() => { });
+        setTimeout(() => audio.pause(), TEST_SOUND_MS);
+        testSound.current = audio;
+    };
+
+    const quiet = form.quiet_hours;
+    const setQuiet = (changes) => update({ quiet_hours: { ...quiet, ...changes } });
+
+    return (
+        <main className="page-content">
+            <form className="panel" onSubmit={handleSave}>
+                <div className="panel-header">
+                    <h2>🎛️ Display</h2>
+                </div>
+                <p className="history-hint">
+                    Preview: {formatDateTime(new Date(), form)} · {formatTemp(SAMPLE_TEMP, form)}
+                </p>
+                <div className="settings-form">
+                    <label className="settings-field">
+                        <span className="status-label">Temperature</span>
+                        <div className="settings-input">
+                            <select value={form.temp_unit} onChange={(e) => update({ temp_unit: e.target.value })}>
+                                <Options options={PREFERENCE_OPTIONS.temp_unit} />
+                            </select>
+                        </div>
+                    </label>
+                    <label className="settings-field">
+                        <span className="status-label">Time format</span>
+                        <div className="settings-input">
+                            <select value={form.time_format} onChange={(e) => update({ time_format: e.target.value })}>
+                                <Options options={PREFERENCE_OPTIONS.time_format} />
+                            </select>
+                        </div>
+                    </label>
+                    <label className="settings-field">
+                        <span className="status-label">Timezone</span>
+                        <div className="settings-input">
+                            <input
+                                list="timezones"
+                                value={form.timezone}
+                                onChange={(e) => update({ timezone: e.target.value })}
+                                placeholder={`This browser (${BROWSER_TIMEZONE})`}
+                            />
+                            <datalist id="timezones">
+                                {TIMEZONES.map(zone => <option key={zone} value={zone} />)}
+                            </datalist>
+                        </div>
+                    </label>
+                </div>
+
+                <div className="panel-header preferences-section">
+                    <h2>🔊 Alert Sound</h2>
+                </div>
+                <div className="settings-form">
+                    <label className="settings-field">
+                        <span className="status-label">Siren</span>
+                        <div className="settings-input">
+                            <select value={form.siren} onChange={(e) => update({ siren: e.target.value })}>
+                                <Options options={PREFERENCE_OPTIONS.siren} />
+                            </select>
+                        </div>
+                    </label>
+                    <label className="settings-field">
+                        <span className="status-label">Volume</span>
+                        <div className="settings-input">
+                            <input
+                                type="range"
+                                min={0}
+                                max={1}
+                                step={0.05}
+                                value={form.siren_volume}
+                                onChange={(e) => update({ siren_volume: Number(e.target.value) })}
+                            />
+                            <small>{Math.round(form.siren_volume * 100)}%</small>
+                        </div>
+                    </label>
+                    <button type="button" className="btn btn-reset" onClick={playTest}>▶️ Test Sound</button>
+                </div>
+
+                <div className="panel-header preferences-section">
+                    <h2>🌙 Quiet Hours</h2>
+                    {inQuietHours(form) && <span className="outcome-badge pending">Quiet now</span>}
+                </div>
+                <p className="history-hint">
+                    Only fire alerts make a sound during quiet hours - others still show, and notify silently.
+                </p>
+                <div className="settings-form">
+                    <label className="settings-field">
+                        <span className="status-label">Quiet hours</span>
+                        <div className="settings-input">
+                            <input
+                                type="checkbox"
+                                checked={quiet.enabled}
+                                onChange={(e) => setQuiet({ enabled: e.target.checked })}
+                            />
+                            <small>{quiet.enabled ? 'On' : 'Off'}</small>
+                        </div>
+                    </label>
+                    <label className="settings-field">
+                        <span className="status-label">From</span>
+                        <div className="settings-input">
+                            <input
+                                type="time"
+                                value={quiet.start}
+                                onChange={(e) => setQuiet({ start: e.target.value })}
+                                disabled={!quiet.enabled}
+                            />
+                        </div>
+                    </label>
+                    <label className="settings-field">
+                        <span className="status-label">Until</span>
+                        <div className="settings-input">
+                            <input
+                                type="time"
+                                value={quiet.end}
+                                onChange={(e) => setQuiet({ end: e.target.value })}
+                                disabled={!quiet.enabled}
+                            />
+                        </div>
+                    </label>
+                </div>
+
+                <div className="panel-header preferences-section">
+                    <h2>🔔 Notifications</h2>
+                </div>
+                <p className="history-hint">
+                    Alert types that notify in this dashboard and as background alerts. They are always listed in Recent Alerts.
+                </p>
+                <div className="weekday-picker notify-picker">
+                    {Object.entries(PREFERENCE_OPTIONS.notify).map(([type, label]) => (
+                        <label key={type} className={form.notify[type] ? 'active' : ''}>
+                            <input
+                                type="checkbox"
+                                checked={form.notify[type]}
+                                onChange={(e) => update({ notify: { ...form.notify, [type]: e.target.checked } })}
+                            />
+                            {label}
+                        </label>
+                    ))}
+                </div>
+
+                {error && <div className="login-error">{error}</div>}
+                {saved && !error && <div className="notice">Preferences saved</div>}
+                <div className="preferences-actions">
+                    <button type="button" className="btn btn-reset" onClick={handleReset} disabled={busy}>
+                        ↩️ Reset to Defaults
+                    </button>
+                    <button className="btn btn-unlock" type="submit" disabled={busy || !quiet.start || !quiet.end}>
+                        {busy ? '⏳ Saving...' : '💾 Save Preferences'}
+                    </button>
+                </div>
+            </form>
+        </main>
+    );
+}
+
+export default PreferencesPage;
@@ -0,0 +1,56 @@
+import { useState, useEffect } from 'react';
+import { pushSupported, pushConfig, currentSubscription, enablePush, disablePush } from '../push';
+
+// ==================== BACKGROUND ALERTS TOGGLE ====================
+// Header button that subscribes this browser to Web Push. Hidden when the
+// browser can't do push or the backend has no VAPID keys.
+
+function PushToggle() {
+    const [config, setConfig] = useState(null);
+    const [enabled, setEnabled] = useState(false);
+    const [busy, setBusy] = useState(false);
+    const [error, setError] = useState('');
+
+    useEffect(() => {
+        if (!pushSupported()) return;
+        pushConfig().then(setConfig).catch(() => { });
+        currentSubscription().then(sub => setEnabled(!!sub)).catch(() => { });
+    }, []);
+
+    if (!config?.enabled) return null;
+
+    const toggle = async () => {
+        setBusy(true);
+        setError('');
+        try {
+            if (enabled) {
+                await disablePush();
+                setEnabled(false);
+            } else {
+                await enablePush(config.public_key);
+                setEnabled(true);
+            }
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const title = error || (enabled
+        ? 'Background alerts on - this browser is notified even with RoomGuard closed'
+        : 'Get fire/burglar notifications even with RoomGuard closed');
+
+    return (
+        <button
+            className={`push-toggle ${enabled ? 'on' : ''} ${error ? 'error' : ''}`}
+            onClick={toggle}
+            disabled={busy}
+            title={title}
+        >
+            {enabled ? '📲 Alerts on' : '📵 Alerts off'}
+        </button>
+    );
+}
+
+export default PushToggle;
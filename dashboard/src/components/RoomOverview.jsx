@@ -0,0 +1,67 @@
+import { formatAge } from '../format';
+import { ARM_MODES } from '../arming';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== ROOM OVERVIEW ====================
+// Grid of every known room with its live mode, door, temperature and occupancy.
+// Clicking a card opens that room in the main dashboard.
+
+function RoomOverview({ roomIds, rooms, roomName, presenceOf, now, onSelect }) {
+    const { formatTemp } = usePreferences();
+    if (roomIds.length === 0) {
+        return (
+            <main className="overview-content">
+                <div className="panel no-alerts">
+                    <span>📭</span>
+                    <p>No rooms have reported yet</p>
+                </div>
+            </main>
+        );
+    }
+
+    return (
+        <main className="overview-content">
+            <div className="room-grid">
+                {roomIds.map(id => {
+                    const sensors = rooms[id]?.sensors;
+                    const status = rooms[id]?.status;
+                    const mode = status?.mode || 'normal';
+                    const occupants = status?.occupant_count ?? sensors?.occupant_count ?? 0;
+                    const presence = presenceOf(id);
+
+                    return (
+                        <button
+                            key={id}
+                            className={`panel room-card mode-card-${mode} ${presence.online ? '' : 'offline'}`}
+                            onClick={() => onSelect(id)}
+                        >
+                            <div className="room-card-header">
+                                <span className="room-card-name">{roomName(id)}</span>
+                                <span className={`status-value mode-${mode}`}>
+                                    {mode.toUpperCase()}
+                                </span>
+                            </div>
+                            <div className={`room-card-presence ${presence.online ? 'online' : 'offline'}`}>
+                                {presence.online ? '● Online' : '● Offline'} · seen {formatAge(presence.lastSeen, now)}
+                            </div>
+                            {status || sensors ? (
+                                <div className="room-card-stats">
+                                    <span>{status?.door === 'locked' ? '🔒' : '🔓'} {status?.door || '—'}</span>
+                                    <span>🌡️ {formatTemp(sensors?.temp)}</span>
+                                    <span>👥 {occupants}</span>
+                                    {ARM_MODES[status?.arm_mode] && (
+                                        <span>{ARM_MODES[status.arm_mode].icon} {ARM_MODES[status.arm_mode].label}</span>
+                                    )}
+                                </div>
+                            ) : (
+                                <div className="room-card-stats muted">Waiting for data...</div>
+                            )}
+                        </button>
+                    );
+                })}
+            </div>
+        </main>
+    );
+}
+
+export default RoomOverview;
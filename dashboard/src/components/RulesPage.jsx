@@ -0,0 +1,571 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { WEEKDAYS } from '../arming';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== RULES & AUTOMATION (ADMIN) ====================
+// User-defined rules evaluated by the backend over every sensor and status
+// message. When all conditions hold (long enough, inside the time window) the
+// rule fires once: it sends a command, raises an alert or notifies.
+
+const PAGE_SIZE = 25;
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const ACTION_TYPES = { command: 'Send command', alert: 'Raise alert', notify: 'Notify only' };
+const DRY_RUN_RANGES = [
+    { key: '24h', label: '24h', hours: 24 },
+    { key: '7d', label: '7d', hours: 24 * 7 },
+];
+
+const EMPTY_FORM = {
+    name: '',
+    device: '',
+    conditions: [{ field: 'humidity', op: '>', value: '80' }],
+    for_minutes: 0,
+    cooldown_minutes: 10,
+    windowOn: false,
+    window: { start: '22:00', end: '06:00', days: ALL_DAYS },
+    actions: [{ type: 'notify', severity: 'warning', message: '' }],
+};
+
+const conditionText = (c) => `${c.field} ${c.op} ${c.value}`;
+
+const actionText = (a) => (a.type === 'command'
+    ? a.action
+    : `${a.type} (${a.severity})${a.message ? `: ${a.message}` : ''}`);
+
+const windowText = (w) => {
+    const days = w.days.length === 7 ? '' : ` ${w.days.map(d => WEEKDAYS[d]).join(', ')}`;
+    return `${w.start}–${w.end}${days}`;
+};
+
+function toForm(rule) {
+    return {
+        name: rule.name,
+        device: rule.device || '',
+        conditions: rule.conditions.map(c => ({ ...c, value: String(c.value) })),
+        for_minutes: rule.for_seconds / 60,
+        cooldown_minutes: rule.cooldown_seconds / 60,
+        windowOn: Boolean(rule.window),
+        window: rule.window || EMPTY_FORM.window,
+        actions: rule.actions.map(a => ({ message: '', severity: 'warning', ...a })),
+    };
+}
+
+function toBody(form, fields) {
+    return {
+        name: form.name,
+        device: form.device || null,
+        conditions: form.conditions.map(c => ({
+            ...c,
+            value: fields[c.field] === 'number' ? Number(c.value) : c.value,
+        })),
+        for_seconds: Math.round(Number(form.for_minutes) * 60),
+        cooldown_seconds: Math.round(Number(form.cooldown_minutes) * 60),
+        window: form.windowOn ? form.window : null,
+        actions: form.actions.map(a => (a.type === 'command'
+            ? { type: 'command', action: a.action }
+            : { type: a.type, severity: a.severity, message: a.message })),
+    };
+}
+
+// ==================== DRY RUN ====================
+function DryRunResult({ result, roomName }) {
+    const { formatDateTime } = usePreferences();
+    if (!result) return null;
+    return (
+        <div className="dry-run">
+            <strong>
+                {result.total === 0
+                    ? `Would not have fired in ${roomName(result.device)}`
+                    : `Would have fired ${result.total} time${result.total === 1 ? '' : 's'} in ${roomName(result.device)}`}
+            </strong>
+            <small> ({result.messages} messages checked)</small>
+            {result.firings.length > 0 && (
+                <ul>
+                    {result.firings.map(f => (
+                        <li key={f.timestamp}>
+                            {formatDateTime(parseTimestamp(f.timestamp))} —{' '}
+                            {Object.entries(f.values).map(([field, value]) => `${field} ${value}`).join(', ')}
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+}
+
+// ==================== RULES PAGE ====================
+function RulesPage({ deviceId, roomIds, roomName }) {
+    const { formatDateTime } = usePreferences();
+    const [meta, setMeta] = useState({ rules: [], fields: {}, operators: [], commands: [], severities: [] });
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [editing, setEditing] = useState(null);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const [dryRange, setDryRange] = useState('24h');
+    const [dryRun, setDryRun] = useState(null);
+
+    const [ruleFilter, setRuleFilter] = useState('');
+    const [page, setPage] = useState(1);
+    const [log, setLog] = useState({ items: [], total: 0 });
+    const [logVersion, setLogVersion] = useState(0);
+
+    const fetchRules = useCallback(async () => {
+        try {
+            const res = await apiFetch('/rules');
+            if (res.ok) {
+                setMeta(await res.json());
+            } else {
+                setError(await errorMessage(res));
+            }
+        } catch {
+            setError('API not available');
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchRules();
+    }, [fetchRules]);
+
+    useEffect(() => {
+        const fetchLog = async () => {
+            const query = new URLSearchParams({ page, page_size: PAGE_SIZE });
+            if (ruleFilter) query.set('rule', ruleFilter);
+            try {
+                const res = await apiFetch(`/rules/firings?${query}`);
+                if (res.ok) setLog(await res.json());
+            } catch {
+                // Keep the last log shown
+            }
+        };
+        fetchLog();
+        const interval = setInterval(fetchLog, 15000);
+        return () => clearInterval(interval);
+    }, [ruleFilter, page, logVersion]);
+
+    // Run a rule change, then reload rules and log
+    const run = async (path, options) => {
+        setBusy(true);
+        setError('');
+        try {
+            const res = await apiFetch(path, options);
+            if (!res.ok) setError(await errorMessage(res));
+            await fetchRules();
+            setLogVersion(v => v + 1);
+            return res.ok;
+        } catch {
+            setError('API not available');
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const resetForm = () => {
+        setEditing(null);
+        setForm(EMPTY_FORM);
+        setDryRun(null);
+    };
+
+    const handleSave = async (e) => {
+        e.preventDefault();
+        const body = JSON.stringify(toBody(form, meta.fields));
+        const ok = editing
+            ? await run(`/rules/${editing}`, { method: 'PUT', body })
+            : await run('/rules', { method: 'POST', body });
+        if (ok) resetForm();
+    };
+
+    const handleEdit = (rule) => {
+        setEditing(rule.id);
+        setForm(toForm(rule));
+        setDryRun(null);
+    };
+
+    const handleDryRun = async () => {
+        setBusy(true);
+        setError('');
+        setDryRun(null);
+        const hours = DRY_RUN_RANGES.find(r => r.key === dryRange).hours;
+        const query = new URLSearchParams({ hours, device: form.device || deviceId || '' });
+        try {
+            const res = await apiFetch(`/rules/dry-run?${query}`, {
+                method: 'POST',
+                body: JSON.stringify(toBody(form, meta.fields)),
+            });
+            if (res.ok) {
+                setDryRun(await res.json());
+            } else {
+                setError(await errorMessage(res));
+            }
+        } catch {
+            setError('API not available');
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    // Edit one entry of the conditions or actions list
+    const setItem = (list, index, changes) => setForm(prev => ({
+        ...prev,
+        [list]: prev[list].map((item, i) => (i === index ? { ...item, ...changes } : item)),
+    }));
+    const addItem = (list, item) => setForm(prev => ({ ...prev, [list]: [...prev[list], item] }));
+    const removeItem = (list, index) => setForm(prev => ({
+        ...prev,
+        [list]: prev[list].filter((_, i) => i !== index),
+    }));
+
+    const setField = (index, field) => {
+        const choices = meta.fields[field];
+        setItem('conditions', index, choices === 'number'
+            ? { field, op: '>', value: '' }
+            : { field, op: '==', value: choices[0] });
+    };
+
+    const setActionType = (index, type) => setItem('actions', index, type === 'command'
+        ? { type, action: meta.commands[0] }
+        : { type, severity: 'warning', message: '' });
+
+    const toggleDay = (day) => setForm(prev => {
+        const days = prev.window.days.includes(day)
+            ? prev.window.days.filter(d => d !== day)
+            : [...prev.window.days, day].sort();
+        return { ...prev, window: { ...prev.window, days } };
+    });
+
+    const pages = Math.max(Math.ceil(log.total / PAGE_SIZE), 1);
+    const valid = form.name.trim() && form.conditions.length > 0 && form.actions.length > 0
+        && form.conditions.every(c => c.value !== '')
+        && (!form.windowOn || form.window.days.length > 0);
+
+    return (
+        <main className="page-content">
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🤖 Rules</h2>
+                    {meta.timezone && <span className="status-label">Times in {meta.timezone}</span>}
+                </div>
+                {error && <div className="login-error">{error}</div>}
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Name</th>
+                                <th>Room</th>
+                                <th>When</th>
+                                <th>Then</th>
+                                <th>Last fired</th>
+                                <th>Enabled</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {meta.rules.map(rule => (
+                                <tr key={rule.id} className={rule.enabled ? '' : 'muted'}>
+                                    <td>{rule.name}</td>
+                                    <td>{rule.device ? roomName(rule.device) : 'All rooms'}</td>
+                                    <td>
+                                        {rule.conditions.map(conditionText).join(' and ')}
+                                        {rule.for_seconds > 0 && ` for ${rule.for_seconds / 60} min`}
+                                        {rule.window && <div className="command-reason">{windowText(rule.window)}</div>}
+                                    </td>
+                                    <td>{rule.actions.map(actionText).join(', ')}</td>
+                                    <td>
+                                        {rule.last_fired ? formatDateTime(parseTimestamp(rule.last_fired)) : '—'}
+                                        {rule.fire_count > 0 && <div className="command-reason">{rule.fire_count}×</div>}
+                                    </td>
+                                    <td>
+                                        <input
+                                            type="checkbox"
+                                            checked={rule.enabled}
+                                            disabled={busy}
+                                            onChange={() => run(`/rules/${rule.id}`, {
+                                                method: 'PUT',
+                                                body: JSON.stringify({ enabled: !rule.enabled }),
+                                            })}
+                                        />
+                                    </td>
+                                    <td className="row-actions">
+                                        <button disabled={busy} onClick={() => handleEdit(rule)}>Edit</button>
+                                        <button
+                                            disabled={busy}
+                                            onClick={() => window.confirm(`Delete the rule "${rule.name}"?`)
+                                                && run(`/rules/${rule.id}`, { method: 'DELETE' })}
+                                        >
+                                            Delete
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                            {meta.rules.length === 0 && (
+                                <tr>
+                                    <td colSpan={7} className="no-alerts">No rules - only the device's own fire and burglar logic runs</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>{editing ? '✏️ Edit Rule' : '➕ Add Rule'}</h2>
+                </div>
+                <form className="rule-editor" onSubmit={handleSave}>
+                    <div className="inline-form">
+                        <input
+                            placeholder="Name, e.g. Lock empty rooms at night"
+                            value={form.name}
+                            onChange={(e) => setForm({ ...form, name: e.target.value })}
+                        />
+                        <select value={form.device} onChange={(e) => setForm({ ...form, device: e.target.value })}>
+                            <option value="">All rooms</option>
+                            {roomIds.map(id => <option key={id} value={id}>{roomName(id)}</option>)}
+                        </select>
+                    </div>
+
+                    <span className="status-label">When all of these hold</span>
+                    {form.conditions.map((c, i) => (
+                        <div key={i} className="inline-form rule-row">
+                            <select value={c.field} onChange={(e) => setField(i, e.target.value)}>
+                                {Object.keys(meta.fields).map(f => <option key={f} value={f}>{f}</option>)}
+                            </select>
+                            <select value={c.op} onChange={(e) => setItem('conditions', i, { op: e.target.value })}>
+                                {meta.operators
+                                    .filter(op => meta.fields[c.field] === 'number' || ['==', '!='].includes(op))
+                                    .map(op => <option key={op} value={op}>{op}</option>)}
+                            </select>
+                            {meta.fields[c.field] === 'number' ? (
+                                <input
+                                    type="number"
+                                    step="any"
+                                    value={c.value}
+                                    onChange={(e) => setItem('conditions', i, { value: e.target.value })}
+                                />
+                            ) : (
+                                <select value={c.value} onChange={(e) => setItem('conditions', i, { value: e.target.value })}>
+                                    {(meta.fields[c.field] || []).map(v => <option key={v} value={v}>{v}</option>)}
+                                </select>
+                            )}
+                            <div className="row-actions">
+                                <button type="button" disabled={form.conditions.length <= 1} onClick={() => removeItem('conditions', i)}>
+                                    ✕
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                    <div className="inline-form rule-row">
+                        <div className="row-actions">
+                            <button
+                                type="button"
+                                disabled={form.conditions.length >= 5}
+                                onClick={() => addItem('conditions', { field: 'occupant_count', op: '>', value: '' })}
+                            >
+                                ➕ Condition
+                            </button>
+                        </div>
+                        <label className="field-inline">
+                            for
+                            <input
+                                type="number"
+                                min={0}
+                                value={form.for_minutes}
+                                onChange={(e) => setForm({ ...form, for_minutes: e.target.value })}
+                            />
+                            min
+                        </label>
+                        <label className="field-inline">
+                            <input
+                                type="checkbox"
+                                checked={form.windowOn}
+                                onChange={(e) => setForm({ ...form, windowOn: e.target.checked })}
+                            />
+                            only between
+                        </label>
+                        {form.windowOn && (
+                            <>
+                                <input
+                                    type="time"
+                                    value={form.window.start}
+                                    onChange={(e) => setForm({ ...form, window: { ...form.window, start: e.target.value } })}
+                                />
+                                <input
+                                    type="time"
+                                    value={form.window.end}
+                                    onChange={(e) => setForm({ ...form, window: { ...form.window, end: e.target.value } })}
+                                />
+                                <div className="weekday-picker">
+                                    {WEEKDAYS.map((label, day) => (
+                                        <label key={label} className={form.window.days.includes(day) ? 'active' : ''}>
+                                            <input
+                                                type="checkbox"
+                                                checked={form.window.days.includes(day)}
+                                                onChange={() => toggleDay(day)}
+                                            />
+                                            {label}
+                                        </label>
+                                    ))}
+                                </div>
+                            </>
+                        )}
+                    </div>
+
+                    <span className="status-label">Then</span>
+                    {form.actions.map((a, i) => (
+                        <div key={i} className="inline-form rule-row">
+                            <select value={a.type} onChange={(e) => setActionType(i, e.target.value)}>
+                                {Object.entries(ACTION_TYPES).map(([value, label]) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                            {a.type === 'command' ? (
+                                <select value={a.action} onChange={(e) => setItem('actions', i, { action: e.target.value })}>
+                                    {meta.commands.map(cmd => <option key={cmd} value={cmd}>{cmd}</option>)}
+                                </select>
+                            ) : (
+                                <>
+                                    <select value={a.severity} onChange={(e) => setItem('actions', i, { severity: e.target.value })}>
+                                        {meta.severities.map(s => <option key={s} value={s}>{s}</option>)}
+                                    </select>
+                                    <input
+                                        placeholder="Message (default: the rule name)"
+                                        value={a.message}
+                                        onChange={(e) => setItem('actions', i, { message: e.target.value })}
+                                    />
+                                </>
+                            )}
+                            <div className="row-actions">
+                                <button type="button" disabled={form.actions.length <= 1} onClick={() => removeItem('actions', i)}>
+                                    ✕
+                                </button>
+                            </div>
+                        </div>
+                    ))}
+                    <div className="inline-form rule-row">
+                        <div className="row-actions">
+                            <button
+                                type="button"
+                                disabled={form.actions.length >= 3}
+                                onClick={() => addItem('actions', { type: 'alert', severity: 'warning', message: '' })}
+                            >
+                                ➕ Action
+                            </button>
+                        </div>
+                        <label className="field-inline">
+                            Fire again after
+                            <input
+                                type="number"
+                                min={0}
+                                value={form.cooldown_minutes}
+                                onChange={(e) => setForm({ ...form, cooldown_minutes: e.target.value })}
+                            />
+                            min
+                        </label>
+                    </div>
+
+                    <div className="inline-form rule-row">
+                        <button className="btn btn-unlock" type="submit" disabled={busy || !valid}>
+                            {editing ? 'Save' : 'Add'}
+                        </button>
+                        <div className="range-picker">
+                            {DRY_RUN_RANGES.map(r => (
+                                <button
+                                    key={r.key}
+                                    type="button"
+                                    className={dryRange === r.key ? 'active' : ''}
+                                    onClick={() => setDryRange(r.key)}
+                                >
+                                    {r.label}
+                                </button>
+                            ))}
+                        </div>
+                        <button
+                            className="btn btn-reset"
+                            type="button"
+                            disabled={busy || !valid || (!form.device && !deviceId)}
+                            title={form.device ? '' : `Rules for all rooms are tried on ${roomName(deviceId)}`}
+                            onClick={handleDryRun}
+                        >
+                            🧪 Dry run
+                        </button>
+                        {editing && (
+                            <button className="btn btn-reset" type="button" onClick={resetForm}>
+                                Cancel
+                            </button>
+                        )}
+                    </div>
+                    <DryRunResult result={dryRun} roomName={roomName} />
+                </form>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>📜 Firing Log</h2>
+                    <span className="alert-count">{log.total}</span>
+                </div>
+                <div className="inline-form audit-filters">
+                    <select
+                        value={ruleFilter}
+                        onChange={(e) => {
+                            setRuleFilter(e.target.value);
+                            setPage(1);
+                        }}
+                    >
+                        <option value="">All rules</option>
+                        {meta.rules.map(rule => <option key={rule.id} value={rule.id}>{rule.name}</option>)}
+                    </select>
+                </div>
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Time</th>
+                                <th>Rule</th>
+                                <th>Room</th>
+                                <th>Values</th>
+                                <th>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {log.items.map(entry => (
+                                <tr key={entry.id}>
+                                    <td>{formatDateTime(parseTimestamp(entry.timestamp))}</td>
+                                    <td>{entry.rule_name}</td>
+                                    <td>{roomName(entry.device)}</td>
+                                    <td>
+                                        {Object.entries(entry.values).map(([field, value]) => `${field} ${value}`).join(', ')}
+                                    </td>
+                                    <td>
+                                        {entry.actions.map((a, i) => (
+                                            <div key={i}>
+                                                <span className={`outcome-badge ${a.ok ? 'confirmed' : 'failed'}`}>
+                                                    {actionText(a)}
+                                                </span>
+                                                {!a.ok && <div className="command-reason">{a.detail}</div>}
+                                            </div>
+                                        ))}
+                                    </td>
+                                </tr>
+                            ))}
+                            {log.items.length === 0 && (
+                                <tr>
+                                    <td colSpan={5} className="no-alerts">No rule has fired in the last 7 days</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="pager">
+                    <button disabled={page <= 1} onClick={() => setPage(p => p - 1)}>‹ Prev</button>
+                    <span>Page {page} of {pages}</span>
+                    <button disabled={page >= pages} onClick={() => setPage(p => p + 1)}>Next ›</button>
+                </div>
+            </div>
+        </main>
+    );
+}
+
+export default RulesPage;
@@ -0,0 +1,87 @@
+import { parseTimestamp, useSensorFaults } from '../hooks/useHistory';
+import { formatAge, formatDuration } from '../format';
+import { usePreferences } from '../hooks/usePreferences';
+
+// ==================== SENSOR HEALTH PANEL ====================
+// Faults the backend detected on the selected room's sensors, and the
+// last week's fault episodes. Faulty readings are left out of stats.
+
+const SENSOR_ICONS = {
+    dht: '🌡️',
+    pir: '🏃',
+    ir: '📡',
+};
+
+const FAULT_LABELS = {
+    dht_error: 'Read error',
+    out_of_range: 'Impossible value',
+    jump: 'Implausible jump',
+    stuck: 'Stuck value',
+    pir_flapping: 'Flapping',
+    ir_blocked: 'Beam blocked',
+};
+
+function SensorHealthPanel({ device, health, faultyReadings, now }) {
+    const { formatDateTime } = usePreferences();
+    const episodes = useSensorFaults(device, health);
+
+    return (
+        <div className="panel sensor-health-panel">
+            <div className="panel-header">
+                <h2>🩺 Sensor Health</h2>
+                {health && (
+                    <span className={`outcome-badge ${health.ok ? 'confirmed' : 'open'}`}>
+                        {health.ok ? 'All OK' : 'Fault'}
+                    </span>
+                )}
+            </div>
+
+            {!health ? (
+                <p className="no-alerts">No health data yet</p>
+            ) : (
+                <ul className="sensor-health-list">
+                    {Object.entries(health.sensors).map(([sensor, state]) => (
+                        <li key={sensor} className={state.ok ? 'ok' : 'faulty'}>
+                            <span className="sensor-health-icon">{SENSOR_ICONS[sensor]}</span>
+                            <div className="sensor-health-info">
+                                <strong>{state.label}</strong>
+                                {state.ok ? <small>OK</small> : state.faults.map(f => (
+                                    <small key={f.fault}>
+                                        ⚠️ {FAULT_LABELS[f.fault] || f.fault}: {f.detail}
+                                        {f.since && ` · since ${formatAge(parseTimestamp(f.since).getTime(), now)}`}
+                                    </small>
+                                ))}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+
+            {faultyReadings > 0 && (
+                <small className="sensor-health-note">
+                    {faultyReadings} faulty reading{faultyReadings === 1 ? '' : 's'} left out of the 24h stats
+                </small>
+            )}
+
+            {episodes.length > 0 && (
+                <details className="sensor-health-history">
+                    <summary>Fault history (7 days)</summary>
+                    <ul>
+                        {episodes.map(e => (
+                            <li key={`${e.fault}-${e.started_at}`}>
+                                <span>{SENSOR_ICONS[e.sensor]} {FAULT_LABELS[e.fault] || e.fault}</span>
+                                <small>
+                                    {formatDateTime(parseTimestamp(e.started_at))} · {e.ended_at
+                                        ? formatDuration(e.duration_seconds)
+                                        : 'ongoing'}
+                                </small>
+                            </li>
+                        ))}
+                    </ul>
+                </details>
+            )}
+        </div>
+    );
+}
+
+export default SensorHealthPanel;
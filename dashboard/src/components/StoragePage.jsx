@@ -0,0 +1,280 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, apiDownload, errorMessage } from '../api';
+import { parseTimestamp } from '../hooks/useHistory';
+import { usePreferences } from '../hooks/usePreferences';
+import { formatBytes, formatDuration } from '../format';
+
+// ==================== STORAGE (ADMIN) ====================
+// Collection sizes and retention, reading rollups and the archives of
+// expired raw data (backend/retention.py).
+
+const PAGE_SIZE = 20;
+// Check again while a storage job runs
+const RUNNING_POLL_MS = 3000;
+
+function StoragePage() {
+    const { formatDateTime } = usePreferences();
+    const [storage, setStorage] = useState(null);
+    const [retention, setRetention] = useState({});
+    const [archives, setArchives] = useState({ items: [], total: 0 });
+    const [page, setPage] = useState(1);
+    const [error, setError] = useState('');
+    const [saved, setSaved] = useState(false);
+    const [busy, setBusy] = useState(false);
+
+    const loadStorage = useCallback(async () => {
+        try {
+            const res = await apiFetch('/storage');
+            if (res.ok) {
+                const data = await res.json();
+                setStorage(data);
+                // Keep unsaved edits when refreshing during a run
+                setRetention(prev => Object.keys(prev).length ? prev : data.retention);
+                setError('');
+            } else {
+                setError(await errorMessage(res));
+            }
+        } catch {
+            setError('API not available');
+        }
+    }, []);
+
+    useEffect(() => { loadStorage(); }, [loadStorage]);
+
+    useEffect(() => {
+        if (!storage?.running) return;
+        const timer = setTimeout(loadStorage, RUNNING_POLL_MS);
+        return () => clearTimeout(timer);
+    }, [storage, loadStorage]);
+
+    // Reload the archive list when a run finishes, it may have added files
+    const running = storage?.running;
+    useEffect(() => {
+        if (running) return;
+        const query = new URLSearchParams({ page, page_size: PAGE_SIZE });
+        apiFetch(`/storage/archives?${query}`)
+            .then(res => res.ok && res.json())
+            .then(data => data && setArchives(data))
+            .catch(() => { });
+    }, [page, running]);
+
+    const setCollection = (name, changes) => {
+        setRetention(prev => ({ ...prev, [name]: { ...prev[name], ...changes } }));
+        setSaved(false);
+    };
+
+    const handleSave = async () => {
+        setBusy(true);
+        setError('');
+        try {
+            const res = await apiFetch('/storage/retention', { method: 'PUT', body: JSON.stringify(retention) });
+            if (!res.ok) throw new Error(await errorMessage(res, 'Could not save retention'));
+            setRetention(await res.json());
+            setSaved(true);
+            loadStorage();
+        } catch (err) {
+            setError(err.message === 'Failed to fetch' ? 'Server unreachable' : err.message);
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleRun = async () => {
+        setError('');
+        try {
+            const res = await apiFetch('/storage/run', { method: 'POST' });
+            if (!res.ok) setError(await errorMessage(res, 'Could not start the storage job'));
+        } catch {
+            setError('Server unreachable');
+        }
+        loadStorage();
+    };
+
+    const handleDownload = async (file) => {
+        try {
+            await apiDownload(`/storage/archives/${file.collection}/${file.name}`, file.name);
+        } catch (err) {
+            setError(err.message);
+        }
+    };
+
+    if (!storage) {
+        return (
+            <main className="page-content">
+                <div className="panel">
+                    {error ? <div className="login-error">{error}</div> : <div className="no-alerts">Loading storage...</div>}
+                </div>
+            </main>
+        );
+    }
+
+    const at = (value) => value ? formatDateTime(parseTimestamp(value)) : '—';
+    const totalSize = storage.collections.reduce((sum, c) => sum + c.storage_size + c.index_size, 0);
+    const lastRun = storage.last_run;
+    const removed = Object.entries(lastRun?.removed || {}).filter(([, count]) => count);
+    const pages = Math.max(Math.ceil(archives.total / PAGE_SIZE), 1);
+
+    return (
+        <main className="page-content">
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🗄️ Storage</h2>
+                    <span className="alert-count">{formatBytes(totalSize)}</span>
+                </div>
+                <p className="history-hint">
+                    Retention in days, 0 keeps everything. Raw readings are rolled up hourly and daily before they are
+                    deleted, and the rollups must be kept at least as long as what they summarize.
+                </p>
+                {error && <div className="login-error">{error}</div>}
+                {saved && !error && <div className="notice">Retention saved - it applies from the next run</div>}
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Collection</th>
+                                <th>Documents</th>
+                                <th>Data</th>
+                                <th>On disk</th>
+                                <th>Indexes</th>
+                                <th>Oldest</th>
+                                <th>Retention</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {storage.collections.map(c => (
+                                <tr key={c.name}>
+                                    <td><code>{c.name}</code></td>
+                                    <td>{c.count.toLocaleString()}</td>
+                                    <td>{formatBytes(c.size)}</td>
+                                    <td>{formatBytes(c.storage_size)}</td>
+                                    <td>{formatBytes(c.index_size)}</td>
+                                    <td>{at(c.oldest)}</td>
+                                    <td>
+                                        {retention[c.name] ? (
+                                            <div className="retention-edit">
+                                                <input
+                                                    type="number"
+                                                    min={0}
+                                                    value={retention[c.name].days}
+                                                    onChange={(e) => setCollection(c.name, { days: Number(e.target.value) })}
+                                                />
+                                                <span>days</span>
+                                                <label>
+                                                    <input
+                                                        type="checkbox"
+                                                        checked={retention[c.name].archive}
+                                                        onChange={(e) => setCollection(c.name, { archive: e.target.checked })}
+                                                    />
+                                                    archive
+                                                </label>
+                                            </div>
+                                        ) : c.ttl_days != null ? (
+                                            `Expires after ${c.ttl_days} days`
+                                        ) : (
+                                            '—'
+                                        )}
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="storage-actions">
+                    <button className="btn btn-unlock" onClick={handleSave} disabled={busy}>
+                        {busy ? '⏳ Saving...' : '💾 Save Retention'}
+                    </button>
+                </div>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>🔄 Rollups & Cleanup</h2>
+                    {storage.running && <span className="outcome-badge pending">Running</span>}
+                </div>
+                <p className="history-hint">
+                    Runs every {formatDuration(storage.interval_seconds)}. Charts with hour-sized buckets or older
+                    ranges and stats over more than 24 h read the rollups.
+                </p>
+                <div className="storage-summary">
+                    <div>
+                        <span className="status-label">Hourly rollups up to</span>
+                        <span>{at(storage.rollups.hourly_until)}</span>
+                    </div>
+                    <div>
+                        <span className="status-label">Daily rollups up to</span>
+                        <span>{at(storage.rollups.daily_until)}</span>
+                    </div>
+                    <div>
+                        <span className="status-label">Last run</span>
+                        <span>{lastRun ? at(lastRun.finished_at) : 'Not yet'}</span>
+                    </div>
+                    <div>
+                        <span className="status-label">Last run removed</span>
+                        <span>
+                            {removed.length
+                                ? removed.map(([name, count]) => `${count.toLocaleString()} ${name}`).join(', ')
+                                : 'Nothing'}
+                        </span>
+                    </div>
+                </div>
+                {lastRun?.error && <div className="login-error">Last run failed: {lastRun.error}</div>}
+                <div className="storage-actions">
+                    <button className="btn btn-reset" onClick={handleRun} disabled={storage.running}>
+                        {storage.running ? '⏳ Running...' : '▶️ Run now'}
+                    </button>
+                </div>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>📦 Archives</h2>
+                    <span className="alert-count">{formatBytes(storage.archive.size)}</span>
+                </div>
+                <p className="history-hint">
+                    Expired raw data as gzipped NDJSON, one file per collection and day, in <code>{storage.archive.dir}</code>.
+                    The lines are the same as an NDJSON export.
+                </p>
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>File</th>
+                                <th>Collection</th>
+                                <th>Size</th>
+                                <th>Updated</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {archives.items.map(file => (
+                                <tr key={`${file.collection}/${file.name}`}>
+                                    <td><code>{file.name}</code></td>
+                                    <td>{file.collection}</td>
+                                    <td>{formatBytes(file.size)}</td>
+                                    <td>{at(file.modified)}</td>
+                                    <td>
+                                        <div className="row-actions">
+                                            <button onClick={() => handleDownload(file)}>⬇️ Download</button>
+                                        </div>
+                                    </td>
+                                </tr>
+                            ))}
+                            {archives.items.length === 0 && (
+                                <tr>
+                                    <td colSpan={5} className="no-alerts">Nothing archived yet</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+                <div className="pager">
+                    <button disabled={page <= 1} onClick={() => setPage(p => p - 1)}>‹ Prev</button>
+                    <span>Page {page} of {pages}</span>
+                    <button disabled={page >= pages} onClick={() => setPage(p => p + 1)}>Next ›</button>
+                </div>
+            </div>
+        </main>
+    );
+}
+
+export default StoragePage;
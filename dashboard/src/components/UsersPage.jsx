@@ -0,0 +1,158 @@
+import { useState, useEffect, useCallback } from 'react';
+import { apiFetch, errorMessage } from '../api';
+
+// ==================== USER MANAGEMENT (ADMIN) ====================
+const EMPTY_FORM = { username: '', name: '', role: 'viewer', password: '' };
+// Same as MIN_PASSWORD_LENGTH in backend/auth.py
+const MIN_PASSWORD_LENGTH = 8;
+
+function UsersPage({ currentUser }) {
+    const [users, setUsers] = useState([]);
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [error, setError] = useState('');
+    const [busy, setBusy] = useState(false);
+
+    const fetchUsers = useCallback(async () => {
+        const res = await apiFetch('/users');
+        if (res.ok) setUsers(await res.json());
+        else setError(await errorMessage(res));
+    }, []);
+
+    useEffect(() => {
+        fetchUsers().catch(() => setError('API not available'));
+    }, [fetchUsers]);
+
+    // Run a mutation, surface its error and refresh the list
+    const mutate = async (path, options) => {
+        setBusy(true);
+        setError('');
+        try {
+            const res = await apiFetch(path, options);
+            if (!res.ok) {
+                setError(await errorMessage(res));
+                return false;
+            }
+            await fetchUsers();
+            return true;
+        } catch {
+            setError('API not available');
+            return false;
+        } finally {
+            setBusy(false);
+        }
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const ok = await mutate('/users', { method: 'POST', body: JSON.stringify(form) });
+        if (ok) setForm(EMPTY_FORM);
+    };
+
+    const updateUser = (username, changes) =>
+        mutate(`/users/${encodeURIComponent(username)}`, { method: 'PUT', body: JSON.stringify(changes) });
+
+    const resetPassword = (username) => {
+        const password = window.prompt(`New PIN / password for ${username}:`);
+        if (password) updateUser(username, { password });
+    };
+
+    const deleteUser = (username) => {
+        if (window.confirm(`Delete user ${username}?`)) {
+            mutate(`/users/${encodeURIComponent(username)}`, { method: 'DELETE' });
+        }
+    };
+
+    return (
+        <main className="page-content">
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>👤 Users</h2>
+                </div>
+                {error && <div className="login-error">{error}</div>}
+                <div className="history-table">
+                    <table>
+                        <thead>
+                            <tr>
+                                <th>Username</th>
+                                <th>Name</th>
+                                <th>Role</th>
+                                <th>Status</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {users.map(u => {
+                                const isSelf = u.username === currentUser.username;
+                                return (
+                                    <tr key={u.username}>
+                                        <td>{u.username}</td>
+                                        <td>{u.name}</td>
+                                        <td>
+                                            <select
+                                                className="room-select"
+                                                value={u.role}
+                                                disabled={busy || isSelf}
+                                                onChange={(e) => updateUser(u.username, { role: e.target.value })}
+                                            >
+                                                <option value="admin">Admin</option>
+                                                <option value="viewer">Viewer</option>
+                                            </select>
+                                        </td>
+                                        <td>{u.disabled ? '⛔ Disabled' : '✅ Active'}</td>
+                                        <td className="row-actions">
+                                            <button disabled={busy} onClick={() => resetPassword(u.username)}>
+                                                🔑 Reset
+                                            </button>
+                                            <button
+                                                disabled={busy || isSelf}
+                                                onClick={() => updateUser(u.username, { disabled: !u.disabled })}
+                                            >
+                                                {u.disabled ? 'Enable' : 'Disable'}
+                                            </button>
+                                            <button disabled={busy || isSelf} onClick={() => deleteUser(u.username)}>
+                                                🗑️
+                                            </button>
+                                        </td>
+                                    </tr>
+                                );
+                            })}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            <div className="panel">
+                <div className="panel-header">
+                    <h2>➕ Add User</h2>
+                </div>
+                <form className="inline-form" onSubmit={handleCreate}>
+                    <input
+                        placeholder="Username"
+                        value={form.username}
+                        onChange={(e) => setForm({ ...form, username: e.target.value })}
+                    />
+                    <input
+                        placeholder="Display name"
+                        value={form.name}
+                        onChange={(e) => setForm({ ...form, name: e.target.value })}
+                    />
+                    <select value={form.role} onChange={(e) => setForm({ ...form, role: e.target.value })}>
+                        <option value="viewer">Viewer</option>
+                        <option value="admin">Admin</option>
+                    </select>
+                    <input
+                        type="password"
+                        placeholder={`PIN / Password (${MIN_PASSWORD_LENGTH}+)`}
+                        value={form.password}
+                        onChange={(e) => setForm({ ...form, password: e.target.value })}
+                    />
+                    <button className="btn btn-unlock" type="submit" disabled={busy || !form.username || form.password.length < MIN_PASSWORD_LENGTH}>
+                        Create
+                    </button>
+                </form>
+            </div>
+        </main>
+    );
+}
+
+export default UsersPage;
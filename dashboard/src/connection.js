@@ -0,0 +1,192 @@
+import mqtt from 'mqtt';
+
+// ==================== CONNECTION PROFILES ====================
+// Where the dashboard finds the backend API and the MQTT broker. Profiles
+// come from, in order:
+//   1. /config.json next to index.html - edit it on the server, no rebuild
+//   2. otherwise the build: VITE_API_URL / VITE_MQTT_URL (default: this
+//      host on ports 5000 and 9001)
+//   3. profiles added in the browser under 🔌 Connection (localStorage)
+// Switching profile reloads the page; each profile keeps its own login.
+
+const CONFIG_CACHE_KEY = 'roomguard_config';
+const PROFILES_KEY = 'roomguard_profiles';
+const ACTIVE_KEY = 'roomguard_profile';
+
+const TEST_TIMEOUT_MS = 6000;
+
+function buildProfile() {
+    const { protocol, hostname } = window.location;
+    return {
+        id: 'default',
+        name: 'Default',
+        apiUrl: import.meta.env.VITE_API_URL || `${protocol}//${hostname}:5000/api`,
+        mqttUrl: import.meta.env.VITE_MQTT_URL || `${protocol === 'https:' ? 'wss' : 'ws'}://${hostname}:9001/mqtt`,
+        builtIn: true,
+    };
+}
+
+let builtIn = [buildProfile()];
+let defaultId = 'default';
+
+function readJson(key, fallback) {
+    try {
+        return JSON.parse(localStorage.getItem(key)) ?? fallback;
+    } catch {
+        return fallback;
+    }
+}
+
+function applyConfig(config) {
+    const profiles = (config?.profiles || []).filter(p => p?.id && p.apiUrl && p.mqttUrl);
+    if (profiles.length === 0) return;
+    builtIn = profiles.map(p => ({ ...p, name: p.name || p.id, builtIn: true }));
+    defaultId = profiles.some(p => p.id === config.default) ? config.default : profiles[0].id;
+}
+
+/**
+ * Fetch /config.json before the app renders. Offline, the last copy is used.
+ */
+export async function loadConnectionConfig() {
+    try {
+        const res = await fetch('/config.json', { cache: 'no-store' });
+        // The dev server answers unknown paths with index.html
+        if (!res.ok || !res.headers.get('content-type')?.includes('json')) {
+            localStorage.removeItem(CONFIG_CACHE_KEY);
+            return;
+        }
+        const config = await res.json();
+        localStorage.setItem(CONFIG_CACHE_KEY, JSON.stringify(config));
+        applyConfig(config);
+    } catch {
+        applyConfig(readJson(CONFIG_CACHE_KEY, null));
+    }
+}
+
+export function listProfiles() {
+    return [...builtIn, ...readJson(PROFILES_KEY, [])];
+}
+
+export function activeProfile() {
+    const profiles = listProfiles();
+    const id = localStorage.getItem(ACTIVE_KEY);
+    return profiles.find(p => p.id === id) || profiles.find(p => p.id === defaultId) || profiles[0];
+}
+
+export const apiBase = () => activeProfile().apiUrl.replace(/\/+$/, '');
+
+/**
+ * Make a profile active. The caller reloads so every connection picks it up.
+ */
+export function selectProfile(id) {
+    localStorage.setItem(ACTIVE_KEY, id);
+}
+
+/**
+ * Problem with a profile's fields, or null. Browsers block plain http/ws
+ * from an https page, so that is caught here rather than failing silently.
+ */
+export function validateProfile(profile) {
+    if (!profile.name?.trim()) return 'Name is required';
+    let api, broker;
+    try {
+        api = new URL(profile.apiUrl);
+        broker = new URL(profile.mqttUrl);
+    } catch {
+        return 'Enter full URLs, e.g. https://host/api and wss://host:9001/mqtt';
+    }
+    if (!['http:', 'https:'].includes(api.protocol)) return 'API URL must start with http:// or https://';
+    if (!['ws:', 'wss:'].includes(broker.protocol)) return 'Broker URL must start with ws:// or wss://';
+    if (window.location.protocol === 'https:' && (api.protocol === 'http:' || broker.protocol === 'ws:')) {
+        return 'This page is served over https, so the browser only allows https:// and wss:// endpoints';
+    }
+    return null;
+}
+
+export function saveProfile(profile) {
+    const custom = readJson(PROFILES_KEY, []);
+    const saved = {
+        id: profile.id || `custom-${Date.now().toString(36)}`,
+        name: profile.name.trim(),
+        apiUrl: profile.apiUrl.trim(),
+        mqttUrl: profile.mqttUrl.trim(),
+        selfSigned: Boolean(profile.selfSigned),
+    };
+    localStorage.setItem(PROFILES_KEY, JSON.stringify([...custom.filter(p => p.id !== saved.id), saved]));
+    return saved;
+}
+
+export function deleteProfile(id) {
+    localStorage.setItem(PROFILES_KEY, JSON.stringify(readJson(PROFILES_KEY, []).filter(p => p.id !== id)));
+    if (localStorage.getItem(ACTIVE_KEY) === id) localStorage.removeItem(ACTIVE_KEY);
+}
+
+/**
+ * https:// address to open once so the browser can be told to trust a
+ * self-signed certificate. Browsers don't let pages supply their own CA or
+ * skip verification, so this is the only way for wss:// and https://.
+ */
+export function certificateUrl(url) {
+    const parsed = new URL(url);
+    if (!['wss:', 'https:'].includes(parsed.protocol)) return null;
+    return `https://${parsed.host}/`;
+}
+
+// ==================== CONNECTION TEST ====================
+async function testApi(apiUrl) {
+    const started = Date.now();
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), TEST_TIMEOUT_MS);
+    try {
+        const res = await fetch(`${apiUrl.replace(/\/+$/, '')}/health`, { signal: controller.signal });
+        if (!res.ok) return { ok: false, message: `HTTP ${res.status}` };
+        const body = await res.json();
+        return { ok: body.status === 'ok', message: `Backend ${body.status} (${Date.now() - started} ms)` };
+    } catch (err) {
+        return {
+            ok: false,
+            message: err.name === 'AbortError'
+                ? 'No answer (timeout)'
+                : 'Unreachable - wrong address, CORS, or an untrusted certificate',
+        };
+    } finally {
+        clearTimeout(timer);
+    }
+}
+
+function testBroker(mqttUrl, auth) {
+    const started = Date.now();
+    return new Promise(resolve => {
+        const client = mqtt.connect(mqttUrl, {
+            clientId: 'dashboard_test_' + Math.random().toString(16).slice(2, 10),
+            username: auth?.username,
+            password: auth?.password,
+            connectTimeout: TEST_TIMEOUT_MS,
+            reconnectPeriod: 0,
+        });
+        let done = false;
+        const finish = (result) => {
+            if (done) return;
+            done = true;
+            client.end(true);
+            resolve(result);
+        };
+        client.on('connect', () => finish({ ok: true, message: `Connected (${Date.now() - started} ms)` }));
+        // A refused login still proves the broker is there
+        client.on('error', (err) => finish(err.code === 4 || err.code === 5
+            ? { ok: true, message: 'Reachable - credentials come from the backend at login' }
+            : { ok: false, message: err.message }));
+        client.on('close', () => finish({
+            ok: false,
+            message: 'Unreachable - wrong address/path, websockets off, or an untrusted certificate',
+        }));
+    });
+}
+
+/**
+ * Check that both endpoints of a profile answer: { api, broker } with { ok, message }
+ */
+export async function testProfile(profile, mqttAuth) {
+    const [api, broker] = await Promise.all([testApi(profile.apiUrl), testBroker(profile.mqttUrl, mqttAuth)]);
+    return { api, broker };
+}
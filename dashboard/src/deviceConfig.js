@@ -0,0 +1,20 @@
+// ==================== DEVICE CONFIG ====================
+// Safety thresholds and timings shared with the firmware and backend.
+// Defaults match room_safety.ino; a device's retained roomguard/<id>/config
+// echo overrides them.
+export const CONFIG_FIELDS = [
+    { key: 'fire_temp_threshold', label: 'Fire threshold', unit: '°C', min: 30, max: 90, step: 0.5, default: 50 },
+    { key: 'fire_hysteresis', label: 'Fire hysteresis', unit: '°C', min: 1, max: 20, step: 0.5, default: 5 },
+    { key: 'pir_confirm_reads', label: 'PIR confirmation reads', unit: '', min: 1, max: 10, step: 1, default: 2 },
+    { key: 'sensor_interval_ms', label: 'Sensor read interval', unit: 'ms', min: 500, max: 60000, step: 100, default: 2000 },
+    { key: 'mqtt_interval_ms', label: 'Publish interval', unit: 'ms', min: 1000, max: 300000, step: 500, default: 5000 },
+    { key: 'exit_delay_s', label: 'Exit delay (arming)', unit: 's', min: 0, max: 300, step: 1, default: 30 },
+    { key: 'entry_delay_s', label: 'Entry delay', unit: 's', min: 0, max: 300, step: 1, default: 20 },
+];
+
+export const DEFAULT_CONFIG = Object.fromEntries(CONFIG_FIELDS.map(f => [f.key, f.default]));
+
+/**
+ * Config in effect for a room: reported values over defaults
+ */
+export const effectiveConfig = (reported) => ({ ...DEFAULT_CONFIG, ...reported });
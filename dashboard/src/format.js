@@ -0,0 +1,125 @@
+// ==================== DISPLAY FORMATTING ====================
+
+/**
+ * Human-readable age of a timestamp (ms), e.g. "just now", "42s ago", "3h ago"
+ */
+export function formatAge(timestamp, now = Date.now()) {
+    if (!timestamp) return 'never';
+    const seconds = Math.max(Math.round((now - timestamp) / 1000), 0);
+    if (seconds < 5) return 'just now';
+    if (seconds < 60) return `${seconds}s ago`;
+    if (seconds < 3600) return `${Math.floor(seconds / 60)}m ago`;
+    if (seconds < 86400) return `${Math.floor(seconds / 3600)}h ago`;
+    return `${Math.floor(seconds / 86400)}d ago`;
+}
+
+/**
+ * Value for a datetime-local input: "YYYY-MM-DDTHH:mm" in local time
+ */
+export function toLocalInput(date) {
+    const offset = date.getTimezoneOffset() * 60000;
+    return new Date(date.getTime() - offset).toISOString().slice(0, 16);
+}
+
+/**
+ * Compact duration from seconds, e.g. "45s", "12m", "3h 20m", "2d 4h"
+ */
+export function formatDuration(seconds) {
+    if (seconds == null) return '—';
+    const s = Math.round(seconds);
+    if (s < 60) return `${s}s`;
+    if (s < 3600) return `${Math.floor(s / 60)}m`;
+    if (s < 86400) return `${Math.floor(s / 3600)}h ${Math.floor((s % 3600) / 60)}m`;
+    return `${Math.floor(s / 86400)}d ${Math.floor((s % 86400) / 3600)}h`;
+}
+
+/**
+ * Compact size from bytes, e.g. "512 B", "3.4 MB", "1.2 GB"
+ */
+export function formatBytes(bytes) {
+    if (bytes == null) return '—';
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1024 && unit < units.length - 1) {
+        value /= 1024;
+        unit++;
+    }
+    return unit ? `${value.toFixed(1)} ${units[unit]}` : `${value} ${units[0]}`;
+}
+
+// ==================== UNITS & TIME (USER PREFERENCES) ====================
+// Readings are stored in °C with UTC timestamps; these show them the way the
+// user chose in Preferences. Components get them bound to the current
+// preferences from usePreferences().
+
+const TEMP_UNITS = { C: '°C', F: '°F' };
+
+export const tempUnit = (prefs) => TEMP_UNITS[prefs.temp_unit] || TEMP_UNITS.C;
+
+/**
+ * °C reading in the user's unit
+ */
+export const toDisplayTemp = (celsius, prefs) =>
+    (celsius == null || prefs.temp_unit !== 'F' ? celsius : celsius * 1.8 + 32);
+
+/**
+ * °C difference or rate (°C/min) in the user's unit
+ */
+export const toDisplayDelta = (celsius, prefs) =>
+    (celsius == null || prefs.temp_unit !== 'F' ? celsius : celsius * 1.8);
+
+/**
+ * Temperature for display, e.g. "21.5°C" or "70.7°F"; "—" when missing
+ */
+export function formatTemp(celsius, prefs, { digits = 1, unit = true } = {}) {
+    if (celsius == null) return '—';
+    const value = toDisplayTemp(celsius, prefs).toFixed(digits);
+    return unit ? `${value}${tempUnit(prefs)}` : value;
+}
+
+const TIME_PARTS = { hour: 'numeric', minute: '2-digit' };
+const DATE_PARTS = { year: 'numeric', month: 'numeric', day: 'numeric' };
+
+const formatters = new Map();
+
+function dateFormatter(prefs, parts) {
+    const key = `${prefs.time_format}|${prefs.timezone}|${JSON.stringify(parts)}`;
+    if (!formatters.has(key)) {
+        const options = { ...parts };
+        if (parts.hour) options.hourCycle = prefs.time_format === '12h' ? 'h12' : 'h23';
+        let formatter;
+        try {
+            formatter = new Intl.DateTimeFormat(undefined, { ...options, timeZone: prefs.timezone || undefined });
+        } catch {
+            // A timezone this browser doesn't know: its own
+            formatter = new Intl.DateTimeFormat(undefined, options);
+        }
+        formatters.set(key, formatter);
+    }
+    return formatters.get(key);
+}
+
+/**
+ * Time of day (Date or ms), e.g. "18:30:05" or "6:30:05 PM"
+ */
+export function formatTime(date, prefs, { seconds = true } = {}) {
+    if (date == null) return '—';
+    return dateFormatter(prefs, seconds ? { ...TIME_PARTS, second: '2-digit' } : TIME_PARTS).format(date);
+}
+
+/**
+ * Date and time (Date or ms), in place of toLocaleString()
+ */
+export function formatDateTime(date, prefs, { seconds = true } = {}) {
+    if (date == null) return '—';
+    const parts = { ...DATE_PARTS, ...TIME_PARTS, ...(seconds && { second: '2-digit' }) };
+    return dateFormatter(prefs, parts).format(date);
+}
+
+/**
+ * Short day, e.g. "Mar 4" - for chart axes over several days
+ */
+export function formatDay(date, prefs) {
+    return dateFormatter(prefs, { month: 'short', day: 'numeric' }).format(date);
+}
@@ -0,0 +1,55 @@
+import { apiBase } from './connection';
+import { errorMessage } from './api';
+
+// ==================== GUEST ACCESS ====================
+// Guests unlock a door with a code from an admin on the guest page,
+// #/guest (optionally #/guest?code=XXXX-XXXX). It needs no login, so these
+// calls go around apiFetch and carry no session token.
+
+const GUEST_HASH = /^#\/guest(?:\?code=([A-Za-z0-9-]+))?$/;
+
+/**
+ * { code } if the location hash is the guest page, otherwise null
+ */
+export function parseGuestHash(hash) {
+    const match = GUEST_HASH.exec(hash || '');
+    return match ? { code: match[1] || '' } : null;
+}
+
+/**
+ * Guest page address, with the code filled in if given
+ */
+export function guestUrl(code = '') {
+    const { origin, pathname } = window.location;
+    return `${origin}${pathname}#/guest${code ? `?code=${code}` : ''}`;
+}
+
+async function post(path, body) {
+    let response;
+    try {
+        response = await fetch(`${apiBase()}${path}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body),
+        });
+    } catch {
+        throw new Error('Server unreachable');
+    }
+    if (!response.ok) throw new Error(await errorMessage(response));
+    return response.json();
+}
+
+/**
+ * Room, validity and uses left for a code
+ */
+export const checkCode = (code) => post('/guest/check', { code });
+
+/**
+ * Send the unlock; resolves to { id, room, uses_left, ... }
+ */
+export const unlockWithCode = (code) => post('/guest/unlock', { code });
+
+/**
+ * The door's answer to an unlock: { outcome: pending|confirmed|rejected|timeout|failed, reason }
+ */
+export const unlockResult = (code, id) => post(`/guest/unlock/${id}`, { code });
@@ -0,0 +1,139 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { apiFetch, errorMessage } from '../api';
+import { parseTimestamp } from './useHistory';
+
+const MAX_ALERTS = 50;
+
+// The device's uptime stamp identifies one alert until the backend assigns an id
+const sameDeviceAlert = (a, device, millis) =>
+    a.device === device && millis != null && a.device_millis === millis;
+
+const byNewest = (a, b) => parseTimestamp(b.timestamp) - parseTimestamp(a.timestamp);
+
+// Backend early warnings (fire_analytics.py) - shown and tracked, but never ring the siren
+export const isPreAlert = (alert) => alert.type === 'fire_warning';
+
+// Raised by admin-defined rules (rules.py) - tracked like any alert, but quiet too
+export const isRuleAlert = (alert) => alert.type === 'rule';
+
+/**
+ * Hook to load alerts from the backend and track their lifecycle.
+ *
+ * Alerts start `open`, are `acknowledged` by a user and finally `resolved`,
+ * collecting notes on the way. The backend re-publishes every change on
+ * roomguard/<deviceId>/alert/update, so all dashboards stay in sync. A raw
+ * device alert is shown immediately as provisional (no id yet) and replaced
+ * once its stored copy arrives. Alerts received live while this dashboard is
+ * open are flagged `live` - those are the ones that keep the siren going.
+ * Alerts restored from the offline snapshot are replaced once the backend answers.
+ */
+export function useAlerts() {
+    const [alerts, setAlerts] = useState([]);
+    const [counts, setCounts] = useState({ open: 0, acknowledged: 0, resolved: 0 });
+    const loaded = useRef(false);
+
+    const refreshCounts = useCallback(async () => {
+        try {
+            const res = await apiFetch('/alerts/counts');
+            if (res.ok) setCounts(await res.json());
+        } catch {
+            // Keep the last known counts
+        }
+    }, []);
+
+    // live: whether an alert first seen through this call should ring
+    const upsert = useCallback((alert, live = false) => {
+        setAlerts(prev => {
+            const previous = prev.find(a =>
+                a.id === alert.id || sameDeviceAlert(a, alert.device, alert.device_millis));
+            const rest = prev.filter(a => a !== previous);
+            return [{ ...alert, live: previous ? previous.live : live }, ...rest]
+                .sort(byNewest)
+                .slice(0, MAX_ALERTS);
+        });
+    }, []);
+
+    // Hydrate from the backend on startup
+    useEffect(() => {
+        const fetchAlerts = async () => {
+            try {
+                const res = await apiFetch(`/alerts?hours=168&limit=${MAX_ALERTS}`);
+                if (res.ok) {
+                    const list = await res.json();
+                    loaded.current = true;
+                    // Anything that arrived live while loading wins
+                    setAlerts(prev => {
+                        const kept = prev.filter(p => !p.restored);
+                        return [
+                            ...kept,
+                            ...list.filter(a => !kept.some(p =>
+                                p.id === a.id || sameDeviceAlert(p, a.device, a.device_millis))),
+                        ].sort(byNewest).slice(0, MAX_ALERTS);
+                    });
+                }
+            } catch (e) {
+                console.log('API not available');
+            }
+        };
+        fetchAlerts();
+        refreshCounts();
+    }, [refreshCounts]);
+
+    // Feed raw roomguard/<id>/alert messages from the MQTT handler in here
+    const handleAlert = useCallback((deviceId, data) => {
+        setAlerts(prev => {
+            if (prev.some(a => sameDeviceAlert(a, deviceId, data.uptime_ms))) return prev;
+            const { uptime_ms: millis, ...alert } = data;
+            return [{
+                ...alert,
+                id: `live-${deviceId}-${millis}`,
+                device: deviceId,
+                device_millis: millis,
+                timestamp: new Date().toISOString(),
+                state: 'open',
+                notes: [],
+                provisional: true,
+                live: true,
+            }, ...prev].slice(0, MAX_ALERTS);
+        });
+    }, []);
+
+    // Feed roomguard/<id>/alert/update messages from the MQTT handler in here
+    const handleUpdate = useCallback((alert) => {
+        if (!alert?.id) return;
+        upsert(alert, alert.state === 'open');
+        refreshCounts();
+    }, [upsert, refreshCounts]);
+
+    const post = useCallback(async (id, path, note) => {
+        try {
+            const res = await apiFetch(`/alerts/${encodeURIComponent(id)}/${path}`, {
+                method: 'POST',
+                body: JSON.stringify(note ? { note } : {}),
+            });
+            if (!res.ok) return await errorMessage(res);
+            upsert(await res.json());
+            refreshCounts();
+            return null;
+        } catch {
+            return 'Server unreachable';
+        }
+    }, [upsert, refreshCounts]);
+
+    const acknowledge = useCallback((id, note) => post(id, 'acknowledge', note), [post]);
+    const resolve = useCallback((id, note) => post(id, 'resolve', note), [post]);
+    const addNote = useCallback((id, note) => post(id, 'notes', note), [post]);
+
+    // Local-only mute for alerts the backend never stored (e.g. API down)
+    const silence = useCallback((id) => {
+        setAlerts(prev => prev.map(a => (a.id === id ? { ...a, live: false } : a)));
+    }, []);
+
+    // Last known alerts from the offline snapshot, until the backend answers
+    const restore = useCallback((list = []) => {
+        if (loaded.current) return;
+        setAlerts(prev => (prev.length ? prev : list.map(a => ({ ...a, live: false, restored: true }))));
+    }, []);
+
+    return { alerts, counts, handleAlert, handleUpdate, acknowledge, resolve, addNote, silence, restore };
+}
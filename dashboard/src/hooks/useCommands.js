@@ -0,0 +1,104 @@
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { apiFetch, errorMessage } from '../api';
+
+// Give up on a command if the device hasn't acked within this time - the
+// backend sends its own (ack_timeout, audit.py ACK_TIMEOUT) with each command
+const COMMAND_TIMEOUT_MS = 30000;
+const MAX_COMMANDS = 20;
+
+const newCommandId = () => Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+
+/**
+ * Hook to send commands with a correlation ID and track their outcome.
+ *
+ * Commands go through the backend, which checks the role, writes the audit
+ * log and publishes to the device. Each command is `pending` until the device
+ * publishes an ack on roomguard/<deviceId>/ack, then `confirmed` or `rejected`
+ * (with a reason). Commands never acked become `timeout`; ones the backend
+ * refused become `failed`. A command the backend's command policy wants
+ * confirmed (HTTP 428) is dropped again and sendCommand resolves to
+ * { id, confirm: { level, reason, mode } } so the caller can ask for it;
+ * otherwise it resolves to { id } or { id, error }.
+ */
+export function useCommands() {
+    const [commands, setCommands] = useState([]);
+    const timers = useRef({});
+
+    // Stop pending timers on unmount
+    useEffect(() => {
+        const pending = timers.current;
+        return () => Object.values(pending).forEach(clearTimeout);
+    }, []);
+
+    const settle = useCallback((id, changes) => {
+        clearTimeout(timers.current[id]);
+        delete timers.current[id];
+        setCommands(prev => prev.map(c =>
+            c.id === id && c.status === 'pending' ? { ...c, ...changes, settledAt: Date.now() } : c
+        ));
+    }, []);
+
+    const drop = useCallback((id) => {
+        clearTimeout(timers.current[id]);
+        delete timers.current[id];
+        setCommands(prev => prev.filter(c => c.id !== id));
+    }, []);
+
+    // confirmation: { confirm: 'RESET' } or { pin } for commands the policy guards
+    const sendCommand = useCallback(async (deviceId, action, confirmation = {}) => {
+        // ID is generated here so an ack can't arrive before we know it
+        const id = newCommandId();
+        const sentAt = Date.now();
+        setCommands(prev => [{
+            id,
+            action,
+            device: deviceId,
+            status: 'pending',
+            sentAt,
+        }, ...prev].slice(0, MAX_COMMANDS));
+
+        const startTimer = (ms) => {
+            clearTimeout(timers.current[id]);
+            timers.current[id] = setTimeout(
+                () => settle(id, { status: 'timeout', reason: 'No response from device' }),
+                ms
+            );
+        };
+        startTimer(COMMAND_TIMEOUT_MS);
+
+        try {
+            const res = await apiFetch(`/devices/${encodeURIComponent(deviceId)}/command`, {
+                method: 'POST',
+                body: JSON.stringify({ action, id, ...confirmation }),
+            });
+            if (res.status === 428) {
+                drop(id);
+                return { id, confirm: await res.json() };
+            }
+            if (!res.ok) {
+                const reason = await errorMessage(res);
+                settle(id, { status: 'failed', reason });
+                return { id, error: reason };
+            }
+            // Time out together with the audit log
+            const { ack_timeout: ackTimeout } = await res.json().catch(() => ({}));
+            if (ackTimeout && timers.current[id]) {
+                startTimer(ackTimeout * 1000 - (Date.now() - sentAt));
+            }
+        } catch {
+            settle(id, { status: 'failed', reason: 'Server unreachable' });
+            return { id, error: 'Server unreachable' };
+        }
+        return { id };
+    }, [settle, drop]);
+
+    // Feed ack messages from the MQTT handler in here
+    const handleAck = useCallback((ack) => {
+        if (!ack?.id) return;
+        settle(ack.id, ack.status === 'ok'
+            ? { status: 'confirmed' }
+            : { status: 'rejected', reason: ack.reason || 'Rejected by device' });
+    }, [settle]);
+
+    return { commands, sendCommand, handleAck };
+}
@@ -1,92 +1,315 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
+import { apiFetch } from '../api';
+import { useLive } from './useLive';
 
-// API base URL - update with your backend server
-const API_BASE = 'http://35.193.224.18:5000/api';
+/**
+ * Parse a backend timestamp. The API returns naive UTC ISO strings,
+ * which `new Date()` would otherwise read as local time.
+ */
+export function parseTimestamp(value) {
+    if (!value) return null;
+    return new Date(/([zZ]|[+-]\d\d:\d\d)$/.test(value) ? value : `${value}Z`);
+}
+
+/**
+ * Build a query string, skipping empty values
+ */
+function toQuery(params) {
+    const query = new URLSearchParams();
+    Object.entries(params).forEach(([key, value]) => {
+        if (value !== undefined && value !== null && value !== '') query.set(key, value);
+    });
+    return query.toString();
+}
+
+// Same as the backend's ?resolution=auto: about this many points per range
+const TARGET_POINTS = 300;
+const STATS_REFRESH_MS = 60000;
+
+/**
+ * Bucket size in seconds that ?resolution=auto would pick for a rolling
+ * window, or null for raw readings
+ */
+function autoBucket(hours) {
+    const bucket = Math.floor((hours * 3600) / TARGET_POINTS);
+    return bucket > 5 ? bucket : null;
+}
+
+const round1 = (value) => Math.round(value * 10) / 10;
+const maxOf = (a, b) => (a == null ? b : b == null ? a : Math.max(a, b));
+
+/**
+ * A raw reading with its temperature/humidity blanked if the backend
+ * flagged them as faulty, so charts show a gap instead of a bad value
+ */
+const trusted = (reading) => (reading.faulty ? { ...reading, temp: null, humidity: null } : reading);
+
+/**
+ * Fold a live reading into bucketed history the way the backend averages
+ * it, and drop buckets that fell out of the window
+ */
+function mergeReading(buckets, live, bucketSeconds, hours) {
+    const reading = trusted(live);
+    const bucketMs = bucketSeconds * 1000;
+    const time = parseTimestamp(reading.timestamp).getTime();
+    const bucketStart = time - (time % bucketMs);
+    const since = Date.now() - hours * 3600000 - bucketMs;
+
+    const kept = buckets.filter(b => parseTimestamp(b.timestamp).getTime() >= since);
+    const last = kept[kept.length - 1];
+
+    if (last && parseTimestamp(last.timestamp).getTime() === bucketStart) {
+        const n = last.samples || 1;
+        const average = (avg, value) => (value == null ? avg : avg == null ? value : round1((avg * n + value) / (n + 1)));
+        kept[kept.length - 1] = {
+            ...last,
+            temp: average(last.temp, reading.temp),
+            temp_max: maxOf(last.temp_max, reading.temp),
+            humidity: average(last.humidity, reading.humidity),
+            occupant_count: Math.max(last.occupant_count || 0, reading.occupant_count || 0),
+            pir: Math.max(last.pir || 0, reading.pir || 0),
+            samples: n + 1,
+        };
+    } else if (!last || parseTimestamp(last.timestamp).getTime() < bucketStart) {
+        kept.push({
+            timestamp: new Date(bucketStart).toISOString(),
+            temp: reading.temp,
+            temp_max: reading.temp,
+            humidity: reading.humidity,
+            occupant_count: reading.occupant_count,
+            pir: reading.pir,
+            samples: 1,
+        });
+    }
+    return kept;
+}
 
 /**
  * Hook to fetch sensor history from MongoDB via REST API
+ *
+ * Pass `start`/`end` (ISO strings) for a fixed range, otherwise the last `hours`.
+ * `resolution` is bucket size in seconds, 'auto' or 'raw'. Rolling windows
+ * are kept current from the live stream instead of polling.
  */
-export function useSensorHistory(hours = 24, refreshInterval = 30000) {
+export function useSensorHistory({ hours = 24, start, end, device, resolution = 'auto', limit = 100 } = {}) {
     const [data, setData] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
 
-    useEffect(() => {
-        const fetchData = async () => {
-            try {
-                const response = await fetch(`${API_BASE}/sensors?hours=${hours}&limit=100`);
-                if (!response.ok) throw new Error('Failed to fetch sensor data');
-                const result = await response.json();
-                setData(result);
-                setError(null);
-            } catch (err) {
-                setError(err.message);
-            } finally {
-                setLoading(false);
-            }
-        };
+    const rolling = !start && !end;
+    // Resolve 'auto' here for rolling windows so live readings land in the same buckets
+    const bucket = !rolling || resolution === 'raw' ? null
+        : resolution === 'auto' ? autoBucket(hours) : Number(resolution);
+    const query = toQuery({
+        hours,
+        start,
+        end,
+        device,
+        resolution: rolling ? bucket || 'raw' : resolution,
+        limit,
+    });
+
+    const fetchData = useCallback(async () => {
+        try {
+            const response = await apiFetch(`/sensors?${query}`);
+            if (!response.ok) throw new Error('Failed to fetch sensor data');
+            const result = await response.json();
+            setData(result.map(trusted));
+            setError(null);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setLoading(false);
+        }
+    }, [query]);
 
+    useEffect(() => {
+        setLoading(true);
         fetchData();
-        const interval = setInterval(fetchData, refreshInterval);
-        return () => clearInterval(interval);
-    }, [hours, refreshInterval]);
+    }, [fetchData]);
+
+    useLive((event, payload) => {
+        if (event === 'resync') {
+            fetchData();
+        } else if (event === 'reading' && (!device || payload.device === device)) {
+            setData(prev => (bucket
+                ? mergeReading(prev, payload, bucket, hours)
+                // Raw readings are newest first
+                : [trusted(payload), ...prev.filter(r => r.timestamp !== payload.timestamp)].slice(0, limit)));
+        }
+    }, rolling);
 
     return { data, loading, error };
 }
 
 /**
- * Hook to fetch alert history from MongoDB
+ * Hook to fetch alert history from MongoDB, kept current from the live
+ * stream for rolling windows
  */
-export function useAlertHistory(hours = 24) {
+export function useAlertHistory({ hours = 24, start, end, device, limit = 200 } = {}) {
     const [data, setData] = useState([]);
     const [loading, setLoading] = useState(true);
 
-    useEffect(() => {
-        const fetchData = async () => {
-            try {
-                const response = await fetch(`${API_BASE}/alerts?hours=${hours}`);
-                if (response.ok) {
-                    const result = await response.json();
-                    setData(result);
-                }
-            } catch (err) {
-                console.error('Failed to fetch alerts:', err);
-            } finally {
-                setLoading(false);
+    const query = toQuery({ hours, start, end, device, limit });
+
+    const fetchData = useCallback(async () => {
+        try {
+            const response = await apiFetch(`/alerts?${query}`);
+            if (response.ok) {
+                const result = await response.json();
+                setData(result);
             }
-        };
+        } catch (err) {
+            console.error('Failed to fetch alerts:', err);
+        } finally {
+            setLoading(false);
+        }
+    }, [query]);
 
+    useEffect(() => {
         fetchData();
-        const interval = setInterval(fetchData, 30000);
-        return () => clearInterval(interval);
-    }, [hours]);
+    }, [fetchData]);
+
+    useLive((event, alert) => {
+        if (event === 'resync') {
+            fetchData();
+        } else if (event === 'alert' && (!device || alert.device === device)) {
+            // New alerts go on top, changed ones are replaced in place
+            setData(prev => (prev.some(a => a.id === alert.id)
+                ? prev.map(a => (a.id === alert.id ? alert : a))
+                : [alert, ...prev].slice(0, limit)));
+        }
+    }, !start && !end);
 
     return { data, loading };
 }
 
 /**
- * Hook to fetch statistics
+ * Hook to fetch statistics. The backend pushes each room's 24h stats with
+ * every reading; other windows are refetched at most once a minute while
+ * new data is arriving.
  */
-export function useStats(hours = 24) {
+export function useStats({ hours = 24, device } = {}) {
     const [stats, setStats] = useState(null);
+    const lastFetch = useRef(0);
 
-    useEffect(() => {
-        const fetchStats = async () => {
-            try {
-                const response = await fetch(`${API_BASE}/stats?hours=${hours}`);
-                if (response.ok) {
-                    const result = await response.json();
-                    setStats(result);
-                }
-            } catch (err) {
-                console.error('Failed to fetch stats:', err);
+    const query = toQuery({ hours, device });
+
+    const fetchStats = useCallback(async () => {
+        lastFetch.current = Date.now();
+        try {
+            const response = await apiFetch(`/stats?${query}`);
+            if (response.ok) {
+                const result = await response.json();
+                setStats(result);
             }
-        };
+        } catch (err) {
+            console.error('Failed to fetch stats:', err);
+        }
+    }, [query]);
 
+    useEffect(() => {
         fetchStats();
-        const interval = setInterval(fetchStats, 60000);
-        return () => clearInterval(interval);
-    }, [hours]);
+    }, [fetchStats]);
+
+    useLive((event, payload) => {
+        if (event === 'resync') {
+            fetchStats();
+        } else if (event === 'stats' && (!device || payload.device === device)) {
+            if (device && payload.hours === hours) {
+                setStats(payload);
+            } else if (Date.now() - lastFetch.current >= STATS_REFRESH_MS) {
+                fetchStats();
+            }
+        }
+    });
 
     return stats;
 }
+
+/**
+ * Hook for a room's temperature trend from the backend's fire early-warning
+ * analysis: { rate (°C/min), direction, level, reasons, ... } or null.
+ * Updated by `trend` events after every reading.
+ */
+export function useFireTrend(device) {
+    const [trend, setTrend] = useState(null);
+
+    const fetchTrend = useCallback(async () => {
+        if (!device) return;
+        try {
+            const response = await apiFetch(`/analytics/fire?${toQuery({ device })}`);
+            if (response.ok) setTrend(await response.json());
+        } catch (err) {
+            console.error('Failed to fetch trend:', err);
+        }
+    }, [device]);
+
+    useEffect(() => {
+        setTrend(null);
+        fetchTrend();
+    }, [fetchTrend]);
+
+    useLive((event, payload) => {
+        if (event === 'resync') {
+            fetchTrend();
+        } else if (event === 'trend' && payload.device === device) {
+            setTrend(payload);
+        }
+    }, Boolean(device));
+
+    return trend;
+}
+
+/**
+ * Hook for the health of a room's sensors (faults detected by the backend),
+ * kept current from the live stream
+ */
+export function useSensorHealth(device) {
+    const [health, setHealth] = useState(null);
+
+    const fetchHealth = useCallback(async () => {
+        if (!device) return;
+        try {
+            const response = await apiFetch(`/sensor-health?${toQuery({ device })}`);
+            if (response.ok) setHealth(await response.json());
+        } catch (err) {
+            console.error('Failed to fetch sensor health:', err);
+        }
+    }, [device]);
+
+    useEffect(() => {
+        setHealth(null);
+        fetchHealth();
+    }, [fetchHealth]);
+
+    useLive((event, payload) => {
+        if (event === 'resync') {
+            fetchHealth();
+        } else if (event === 'health' && payload.device === device) {
+            setHealth(payload);
+        }
+    }, Boolean(device));
+
+    return health;
+}
+
+/**
+ * Hook for a room's sensor fault episodes over the last `hours`, refetched
+ * whenever its health changes
+ */
+export function useSensorFaults(device, health, hours = 24 * 7) {
+    const [episodes, setEpisodes] = useState([]);
+
+    useEffect(() => {
+        if (!device) return;
+        let cancelled = false;
+        apiFetch(`/sensor-health/history?${toQuery({ device, hours, limit: 20 })}`)
+            .then(response => (response.ok ? response.json() : []))
+            .then(result => { if (!cancelled) setEpisodes(result); })
+            .catch(err => console.error('Failed to fetch sensor faults:', err));
+        return () => { cancelled = true; };
+    }, [device, health, hours]);
+
+    return episodes;
+}
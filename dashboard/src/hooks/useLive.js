@@ -0,0 +1,20 @@
+import { useEffect, useRef } from 'react';
+import { subscribeLive } from '../live';
+
+/**
+ * Hook to receive live events from the shared backend stream.
+ * `onEvent(event, data)` always sees the latest props/state; pass
+ * `enabled = false` to stay unsubscribed (e.g. for a fixed date range).
+ */
+export function useLive(onEvent, enabled = true) {
+    const handler = useRef(onEvent);
+
+    useEffect(() => {
+        handler.current = onEvent;
+    });
+
+    useEffect(() => {
+        if (!enabled) return;
+        return subscribeLive((event, data) => handler.current(event, data));
+    }, [enabled]);
+}
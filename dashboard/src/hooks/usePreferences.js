@@ -0,0 +1,28 @@
+import { useState, useEffect, useMemo } from 'react';
+import { getPreferences, subscribePreferences } from '../preferences';
+import {
+    tempUnit, toDisplayTemp, toDisplayDelta, formatTemp, formatTime, formatDateTime, formatDay,
+} from '../format';
+
+/**
+ * The user's preferences (preferences.js) and display helpers bound to them.
+ * Components re-render when the preferences change.
+ *
+ * Returns { prefs, tempUnit, toTemp, toTempDelta, formatTemp, formatTime, formatDateTime, formatDay }
+ */
+export function usePreferences() {
+    const [prefs, setPrefs] = useState(getPreferences);
+
+    useEffect(() => subscribePreferences(setPrefs), []);
+
+    return useMemo(() => ({
+        prefs,
+        tempUnit: tempUnit(prefs),
+        toTemp: (celsius) => toDisplayTemp(celsius, prefs),
+        toTempDelta: (celsius) => toDisplayDelta(celsius, prefs),
+        formatTemp: (celsius, options) => formatTemp(celsius, prefs, options),
+        formatTime: (date, options) => formatTime(date, prefs, options),
+        formatDateTime: (date, options) => formatDateTime(date, prefs, options),
+        formatDay: (date) => formatDay(date, prefs),
+    }), [prefs]);
+}
@@ -0,0 +1,28 @@
+// ==================== INCIDENT LINKS ====================
+// Each alert's incident timeline has its own address, #/incident/<alertId>,
+// optionally with ?at=<ISO time> to open the replay at one moment. The
+// dashboard opens it after login, so the link can be shared with anyone
+// who has an account.
+
+const HASH_PATTERN = /^#\/incident\/([0-9a-f]{24})(?:\?at=([^&]+))?$/i;
+
+/**
+ * { id, at } from a location hash, or null if it isn't an incident link
+ */
+export function parseIncidentHash(hash) {
+    const match = HASH_PATTERN.exec(hash || '');
+    if (!match) return null;
+    return { id: match[1], at: match[2] ? decodeURIComponent(match[2]) : null };
+}
+
+export function incidentHash(id, at = null) {
+    return `#/incident/${id}${at ? `?at=${encodeURIComponent(at)}` : ''}`;
+}
+
+/**
+ * Full shareable address of an incident
+ */
+export function incidentUrl(id, at = null) {
+    const { origin, pathname } = window.location;
+    return `${origin}${pathname}${incidentHash(id, at)}`;
+}
@@ -0,0 +1,101 @@
+import { apiFetch } from './api';
+
+// ==================== LIVE UPDATE STREAM ====================
+// One Server-Sent Events connection to /api/live, shared by every hook that
+// wants pushed updates. It is read with fetch() instead of EventSource so
+// the token stays in the Authorization header.
+//
+// After a drop it reconnects with the last event id and the backend replays
+// what was missed. When it can't, listeners get a 'resync' event and
+// refetch over REST.
+
+const RECONNECT_MIN_MS = 1000;
+const RECONNECT_MAX_MS = 30000;
+
+const listeners = new Set();
+let controller = null;
+let retryTimer = null;
+let retryDelay = RECONNECT_MIN_MS;
+let lastEventId = null;
+let attempts = 0;
+
+function emit(event, data) {
+    listeners.forEach(listener => listener(event, data));
+}
+
+/**
+ * Handle one "field: value" block of the stream
+ */
+function dispatch(block) {
+    let event = 'message';
+    let data = '';
+    for (const line of block.split('\n')) {
+        if (!line || line.startsWith(':')) continue;
+        const colon = line.indexOf(':');
+        const field = colon === -1 ? line : line.slice(0, colon);
+        const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+        if (field === 'event') event = value;
+        else if (field === 'data') data += data ? `\n${value}` : value;
+        else if (field === 'id') lastEventId = value;
+    }
+    if (data) emit(event, JSON.parse(data));
+}
+
+async function readStream(body) {
+    const reader = body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+    for (;;) {
+        const { value, done } = await reader.read();
+        if (done) return;
+        buffer += value.replace(/\r\n?/g, '\n');
+        const blocks = buffer.split('\n\n');
+        buffer = blocks.pop();
+        blocks.forEach(dispatch);
+    }
+}
+
+async function connect() {
+    clearTimeout(retryTimer);
+    controller = new AbortController();
+    const { signal } = controller;
+    const query = lastEventId ? `?last_event_id=${encodeURIComponent(lastEventId)}` : '';
+
+    try {
+        const response = await apiFetch(`/live${query}`, { signal });
+        if (!response.ok) throw new Error(`Live stream failed (${response.status})`);
+
+        // Without an id to resume from, anything sent while we were away is lost
+        if (attempts++ > 0 && !lastEventId) emit('resync', {});
+        retryDelay = RECONNECT_MIN_MS;
+        await readStream(response.body);
+    } catch {
+        if (signal.aborted) return;
+    }
+
+    if (listeners.size && !signal.aborted) {
+        retryTimer = setTimeout(connect, retryDelay);
+        retryDelay = Math.min(retryDelay * 2, RECONNECT_MAX_MS);
+    }
+}
+
+function disconnect() {
+    clearTimeout(retryTimer);
+    controller?.abort();
+    controller = null;
+    // The next subscribers fetch fresh data, so there is nothing to resume
+    lastEventId = null;
+    attempts = 0;
+}
+
+/**
+ * Listen to live events: listener(event, data) with event one of
+ * 'reading', 'alert', 'stats' or 'resync'. Returns an unsubscribe function.
+ */
+export function subscribeLive(listener) {
+    listeners.add(listener);
+    if (listeners.size === 1) connect();
+    return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0) disconnect();
+    };
+}
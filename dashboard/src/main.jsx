@@ -2,9 +2,25 @@ import React from 'react'
 import ReactDOM from 'react-dom/client'
 import App from './App.jsx'
 import './index.css'
+import { loadConnectionConfig } from './connection'
 
-ReactDOM.createRoot(document.getElementById('root')).render(
-    <React.StrictMode>
-        <App />
-    </React.StrictMode>,
-)
+// Broker/API addresses from /config.json have to be known before anything connects
+loadConnectionConfig().finally(() => {
+    ReactDOM.createRoot(document.getElementById('root')).render(
+        <React.StrictMode>
+            <App />
+        </React.StrictMode>,
+    )
+})
+
+// Offline app shell and Web Push. Not in dev - a cached shell would fight
+// with hot reloading.
+if ('serviceWorker' in navigator && import.meta.env.PROD) {
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register('/sw.js').catch(err => console.error('Service worker failed:', err))
+    })
+    // A clicked push notification points the open dashboard at its incident
+    navigator.serviceWorker.addEventListener('message', (event) => {
+        if (event.data?.type === 'open') window.location.hash = new URL(event.data.url, window.location.origin).hash
+    })
+}
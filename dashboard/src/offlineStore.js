@@ -0,0 +1,57 @@
+// ==================== OFFLINE STATE (IndexedDB) ====================
+// The last known rooms, devices and alerts, saved while the dashboard is
+// live so it has something to show after a reload without a connection.
+
+const DB_NAME = 'roomguard';
+const STORE = 'state';
+const SNAPSHOT_KEY = 'snapshot';
+
+function openDb() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function run(mode, action) {
+    const db = await openDb();
+    try {
+        return await new Promise((resolve, reject) => {
+            const request = action(db.transaction(STORE, mode).objectStore(STORE));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    } finally {
+        db.close();
+    }
+}
+
+/**
+ * { rooms, devices, alerts, savedAt } or null. Never throws - private
+ * browsing and old browsers just have no snapshot.
+ */
+export async function loadSnapshot() {
+    try {
+        return (await run('readonly', store => store.get(SNAPSHOT_KEY))) || null;
+    } catch {
+        return null;
+    }
+}
+
+export async function saveSnapshot(snapshot) {
+    try {
+        await run('readwrite', store => store.put(snapshot, SNAPSHOT_KEY));
+    } catch {
+        // Nothing to fall back to - the live view still works
+    }
+}
+
+export async function clearSnapshot() {
+    try {
+        await run('readwrite', store => store.delete(SNAPSHOT_KEY));
+    } catch {
+        // Already gone
+    }
+}
@@ -0,0 +1,120 @@
+import spec from '../../schemas/preferences.json';
+import { apiFetch, errorMessage } from './api';
+
+// ==================== USER PREFERENCES ====================
+// Per-user display and alert choices stored by the backend
+// (backend/preferences.py): °C/°F, 12/24h time and timezone, siren and
+// volume, quiet hours and which alert types notify. Defaults and allowed
+// values come from schemas/preferences.json, shared with the backend. The
+// last loaded preferences are cached so a reload starts with them; use
+// usePreferences() in components to follow changes.
+
+export const DEFAULT_PREFERENCES = spec.defaults;
+export const PREFERENCE_OPTIONS = spec.options;
+
+const CACHE_KEY = 'roomguard_preferences';
+
+export const sirenUrl = (siren) => `/sounds/${siren in PREFERENCE_OPTIONS.siren ? siren : 'siren'}.wav`;
+
+// Stored preferences over the defaults, one level deep for the grouped ones
+function merge(stored) {
+    const prefs = structuredClone(DEFAULT_PREFERENCES);
+    Object.entries(stored || {}).forEach(([key, value]) => {
+        if (!(key in prefs)) return;
+        prefs[key] = typeof prefs[key] === 'object' ? { ...prefs[key], ...value } : value;
+    });
+    return prefs;
+}
+
+function readCache() {
+    try {
+        return merge(JSON.parse(localStorage.getItem(CACHE_KEY)));
+    } catch {
+        return merge(null);
+    }
+}
+
+let current = readCache();
+const listeners = new Set();
+
+function set(prefs) {
+    current = merge(prefs);
+    localStorage.setItem(CACHE_KEY, JSON.stringify(current));
+    listeners.forEach(listener => listener(current));
+}
+
+export const getPreferences = () => current;
+
+/**
+ * Follow the preferences; the listener is called right away and on every change.
+ * Returns the unsubscribe function.
+ */
+export function subscribePreferences(listener) {
+    listeners.add(listener);
+    listener(current);
+    return () => listeners.delete(listener);
+}
+
+export async function loadPreferences() {
+    const res = await apiFetch('/preferences');
+    if (res.ok) set(await res.json());
+}
+
+/**
+ * Save some preferences, e.g. { temp_unit: 'F' } or { notify: { rule: false } }
+ */
+export async function savePreferences(changes) {
+    const res = await apiFetch('/preferences', { method: 'PUT', body: JSON.stringify(changes) });
+    if (!res.ok) throw new Error(await errorMessage(res, 'Could not save preferences'));
+    set(await res.json());
+}
+
+export async function resetPreferences() {
+    const res = await apiFetch('/preferences', { method: 'DELETE' });
+    if (!res.ok) throw new Error(await errorMessage(res, 'Could not reset preferences'));
+    set(await res.json());
+}
+
+/**
+ * Forget the cached preferences (on logout) - the next user starts from the defaults
+ */
+export function clearPreferences() {
+    localStorage.removeItem(CACHE_KEY);
+    current = merge(null);
+    listeners.forEach(listener => listener(current));
+}
+
+// ==================== ALERT SOUNDS & NOTIFICATIONS ====================
+// Keep in step with in_quiet_hours() / silenced() in the backend
+
+/**
+ * "HH:MM" (24h) in the user's timezone
+ */
+export function clockTime(prefs, date = new Date()) {
+    const options = { hour: '2-digit', minute: '2-digit', hourCycle: 'h23' };
+    try {
+        return date.toLocaleTimeString('en-GB', { ...options, timeZone: prefs.timezone || undefined });
+    } catch {
+        // A timezone this browser doesn't know: its own clock
+        return date.toLocaleTimeString('en-GB', options);
+    }
+}
+
+export function inQuietHours(prefs, date = new Date()) {
+    const { enabled, start, end } = prefs.quiet_hours;
+    if (!enabled) return false;
+    const now = clockTime(prefs, date);
+    // A window like 22:00-07:00 runs over midnight
+    return start < end ? now >= start && now < end : now >= start || now < end;
+}
+
+/**
+ * Quiet hours silence everything except fire
+ */
+export const silenced = (prefs, alertType, date = new Date()) =>
+    alertType !== 'fire' && inQuietHours(prefs, date);
+
+/**
+ * Alert types without a toggle always notify
+ */
+export const wantsNotification = (prefs, alertType) => prefs.notify[alertType] ?? true;
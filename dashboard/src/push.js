@@ -0,0 +1,72 @@
+import { apiFetch, errorMessage } from './api';
+
+// ==================== WEB PUSH ====================
+// Lets the backend wake this browser with fire/burglar notifications while
+// no dashboard tab is open. Needs the service worker, which is only
+// registered in production builds (see main.jsx).
+
+export const pushSupported = () =>
+    'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+
+// VAPID public key (base64url) -> bytes for pushManager.subscribe()
+function keyBytes(base64url) {
+    const base64 = (base64url + '='.repeat((4 - (base64url.length % 4)) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+}
+
+async function registration() {
+    if (!pushSupported()) return null;
+    return (await navigator.serviceWorker.getRegistration()) || null;
+}
+
+/**
+ * This browser's current subscription, or null
+ */
+export async function currentSubscription() {
+    const reg = await registration();
+    return reg ? reg.pushManager.getSubscription() : null;
+}
+
+/**
+ * Server-side push config: { enabled, public_key }
+ */
+export async function pushConfig() {
+    const res = await apiFetch('/push/key');
+    return res.ok ? res.json() : { enabled: false };
+}
+
+export async function enablePush(publicKey) {
+    const reg = await registration();
+    if (!reg) throw new Error('Background alerts need the installed (production) app');
+
+    if (await Notification.requestPermission() !== 'granted') {
+        throw new Error('Notifications are blocked for this site');
+    }
+
+    const subscription = await reg.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: keyBytes(publicKey),
+    });
+    const res = await apiFetch('/push/subscriptions', {
+        method: 'POST',
+        // Quiet hours follow this browser's clock unless a timezone is set in Preferences
+        body: JSON.stringify({
+            subscription: subscription.toJSON(),
+            timezone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+        }),
+    });
+    if (!res.ok) {
+        await subscription.unsubscribe();
+        throw new Error(await errorMessage(res, 'Could not enable background alerts'));
+    }
+}
+
+export async function disablePush() {
+    const subscription = await currentSubscription();
+    if (!subscription) return;
+    await apiFetch('/push/subscriptions', {
+        method: 'DELETE',
+        body: JSON.stringify({ endpoint: subscription.endpoint }),
+    }).catch(() => { });
+    await subscription.unsubscribe();
+}
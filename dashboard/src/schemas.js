@@ -0,0 +1,141 @@
+// ==================== MQTT MESSAGE SCHEMAS ====================
+// The versioned schemas in schemas/mqtt/v<N>.json at the repository root,
+// shared with the backend (backend/message_schemas.py). Every message
+// carries its schema version as "v"; messages that aren't JSON, carry an
+// unknown version or don't match their schema are dropped and kept in a
+// short list for the Messages view instead of reaching the UI.
+
+const files = import.meta.glob('../../schemas/mqtt/v*.json', { eager: true, import: 'default' });
+
+// Version -> { kind: schema }
+export const SCHEMAS = Object.fromEntries(
+    Object.values(files).map(spec => [spec.version, spec.messages])
+);
+export const SCHEMA_VERSIONS = Object.keys(SCHEMAS).map(Number).sort((a, b) => a - b);
+
+// Topic kinds that have a schema in any version
+const VALIDATED_KINDS = new Set(Object.values(SCHEMAS).flatMap(messages => Object.keys(messages)));
+
+const MAX_RECENT = 50;
+const MAX_RAW_LENGTH = 1000;
+
+const TYPES = {
+    object: (v) => v !== null && typeof v === 'object' && !Array.isArray(v),
+    array: (v) => Array.isArray(v),
+    string: (v) => typeof v === 'string',
+    boolean: (v) => typeof v === 'boolean',
+    null: (v) => v === null,
+    number: (v) => typeof v === 'number',
+    integer: (v) => Number.isInteger(v),
+};
+
+const show = (value) => JSON.stringify(value);
+
+/**
+ * Problems with a value against a schema, as 'path: problem' strings.
+ * Covers the keywords the schema files use - keep in step with validate() in the backend.
+ */
+export function validate(value, schema, path = '$') {
+    if (schema.type) {
+        const types = [].concat(schema.type);
+        if (!types.some(t => TYPES[t](value))) return [`${path}: expected ${types.join(' or ')}`];
+    }
+    if ('const' in schema && value !== schema.const) return [`${path}: must be ${show(schema.const)}`];
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [`${path}: must be one of ${schema.enum.map(show).join(', ')}`];
+    }
+
+    const errors = [];
+    if (typeof value === 'number') {
+        if ('minimum' in schema && value < schema.minimum) errors.push(`${path}: below the minimum ${schema.minimum}`);
+        if ('maximum' in schema && value > schema.maximum) errors.push(`${path}: above the maximum ${schema.maximum}`);
+    } else if (typeof value === 'string') {
+        if (value.length < (schema.minLength ?? 0)) errors.push(`${path}: shorter than ${schema.minLength} characters`);
+        if ('maxLength' in schema && value.length > schema.maxLength) {
+            errors.push(`${path}: longer than ${schema.maxLength} characters`);
+        }
+    } else if (Array.isArray(value)) {
+        if ('maxItems' in schema && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+        if (schema.items) value.forEach((item, i) => errors.push(...validate(item, schema.items, `${path}[${i}]`)));
+    } else if (TYPES.object(value)) {
+        const properties = schema.properties || {};
+        for (const name of schema.required || []) {
+            if (!(name in value)) errors.push(`${path}.${name}: missing`);
+        }
+        for (const [name, item] of Object.entries(value)) {
+            if (name in properties) {
+                errors.push(...validate(item, properties[name], `${path}.${name}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${name}: not in the schema`);
+            }
+        }
+    }
+    return errors;
+}
+
+/**
+ * Problems with a parsed message for a topic kind; [] when it is valid or the kind has no schema
+ */
+export function checkPayload(kind, payload) {
+    if (!VALIDATED_KINDS.has(kind)) return [];
+    if (!TYPES.object(payload)) return ['$: expected object'];
+    if (!('v' in payload)) return ['$.v: missing - no schema version'];
+    const messages = SCHEMAS[payload.v];
+    if (!Number.isInteger(payload.v) || !messages) {
+        return [`$.v: unknown schema version ${show(payload.v)} (supported: ${SCHEMA_VERSIONS.join(', ')})`];
+    }
+    if (!messages[kind]) return [`$: no ${kind} message in schema v${payload.v}`];
+    return validate(payload, messages[kind]);
+}
+
+// ==================== REJECTED MESSAGES (THIS DASHBOARD) ====================
+const rejected = { since: Date.now(), counts: {}, recent: [] };
+const listeners = new Set();
+
+function reject(deviceId, kind, topic, raw, errors) {
+    const key = `${deviceId}/${kind}`;
+    rejected.counts = { ...rejected.counts, [key]: (rejected.counts[key] || 0) + 1 };
+    rejected.recent = [{
+        device: deviceId,
+        kind,
+        topic,
+        errors,
+        raw: raw.slice(0, MAX_RAW_LENGTH),
+        timestamp: new Date().toISOString(),
+    }, ...rejected.recent].slice(0, MAX_RECENT);
+    console.warn(`[Schema] Rejected ${topic}: ${errors.join('; ')}`);
+    listeners.forEach(listener => listener({ ...rejected }));
+}
+
+/**
+ * Parse and validate an incoming MQTT message. Returns the payload without
+ * its "v", or null when the message was rejected (and recorded).
+ */
+export function acceptMessage(deviceId, kind, topic, raw) {
+    let payload;
+    try {
+        payload = JSON.parse(raw);
+    } catch {
+        reject(deviceId, kind, topic, raw, ['$: not valid JSON']);
+        return null;
+    }
+    const errors = checkPayload(kind, payload);
+    if (errors.length) {
+        reject(deviceId, kind, topic, raw, errors);
+        return null;
+    }
+    if (!VALIDATED_KINDS.has(kind)) return payload;
+    const message = { ...payload };
+    delete message.v;
+    return message;
+}
+
+/**
+ * Follow this dashboard's rejected messages: { since, counts: { 'device/kind': n }, recent: [...] }.
+ * Returns the unsubscribe function.
+ */
+export function subscribeRejected(listener) {
+    listeners.add(listener);
+    listener({ ...rejected });
+    return () => listeners.delete(listener);
+}
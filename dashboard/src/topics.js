@@ -0,0 +1,23 @@
+// ==================== MQTT TOPICS ====================
+// Topics are namespaced per device: roomguard/<deviceId>/<kind>
+export const TOPIC_PREFIX = 'roomguard';
+
+// Wildcard subscriptions covering every device
+export const TOPICS = {
+    SENSORS: `${TOPIC_PREFIX}/+/sensors`,
+    STATUS: `${TOPIC_PREFIX}/+/status`,
+    ALERT: `${TOPIC_PREFIX}/+/alert`,
+    ALERT_UPDATE: `${TOPIC_PREFIX}/+/alert/update`,
+    ACK: `${TOPIC_PREFIX}/+/ack`,
+    PRESENCE: `${TOPIC_PREFIX}/+/presence`,
+    HEARTBEAT: `${TOPIC_PREFIX}/+/heartbeat`,
+    CONFIG: `${TOPIC_PREFIX}/+/config`,
+};
+
+export const deviceTopic = (deviceId, kind) => `${TOPIC_PREFIX}/${deviceId}/${kind}`;
+
+// roomguard/room1/config/set -> { deviceId: 'room1', kind: 'config/set' }
+export const parseTopic = (topic) => {
+    const [prefix, deviceId, ...rest] = topic.split('/');
+    return prefix === TOPIC_PREFIX ? { deviceId, kind: rest.join('/') } : {};
+};
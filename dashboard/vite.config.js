@@ -5,6 +5,10 @@ export default defineConfig({
   plugins: [react()],
   server: {
     port: 5173,
-    host: true
+    host: true,
+    // The MQTT message schemas live in ../schemas, shared with the backend
+    fs: {
+      allow: ['..']
+    }
   }
 })
@@ -10,8 +10,10 @@
  * - MQTT: Real-time communication with dashboard
  * 
  * Safety Logic:
- * - Burglar: PIR detects motion + no one entered via IR
- * - Fire: Temperature > threshold → auto unlock door
+ * - Burglar (only when armed, after the entry delay):
+ *     armed-away:  door entry via IR, or PIR motion in an empty room
+ *     armed-night: door entry via IR (occupants move freely inside)
+ * - Fire: Temperature > threshold → auto unlock door (always active)
  ******************************************************/
 
 #include <WiFi.h>
@@ -20,6 +22,7 @@
 #include <DHT.h>
 #include <ESP32Servo.h>
 #include <ArduinoJson.h>    
+#include <Preferences.h>
 
 // ==================== PIN DEFINITIONS ====================
 #define DHT_PIN         27
@@ -31,7 +34,6 @@
 
 // ==================== SENSOR SETTINGS ====================
 #define DHT_TYPE        DHT11
-#define FIRE_TEMP_THRESHOLD  50.0   // Celsius - trigger fire alert above this
 
 // Standard SG90 Servo Settings (positional - NOT continuous)
 // Moves to angle and STAYS there
@@ -46,7 +48,7 @@ const char* WIFI_PASSWORD = "YOUR_WIFI_PASSWORD";
 // ==================== MQTT CONFIGURATION (TLS) ====================
 const char* MQTT_SERVER = "YOUR_GCP_EXTERNAL_IP";
 const int MQTT_PORT = 8883;  // TLS port
-const char* MQTT_CLIENT_ID = "esp32_room_safety";
+const char* DEVICE_ID = "room1";  // Unique per room - used in topics and client ID
 const char* MQTT_USERNAME = "YOUR_MQTT_USERNAME";
 const char* MQTT_PASSWORD = "YOUR_MQTT_PASSWORD";
 
@@ -58,17 +60,42 @@ YOUR_CA_CERTIFICATE_CONTENT_HERE
 -----END CERTIFICATE-----
 )EOF";
 
-// MQTT Topics
-const char* TOPIC_SENSORS = "room/sensors";
-const char* TOPIC_STATUS = "room/status";
-const char* TOPIC_ALERT = "room/alert";
-const char* TOPIC_COMMAND = "room/command";
+// Version of the MQTT message schemas (schemas/mqtt/v1.json) - sent as "v" in
+// every message (written out in the presence payloads too); commands and
+// config with another version are refused
+#define SCHEMA_VERSION 1
+
+// MQTT Topics - namespaced per device: roomguard/<DEVICE_ID>/<kind>
+// Built in setupMQTT() from DEVICE_ID
+char MQTT_CLIENT_ID[48];
+char TOPIC_SENSORS[64];
+char TOPIC_STATUS[64];
+char TOPIC_ALERT[64];
+char TOPIC_COMMAND[64];
+char TOPIC_ACK[64];
+char TOPIC_PRESENCE[64];
+char TOPIC_HEARTBEAT[64];
+char TOPIC_CONFIG[64];
+char TOPIC_CONFIG_SET[64];
 
 // ==================== OBJECTS ====================
 WiFiClientSecure wifiClient;
 PubSubClient mqttClient(wifiClient);
 DHT dht(DHT_PIN, DHT_TYPE);
 Servo doorServo;
+Preferences prefs;
+
+// ==================== RUNTIME CONFIG ====================
+// Defaults below; overridden from flash at boot and remotely via
+// roomguard/<DEVICE_ID>/config/set. Applied values are echoed on .../config
+float fireTempThreshold = 50.0;       // Celsius - trigger fire alert above this
+float fireHysteresis = 5.0;           // Fire clears below threshold - hysteresis
+int pirConfirmReads = 2;              // Consecutive PIR reads to confirm burglar
+unsigned long sensorInterval = 2000;  // Read sensors every 2 seconds
+unsigned long mqttInterval = 5000;    // Publish to MQTT every 5 seconds
+int exitDelay = 30;                   // Seconds to leave after arming
+int entryDelay = 20;                  // Seconds to disarm after an entry is detected
+long configVersion = 0;               // Version of the last config applied
 
 // ==================== STATE VARIABLES ====================
 int occupantCount = 0;        // Number of people in the room
@@ -77,10 +104,18 @@ bool irLastState = HIGH;      // Previous IR sensor state (HIGH = no obstacle)
 bool burglarDetected = false; // Burglar alert active
 bool fireDetected = false;    // Fire alert active
 
+// Arming - the mode survives reboots, the delays do not
+enum ArmMode { DISARMED, ARMED_AWAY, ARMED_NIGHT };
+ArmMode armMode = DISARMED;
+unsigned long armingUntil = 0;  // Exit delay running until this millis(), 0 = none
+unsigned long entryUntil = 0;   // Entry delay running until this millis(), 0 = none
+char armCommandId[41] = "";     // Command that last changed the mode, for the audit trail
+bool entryDetected = false;     // IR beam break seen in the current sensor read
+
 unsigned long lastSensorRead = 0;
 unsigned long lastMqttPublish = 0;
-const unsigned long SENSOR_INTERVAL = 2000;    // Read sensors every 2 seconds
-const unsigned long MQTT_INTERVAL = 5000;      // Publish to MQTT every 5 seconds
+unsigned long lastHeartbeat = 0;
+const unsigned long HEARTBEAT_INTERVAL = 30000; // Heartbeat every 30 seconds
 int consecutiveMotionCount = 0;                // Filter for PIR sensitivity
 
 // ==================== FUNCTION DECLARATIONS ====================
@@ -96,6 +131,15 @@ void setLEDs(bool alert);
 void publishSensorData(float temp, float humidity, bool irState, bool pirState);
 void publishStatus();
 void publishAlert(const char* type, const char* message);
+void publishAck(const char* id, const char* action, bool ok, const char* reason);
+void publishHeartbeat();
+void loadConfig();
+void applyConfig(JsonDocument& doc);
+void publishConfig();
+void setArmMode(ArmMode mode, const char* cmdId);
+void updateArming();
+const char* armModeName();
+const char* armStateName();
 
 // ==================== SETUP ====================
 void setup() {
@@ -110,6 +154,9 @@ void setup() {
   pinMode(RED_LED_PIN, OUTPUT);
   pinMode(GREEN_LED_PIN, OUTPUT);
 
+  // Load thresholds/timings and arm mode saved from the dashboard
+  loadConfig();
+
   // Initialize DHT sensor
   dht.begin();
   delay(2000);  // DHT11 needs 2 seconds to warm up!
@@ -146,10 +193,19 @@ void loop() {
 
   // Read sensors at interval
   unsigned long now = millis();
-  if (now - lastSensorRead >= SENSOR_INTERVAL) {
+  if (now - lastSensorRead >= sensorInterval) {
     lastSensorRead = now;
     readSensors();
   }
+
+  // Exit and entry delays
+  updateArming();
+
+  // Heartbeat so the backend can tell a silent device from a dead one
+  if (now - lastHeartbeat >= HEARTBEAT_INTERVAL) {
+    lastHeartbeat = now;
+    publishHeartbeat();
+  }
 }
 
 // ==================== WIFI SETUP ====================
@@ -177,6 +233,19 @@ void setupWiFi() {
 
 // ==================== MQTT SETUP ====================
 void setupMQTT() {
+  // Build per-device client ID and topics
+  snprintf(MQTT_CLIENT_ID, sizeof(MQTT_CLIENT_ID), "esp32_%s", DEVICE_ID);
+  snprintf(TOPIC_SENSORS, sizeof(TOPIC_SENSORS), "roomguard/%s/sensors", DEVICE_ID);
+  snprintf(TOPIC_STATUS, sizeof(TOPIC_STATUS), "roomguard/%s/status", DEVICE_ID);
+  snprintf(TOPIC_ALERT, sizeof(TOPIC_ALERT), "roomguard/%s/alert", DEVICE_ID);
+  snprintf(TOPIC_COMMAND, sizeof(TOPIC_COMMAND), "roomguard/%s/command", DEVICE_ID);
+  snprintf(TOPIC_ACK, sizeof(TOPIC_ACK), "roomguard/%s/ack", DEVICE_ID);
+  snprintf(TOPIC_PRESENCE, sizeof(TOPIC_PRESENCE), "roomguard/%s/presence", DEVICE_ID);
+  snprintf(TOPIC_HEARTBEAT, sizeof(TOPIC_HEARTBEAT), "roomguard/%s/heartbeat", DEVICE_ID);
+  snprintf(TOPIC_CONFIG, sizeof(TOPIC_CONFIG), "roomguard/%s/config", DEVICE_ID);
+  snprintf(TOPIC_CONFIG_SET, sizeof(TOPIC_CONFIG_SET), "roomguard/%s/config/set", DEVICE_ID);
+  Serial.printf("[MQTT] Device ID: %s\n", DEVICE_ID);
+
   // Configure TLS with CA certificate
   wifiClient.setCACert(CA_CERT);
   // Skip hostname verification (cert is for IP, not domain)
@@ -193,16 +262,23 @@ void reconnectMQTT() {
   while (!mqttClient.connected()) {
     Serial.print("[MQTT] Attempting connection...");
     
-    // Connect with username and password
-    if (mqttClient.connect(MQTT_CLIENT_ID, MQTT_USERNAME, MQTT_PASSWORD)) {
+    // Connect with username and password; the broker publishes the
+    // retained last-will {"online":false} if we drop off without saying goodbye
+    if (mqttClient.connect(MQTT_CLIENT_ID, MQTT_USERNAME, MQTT_PASSWORD,
+                           TOPIC_PRESENCE, 1, true, "{\"v\":1,\"online\":false}")) {
       Serial.println(" connected!");
+
+      // Announce presence (retained so late subscribers see it)
+      mqttClient.publish(TOPIC_PRESENCE, "{\"v\":1,\"online\":true}", true);
       
-      // Subscribe to command topic
+      // Subscribe to command and config topics
       mqttClient.subscribe(TOPIC_COMMAND);
+      mqttClient.subscribe(TOPIC_CONFIG_SET);
       Serial.println("[MQTT] Subscribed to: " + String(TOPIC_COMMAND));
       
-      // Publish initial status
+      // Publish initial status and the config in effect
       publishStatus();
+      publishConfig();
     } else {
       Serial.print(" failed, rc=");
       Serial.print(mqttClient.state());
@@ -214,8 +290,8 @@ void reconnectMQTT() {
 
 // ==================== MQTT CALLBACK ====================
 void mqttCallback(char* topic, byte* payload, unsigned int length) {
-  // Parse incoming JSON command
-  StaticJsonDocument<200> doc;
+  // Parse incoming JSON command / config
+  StaticJsonDocument<384> doc;
   DeserializationError error = deserializeJson(doc, payload, length);
   
   if (error) {
@@ -223,7 +299,26 @@ void mqttCallback(char* topic, byte* payload, unsigned int length) {
     return;
   }
 
-  const char* action = doc["action"];
+  // A message from a newer/older backend could mean something else here
+  bool knownVersion = (doc["v"] | 0) == SCHEMA_VERSION;
+
+  if (strcmp(topic, TOPIC_CONFIG_SET) == 0) {
+    if (!knownVersion) {
+      Serial.println("[Config] Ignored - unsupported schema version");
+      return;
+    }
+    applyConfig(doc);
+    return;
+  }
+
+  // Correlation ID echoed back in the ack so the dashboard can match it
+  const char* cmdId = doc["id"] | "";
+  const char* action = doc["action"] | "";
+
+  if (!knownVersion) {
+    publishAck(cmdId, action, false, "Unsupported message version");
+    return;
+  }
   
   Serial.print("[MQTT] Command received: ");
   Serial.println(action);
@@ -231,19 +326,24 @@ void mqttCallback(char* topic, byte* payload, unsigned int length) {
   if (strcmp(action, "lock") == 0) {
     lockDoor();
     publishStatus();
+    publishAck(cmdId, action, true, "");
   } else if (strcmp(action, "unlock") == 0) {
     // Only allow manual unlock if no fire (safety first!)
-    if (!fireDetected) {
-      unlockDoor();
-      burglarDetected = false;  // Reset burglar alert on manual unlock
-      setLEDs(false);
-      publishStatus();
+    if (fireDetected) {
+      publishAck(cmdId, action, false, "Fire alert active - door is held open for evacuation");
+      return;
     }
+    unlockDoor();
+    burglarDetected = false;  // Reset burglar alert on manual unlock
+    setLEDs(false);
+    publishStatus();
+    publishAck(cmdId, action, true, "");
   } else if (strcmp(action, "reset") == 0) {
     // Reset everything to default state
     occupantCount = 0;
     burglarDetected = false;
     fireDetected = false;
+    entryUntil = 0;  // Arm mode is kept - only disarm changes it
     
     // Move servo to unlocked position
     doorServo.attach(SERVO_PIN);
@@ -257,14 +357,32 @@ void mqttCallback(char* topic, byte* payload, unsigned int length) {
     digitalWrite(GREEN_LED_PIN, HIGH);
     
     publishStatus();
+    publishAck(cmdId, action, true, "");
     Serial.println("[RESET] System reset - Door unlocked (90°), LED:Green, Alerts:Cleared");
+  } else if (strcmp(action, "arm_away") == 0 || strcmp(action, "arm_night") == 0) {
+    if (fireDetected || burglarDetected) {
+      publishAck(cmdId, action, false, "Alarm active - reset before arming");
+      return;
+    }
+    setArmMode(strcmp(action, "arm_away") == 0 ? ARMED_AWAY : ARMED_NIGHT, cmdId);
+    publishAck(cmdId, action, true, "");
+  } else if (strcmp(action, "disarm") == 0) {
+    // Disarming also silences a burglar alarm raised while armed
+    burglarDetected = false;
+    setArmMode(DISARMED, cmdId);
+    publishAck(cmdId, action, true, "");
   } else if (strcmp(action, "checkout") == 0) {
     // One person left the room
-    if (occupantCount > 0) {
-      occupantCount--;
-      Serial.printf("[CHECKOUT] Person left. Occupants: %d\n", occupantCount);
+    if (occupantCount == 0) {
+      publishAck(cmdId, action, false, "Room is already empty");
+      return;
     }
+    occupantCount--;
+    Serial.printf("[CHECKOUT] Person left. Occupants: %d\n", occupantCount);
     publishStatus();
+    publishAck(cmdId, action, true, "");
+  } else {
+    publishAck(cmdId, action, false, "Unknown command");
   }
 }
 
@@ -274,18 +392,20 @@ void readSensors() {
   float temperature = dht.readTemperature();
   float humidity = dht.readHumidity();
 
-  // Check for DHT read errors
+  // DHT read errors stay NAN: published as a fault, and every NAN
+  // comparison is false so the fire state is left as it is
   if (isnan(temperature) || isnan(humidity)) {
     Serial.println("[DHT] Read error!");
-    temperature = 0;
-    humidity = 0;
+    temperature = NAN;
+    humidity = NAN;
   }
 
   // Read IR sensor (LOW = beam broken = person passing)
   bool irState = digitalRead(IR_PIN);
   
   // Detect IR beam break (falling edge) = someone entered
-  if (irLastState == HIGH && irState == LOW) {
+  entryDetected = irLastState == HIGH && irState == LOW;
+  if (entryDetected) {
     occupantCount++;
     Serial.printf("[IR] Person entered! Occupants: %d\n", occupantCount);
   }
@@ -302,18 +422,19 @@ void readSensors() {
   checkSafetyLogic(temperature);
 
   // Publish data via MQTT
-  if (millis() - lastMqttPublish >= MQTT_INTERVAL) {
+  if (millis() - lastMqttPublish >= mqttInterval) {
     lastMqttPublish = millis();
     publishSensorData(temperature, humidity, irState, pirState);
   }
 }
 
 // ==================== SAFETY LOGIC ====================
+// simulator/device.js mirrors this and the arming logic - keep them in step
 void checkSafetyLogic(float temperature) {
   bool pirState = digitalRead(PIR_PIN);
   
   // FIRE DETECTION - Highest priority
-  if (temperature >= FIRE_TEMP_THRESHOLD && !fireDetected) {
+  if (temperature >= fireTempThreshold && !fireDetected) {
     fireDetected = true;
     Serial.println("\n🔥🔥🔥 FIRE DETECTED! 🔥🔥🔥\n");
     
@@ -323,33 +444,41 @@ void checkSafetyLogic(float temperature) {
     publishStatus();
   } 
   // Reset fire alert when temperature drops
-  else if (temperature < (FIRE_TEMP_THRESHOLD - 5) && fireDetected) {
+  else if (temperature < (fireTempThreshold - fireHysteresis) && fireDetected) {
     fireDetected = false;
     Serial.println("[Fire] Temperature normalized");
   }
 
-  // BURGLAR DETECTION - Only if no fire
-  if (!fireDetected) {
-    // Check if motion detected in empty room
-    if (pirState == HIGH && occupantCount == 0 && !burglarDetected) {
+  // BURGLAR DETECTION - Only if armed (exit delay over) and no fire
+  bool armed = armMode != DISARMED && armingUntil == 0;
+  if (!fireDetected && armed && !burglarDetected && entryUntil == 0) {
+    bool intrusion = false;
+
+    // Door entry trips both armed modes
+    if (entryDetected) {
+      Serial.println("[Arm] Entry detected while armed");
+      intrusion = true;
+    }
+
+    // Motion in an empty room only counts when armed-away
+    if (armMode == ARMED_AWAY && pirState == HIGH && occupantCount == 0) {
       consecutiveMotionCount++;
-      Serial.printf("[PIR] Motion detected! Check %d/2\n", consecutiveMotionCount);
+      Serial.printf("[PIR] Motion detected! Check %d/%d\n", consecutiveMotionCount, pirConfirmReads);
       
-      // REQUIRE 2 consecutive reads (approx 4 seconds) to confirm burglar
-      if (consecutiveMotionCount >= 2) {
-        burglarDetected = true;
-        Serial.println("\n🚨🚨🚨 BURGLAR DETECTED! 🚨🚨🚨");
-        Serial.println("Motion CONFIRMED in unoccupied room!\n");
-        
-        lockDoor();   // Lock the intruder in
-        setLEDs(true); // Red LED on
-        publishAlert("burglar", "Motion confirmed with no authorized entry! Door locked.");
-        publishStatus();
-      }
+      // REQUIRE consecutive reads (default 2, approx 4 seconds) to confirm burglar
+      if (consecutiveMotionCount >= pirConfirmReads) intrusion = true;
     } else {
       // Reset counter if motion stops
       consecutiveMotionCount = 0;
     }
+
+    // Give whoever came in entryDelay seconds to disarm
+    if (intrusion) {
+      consecutiveMotionCount = 0;
+      entryUntil = max(millis() + entryDelay * 1000UL, 1UL);
+      Serial.printf("[Arm] Entry delay started: %ds to disarm\n", entryDelay);
+      publishStatus();
+    }
   }
 
   // Normal state - green LED if no alerts
@@ -358,6 +487,67 @@ void checkSafetyLogic(float temperature) {
   }
 }
 
+// ==================== ARMING ====================
+void setArmMode(ArmMode mode, const char* cmdId) {
+  armMode = mode;
+  entryUntil = 0;
+  consecutiveMotionCount = 0;
+  // Exit delay before an armed mode starts watching
+  armingUntil = mode == DISARMED ? 0 : max(millis() + exitDelay * 1000UL, 1UL);
+  strlcpy(armCommandId, cmdId, sizeof(armCommandId));
+
+  prefs.begin("roomguard", false);
+  prefs.putUChar("armMode", (uint8_t)armMode);
+  prefs.end();
+
+  Serial.printf("[Arm] Mode: %s (%s)\n", armModeName(), armStateName());
+  if (!burglarDetected && !fireDetected) setLEDs(false);
+  publishStatus();
+}
+
+// Finish the exit delay, or raise the alarm when the entry delay runs out
+void updateArming() {
+  unsigned long now = millis();
+
+  if (armingUntil != 0 && (long)(now - armingUntil) >= 0) {
+    armingUntil = 0;
+    Serial.printf("[Arm] Armed (%s)\n", armModeName());
+    publishStatus();
+  }
+
+  if (entryUntil != 0 && (long)(now - entryUntil) >= 0) {
+    entryUntil = 0;
+    if (armMode == DISARMED || fireDetected) return;
+
+    burglarDetected = true;
+    Serial.println("\n🚨🚨🚨 BURGLAR DETECTED! 🚨🚨🚨");
+    Serial.println("Entry delay expired without disarm!\n");
+
+    lockDoor();   // Lock the intruder in
+    setLEDs(true); // Red LED on
+    publishAlert("burglar", armMode == ARMED_NIGHT
+      ? "Door entry while armed (night) and not disarmed! Door locked."
+      : "Intrusion while armed (away) and not disarmed! Door locked.");
+    publishStatus();
+  }
+}
+
+const char* armModeName() {
+  switch (armMode) {
+    case ARMED_AWAY: return "away";
+    case ARMED_NIGHT: return "night";
+    default: return "disarmed";
+  }
+}
+
+// disarmed / arming (exit delay) / entry (entry delay) / armed
+const char* armStateName() {
+  if (armMode == DISARMED) return "disarmed";
+  if (armingUntil != 0) return "arming";
+  if (entryUntil != 0) return "entry";
+  return "armed";
+}
+
 // ==================== DOOR CONTROL ====================
 void lockDoor() {
   doorServo.attach(SERVO_PIN);
@@ -393,8 +583,16 @@ void publishSensorData(float temp, float humidity, bool irState, bool pirState)
   if (!mqttClient.connected()) return;
 
   StaticJsonDocument<200> doc;
-  doc["temp"] = temp;
-  doc["humidity"] = humidity;
+  doc["v"] = SCHEMA_VERSION;
+  if (isnan(temp) || isnan(humidity)) {
+    // Report the failed read rather than a value the room never had
+    doc["temp"] = nullptr;
+    doc["humidity"] = nullptr;
+    doc.createNestedArray("faults").add("dht");
+  } else {
+    doc["temp"] = temp;
+    doc["humidity"] = humidity;
+  }
   doc["ir"] = irState ? 0 : 1;  // Invert: 1 = beam broken
   doc["pir"] = pirState ? 1 : 0;
   doc["occupant_count"] = occupantCount;
@@ -409,13 +607,21 @@ void publishSensorData(float temp, float humidity, bool irState, bool pirState)
 void publishStatus() {
   if (!mqttClient.connected()) return;
 
-  StaticJsonDocument<200> doc;
+  StaticJsonDocument<384> doc;
+  doc["v"] = SCHEMA_VERSION;
   doc["door"] = doorLocked ? "locked" : "unlocked";
   doc["led"] = (burglarDetected || fireDetected) ? "red" : "green";
   doc["mode"] = fireDetected ? "fire" : (burglarDetected ? "burglar" : "normal");
   doc["occupant_count"] = occupantCount;
+  doc["arm_mode"] = armModeName();
+  doc["arm_state"] = armStateName();
 
-  char buffer[200];
+  // Seconds left on the running exit/entry delay
+  unsigned long until = armingUntil != 0 ? armingUntil : entryUntil;
+  if (until != 0) doc["arm_remaining"] = (long)(until - millis()) > 0 ? (until - millis() + 999) / 1000 : 0;
+  if (armCommandId[0]) doc["arm_cmd"] = armCommandId;
+
+  char buffer[384];
   serializeJson(doc, buffer);
   mqttClient.publish(TOPIC_STATUS, buffer);
   
@@ -426,9 +632,10 @@ void publishAlert(const char* type, const char* message) {
   if (!mqttClient.connected()) return;
 
   StaticJsonDocument<300> doc;
+  doc["v"] = SCHEMA_VERSION;
   doc["type"] = type;
   doc["message"] = message;
-  doc["timestamp"] = millis();
+  doc["uptime_ms"] = millis();  // The backend stamps the real time
 
   char buffer[300];
   serializeJson(doc, buffer);
@@ -436,3 +643,132 @@ void publishAlert(const char* type, const char* message) {
   
   Serial.printf("[MQTT] Alert published: %s\n", type);
 }
+
+// Acknowledge a command: status "ok" or "rejected" with a reason
+void publishAck(const char* id, const char* action, bool ok, const char* reason) {
+  if (!mqttClient.connected()) return;
+
+  StaticJsonDocument<300> doc;
+  doc["v"] = SCHEMA_VERSION;
+  doc["id"] = id;
+  doc["action"] = action;
+  doc["status"] = ok ? "ok" : "rejected";
+  if (!ok) doc["reason"] = reason;
+
+  char buffer[300];
+  serializeJson(doc, buffer);
+  mqttClient.publish(TOPIC_ACK, buffer);
+
+  Serial.printf("[MQTT] Ack published: %s %s\n", action, ok ? "ok" : "rejected");
+}
+
+void publishHeartbeat() {
+  if (!mqttClient.connected()) return;
+
+  StaticJsonDocument<200> doc;
+  doc["v"] = SCHEMA_VERSION;
+  doc["uptime"] = millis() / 1000;
+  doc["rssi"] = WiFi.RSSI();
+  doc["heap"] = ESP.getFreeHeap();
+
+  char buffer[200];
+  serializeJson(doc, buffer);
+  mqttClient.publish(TOPIC_HEARTBEAT, buffer);
+
+  Serial.println("[MQTT] Heartbeat published");
+}
+
+// ==================== RUNTIME CONFIG ====================
+void loadConfig() {
+  prefs.begin("roomguard", true);
+  fireTempThreshold = prefs.getFloat("fireTemp", fireTempThreshold);
+  fireHysteresis = prefs.getFloat("fireHyst", fireHysteresis);
+  pirConfirmReads = prefs.getInt("pirReads", pirConfirmReads);
+  sensorInterval = prefs.getULong("sensorMs", sensorInterval);
+  mqttInterval = prefs.getULong("mqttMs", mqttInterval);
+  exitDelay = prefs.getInt("exitDelay", exitDelay);
+  entryDelay = prefs.getInt("entryDelay", entryDelay);
+  configVersion = prefs.getLong("cfgVer", configVersion);
+  // Back in the same mode after a power cut - no exit delay
+  uint8_t savedMode = prefs.getUChar("armMode", DISARMED);
+  armMode = savedMode <= ARMED_NIGHT ? (ArmMode)savedMode : DISARMED;
+  prefs.end();
+
+  Serial.printf("[Config] v%ld: fire=%.1f°C (-%.1f), PIR reads=%d, sensor=%lums, mqtt=%lums, exit=%ds, entry=%ds, arm=%s\n",
+                configVersion, fireTempThreshold, fireHysteresis, pirConfirmReads,
+                sensorInterval, mqttInterval, exitDelay, entryDelay, armModeName());
+}
+
+// Apply fields present in the document; out-of-range values are ignored
+// and the echoed config shows what is really in effect
+void applyConfig(JsonDocument& doc) {
+  // The retained config is redelivered on every reconnect - skip if unchanged
+  long version = doc["version"] | 0L;
+  if (version != 0 && version == configVersion) return;
+
+  if (doc.containsKey("fire_temp_threshold")) {
+    float v = doc["fire_temp_threshold"];
+    if (v >= 30 && v <= 90) fireTempThreshold = v;
+  }
+  if (doc.containsKey("fire_hysteresis")) {
+    float v = doc["fire_hysteresis"];
+    if (v >= 1 && v <= 20 && v < fireTempThreshold) fireHysteresis = v;
+  }
+  if (doc.containsKey("pir_confirm_reads")) {
+    int v = doc["pir_confirm_reads"];
+    if (v >= 1 && v <= 10) pirConfirmReads = v;
+  }
+  if (doc.containsKey("sensor_interval_ms")) {
+    unsigned long v = doc["sensor_interval_ms"];
+    if (v >= 500 && v <= 60000) sensorInterval = v;
+  }
+  if (doc.containsKey("mqtt_interval_ms")) {
+    unsigned long v = doc["mqtt_interval_ms"];
+    if (v >= 1000 && v <= 300000) mqttInterval = v;
+  }
+  if (doc.containsKey("exit_delay_s")) {
+    int v = doc["exit_delay_s"];
+    if (v >= 0 && v <= 300) exitDelay = v;
+  }
+  if (doc.containsKey("entry_delay_s")) {
+    int v = doc["entry_delay_s"];
+    if (v >= 0 && v <= 300) entryDelay = v;
+  }
+  if (version != 0) configVersion = version;
+
+  prefs.begin("roomguard", false);
+  prefs.putFloat("fireTemp", fireTempThreshold);
+  prefs.putFloat("fireHyst", fireHysteresis);
+  prefs.putInt("pirReads", pirConfirmReads);
+  prefs.putULong("sensorMs", sensorInterval);
+  prefs.putULong("mqttMs", mqttInterval);
+  prefs.putInt("exitDelay", exitDelay);
+  prefs.putInt("entryDelay", entryDelay);
+  prefs.putLong("cfgVer", configVersion);
+  prefs.end();
+
+  Serial.println("[Config] Applied remote config");
+  publishConfig();
+}
+
+// Echo the config in effect (retained so dashboards get it on connect)
+void publishConfig() {
+  if (!mqttClient.connected()) return;
+
+  StaticJsonDocument<300> doc;
+  doc["v"] = SCHEMA_VERSION;
+  doc["fire_temp_threshold"] = fireTempThreshold;
+  doc["fire_hysteresis"] = fireHysteresis;
+  doc["pir_confirm_reads"] = pirConfirmReads;
+  doc["sensor_interval_ms"] = sensorInterval;
+  doc["mqtt_interval_ms"] = mqttInterval;
+  doc["exit_delay_s"] = exitDelay;
+  doc["entry_delay_s"] = entryDelay;
+  doc["version"] = configVersion;
+
+  char buffer[300];
+  serializeJson(doc, buffer);
+  mqttClient.publish(TOPIC_CONFIG, buffer, true);
+
+  Serial.printf("[MQTT] Config v%ld published\n", configVersion);
+}
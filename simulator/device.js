@@ -0,0 +1,522 @@
+import fs from 'fs';
+import path from 'path';
+import mqtt from 'mqtt';
+
+// ==================== SIMULATED DEVICE ====================
+// Stand-in for esp32/room_safety/room_safety.ino: same topics, same JSON
+// payloads and the same safety logic, fed by a simulated room (`env`)
+// instead of real sensors. Keep it in step with the firmware.
+
+const LOOP_MS = 100;
+const HEARTBEAT_INTERVAL = 30000; // Heartbeat every 30 seconds
+const RECONNECT_MS = 5000;        // Firmware retries every 5 seconds
+const SCHEMA_VERSION = 1;         // schemas/mqtt/v1.json - sent as "v" in every message
+
+// Defaults mirror the firmware's RUNTIME CONFIG section
+const DEFAULT_CONFIG = {
+    fire_temp_threshold: 50.0,
+    fire_hysteresis: 5.0,
+    pir_confirm_reads: 2,
+    sensor_interval_ms: 2000,
+    mqtt_interval_ms: 5000,
+    exit_delay_s: 30,
+    entry_delay_s: 20,
+    version: 0,
+};
+
+// Accepted ranges - out-of-range values are ignored, like applyConfig()
+const CONFIG_RANGES = {
+    fire_temp_threshold: [30, 90],
+    fire_hysteresis: [1, 20],
+    pir_confirm_reads: [1, 10],
+    sensor_interval_ms: [500, 60000],
+    mqtt_interval_ms: [1000, 300000],
+    exit_delay_s: [0, 300],
+    entry_delay_s: [0, 300],
+};
+const FLOAT_FIELDS = ['fire_temp_threshold', 'fire_hysteresis'];
+
+const ARM_MODES = ['disarmed', 'away', 'night'];
+
+// The room the sensors see. Scenarios change these.
+export const DEFAULT_ENV = {
+    temp: 24,          // °C
+    humidity: 55,      // %
+    motion: false,     // PIR output
+    dhtFault: false,   // DHT11 returns NaN
+    dhtStuck: false,   // DHT11 keeps returning the same values
+    pirFlapping: false, // PIR output toggles on every read
+    irBlocked: false,  // Something left in the IR beam
+    legacyPayloads: false, // Publish without "v", like firmware from before the message schemas
+    entries: 0,        // People queued to walk through the IR beam
+};
+
+const noise = (amount) => (Math.random() * 2 - 1) * amount;
+const round1 = (value) => Math.round(value * 10) / 10;
+
+export class SimulatedDevice {
+    /**
+     * @param {string} deviceId   DEVICE_ID - used in topics and the client ID
+     * @param {object} options    { brokerUrl, username, password, tls, flashDir, log }
+     *                             tls: { ca, rejectUnauthorized } for mqtts:// / wss:// brokers
+     */
+    constructor(deviceId, { brokerUrl, username, password, tls = {}, flashDir, log = console.log }) {
+        this.deviceId = deviceId;
+        this.brokerUrl = brokerUrl;
+        this.tls = tls;
+        this.username = username ?? deviceId;
+        this.password = password;
+        this.flashFile = flashDir && path.join(flashDir, `${deviceId}.json`);
+        this.print = log;
+
+        this.topics = Object.fromEntries(
+            ['sensors', 'status', 'alert', 'command', 'ack', 'presence', 'heartbeat', 'config', 'config/set']
+                .map(kind => [kind, `roomguard/${deviceId}/${kind}`])
+        );
+
+        this.env = { ...DEFAULT_ENV };
+        this.config = { ...DEFAULT_CONFIG };
+        this.client = null;
+
+        // STATE VARIABLES - same names as the firmware
+        this.occupantCount = 0;
+        this.doorLocked = false;
+        this.irLastState = true;       // HIGH = no obstacle
+        this.burglarDetected = false;
+        this.fireDetected = false;
+        this.armMode = 'disarmed';
+        this.armingUntil = 0;
+        this.entryUntil = 0;
+        this.armCommandId = '';
+        this.entryDetected = false;
+        this.consecutiveMotionCount = 0;
+
+        this.lastSensorRead = 0;
+        this.lastMqttPublish = 0;
+        this.lastHeartbeat = 0;
+
+        // Simulated sensor faults (env.dhtStuck / env.pirFlapping)
+        this.stuckReading = null;
+        this.lastPirState = false;
+    }
+
+    log(message) {
+        this.print(`[${this.deviceId}] ${message}`);
+    }
+
+    millis() {
+        return Date.now() - this.bootAt;
+    }
+
+    // ==================== SETUP ====================
+    start() {
+        this.bootAt = Date.now();
+        this.loadConfig();
+        this.log('[OK] Simulated sensors ready, door UNLOCKED');
+        this.connect();
+        this.timer = setInterval(() => this.loop(), LOOP_MS);
+    }
+
+    /**
+     * Power off: the socket just drops, so the broker publishes the last-will
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.client?.end(true);
+    }
+
+    // ==================== MAIN LOOP ====================
+    // Unlike the firmware, whose reconnect loop blocks, the simulated room
+    // keeps running while offline so scenario timings hold. Nothing is
+    // published until the connection is back.
+    loop() {
+        const now = this.millis();
+        if (now - this.lastSensorRead >= this.config.sensor_interval_ms) {
+            this.lastSensorRead = now;
+            this.readSensors();
+        }
+
+        this.updateArming();
+
+        if (now - this.lastHeartbeat >= HEARTBEAT_INTERVAL) {
+            this.lastHeartbeat = now;
+            this.publishHeartbeat();
+        }
+    }
+
+    // ==================== MQTT ====================
+    connect() {
+        this.log(`[MQTT] Connecting to ${this.brokerUrl}...`);
+        this.client = mqtt.connect(this.brokerUrl, {
+            clientId: `esp32_${this.deviceId}`,
+            username: this.username,
+            password: this.password,
+            ...this.tls,
+            reconnectPeriod: RECONNECT_MS,
+            will: {
+                topic: this.topics.presence,
+                payload: JSON.stringify({ v: SCHEMA_VERSION, online: false }),
+                qos: 1,
+                retain: true,
+            },
+        });
+
+        this.client.on('connect', () => {
+            this.log('[MQTT] Connected');
+            // Announce presence (retained so late subscribers see it)
+            this.publish('presence', { online: true }, true);
+            this.client.subscribe([this.topics.command, this.topics['config/set']]);
+            this.publishStatus();
+            this.publishConfig();
+        });
+        this.client.on('message', (topic, payload) => this.onMessage(topic, payload));
+        this.client.on('offline', () => this.log(`[MQTT] Offline - retrying in ${RECONNECT_MS / 1000} seconds`));
+        this.client.on('error', (err) => this.log(`[MQTT] Connection failed: ${err.message}`));
+    }
+
+    /**
+     * Drop off the network without saying goodbye, then come back
+     */
+    disconnect(seconds) {
+        if (!this.client) return;
+        this.log(`[MQTT] Connection lost (simulated) - back in ${seconds}s`);
+        this.client.end(true);
+        this.client = null;
+        setTimeout(() => this.connect(), seconds * 1000);
+    }
+
+    publish(kind, doc, retain = false) {
+        if (!this.client?.connected) return;
+        const message = this.env.legacyPayloads ? doc : { v: SCHEMA_VERSION, ...doc };
+        this.client.publish(this.topics[kind], JSON.stringify(message), { retain });
+    }
+
+    onMessage(topic, payload) {
+        let doc;
+        try {
+            doc = JSON.parse(payload.toString());
+        } catch {
+            this.log('[MQTT] Failed to parse command');
+            return;
+        }
+
+        // A message from a newer/older backend could mean something else here
+        const knownVersion = doc.v === SCHEMA_VERSION;
+        if (topic === this.topics['config/set']) {
+            if (knownVersion) {
+                this.applyConfig(doc);
+            } else {
+                this.log('[Config] Ignored - unsupported schema version');
+            }
+            return;
+        }
+        if (!knownVersion) {
+            this.publishAck(doc.id || '', doc.action || '', false, 'Unsupported message version');
+            return;
+        }
+        this.handleCommand(doc.action || '', doc.id || '');
+    }
+
+    // ==================== COMMANDS ====================
+    handleCommand(action, cmdId = '') {
+        this.log(`[MQTT] Command received: ${action}`);
+
+        switch (action) {
+            case 'lock':
+                this.lockDoor();
+                this.publishStatus();
+                return this.publishAck(cmdId, action, true);
+
+            case 'unlock':
+                // Only allow manual unlock if no fire (safety first!)
+                if (this.fireDetected) {
+                    return this.publishAck(cmdId, action, false, 'Fire alert active - door is held open for evacuation');
+                }
+                this.unlockDoor();
+                this.burglarDetected = false;
+                this.publishStatus();
+                return this.publishAck(cmdId, action, true);
+
+            case 'reset':
+                this.occupantCount = 0;
+                this.burglarDetected = false;
+                this.fireDetected = false;
+                this.entryUntil = 0; // Arm mode is kept - only disarm changes it
+                this.doorLocked = false;
+                this.publishStatus();
+                this.publishAck(cmdId, action, true);
+                return this.log('[RESET] System reset - Door unlocked, LED:Green, Alerts:Cleared');
+
+            case 'arm_away':
+            case 'arm_night':
+                if (this.fireDetected || this.burglarDetected) {
+                    return this.publishAck(cmdId, action, false, 'Alarm active - reset before arming');
+                }
+                this.setArmMode(action === 'arm_away' ? 'away' : 'night', cmdId);
+                return this.publishAck(cmdId, action, true);
+
+            case 'disarm':
+                // Disarming also silences a burglar alarm raised while armed
+                this.burglarDetected = false;
+                this.setArmMode('disarmed', cmdId);
+                return this.publishAck(cmdId, action, true);
+
+            case 'checkout':
+                if (this.occupantCount === 0) {
+                    return this.publishAck(cmdId, action, false, 'Room is already empty');
+                }
+                this.occupantCount--;
+                this.log(`[CHECKOUT] Person left. Occupants: ${this.occupantCount}`);
+                this.publishStatus();
+                return this.publishAck(cmdId, action, true);
+
+            default:
+                return this.publishAck(cmdId, action, false, 'Unknown command');
+        }
+    }
+
+    // ==================== SENSOR READING ====================
+    readSensors() {
+        let temperature = round1(this.env.temp + noise(0.3));
+        let humidity = round1(this.env.humidity + noise(1));
+        if (this.env.dhtStuck) {
+            this.stuckReading = this.stuckReading || { temperature, humidity };
+            ({ temperature, humidity } = this.stuckReading);
+        } else {
+            this.stuckReading = null;
+        }
+        // NaN like the firmware: no fire state change, published as a fault
+        if (this.env.dhtFault) {
+            this.log('[DHT] Read error!');
+            temperature = NaN;
+            humidity = NaN;
+        }
+
+        // IR (LOW = beam broken). A queued person breaks the beam for one read,
+        // so back-to-back entries still give separate falling edges.
+        let irState = !this.env.irBlocked;
+        if (this.env.entries > 0 && this.irLastState) {
+            irState = false;
+            this.env.entries--;
+        }
+        this.entryDetected = this.irLastState && !irState;
+        if (this.entryDetected) {
+            this.occupantCount++;
+            this.log(`[IR] Person entered! Occupants: ${this.occupantCount}`);
+        }
+        this.irLastState = irState;
+
+        const pirState = this.env.pirFlapping ? !this.lastPirState : this.env.motion;
+        this.lastPirState = pirState;
+
+        this.checkSafetyLogic(temperature, pirState);
+
+        if (this.millis() - this.lastMqttPublish >= this.config.mqtt_interval_ms) {
+            this.lastMqttPublish = this.millis();
+            const dhtFailed = Number.isNaN(temperature) || Number.isNaN(humidity);
+            this.publish('sensors', {
+                temp: dhtFailed ? null : temperature,
+                humidity: dhtFailed ? null : humidity,
+                ...(dhtFailed && { faults: ['dht'] }),
+                ir: irState ? 0 : 1, // 1 = beam broken
+                pir: pirState ? 1 : 0,
+                occupant_count: this.occupantCount,
+            });
+        }
+    }
+
+    // ==================== SAFETY LOGIC ====================
+    checkSafetyLogic(temperature, pirState) {
+        const { fire_temp_threshold: threshold, fire_hysteresis: hysteresis } = this.config;
+
+        // FIRE DETECTION - Highest priority
+        if (temperature >= threshold && !this.fireDetected) {
+            this.fireDetected = true;
+            this.log('🔥🔥🔥 FIRE DETECTED! 🔥🔥🔥');
+            this.unlockDoor(); // ALWAYS unlock for fire escape
+            this.publishAlert('fire', 'High temperature detected! Door unlocked for evacuation.');
+            this.publishStatus();
+        } else if (temperature < threshold - hysteresis && this.fireDetected) {
+            this.fireDetected = false;
+            this.log('[Fire] Temperature normalized');
+        }
+
+        // BURGLAR DETECTION - Only if armed (exit delay over) and no fire
+        const armed = this.armMode !== 'disarmed' && this.armingUntil === 0;
+        if (!this.fireDetected && armed && !this.burglarDetected && this.entryUntil === 0) {
+            let intrusion = false;
+
+            // Door entry trips both armed modes
+            if (this.entryDetected) {
+                this.log('[Arm] Entry detected while armed');
+                intrusion = true;
+            }
+
+            // Motion in an empty room only counts when armed-away
+            if (this.armMode === 'away' && pirState && this.occupantCount === 0) {
+                this.consecutiveMotionCount++;
+                this.log(`[PIR] Motion detected! Check ${this.consecutiveMotionCount}/${this.config.pir_confirm_reads}`);
+                if (this.consecutiveMotionCount >= this.config.pir_confirm_reads) intrusion = true;
+            } else {
+                this.consecutiveMotionCount = 0;
+            }
+
+            // Give whoever came in entry_delay_s seconds to disarm
+            if (intrusion) {
+                this.consecutiveMotionCount = 0;
+                this.entryUntil = Math.max(this.millis() + this.config.entry_delay_s * 1000, 1);
+                this.log(`[Arm] Entry delay started: ${this.config.entry_delay_s}s to disarm`);
+                this.publishStatus();
+            }
+        }
+    }
+
+    // ==================== ARMING ====================
+    setArmMode(mode, cmdId = '') {
+        this.armMode = mode;
+        this.entryUntil = 0;
+        this.consecutiveMotionCount = 0;
+        // Exit delay before an armed mode starts watching
+        this.armingUntil = mode === 'disarmed' ? 0 : Math.max(this.millis() + this.config.exit_delay_s * 1000, 1);
+        this.armCommandId = cmdId.slice(0, 40);
+        this.saveFlash();
+
+        this.log(`[Arm] Mode: ${this.armMode} (${this.armStateName()})`);
+        this.publishStatus();
+    }
+
+    // Finish the exit delay, or raise the alarm when the entry delay runs out
+    updateArming() {
+        const now = this.millis();
+
+        if (this.armingUntil !== 0 && now >= this.armingUntil) {
+            this.armingUntil = 0;
+            this.log(`[Arm] Armed (${this.armMode})`);
+            this.publishStatus();
+        }
+
+        if (this.entryUntil !== 0 && now >= this.entryUntil) {
+            this.entryUntil = 0;
+            if (this.armMode === 'disarmed' || this.fireDetected) return;
+
+            this.burglarDetected = true;
+            this.log('🚨🚨🚨 BURGLAR DETECTED! Entry delay expired without disarm!');
+            this.lockDoor(); // Lock the intruder in
+            this.publishAlert('burglar', this.armMode === 'night'
+                ? 'Door entry while armed (night) and not disarmed! Door locked.'
+                : 'Intrusion while armed (away) and not disarmed! Door locked.');
+            this.publishStatus();
+        }
+    }
+
+    // disarmed / arming (exit delay) / entry (entry delay) / armed
+    armStateName() {
+        if (this.armMode === 'disarmed') return 'disarmed';
+        if (this.armingUntil !== 0) return 'arming';
+        if (this.entryUntil !== 0) return 'entry';
+        return 'armed';
+    }
+
+    // ==================== DOOR CONTROL ====================
+    lockDoor() {
+        this.doorLocked = true;
+        this.log('[Door] LOCKED 🔒');
+    }
+
+    unlockDoor() {
+        this.doorLocked = false;
+        this.log('[Door] UNLOCKED 🔓');
+    }
+
+    // ==================== MQTT PUBLISHING ====================
+    publishStatus() {
+        const alarm = this.burglarDetected || this.fireDetected;
+        const doc = {
+            door: this.doorLocked ? 'locked' : 'unlocked',
+            led: alarm ? 'red' : 'green',
+            mode: this.fireDetected ? 'fire' : (this.burglarDetected ? 'burglar' : 'normal'),
+            occupant_count: this.occupantCount,
+            arm_mode: this.armMode,
+            arm_state: this.armStateName(),
+        };
+
+        // Seconds left on the running exit/entry delay
+        const until = this.armingUntil || this.entryUntil;
+        if (until !== 0) doc.arm_remaining = Math.max(Math.ceil((until - this.millis()) / 1000), 0);
+        if (this.armCommandId) doc.arm_cmd = this.armCommandId;
+
+        this.publish('status', doc);
+    }
+
+    publishAlert(type, message) {
+        const uptime = this.millis();
+        // Pre-schema firmware sent its uptime as "timestamp"
+        this.publish('alert', { type, message, ...(this.env.legacyPayloads ? { timestamp: uptime } : { uptime_ms: uptime }) });
+        this.log(`[MQTT] Alert published: ${type}`);
+    }
+
+    // Acknowledge a command: status "ok" or "rejected" with a reason
+    publishAck(id, action, ok, reason) {
+        const doc = { id, action, status: ok ? 'ok' : 'rejected' };
+        if (!ok) doc.reason = reason;
+        this.publish('ack', doc);
+        this.log(`[MQTT] Ack published: ${action} ${doc.status}`);
+    }
+
+    publishHeartbeat() {
+        this.publish('heartbeat', {
+            uptime: Math.floor(this.millis() / 1000),
+            rssi: Math.round(-60 + noise(8)),
+            heap: Math.round(180000 + noise(20000)),
+        });
+    }
+
+    // ==================== RUNTIME CONFIG ====================
+    // The firmware keeps config and arm mode in flash (Preferences); the
+    // simulator keeps them in <flashDir>/<deviceId>.json
+    loadConfig() {
+        if (this.flashFile && fs.existsSync(this.flashFile)) {
+            const saved = JSON.parse(fs.readFileSync(this.flashFile, 'utf8'));
+            this.config = { ...this.config, ...saved.config };
+            // Back in the same mode after a power cut - no exit delay
+            if (ARM_MODES.includes(saved.armMode)) this.armMode = saved.armMode;
+        }
+
+        const c = this.config;
+        this.log(`[Config] v${c.version}: fire=${c.fire_temp_threshold}°C (-${c.fire_hysteresis}), `
+            + `PIR reads=${c.pir_confirm_reads}, sensor=${c.sensor_interval_ms}ms, mqtt=${c.mqtt_interval_ms}ms, `
+            + `exit=${c.exit_delay_s}s, entry=${c.entry_delay_s}s, arm=${this.armMode}`);
+    }
+
+    saveFlash() {
+        if (!this.flashFile) return;
+        fs.mkdirSync(path.dirname(this.flashFile), { recursive: true });
+        fs.writeFileSync(this.flashFile, JSON.stringify({ config: this.config, armMode: this.armMode }, null, 2));
+    }
+
+    // Apply fields present in the document; out-of-range values are ignored
+    // and the echoed config shows what is really in effect
+    applyConfig(doc) {
+        // The retained config is redelivered on every reconnect - skip if unchanged
+        const version = Number(doc.version) || 0;
+        if (version !== 0 && version === this.config.version) return;
+
+        for (const [field, [min, max]] of Object.entries(CONFIG_RANGES)) {
+            if (typeof doc[field] !== 'number') continue;
+            const value = FLOAT_FIELDS.includes(field) ? doc[field] : Math.trunc(doc[field]);
+            if (value < min || value > max) continue;
+            if (field === 'fire_hysteresis' && value >= this.config.fire_temp_threshold) continue;
+            this.config[field] = value;
+        }
+        if (version !== 0) this.config.version = version;
+
+        this.saveFlash();
+        this.log('[Config] Applied remote config');
+        this.publishConfig();
+    }
+
+    // Echo the config in effect (retained so dashboards get it on connect)
+    publishConfig() {
+        this.publish('config', this.config, true);
+    }
+}
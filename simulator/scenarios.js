@@ -0,0 +1,186 @@
+import fs from 'fs';
+import { DEFAULT_ENV } from './device.js';
+
+// ==================== SCENARIOS ====================
+// A scenario is a timeline of steps played against every simulated device.
+// Each step runs `at` seconds after the scenario starts and may:
+//   note:       print a line
+//   set:        change the room at once, e.g. { "temp": 30, "motion": true, "dhtFault": true }
+//               (sensor faults: dhtFault, dhtStuck, pirFlapping, irBlocked;
+//               legacyPayloads: publish without the schema version "v")
+//   ramp:       move temp/humidity linearly to the given values `over` seconds
+//   enter:      walk that many people through the IR beam
+//   arm:        "away" | "night" | "disarmed" - as if armed from the dashboard
+//   command:    run a device command locally, e.g. "reset" or "unlock"
+//   disconnect: drop off the broker for that many seconds (the broker sends the last-will)
+// With `loop: true` the timeline starts over after `duration` seconds.
+// Timings assume the default exit (30 s) and entry (20 s) delays.
+
+export const SCENARIOS = {
+    idle: {
+        description: 'Quiet room: small temperature drift, someone comes and goes',
+        loop: true,
+        duration: 120,
+        steps: [
+            { at: 0, set: { temp: 24, humidity: 55, motion: false } },
+            { at: 15, enter: 1, note: 'Someone walks in' },
+            { at: 18, set: { motion: true } },
+            { at: 40, ramp: { temp: 25.5, humidity: 58 }, over: 30 },
+            { at: 60, set: { motion: false } },
+            { at: 65, command: 'checkout', note: 'They check out' },
+            { at: 80, ramp: { temp: 24, humidity: 55 }, over: 30 },
+        ],
+    },
+    fire: {
+        description: 'Temperature climbs past the fire threshold, then cools below the hysteresis',
+        steps: [
+            { at: 0, set: { temp: 26, humidity: 50 }, note: 'Normal room' },
+            { at: 10, ramp: { temp: 68, humidity: 25 }, over: 45, note: 'Heat building up' },
+            { at: 80, ramp: { temp: 30, humidity: 50 }, over: 60, note: 'Fire out, room cooling' },
+            { at: 150, command: 'reset', note: 'Reset after the all-clear' },
+        ],
+    },
+    smoulder: {
+        description: 'Temperature rises fast but stays under the fire threshold: backend fire pre-alerts only',
+        steps: [
+            { at: 0, set: { temp: 24, humidity: 55 }, note: 'Normal room - baseline builds up' },
+            { at: 120, ramp: { temp: 30, humidity: 50 }, over: 240, note: 'Slow creep (~1.5 °C/min): watch' },
+            { at: 360, ramp: { temp: 46, humidity: 38 }, over: 240, note: 'Faster rise (~4 °C/min): warning' },
+            { at: 600, ramp: { temp: 25, humidity: 54 }, over: 300, note: 'Source removed, room cooling' },
+        ],
+    },
+    intrusion: {
+        description: 'Armed away, motion in the empty room, nobody disarms: burglar alarm',
+        steps: [
+            { at: 0, arm: 'away', note: 'Armed away - exit delay running' },
+            { at: 45, set: { motion: true }, note: 'Motion in the empty room' },
+            { at: 55, set: { motion: false } },
+            { at: 100, arm: 'disarmed', note: 'Disarmed after the alarm' },
+            { at: 105, command: 'unlock' },
+        ],
+    },
+    night: {
+        description: 'Armed night: movement inside is fine, a door entry raises the alarm',
+        steps: [
+            { at: 0, enter: 2, note: 'Two people inside for the night' },
+            { at: 5, arm: 'night', note: 'Armed night - exit delay running' },
+            { at: 40, set: { motion: true }, note: 'Occupants moving around (no alarm)' },
+            { at: 50, set: { motion: false } },
+            { at: 60, enter: 1, note: 'Someone comes through the door' },
+            { at: 110, arm: 'disarmed', note: 'Disarmed after the alarm' },
+            { at: 115, command: 'unlock' },
+        ],
+    },
+    'sensor-failure': {
+        description: 'DHT11 stops answering for 30 seconds (published as a "dht" fault, like the firmware)',
+        steps: [
+            { at: 0, set: { temp: 24, humidity: 55 } },
+            { at: 15, set: { dhtFault: true }, note: 'DHT11 read errors start' },
+            { at: 45, set: { dhtFault: false }, note: 'DHT11 back' },
+        ],
+    },
+    'sensor-faults': {
+        description: 'Flapping PIR, blocked IR beam, a humidity spike, then a stuck DHT11 (backend sensor health; '
+            + 'set SENSOR_STUCK_MINUTES=2 on the backend to see "stuck")',
+        steps: [
+            { at: 0, set: { temp: 24, humidity: 55 } },
+            { at: 15, set: { pirFlapping: true }, note: 'PIR output starts flapping' },
+            { at: 315, set: { pirFlapping: false }, note: 'PIR steady again' },
+            { at: 330, set: { irBlocked: true }, note: 'Box left in the IR beam' },
+            { at: 510, set: { irBlocked: false }, note: 'Beam clear' },
+            { at: 530, set: { humidity: 95 }, note: 'Humidity spike the DHT11 cannot follow' },
+            { at: 536, set: { humidity: 55 } },
+            { at: 560, set: { dhtStuck: true }, note: 'DHT11 stuck on one value' },
+            { at: 740, set: { dhtStuck: false }, note: 'DHT11 back' },
+        ],
+    },
+    'legacy-firmware': {
+        description: 'Publishes without the schema version for a minute, like firmware from before the message schemas: '
+            + 'the backend and dashboard reject it (📨 Messages)',
+        steps: [
+            { at: 0, set: { temp: 24, humidity: 55 } },
+            { at: 15, set: { legacyPayloads: true }, note: 'Old firmware flashed - messages carry no "v"' },
+            { at: 20, set: { temp: 60 }, note: 'Fire alert the backend never stores' },
+            { at: 50, set: { temp: 24 } },
+            { at: 75, set: { legacyPayloads: false }, note: 'Current firmware back' },
+            { at: 80, command: 'reset' },
+        ],
+    },
+    disconnect: {
+        description: 'Device drops off the broker for 90 seconds, then reconnects',
+        steps: [
+            { at: 15, disconnect: 90, note: 'Network cable pulled' },
+        ],
+    },
+};
+
+/**
+ * Built-in scenario by name, or a JSON file with the same shape
+ */
+export function loadScenario(nameOrPath) {
+    if (SCENARIOS[nameOrPath]) return SCENARIOS[nameOrPath];
+    if (!fs.existsSync(nameOrPath)) {
+        throw new Error(`Unknown scenario "${nameOrPath}" - use one of ${Object.keys(SCENARIOS).join(', ')} or a JSON file`);
+    }
+    const scenario = JSON.parse(fs.readFileSync(nameOrPath, 'utf8'));
+    if (!Array.isArray(scenario.steps)) throw new Error(`${nameOrPath}: "steps" must be an array`);
+    return scenario;
+}
+
+const RAMP_TICK_MS = 500;
+
+function ramp(device, targets, seconds) {
+    const from = Object.fromEntries(Object.keys(targets).map(key => [key, device.env[key]]));
+    const started = Date.now();
+    const timer = setInterval(() => {
+        const progress = Math.min((Date.now() - started) / (seconds * 1000), 1);
+        for (const [key, to] of Object.entries(targets)) {
+            device.env[key] = from[key] + (to - from[key]) * progress;
+        }
+        if (progress === 1) clearInterval(timer);
+    }, RAMP_TICK_MS);
+    return timer;
+}
+
+function runStep(device, step) {
+    if (step.set) Object.assign(device.env, step.set);
+    if (step.enter) device.env.entries += step.enter;
+    if (step.arm) device.setArmMode(step.arm);
+    if (step.command) device.handleCommand(step.command);
+    if (step.disconnect) device.disconnect(step.disconnect);
+}
+
+/**
+ * Play a scenario against the devices. Returns a function that stops it.
+ */
+export function runScenario(devices, scenario, log = console.log) {
+    let timers = [];
+
+    const play = () => {
+        devices.forEach(device => Object.assign(device.env, DEFAULT_ENV));
+        for (const step of scenario.steps) {
+            timers.push(setTimeout(() => {
+                if (step.note) log(`[Scenario] ${step.note}`);
+                devices.forEach(device => {
+                    runStep(device, step);
+                    if (step.ramp) timers.push(ramp(device, step.ramp, step.over || 1));
+                });
+            }, step.at * 1000));
+        }
+        if (scenario.loop) {
+            timers.push(setTimeout(() => {
+                stop();
+                play();
+            }, (scenario.duration || Math.max(...scenario.steps.map(s => s.at)) + 1) * 1000));
+        }
+    };
+
+    const stop = () => {
+        // In Node clearTimeout also clears intervals (the ramps)
+        timers.forEach(clearTimeout);
+        timers = [];
+    };
+
+    play();
+    return stop;
+}
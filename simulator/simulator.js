@@ -0,0 +1,95 @@
+#!/usr/bin/env node
+/**
+ * ROOM SAFETY CHECKER - ESP32 Simulator
+ *
+ * Runs one or more simulated rooms against an MQTT broker so the dashboard
+ * and backend can be developed and demoed without hardware.
+ *
+ *   node simulator.js --device room1,lab2 --scenario intrusion
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { SimulatedDevice } from './device.js';
+import { SCENARIOS, loadScenario, runScenario } from './scenarios.js';
+
+// ==================== CONFIGURATION ====================
+const { values: args } = parseArgs({
+    options: {
+        broker: { type: 'string', default: process.env.SIM_BROKER_URL || 'mqtt://localhost:1883' },
+        device: { type: 'string', default: process.env.SIM_DEVICES || 'room1' },
+        username: { type: 'string', default: process.env.SIM_USERNAME },
+        password: { type: 'string', default: process.env.SIM_PASSWORD },
+        ca: { type: 'string', default: process.env.SIM_CA_FILE },
+        insecure: { type: 'boolean', default: process.env.SIM_TLS_INSECURE === 'true' },
+        scenario: { type: 'string', default: 'idle' },
+        list: { type: 'boolean', default: false },
+        help: { type: 'boolean', short: 'h', default: false },
+    },
+});
+
+const USAGE = `Usage: node simulator.js [options]
+
+  --broker <url>       MQTT broker (default mqtt://localhost:1883, env SIM_BROKER_URL)
+  --device <ids>       Comma-separated device IDs (default room1, env SIM_DEVICES)
+  --username <name>    Broker username (default: the device ID, env SIM_USERNAME)
+  --password <pw>      Broker password (env SIM_PASSWORD)
+  --ca <file>          CA certificate for an mqtts:// or wss:// broker (env SIM_CA_FILE)
+  --insecure           Don't verify the broker's TLS certificate (env SIM_TLS_INSECURE=true)
+  --scenario <name>    Built-in scenario or path to a JSON scenario (default idle)
+  --list               List the built-in scenarios`;
+
+// Config and arm mode survive restarts here, like the ESP32's flash
+const FLASH_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '.flash');
+
+// ==================== MAIN ====================
+if (args.help) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if (args.list) {
+    for (const [name, scenario] of Object.entries(SCENARIOS)) {
+        console.log(`${name.padEnd(16)}${scenario.description}`);
+    }
+    process.exit(0);
+}
+
+let scenario;
+try {
+    scenario = loadScenario(args.scenario);
+} catch (err) {
+    console.error(err.message);
+    process.exit(1);
+}
+
+// Private CA or self-signed broker
+const tls = {};
+if (args.ca) tls.ca = fs.readFileSync(args.ca);
+if (args.insecure) tls.rejectUnauthorized = false;
+
+const devices = args.device.split(',').map(id => id.trim()).filter(Boolean).map(id => new SimulatedDevice(id, {
+    brokerUrl: args.broker,
+    username: args.username,
+    password: args.password,
+    tls,
+    flashDir: FLASH_DIR,
+}));
+
+console.log('========================================');
+console.log('   ROOM SAFETY CHECKER - Simulator');
+console.log('========================================');
+console.log(`Scenario: ${args.scenario}${scenario.description ? ` - ${scenario.description}` : ''}\n`);
+
+devices.forEach(device => device.start());
+const stopScenario = runScenario(devices, scenario);
+
+// Ctrl+C pulls the plug: the broker publishes each device's last-will
+process.on('SIGINT', () => {
+    stopScenario();
+    devices.forEach(device => device.stop());
+    console.log('\nSimulator stopped');
+    process.exit(0);
+});